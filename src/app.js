@@ -0,0 +1,74 @@
+// Importar framework Express para crear la aplicación HTTP
+import express from 'express';
+// Importar contexto de cada solicitud (ID de correlación)
+import { requestContext } from './middlewares/requestContextMiddleware.js';
+// Importar span de cada solicitud (OpenTelemetry)
+import { tracingMiddleware } from './middlewares/tracingMiddleware.js';
+// Importar rutas de órdenes
+import ordersRouter from './routes/ordersRoutes.js'; // 👈 importa tu router
+// Importar rutas de administración
+import adminRouter from './routes/adminRoutes.js';
+// Importar rutas de clientes (preferencias de notificación)
+import clientRouter from './routes/clientRoutes.js';
+// Importar rutas de salud (vida y preparación)
+import healthRouter from './routes/healthRoutes.js';
+// Importar ruta y middleware de métricas de Prometheus
+import metricsRouter from './routes/metricsRoutes.js';
+import { metricsMiddleware } from './middlewares/metricsMiddleware.js';
+// Importar respuestas de error (application/problem+json)
+import { notFoundHandler, errorHandler } from './middlewares/errorMiddleware.js';
+
+/**
+ * 🌐 Aplicación Express del servicio de órdenes
+ * Solo arma los middlewares y las rutas: no abre puertos ni conecta dependencias
+ * (eso lo hace server.js), así las pruebas pueden levantarla sobre su propia base
+ *
+ * @module app
+ */
+
+/**
+ * 🌐 Crear la aplicación Express con todas sus rutas
+ * @returns {express.Application} Aplicación configurada
+ */
+export function createApp() {
+  const app = express();
+
+  // 🔭 Span de cada solicitud (hijo del traceparent recibido)
+  app.use(tracingMiddleware);
+
+  // 🔗 ID de correlación (X-Request-Id) y log de cada solicitud
+  app.use(requestContext);
+
+  // 📈 Contar y medir todas las solicitudes (por ruta y código de estado)
+  app.use(metricsMiddleware);
+
+  // Middleware para parsear JSON en el body de las solicitudes
+  app.use(express.json());
+
+  // 🩺 Salud del servicio (sin autenticación): /health/live y /health/ready
+  app.use('/health', healthRouter);
+
+  // 📈 Métricas en formato Prometheus (sin autenticación)
+  app.use('/metrics', metricsRouter);
+
+  // 👇 Montar rutas de órdenes en el prefijo /orders
+  // Todas las rutas de ordersRouter estarán disponibles en /orders/*
+  app.use('/orders', ordersRouter);
+
+  // Rutas de administración (mensajes atascados del outbox, vista previa de correos)
+  app.use('/admin', adminRouter);
+
+  // Rutas de clientes (preferencias de notificación)
+  app.use('/clients', clientRouter);
+
+  // (Opcional) Ruta de salud para probar conexión rápida
+  // GET / retorna un mensaje indicando que el servicio está funcionando
+  app.get('/', (req, res) => res.send('✅ Order Service funcionando'));
+
+  // 🧯 Rutas inexistentes y errores de todas las rutas, como application/problem+json
+  // (deben ir después de todas las rutas)
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
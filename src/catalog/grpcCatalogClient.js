@@ -0,0 +1,80 @@
+// Importar librerías necesarias para gRPC
+import grpc from '@grpc/grpc-js';
+import protoLoader from '@grpc/proto-loader';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Importar error de catálogo no disponible
+import { CatalogUnavailableError } from '../errors/catalogErrors.js';
+
+// Obtener la ruta del directorio actual
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Ruta al contrato gRPC del catálogo
+const PROTO_PATH = path.resolve(__dirname, '../proto/catalog.proto');
+
+/**
+ * Convierte un Money del proto a texto decimal sin redondear
+ * (el redondeo según la moneda lo hace quien valida el pedido)
+ * @param {Object} money - Monto con units y nanos
+ * @returns {string} Monto decimal (ej: '49.990000000')
+ */
+const toDecimal = ({ units = '0', nanos = 0 }) => {
+  const negative = String(units).startsWith('-') || nanos < 0;
+  return `${negative ? '-' : ''}${String(units).replace('-', '')}.${String(Math.abs(nanos)).padStart(9, '0')}`;
+};
+
+/**
+ * 🛰️ Cliente gRPC del catálogo de productos (contrato en src/proto/catalog.proto)
+ *
+ * @param {Object} options - Configuración del cliente
+ * @param {string} options.address - Dirección del servicio (ej: catalog:50052)
+ * @param {number} [options.timeoutMs=3000] - Tiempo máximo de espera (deadline de la llamada)
+ * @returns {{name: string, getProducts: Function}} Cliente del catálogo
+ */
+export const createGrpcCatalogClient = ({ address, timeoutMs = 3000 }) => {
+  if (!address) throw new Error('Falta la dirección del catálogo gRPC (CATALOG_GRPC_URL)');
+
+  const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    defaults: true,
+    oneofs: true,
+  });
+  const { catalog } = grpc.loadPackageDefinition(packageDefinition);
+  const client = new catalog.ProductCatalog(address, grpc.credentials.createInsecure());
+
+  return {
+    name: 'grpc',
+
+    /**
+     * Obtiene los productos solicitados
+     * @async
+     * @param {Array<string>} productIds - IDs de producto
+     * @param {Object} [options] - Opciones de la consulta
+     * @param {string} [options.currency] - Moneda en que se quieren los precios
+     * @returns {Promise<Array<{productId: string, name: string, active: boolean, price: string, currency: string}>>} Productos encontrados
+     * @throws {CatalogUnavailableError} Si el catálogo no responde o responde con error
+     */
+    getProducts: (productIds, { currency } = {}) =>
+      new Promise((resolve, reject) => {
+        client.GetProducts(
+          { productIds, currency: currency || '' },
+          { deadline: Date.now() + timeoutMs },
+          (error, response) => {
+            if (error) {
+              return reject(new CatalogUnavailableError(`No se pudo consultar el catálogo de productos: ${error.message}`, error));
+            }
+            resolve(response.products.map((product) => ({
+              productId: product.id,
+              name: product.name,
+              active: product.active,
+              price: product.price ? toDecimal(product.price) : null,
+              currency: product.price?.currencyCode || null,
+            })));
+          }
+        );
+      }),
+  };
+};
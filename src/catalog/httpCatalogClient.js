@@ -0,0 +1,69 @@
+// Importar error de catálogo no disponible
+import { CatalogUnavailableError } from '../errors/catalogErrors.js';
+
+/**
+ * 🌐 Cliente HTTP del catálogo de productos
+ * Consulta GET <baseUrl>/products?ids=<id1,id2>&currency=<moneda> y espera
+ * { products: [{ id, name, active, price, currency }] } (price como número o texto decimal;
+ * si falta active el producto se considera activo).
+ * Los productos que el catálogo no conoce simplemente no vienen en la respuesta
+ *
+ * @param {Object} options - Configuración del cliente
+ * @param {string} options.baseUrl - URL base del catálogo (ej: http://catalog:8080/api)
+ * @param {string} [options.token] - Token Bearer opcional
+ * @param {number} [options.timeoutMs=3000] - Tiempo máximo de espera
+ * @returns {{name: string, getProducts: Function}} Cliente del catálogo
+ */
+export const createHttpCatalogClient = ({ baseUrl, token, timeoutMs = 3000 }) => {
+  if (!baseUrl) throw new Error('Falta la URL del catálogo HTTP (CATALOG_HTTP_URL)');
+
+  return {
+    name: 'http',
+
+    /**
+     * Obtiene los productos solicitados
+     * @async
+     * @param {Array<string>} productIds - IDs de producto
+     * @param {Object} [options] - Opciones de la consulta
+     * @param {string} [options.currency] - Moneda en que se quieren los precios
+     * @returns {Promise<Array<{productId: string, name: string, active: boolean, price: string|null, currency: string}>>} Productos encontrados
+     * @throws {CatalogUnavailableError} Si el catálogo no responde o responde con error
+     */
+    getProducts: async (productIds, { currency } = {}) => {
+      const url = new URL(`${baseUrl.replace(/\/$/, '')}/products`);
+      url.searchParams.set('ids', productIds.join(','));
+      if (currency) url.searchParams.set('currency', currency);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          headers: {
+            Accept: 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          },
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (error) {
+        throw new CatalogUnavailableError(`No se pudo consultar el catálogo de productos: ${error.message}`, error);
+      }
+
+      if (!response.ok) {
+        throw new CatalogUnavailableError(`El catálogo de productos respondió ${response.status}`);
+      }
+
+      const body = await response.json().catch(() => null);
+      if (!Array.isArray(body?.products)) {
+        throw new CatalogUnavailableError('Respuesta inválida del catálogo de productos');
+      }
+
+      return body.products.map((product) => ({
+        productId: product.id ?? product.productId,
+        name: product.name,
+        active: product.active !== false,
+        // Sin precio queda null y el servicio de catálogo rechaza esa línea (no es culpa del cliente)
+        price: product.price == null ? null : String(product.price),
+        currency: product.currency,
+      }));
+    },
+  };
+};
@@ -0,0 +1,41 @@
+// Importar utilidades de Node para leer el archivo de productos
+import fs from 'fs';
+
+/**
+ * 🧪 Catálogo local para desarrollo y pruebas
+ * Lee los productos desde un archivo JSON con la forma
+ * [{ "id": "...", "name": "...", "active": true, "prices": { "CLP": "12990", "USD": "14.99" } }]
+ * y responde con el precio en la moneda solicitada (o el primero disponible,
+ * para que la validación detecte la diferencia de moneda)
+ *
+ * @param {Object} options - Configuración del cliente
+ * @param {string} options.file - Ruta del archivo JSON de productos
+ * @returns {{name: string, getProducts: Function}} Cliente del catálogo
+ */
+export const createStubCatalogClient = ({ file }) => {
+  const products = new Map(
+    JSON.parse(fs.readFileSync(file, 'utf8')).map((product) => [product.id, product])
+  );
+
+  return {
+    name: 'stub',
+
+    /**
+     * Obtiene los productos solicitados desde el archivo
+     * @async
+     * @param {Array<string>} productIds - IDs de producto
+     * @param {Object} [options] - Opciones de la consulta
+     * @param {string} [options.currency] - Moneda en que se quieren los precios
+     * @returns {Promise<Array<{productId: string, name: string, active: boolean, price: string, currency: string}>>} Productos encontrados
+     */
+    getProducts: async (productIds, { currency } = {}) =>
+      productIds
+        .filter((id) => products.has(id))
+        .map((id) => {
+          const { name, active = true, prices = {} } = products.get(id);
+          const [priceCurrency, price] =
+            currency && prices[currency] !== undefined ? [currency, prices[currency]] : Object.entries(prices)[0] || [null, null];
+          return { productId: id, name, active, price: price === null ? null : String(price), currency: priceCurrency };
+        }),
+  };
+};
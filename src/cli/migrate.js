@@ -0,0 +1,82 @@
+// Importar dotenv para cargar variables de entorno
+import dotenv from 'dotenv';
+// Importar instancia de Sequelize (para cerrar la conexión al terminar)
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar operaciones de migración
+import { runPendingMigrations, rollbackMigrations, migrationStatus } from '../config/migrator.js';
+
+dotenv.config();
+
+/**
+ * 🗂️ Línea de comandos de migraciones
+ * Aplica, revierte o lista las migraciones de src/migrations sobre la base de datos
+ * configurada en .env (ver config/migrator)
+ *
+ * @example
+ * npm run db:migrate                                   // aplica las pendientes
+ * npm run db:migrate -- --to 20261019000000-exact-money // aplica hasta esa migración
+ * npm run db:migrate:undo                              // revierte la última
+ * npm run db:migrate:undo -- --step 2                  // revierte las dos últimas
+ * npm run db:migrate:undo -- --to 0                    // revierte todas
+ * npm run db:migrate:status                            // lista aplicadas y pendientes
+ */
+
+const USAGE = 'Uso: node src/cli/migrate.js up [--to <migración>] | down [--step <n> | --to <migración|0>] | status';
+
+/**
+ * Lee el valor de una opción (--nombre valor)
+ * @param {Array<string>} args - Argumentos del comando
+ * @param {string} name - Nombre de la opción
+ * @returns {string|undefined} Valor de la opción
+ */
+const option = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+/**
+ * Ejecuta el comando indicado
+ * @async
+ * @param {string} command - 'up', 'down' o 'status'
+ * @param {Array<string>} args - Opciones del comando
+ * @returns {Promise<void>}
+ */
+const run = async (command, args) => {
+  if (command === 'up') {
+    const applied = await runPendingMigrations({ to: option(args, 'to') });
+    console.log(applied.length ? `🧩 ${applied.length} migración(es) aplicada(s)` : '✅ No hay migraciones pendientes');
+    return;
+  }
+
+  if (command === 'down') {
+    const to = option(args, 'to');
+    const step = Number(option(args, 'step') ?? 1);
+    if (!Number.isInteger(step) || step < 1) throw new Error('--step debe ser un entero mayor o igual a 1');
+
+    const reverted = await rollbackMigrations(to !== undefined ? { to: to === '0' ? 0 : to } : { step });
+    console.log(reverted.length ? `↩️ ${reverted.length} migración(es) revertida(s)` : '✅ No hay migraciones para revertir');
+    return;
+  }
+
+  if (command === 'status') {
+    const { executed, pending } = await migrationStatus();
+    executed.forEach((name) => console.log(`  ✅ ${name}`));
+    pending.forEach((name) => console.log(`  ⏳ ${name} (pendiente)`));
+    console.log(`${executed.length} aplicada(s), ${pending.length} pendiente(s)`);
+    return;
+  }
+
+  console.error(USAGE);
+  process.exitCode = 1;
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  await run(command, args);
+} catch (error) {
+  console.error('❌ Error en las migraciones:', error);
+  process.exitCode = 1;
+} finally {
+  await sequelize.close();
+}
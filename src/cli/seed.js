@@ -0,0 +1,148 @@
+// Importar dotenv para cargar variables de entorno
+import dotenv from 'dotenv';
+// Importar instancia de Sequelize (para cerrar la conexión al terminar)
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar estado de las migraciones
+import { migrationStatus } from '../config/migrator.js';
+// Importar seeder configurable y sus escenarios
+import { seedOrders } from '../seeders/seeder.js';
+import { SEED_SCENARIOS } from '../seeders/scenarios.js';
+
+dotenv.config();
+
+/**
+ * 🌱 Línea de comandos del seeder
+ * Llena la base de datos configurada en .env con órdenes de prueba a partir de un
+ * escenario (--scenario, 'random' por defecto) cuyas opciones se pueden reemplazar.
+ * Exige que no haya migraciones pendientes y se niega a correr con NODE_ENV=production
+ *
+ * Opciones:
+ * - --list: muestra los escenarios disponibles
+ * - --scenario <nombre>: escenario base (ver seeders/scenarios)
+ * - --seed <n>: semilla de Faker para repetir exactamente los mismos datos
+ * - --orders <n>, --max-items <n>, --batch-size <n>
+ * - --statuses <estado=peso,...>: distribución de estados
+ * - --from <fecha>, --to <fecha>: rango de fechas de creación (ISO 8601)
+ * - --clients <n | uuid,uuid,...>, --products <n | uuid,uuid,...>: cantidad o IDs fijos
+ * - --currency <CLP|USD>: moneda de todas las órdenes
+ *
+ * @example
+ * npm run db:seed                                                  // 20 órdenes variadas
+ * npm run db:seed -- --scenario client-with-500-orders --seed 42
+ * npm run db:seed -- --scenario load-100k --seed 7
+ * npm run db:seed -- --orders 200 --statuses "entregado=3,cancelado=1" --clients 10 --from 2026-01-01 --to 2026-06-30
+ */
+
+const USAGE = 'Uso: node src/cli/seed.js [--list] [--scenario <nombre>] [--seed <n>] [--orders <n>] [--max-items <n>] '
+  + '[--statuses <estado=peso,...>] [--from <fecha>] [--to <fecha>] [--clients <n|uuid,...>] '
+  + '[--products <n|uuid,...>] [--currency <CLP|USD>] [--batch-size <n>]';
+
+// Opciones numéricas de la línea de comandos y su nombre en seedOrders
+const NUMBER_OPTIONS = { seed: 'seed', orders: 'orders', 'max-items': 'maxItemsPerOrder', 'batch-size': 'batchSize' };
+
+/**
+ * Lee el valor de una opción (--nombre valor)
+ * @param {Array<string>} args - Argumentos del comando
+ * @param {string} name - Nombre de la opción
+ * @returns {string|undefined} Valor de la opción
+ */
+const option = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+/**
+ * Convierte un valor numérico de la línea de comandos
+ * @param {string} name - Nombre de la opción
+ * @param {string} value - Valor recibido
+ * @returns {number} Valor entero
+ * @throws {Error} Si no es un entero
+ */
+const integer = (name, value) => {
+  if (!/^\d+$/.test(value ?? '')) throw new Error(`--${name} debe ser un entero`);
+  return Number(value);
+};
+
+/**
+ * Convierte una lista de IDs o una cantidad (--clients, --products)
+ * @param {string} name - Nombre de la opción
+ * @param {string} value - Valor recibido
+ * @returns {Array<string>|number} IDs o cantidad
+ */
+const idsOrCount = (name, value) => (value.includes('-') ? value.split(',').map((id) => id.trim()) : integer(name, value));
+
+/**
+ * Convierte la distribución de estados ('entregado=3,cancelado=1')
+ * @param {string} value - Valor recibido
+ * @returns {Object<string, number>} Peso de cada estado
+ * @throws {Error} Si algún par no tiene la forma estado=peso
+ */
+const statusDistribution = (value) =>
+  Object.fromEntries(value.split(',').map((pair) => {
+    const [status, weight] = pair.split('=').map((part) => part.trim());
+    if (!status || !/^\d+(\.\d+)?$/.test(weight ?? '')) {
+      throw new Error(`--statuses espera pares estado=peso separados por coma (recibido: "${pair}")`);
+    }
+    return [status, Number(weight)];
+  }));
+
+/**
+ * Arma las opciones de seedOrders a partir del escenario y de los argumentos
+ * @param {Array<string>} args - Argumentos del comando
+ * @returns {Object} Opciones del seeder
+ * @throws {Error} Si el escenario no existe o alguna opción no es válida
+ */
+const parseOptions = (args) => {
+  const unknownArgs = args.filter((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+  if (unknownArgs.length) throw new Error(`Argumentos no reconocidos: ${unknownArgs.join(' ')}\n${USAGE}`);
+
+  const name = option(args, 'scenario') ?? 'random';
+  const scenario = SEED_SCENARIOS[name];
+  if (!scenario) {
+    throw new Error(`Escenario desconocido: ${name} (disponibles: ${Object.keys(SEED_SCENARIOS).join(', ')})`);
+  }
+
+  const options = { ...scenario.options };
+  for (const [flag, key] of Object.entries(NUMBER_OPTIONS)) {
+    const value = option(args, flag);
+    if (value !== undefined) options[key] = integer(flag, value);
+  }
+  for (const flag of ['clients', 'products']) {
+    const value = option(args, flag);
+    if (value !== undefined) options[flag] = idsOrCount(flag, value);
+  }
+  for (const flag of ['from', 'to', 'currency']) {
+    const value = option(args, flag);
+    if (value !== undefined) options[flag] = value;
+  }
+  const statuses = option(args, 'statuses');
+  if (statuses !== undefined) options.statusDistribution = statusDistribution(statuses);
+
+  console.log(`🎬 Escenario ${name}: ${scenario.description}`);
+  return options;
+};
+
+const args = process.argv.slice(2);
+
+try {
+  if (args.includes('--list')) {
+    Object.entries(SEED_SCENARIOS).forEach(([name, { description }]) => console.log(`  ${name}: ${description}`));
+  } else {
+    const options = parseOptions(args);
+
+    const { pending } = await migrationStatus();
+    if (pending.length) {
+      throw new Error(`Hay ${pending.length} migración(es) pendiente(s); ejecute npm run db:migrate antes del seeder`);
+    }
+
+    console.log('🌱 Ejecutando seeder...');
+    const { seed } = await seedOrders(options);
+    const fixedDates = option(args, 'from') !== undefined && option(args, 'to') !== undefined;
+    console.log(`🔁 Para repetir estos datos: --seed ${seed}${fixedDates ? '' : ' (y --from / --to fijos)'}`);
+  }
+} catch (error) {
+  console.error('❌ Error ejecutando el seeder:', error.message);
+  process.exitCode = 1;
+} finally {
+  await sequelize.close();
+}
@@ -2,13 +2,18 @@
 import { Sequelize } from 'sequelize';
 // Importar dotenv para cargar variables de entorno desde archivo .env
 import dotenv from 'dotenv';
+// Importar logger
+import { logger } from './logger.js';
+// Importar trazas (cada consulta es un span)
+import { traceQueries } from './tracing.js';
 
 // Cargar las variables de entorno definidas en el archivo .env
 dotenv.config();
 
 /**
  * Instancia de Sequelize configurada para conectar con MySQL
- * Utiliza variables de entorno para las credenciales de conexión
+ * Utiliza variables de entorno para las credenciales de conexión.
+ * Las pruebas automáticas usan SQLite en memoria (DB_DIALECT=sqlite, DB_STORAGE=:memory:)
  * @type {Sequelize}
  */
 export const sequelize = new Sequelize(
@@ -16,15 +21,19 @@ export const sequelize = new Sequelize(
   process.env.DB_USER,      // Usuario de MySQL
   process.env.DB_PASSWORD,  // Contraseña de MySQL
   {
-    host: process.env.DB_HOST,  // Host del servidor MySQL
-    dialect: 'mysql',           // Especifica que se usa MySQL como base de datos
-    logging: false,             // Desactiva el logging de queries SQL en consola
+    host: process.env.DB_HOST,                    // Host del servidor MySQL
+    dialect: process.env.DB_DIALECT || 'mysql',   // MySQL salvo en las pruebas
+    storage: process.env.DB_STORAGE,              // Archivo de SQLite (solo con DB_DIALECT=sqlite)
+    logging: false,                               // Desactiva el logging de queries SQL en consola
   }
 );
 
+// 🔭 Cada consulta queda como un span de la solicitud que la hizo (ver config/tracing)
+traceQueries(sequelize);
+
 /**
  * Función asincrónica que establece la conexión con la base de datos MySQL
- * Intenta autenticar la conexión y muestra un mensaje de éxito o error
+ * Intenta autenticar la conexión y registra el resultado
  * @async
  * @returns {Promise<void>}
  */
@@ -32,10 +41,9 @@ export const connectDB = async () => {
   try {
     // Autentica la conexión con la base de datos
     await sequelize.authenticate();
-    // Mensaje de éxito en consola
-    console.log('✅ Conectado a MySQL');
+    logger.info({ module: 'database' }, 'Conectado a MySQL');
   } catch (err) {
-    // Captura y muestra cualquier error de conexión
-    console.error('❌ Error conectando a MySQL:', err);
+    // Captura y registra cualquier error de conexión
+    logger.error({ module: 'database', err }, 'Error conectando a MySQL');
   }
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Importar logger
+import { logger } from './logger.js';
+
+/**
+ * ♻️ Ciclo de vida del servicio
+ * Inicia los componentes (base de datos, RabbitMQ, workers, consumidores, servidores)
+ * en orden y los detiene en el orden inverso: primero se deja de recibir trabajo
+ * nuevo y al final se cierran las conexiones que ese trabajo necesita
+ *
+ * Al recibir SIGTERM o SIGINT (docker compose down, despliegues) se detienen todos
+ * los componentes dentro de SHUTDOWN_TIMEOUT_MS; si el plazo se agota el proceso
+ * termina igual, con código 1. Una segunda señal termina el proceso de inmediato
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - SHUTDOWN_TIMEOUT_MS: plazo total del apagado (por defecto 20000ms)
+ *
+ * @module config/lifecycle
+ */
+
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 20000;
+
+const log = logger.child({ module: 'lifecycle' });
+
+/**
+ * Crea un administrador del ciclo de vida
+ * @param {Object} [options] - Opciones
+ * @param {number} [options.shutdownTimeoutMs] - Plazo total del apagado
+ * @returns {{start: Function, stop: Function, exitOnSignals: Function}} Administrador
+ *
+ * @example
+ * const lifecycle = createLifecycle();
+ * lifecycle.exitOnSignals();
+ * const server = await lifecycle.start('servidor gRPC', {
+ *   start: () => startGrpcService(),
+ *   stop: (server, timeoutMs) => stopGrpcService(server, timeoutMs),
+ * });
+ */
+export const createLifecycle = ({ shutdownTimeoutMs = SHUTDOWN_TIMEOUT_MS } = {}) => {
+  // Componentes iniciados, en orden de inicio
+  const started = [];
+  // Apagado en curso (se ejecuta una sola vez)
+  let stopping = null;
+
+  /**
+   * Inicia un componente y lo registra para detenerlo al apagar
+   * Si start falla, el error se propaga: el que llama debe detener lo ya iniciado
+   * @async
+   * @param {string} name - Nombre del componente (para logs)
+   * @param {Object} component - Funciones del componente
+   * @param {Function} component.start - async () => instancia (ej: el servidor creado)
+   * @param {Function} [component.stop] - async (instancia, plazoRestanteMs) => void
+   * @returns {Promise<*>} Instancia devuelta por start
+   * @throws {Error} Si el componente no logra iniciar
+   */
+  const start = async (name, { start: startComponent, stop: stopComponent }) => {
+    if (stopping) throw new Error(`No se inicia ${name}: el servicio se está apagando`);
+    const instance = await startComponent();
+    started.push({ name, stop: stopComponent && ((timeoutMs) => stopComponent(instance, timeoutMs)) });
+    return instance;
+  };
+
+  /**
+   * Detiene los componentes iniciados, del último al primero
+   * Cada uno recibe el plazo que queda; si uno falla se registra y se sigue con el resto
+   * @async
+   * @param {string} [reason] - Motivo del apagado (para logs)
+   * @returns {Promise<boolean>} true si todos se detuvieron sin errores
+   */
+  const stop = (reason = 'apagado') => {
+    stopping ??= (async () => {
+      log.info({ reason }, 'Apagando el servicio');
+      const deadline = Date.now() + shutdownTimeoutMs;
+      let clean = true;
+
+      for (const { name, stop: stopComponent } of [...started].reverse()) {
+        if (!stopComponent) continue;
+        try {
+          await stopComponent(Math.max(deadline - Date.now(), 0));
+          log.info({ component: name }, 'Componente detenido');
+        } catch (error) {
+          clean = false;
+          log.error({ component: name, err: error }, 'Error deteniendo componente');
+        }
+      }
+
+      if (clean) log.info('Servicio detenido');
+      else log.warn('Servicio detenido con errores');
+      return clean;
+    })();
+    return stopping;
+  };
+
+  /**
+   * Apaga el servicio y termina el proceso al recibir SIGTERM o SIGINT
+   * @param {Array<string>} [signals=['SIGTERM', 'SIGINT']] - Señales a escuchar
+   * @returns {void}
+   */
+  const exitOnSignals = (signals = ['SIGTERM', 'SIGINT']) => {
+    for (const signal of signals) {
+      process.on(signal, () => {
+        if (stopping) {
+          log.warn({ signal }, 'Señal recibida durante el apagado, se termina de inmediato');
+          process.exit(1);
+        }
+
+        // Si algún componente no respeta el plazo, el proceso termina igual
+        setTimeout(() => {
+          log.fatal({ shutdownTimeoutMs }, 'El apagado superó el plazo, se termina el proceso');
+          process.exit(1);
+        }, shutdownTimeoutMs + 1000).unref();
+
+        stop(signal).then((clean) => process.exit(clean ? 0 : 1));
+      });
+    }
+  };
+
+  return { start, stop, exitOnSignals };
+};
@@ -0,0 +1,105 @@
+// Importar contexto asíncrono para llevar el ID de correlación sin pasarlo a mano
+import { AsyncLocalStorage } from 'node:async_hooks';
+// Importar logger JSON
+import pino from 'pino';
+// Importar span activo (para relacionar cada línea con su traza)
+import { trace, isSpanContextValid } from '@opentelemetry/api';
+
+/**
+ * 🪵 Logs estructurados del servicio
+ * Cada línea es un objeto JSON con nivel, fecha, módulo (logger.child({ module })) y,
+ * si la línea se escribe mientras se atiende una solicitud HTTP, una llamada gRPC o un
+ * mensaje de RabbitMQ, el ID de correlación de ese trabajo (correlationId). El mismo ID
+ * viaja en los eventos publicados, de modo que una orden se puede seguir entre servicios.
+ * Si hay un span activo (ver config/tracing) se agregan traceId y spanId
+ *
+ * Los datos personales del cliente (nombre, dirección, correo, teléfono) y las
+ * credenciales se reemplazan por '[REDACTED]' en cualquier objeto registrado, hasta
+ * cuatro niveles de profundidad (ej: { order: { shippingAddress } })
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - LOG_LEVEL: trace, debug, info, warn, error, fatal o silent (por defecto info)
+ *
+ * @module config/logger
+ */
+
+// Campos con datos personales o credenciales (camelCase del modelo y PascalCase de los contratos)
+const REDACTED_FIELDS = [
+  'clientName', 'ClientName',
+  'shippingAddress', 'ShippingAddress',
+  'email', 'Email',
+  'phone', 'Phone',
+  'authorization', 'password', 'token',
+];
+
+// Contexto del trabajo en curso ({ correlationId })
+const context = new AsyncLocalStorage();
+
+/**
+ * Cabecera HTTP y clave de metadata gRPC / cabecera AMQP del ID de correlación
+ * @type {string}
+ */
+export const CORRELATION_HEADER = 'X-Request-Id';
+
+/**
+ * Obtiene el ID de correlación del trabajo en curso
+ * @returns {string|undefined} ID de correlación, o undefined fuera de una solicitud o mensaje
+ */
+export const getCorrelationId = () => context.getStore()?.correlationId;
+
+/**
+ * Acepta un ID de correlación recibido de otro servicio si tiene un formato razonable
+ * (hasta 128 caracteres entre letras, números, '-', '_', '.' y ':'), para no copiar
+ * a los logs ni a los eventos valores arbitrarios enviados por el cliente
+ * @param {*} value - Valor recibido (cabecera, metadata o propiedad del mensaje)
+ * @returns {string|undefined} ID aceptado o undefined
+ */
+export const parseCorrelationId = (value) => {
+  const id = Array.isArray(value) ? value[0] : value;
+  if (Buffer.isBuffer(id)) return undefined;
+  return typeof id === 'string' && /^[\w.:-]{1,128}$/.test(id) ? id : undefined;
+};
+
+/**
+ * Ejecuta una función con un ID de correlación; los logs y los eventos registrados
+ * dentro de ella (también en sus callbacks y promesas) lo incluyen
+ * @param {string} [correlationId] - ID recibido (si falta se genera uno)
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} Resultado de fn
+ *
+ * @example
+ * runWithCorrelationId(parseCorrelationId(req.get(CORRELATION_HEADER)), () => next());
+ */
+export const runWithCorrelationId = (correlationId, fn) =>
+  context.run({ correlationId: correlationId || crypto.randomUUID() }, fn);
+
+/**
+ * Logger raíz; cada módulo crea el suyo con logger.child({ module: '<nombre>' })
+ * Los errores se registran en la propiedad err para incluir su tipo y stack
+ * @type {pino.Logger}
+ *
+ * @example
+ * const log = logger.child({ module: 'outbox-relay' });
+ * log.warn({ outboxId: message.id, err: error }, 'Error publicando mensaje de outbox');
+ */
+export const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'censudex-orders-service' },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    // Nivel como texto ('info') en lugar de número (30)
+    level: (label) => ({ level: label }),
+  },
+  mixin: () => {
+    const correlationId = getCorrelationId();
+    const spanContext = trace.getActiveSpan()?.spanContext();
+    return {
+      ...(correlationId && { correlationId }),
+      ...(spanContext && isSpanContextValid(spanContext) && { traceId: spanContext.traceId, spanId: spanContext.spanId }),
+    };
+  },
+  redact: {
+    paths: REDACTED_FIELDS.flatMap((field) => [field, `*.${field}`, `*.*.${field}`, `*.*.*.${field}`]),
+    censor: '[REDACTED]',
+  },
+});
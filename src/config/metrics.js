@@ -0,0 +1,116 @@
+// Importar cliente de Prometheus
+import client from 'prom-client';
+// Importar instancia de Sequelize (uso del pool de conexiones)
+import { sequelize } from './censudex-orders-db.js';
+
+/**
+ * 📈 Métricas del servicio en formato Prometheus (GET /metrics)
+ * Todas las métricas se registran en un mismo registro; además de las del servicio
+ * incluye las métricas estándar del proceso de Node (CPU, memoria, event loop, GC)
+ *
+ * - http_requests_total / http_request_duration_seconds: por método, ruta y código
+ * - grpc_server_handled_total / grpc_server_handling_seconds: por servicio, RPC y código (gRPC/metricsInterceptor)
+ * - orders_created_total: órdenes creadas por moneda y origen
+ * - order_status_transitions_total: cambios de estado por estado anterior y nuevo
+ * - order_events_published_total: publicaciones en RabbitMQ por routingKey y resultado
+ * - emails_sent_total / email_send_duration_seconds: correos por resultado y su duración
+ * - db_pool_connections: conexiones del pool de MySQL por estado
+ *
+ * Las etiquetas usan valores acotados (la plantilla de la ruta, no la URL) para no
+ * crear una serie por orden o por cliente
+ *
+ * @module config/metrics
+ */
+
+/**
+ * Registro de todas las métricas del servicio
+ * @type {client.Registry}
+ */
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+// Buckets de latencia (segundos) para solicitudes y llamadas a proveedores
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Solicitudes HTTP atendidas',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duración de las solicitudes HTTP',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+export const grpcHandledTotal = new client.Counter({
+  name: 'grpc_server_handled_total',
+  help: 'Llamadas gRPC terminadas',
+  labelNames: ['grpc_service', 'grpc_method', 'grpc_code'],
+  registers: [registry],
+});
+
+export const grpcHandlingDuration = new client.Histogram({
+  name: 'grpc_server_handling_seconds',
+  help: 'Duración de las llamadas gRPC',
+  labelNames: ['grpc_service', 'grpc_method', 'grpc_code'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+export const ordersCreatedTotal = new client.Counter({
+  name: 'orders_created_total',
+  help: 'Órdenes creadas (sin contar reintentos idempotentes)',
+  labelNames: ['currency', 'source'],
+  registers: [registry],
+});
+
+export const orderStatusTransitionsTotal = new client.Counter({
+  name: 'order_status_transitions_total',
+  help: 'Cambios de estado de órdenes confirmados',
+  labelNames: ['from', 'to'],
+  registers: [registry],
+});
+
+export const orderEventsPublishedTotal = new client.Counter({
+  name: 'order_events_published_total',
+  help: 'Publicaciones de eventos de órdenes en RabbitMQ',
+  labelNames: ['routing_key', 'outcome'],
+  registers: [registry],
+});
+
+export const emailsSentTotal = new client.Counter({
+  name: 'emails_sent_total',
+  help: 'Correos enviados al proveedor',
+  labelNames: ['outcome'],
+  registers: [registry],
+});
+
+export const emailSendDuration = new client.Histogram({
+  name: 'email_send_duration_seconds',
+  help: 'Duración del envío de correos al proveedor',
+  labelNames: ['outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+// Uso del pool de conexiones de Sequelize, leído en cada consulta de /metrics
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Conexiones del pool de MySQL por estado (in_use, idle, pending = solicitudes esperando conexión, max)',
+  labelNames: ['state'],
+  registers: [registry],
+  collect() {
+    const { pool } = sequelize.connectionManager;
+    if (!pool) return;
+    this.set({ state: 'in_use' }, pool.using);
+    this.set({ state: 'idle' }, pool.available);
+    this.set({ state: 'pending' }, pool.waiting);
+    this.set({ state: 'max' }, pool.maxSize);
+  },
+});
@@ -0,0 +1,120 @@
+// Importar utilidades de Node para ubicar e importar las migraciones
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+// Importar ejecutor de migraciones
+import { Umzug, SequelizeStorage } from 'umzug';
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from './censudex-orders-db.js';
+// Importar logger
+import { logger } from './logger.js';
+
+/**
+ * 🗂️ Migraciones versionadas de la base de datos
+ * Cada archivo de src/migrations (AAAAMMDDHHMMSS-descripcion.js) exporta up y down, que
+ * reciben el QueryInterface de Sequelize. Las migraciones aplicadas quedan registradas
+ * en la tabla SequelizeMeta (la misma que usa sequelize-cli), y se aplican en el orden
+ * de su nombre. Al arrancar, el servicio aplica solo las pendientes; para revertir o
+ * revisar el estado se usa la línea de comandos (src/cli/migrate.js)
+ *
+ * Si varias instancias arrancan a la vez, un lock de MySQL (GET_LOCK) hace que solo
+ * una aplique las migraciones y las demás esperen a que termine
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - MIGRATIONS_LOCK_TIMEOUT_S: espera máxima por el lock (por defecto 60 segundos)
+ *
+ * @module config/migrator
+ */
+
+// Obtener la ruta del directorio actual
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '../migrations');
+const LOCK_NAME = 'censudex-orders:migrations';
+const LOCK_TIMEOUT_S = Number(process.env.MIGRATIONS_LOCK_TIMEOUT_S) || 60;
+
+/**
+ * Ejecutor de migraciones (Umzug) sobre la base de datos del servicio
+ * El nombre de cada migración es el de su archivo sin extensión
+ * @type {Umzug}
+ */
+export const migrator = new Umzug({
+  migrations: {
+    glob: ['*.js', { cwd: MIGRATIONS_DIR }],
+    resolve: ({ name, path: file, context }) => ({
+      name: path.basename(name, '.js'),
+      up: async () => (await import(pathToFileURL(file).href)).up(context),
+      down: async () => (await import(pathToFileURL(file).href)).down(context),
+    }),
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize }),
+  logger: undefined,
+});
+
+const log = logger.child({ module: 'migrations' });
+
+migrator.on('migrating', ({ name }) => log.info({ migration: name }, 'Aplicando migración'));
+migrator.on('migrated', ({ name }) => log.info({ migration: name }, 'Migración aplicada'));
+migrator.on('reverting', ({ name }) => log.info({ migration: name }, 'Revirtiendo migración'));
+migrator.on('reverted', ({ name }) => log.info({ migration: name }, 'Migración revertida'));
+
+/**
+ * Ejecuta una tarea con el lock de migraciones tomado
+ * El lock vive en la conexión de una transacción abierta mientras dura la tarea
+ * (GET_LOCK pertenece a la conexión que lo pide)
+ * @async
+ * @param {Function} task - Tarea a ejecutar
+ * @returns {Promise<*>} Resultado de la tarea
+ * @throws {Error} Si no se obtiene el lock a tiempo
+ */
+const withMigrationLock = (task) =>
+  sequelize.transaction(async (transaction) => {
+    const [[{ locked }]] = await sequelize.query('SELECT GET_LOCK(?, ?) AS locked', {
+      replacements: [LOCK_NAME, LOCK_TIMEOUT_S],
+      transaction,
+    });
+    if (Number(locked) !== 1) {
+      throw new Error(`No se obtuvo el lock de migraciones en ${LOCK_TIMEOUT_S} segundos`);
+    }
+    try {
+      return await task();
+    } finally {
+      await sequelize.query('SELECT RELEASE_LOCK(?)', { replacements: [LOCK_NAME], transaction });
+    }
+  });
+
+/**
+ * ⬆️ Aplica las migraciones pendientes (o hasta la indicada)
+ * @async
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.to] - Última migración a aplicar (por defecto todas)
+ * @returns {Promise<Array<string>>} Migraciones aplicadas
+ *
+ * @example
+ * const applied = await runPendingMigrations();
+ * // ['20261001000000-initial-schema', '20261019000000-exact-money', ...]
+ */
+export const runPendingMigrations = async ({ to } = {}) =>
+  withMigrationLock(async () => (await migrator.up(to ? { to } : {})).map(({ name }) => name));
+
+/**
+ * ⬇️ Revierte migraciones aplicadas, de la más reciente a la más antigua
+ * @async
+ * @param {Object} [options] - Opciones
+ * @param {number} [options.step=1] - Cantidad de migraciones a revertir
+ * @param {string|number} [options.to] - Revertir hasta esta migración inclusive (0 revierte todas)
+ * @returns {Promise<Array<string>>} Migraciones revertidas
+ */
+export const rollbackMigrations = async ({ step = 1, to } = {}) =>
+  withMigrationLock(async () => (await migrator.down(to !== undefined ? { to } : { step })).map(({ name }) => name));
+
+/**
+ * 📋 Estado de las migraciones
+ * @async
+ * @returns {Promise<{executed: Array<string>, pending: Array<string>}>} Migraciones aplicadas y pendientes
+ */
+export const migrationStatus = async () => {
+  const [executed, pending] = await Promise.all([migrator.executed(), migrator.pending()]);
+  return { executed: executed.map(({ name }) => name), pending: pending.map(({ name }) => name) };
+};
@@ -2,14 +2,164 @@
 import amqp from 'amqplib';
 // Importar dotenv para cargar variables de entorno
 import dotenv from 'dotenv';
+// Importar nombre del exchange de eventos de órdenes
+import { ORDER_EVENTS_EXCHANGE } from '../messages/orderContracts.js';
+// Importar métrica de publicaciones
+import { orderEventsPublishedTotal } from './metrics.js';
+// Importar logger y manejo del ID de correlación
+import { logger, CORRELATION_HEADER, parseCorrelationId, runWithCorrelationId } from './logger.js';
+// Importar trazas (publicación y consumo de mensajes)
+import { SpanKind } from '@opentelemetry/api';
+import { withSpan, injectTraceContext, extractTraceContext } from './tracing.js';
 dotenv.config();
 
+const log = logger.child({ module: 'rabbitmq' });
+
 // Variable global que almacena el canal de RabbitMQ
 let channel;
+// Conexión activa con RabbitMQ (null si está desconectado)
+let connection = null;
+// Consumidores registrados; se vuelven a iniciar después de cada reconexión
+const consumers = [];
+// Suscripciones activas de los consumidores ({ channel, consumerTag })
+const subscriptions = new Set();
+// Mensajes que los consumidores están procesando (al apagar se espera a que terminen)
+const deliveries = new Set();
+// Indica que el servicio se está apagando: no se reconecta ni se reinician consumidores
+let closing = false;
+
+// ⚙️ RABBITMQ_RECONNECT_MAX_DELAY_MS: espera máxima entre rondas de reconexión (por defecto 60000ms)
+const RECONNECT_MAX_DELAY_MS = Number(process.env.RABBITMQ_RECONNECT_MAX_DELAY_MS) || 60000;
+
+/**
+ * ID de correlación de un mensaje recibido: cabecera X-Request-Id, propiedad
+ * correlationId de AMQP o, en un envoltorio MassTransit, su correlationId
+ * @param {Object} msg - Mensaje AMQP recibido
+ * @returns {string|undefined} ID de correlación aceptado
+ */
+const messageCorrelationId = (msg) => {
+  const { headers, correlationId } = msg.properties;
+  const received = parseCorrelationId(headers?.[CORRELATION_HEADER]) ?? parseCorrelationId(correlationId);
+  if (received) return received;
+  try {
+    return parseCorrelationId(JSON.parse(msg.content.toString()).correlationId);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Inicia un consumidor registrado en un canal propio
+ * Si el canal se cierra mientras la conexión sigue activa, lo vuelve a iniciar
+ * @async
+ * @param {Object} consumer - Consumidor registrado
+ * @param {string} consumer.name - Nombre del consumidor (para logs)
+ * @param {Function} consumer.setup - Función que recibe el canal y declara colas y suscripciones
+ * @returns {Promise<void>}
+ */
+const startConsumer = async (consumer) => {
+  const owner = connection;
+  try {
+    const consumerChannel = await owner.createChannel();
+    consumerChannel.on('error', (err) => log.error({ consumer: consumer.name, reason: err.message }, 'Error en canal del consumidor'));
+    consumerChannel.on('close', () => {
+      for (const subscription of subscriptions) {
+        if (subscription.channel === consumerChannel) subscriptions.delete(subscription);
+      }
+      // Solo se reinicia si la conexión que lo creó sigue activa
+      if (connection === owner && !closing) setTimeout(() => startConsumer(consumer), 1000);
+    });
+
+    // Registrar cada suscripción y cada mensaje en proceso, para poder dejar de
+    // recibir mensajes y esperar los que están en curso al apagar el servicio.
+    // Cada mensaje se procesa con su ID de correlación (logs y eventos que genere)
+    // y dentro de un span CONSUMER, hijo del traceparent de sus cabeceras
+    const consume = consumerChannel.consume.bind(consumerChannel);
+    consumerChannel.consume = async (queue, onMessage, options) => {
+      const result = await consume(queue, (msg) => {
+        if (!msg) return onMessage(msg);
+        const attributes = {
+          'messaging.system': 'rabbitmq',
+          'messaging.operation.type': 'process',
+          'messaging.destination.name': msg.fields.exchange,
+          'messaging.rabbitmq.destination.routing_key': msg.fields.routingKey,
+          'messaging.message.id': msg.properties.messageId,
+        };
+        const delivery = runWithCorrelationId(messageCorrelationId(msg), () =>
+          withSpan(`process ${queue}`, { kind: SpanKind.CONSUMER, attributes }, () => onMessage(msg),
+            extractTraceContext(msg.properties.headers)
+          ).catch((err) =>
+            log.error({ consumer: consumer.name, err }, 'Error procesando mensaje del consumidor')
+          )
+        );
+        deliveries.add(delivery);
+        delivery.finally(() => deliveries.delete(delivery));
+      }, options);
+      subscriptions.add({ channel: consumerChannel, consumerTag: result.consumerTag });
+      return result;
+    };
+
+    await consumer.setup(consumerChannel);
+    log.info({ consumer: consumer.name }, 'Consumidor escuchando');
+  } catch (error) {
+    log.error({ consumer: consumer.name, err: error }, 'Error iniciando consumidor');
+  }
+};
+
+/**
+ * Programa la reconexión después de perder la conexión con RabbitMQ
+ * Cada ronda hace los intentos de connectRabbitMQ; si todos fallan, programa otra ronda
+ * con el doble de espera (hasta RECONNECT_MAX_DELAY_MS) en lugar de rendirse, para que
+ * el relay y los consumidores vuelvan solos después de una caída larga del broker
+ * (mientras tanto los eventos esperan en el outbox)
+ * @param {number} retries - Intentos por ronda
+ * @param {number} delay - Espera entre intentos de una ronda
+ * @param {number} [wait=delay] - Espera antes de empezar esta ronda
+ * @returns {void}
+ */
+const scheduleReconnect = (retries, delay, wait = delay) => {
+  setTimeout(() => {
+    if (closing || connection) return;
+    connectRabbitMQ(retries, delay).catch((err) => {
+      const nextWait = Math.min(wait * 2, RECONNECT_MAX_DELAY_MS);
+      log.error({ reason: err.message, retryInMs: nextWait }, 'No se pudo reconectar a RabbitMQ, se volverá a intentar');
+      scheduleReconnect(retries, delay, nextWait);
+    });
+  }, wait);
+};
+
+/**
+ * Abre el canal de publicación (con confirmaciones del broker) sobre una conexión
+ * Si el broker cierra solo este canal (ej: una publicación a un exchange inexistente)
+ * mientras la conexión sigue activa, se vuelve a abrir; mientras tanto getChannel()
+ * devuelve null y los eventos esperan en el outbox
+ * @async
+ * @param {Object} owner - Conexión sobre la que se abre el canal
+ * @returns {Promise<Object>} Canal de confirmación
+ */
+const openPublishChannel = async (owner) => {
+  const publishChannel = await owner.createConfirmChannel();
+  publishChannel.on('error', (err) => log.error({ reason: err.message }, 'Error en canal de publicación'));
+  publishChannel.on('close', () => {
+    if (channel === publishChannel) channel = null;
+    // Solo se reabre si la conexión que lo creó sigue activa
+    if (connection !== owner || closing) return;
+    log.warn('Canal de publicación cerrado, se volverá a abrir');
+    setTimeout(() => {
+      if (connection !== owner || closing) return;
+      openPublishChannel(owner)
+        .then((reopened) => { channel = reopened; })
+        .catch((err) => log.error({ reason: err.message }, 'No se pudo reabrir el canal de publicación'));
+    }, 1000);
+  });
+  return publishChannel;
+};
 
 /**
  * Conecta a RabbitMQ con sistema de reintentos automáticos
- * Intenta reconectarse múltiples veces antes de fallar definitivamente
+ * Intenta reconectarse múltiples veces antes de fallar definitivamente.
+ * La conexión y el canal solo quedan como activos si ambos se abrieron; si algo falla
+ * en un intento, esa conexión se cierra antes de reintentar
  * @async
  * @param {number} retries - Número máximo de intentos de conexión (por defecto 10)
  * @param {number} delay - Tiempo en milisegundos entre reintentos (por defecto 5000ms)
@@ -18,32 +168,49 @@ let channel;
  */
 export const connectRabbitMQ = async (retries = 10, delay = 5000) => {
   for (let i = 1; i <= retries; i++) {
+    let attempt = null;
     try {
       // Establece conexión con RabbitMQ usando la URL desde variables de entorno
-      const connection = await amqp.connect(process.env.RABBITMQ_URL);
-      // Crea un canal para comunicarse con RabbitMQ
-      channel = await connection.createChannel();
+      attempt = await amqp.connect(process.env.RABBITMQ_URL);
+      const owner = attempt;
 
-      // Escucha cuando se cierra la conexión
-      connection.on('close', () => {
-        console.warn('⚠️ Conexión a RabbitMQ cerrada');
+      // Escucha cuando se cierra la conexión y programa la reconexión
+      // (los eventos quedan en el outbox mientras no haya canal)
+      owner.on('close', () => {
+        // Una conexión de un intento fallido no es la activa: no se reconecta por ella
+        if (connection !== owner) return;
         channel = null;
+        connection = null;
+        if (closing) return;
+        log.warn('Conexión a RabbitMQ cerrada');
+        scheduleReconnect(retries, delay);
       });
 
       // Escucha errores en la conexión
-      connection.on('error', (err) => {
-        console.error('❌ Error en conexión RabbitMQ:', err);
-        channel = null;
+      owner.on('error', (err) => {
+        log.error({ err }, 'Error en conexión RabbitMQ');
+        if (connection === owner) channel = null;
       });
 
-      console.log('✅ Conectado a RabbitMQ');
+      // Crea un canal con confirmaciones de publicación (publisher confirms)
+      // para saber si RabbitMQ aceptó cada mensaje
+      const publishChannel = await openPublishChannel(owner);
+
+      connection = owner;
+      channel = publishChannel;
+      log.info('Conectado a RabbitMQ');
+
+      // Inicia (o reinicia tras una reconexión) los consumidores registrados
+      for (const consumer of consumers) await startConsumer(consumer);
       return;
     } catch (error) {
-      // Muestra intento fallido
-      console.warn(`⚠️  Intento ${i} de ${retries} fallido para conectar a RabbitMQ`);
+      // Cierra la conexión de este intento para no dejarla abierta
+      if (attempt && connection !== attempt) await attempt.close().catch(() => {});
+      // Registra el intento fallido
+      log.warn({ attempt: i, retries, reason: error.message }, 'Intento fallido de conexión a RabbitMQ');
       // Si es el último intento, lanza error
       if (i === retries) {
-        console.error('❌ No se pudo conectar a RabbitMQ después de varios intentos');
+        log.error('No se pudo conectar a RabbitMQ después de varios intentos');
         throw error;
       }
       // Espera antes de reintentar
@@ -59,53 +226,132 @@ export const connectRabbitMQ = async (retries = 10, delay = 5000) => {
 export const getChannel = () => channel;
 
 /**
- * Publica un mensaje en una cola de RabbitMQ con formato MassTransit
+ * Abre un canal nuevo sobre la conexión activa
+ * Útil para operaciones aisladas (ej: responder a una dirección de otro servicio),
+ * de modo que un error de canal no cierre el canal principal de publicación
+ * @async
+ * @returns {Promise<Object>} Canal de RabbitMQ
+ * @throws {Error} Si no hay conexión activa
+ */
+export const createChannel = async () => {
+  if (!connection) throw new Error('No hay conexión RabbitMQ activa');
+  return await connection.createChannel();
+};
+
+/**
+ * Registra un consumidor de RabbitMQ
+ * La función setup recibe un canal dedicado y debe declarar exchanges, colas
+ * y llamar a channel.consume; se ejecuta al conectar y tras cada reconexión
+ * @async
+ * @param {string} name - Nombre del consumidor (para logs)
+ * @param {Function} setup - Función async (channel) => void
+ * @returns {Promise<void>}
+ */
+export const registerConsumer = async (name, setup) => {
+  const consumer = { name, setup };
+  consumers.push(consumer);
+  if (connection) await startConsumer(consumer);
+};
+
+/**
+ * Publica un mensaje con formato MassTransit en el exchange de eventos de órdenes
  * Utiliza un exchange de tipo "topic" para enrutamiento dinámico
+ * Espera la confirmación del broker y lanza error si no hay canal o si
+ * la publicación es rechazada, para que el relay de outbox pueda reintentar.
+ * La publicación es un span PRODUCER y su contexto (traceparent) viaja en las cabeceras AMQP
  * @async
  * @param {string} routingKey - Clave de enrutamiento (ej: 'order.created')
- * @param {Object} message - Objeto con datos del mensaje
- * @param {string} message.orderId - ID de la orden
- * @param {string} [message.trackingNumber] - Número de seguimiento (opcional)
- * @param {string} message.userId - ID del usuario
- * @param {Array} [message.items] - Lista de items en la orden (opcional)
+ * @param {Object} envelope - Envoltorio MassTransit (ver buildEnvelope en messages/orderContracts.js)
  * @returns {Promise<void>}
+ * @throws {Error} Si no hay canal activo o RabbitMQ no confirma el mensaje
  */
-export const publishToQueue = async (routingKey, message) => {
-  // Verifica que el canal esté activo
-  if (!channel) {
-    console.error('❌ No hay canal RabbitMQ activo');
-    return;
-  }
+export const publishToQueue = async (routingKey, envelope) => {
+  const attributes = {
+    'messaging.system': 'rabbitmq',
+    'messaging.operation.type': 'send',
+    'messaging.destination.name': ORDER_EVENTS_EXCHANGE,
+    'messaging.rabbitmq.destination.routing_key': routingKey,
+    'messaging.message.id': envelope.messageId,
+  };
 
   try {
-    const exchange = 'order_events';
-    // Asegura que el exchange existe y es de tipo "topic"
-    await channel.assertExchange(exchange, 'topic', { durable: true });
-
-    // Construye mensaje con formato compatible con MassTransit
-    const massTransitMessage = {
-      messageId: crypto.randomUUID(),  // ID único del mensaje
-      messageType: ['urn:message:InventoryService.Src.Messages:OrderCreatedMessage'],  // Tipo de mensaje
-      message: {
-        OrderId: message.orderId,
-        TrackingNumber: message.trackingNumber || null,
-        UserId: message.userId,
-        Items: message.items || [],
-        CreatedAt: new Date().toISOString(),
-      },
-    };
+    await withSpan(`publish ${ORDER_EVENTS_EXCHANGE}`, { kind: SpanKind.PRODUCER, attributes }, async () => {
+      // Verifica que el canal esté activo
+      if (!channel) {
+        throw new Error('No hay canal RabbitMQ activo');
+      }
 
-    // Publica el mensaje en el exchange
-    channel.publish(
-      exchange,
-      routingKey,  // Define qué suscriptores reciben este mensaje
-      Buffer.from(JSON.stringify(massTransitMessage)),
-      { persistent: true }  // Persiste el mensaje en disco
-    );
+      // Asegura que el exchange existe y es de tipo "topic"
+      await channel.assertExchange(ORDER_EVENTS_EXCHANGE, 'topic', { durable: true });
 
-    console.log(`📦 Mensaje MassTransit publicado en "${exchange}" con routingKey "${routingKey}"`);
-    console.log(massTransitMessage);
+      // Publica el mensaje en el exchange y espera la confirmación del broker
+      await new Promise((resolve, reject) => {
+        channel.publish(
+          ORDER_EVENTS_EXCHANGE,
+          routingKey,  // Define qué suscriptores reciben este mensaje
+          Buffer.from(JSON.stringify(envelope)),
+          {
+            persistent: true,  // Persiste el mensaje en disco
+            contentType: 'application/vnd.masstransit+json',
+            messageId: envelope.messageId,
+            correlationId: envelope.correlationId,
+            type: envelope.messageType[0],
+            headers: injectTraceContext({ ...envelope.headers }),
+          },
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+    });
   } catch (error) {
-    console.error('❌ Error publicando mensaje en RabbitMQ:', error);
+    orderEventsPublishedTotal.inc({ routing_key: routingKey, outcome: 'failure' });
+    throw error;
+  }
+  orderEventsPublishedTotal.inc({ routing_key: routingKey, outcome: 'success' });
+
+  // Solo los identificadores: el cuerpo del evento puede traer datos del cliente
+  log.info(
+    { exchange: ORDER_EVENTS_EXCHANGE, routingKey, messageType: envelope.messageType[0], messageId: envelope.messageId },
+    'Evento publicado'
+  );
+};
+
+/**
+ * Deja de recibir mensajes en todos los consumidores y espera los que están en proceso
+ * Los mensajes que no alcanzan a terminar antes del plazo vuelven a la cola al cerrar
+ * la conexión (no fueron confirmados), y los procesará otra instancia o el próximo arranque
+ * @async
+ * @param {number} timeoutMs - Espera máxima por los mensajes en proceso
+ * @returns {Promise<void>}
+ */
+export const stopConsumers = async (timeoutMs) => {
+  closing = true;
+  for (const { channel: consumerChannel, consumerTag } of subscriptions) {
+    await consumerChannel.cancel(consumerTag).catch(() => {});
   }
-};
\ No newline at end of file
+  subscriptions.clear();
+
+  if (!deliveries.size) return;
+  log.info({ inFlight: deliveries.size }, 'Esperando mensajes en proceso');
+  let timer;
+  await Promise.race([
+    Promise.allSettled([...deliveries]),
+    new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs); }),
+  ]);
+  clearTimeout(timer);
+  if (deliveries.size) log.warn({ inFlight: deliveries.size }, 'Mensajes sin terminar volverán a la cola');
+};
+
+/**
+ * Cierra la conexión con RabbitMQ sin reconectar
+ * Antes espera la confirmación del broker de los mensajes ya publicados
+ * @async
+ * @returns {Promise<void>}
+ */
+export const closeRabbitMQ = async () => {
+  closing = true;
+  if (!connection) return;
+
+  if (channel) await channel.waitForConfirms().catch(() => {});
+  await connection.close();
+  log.info('Conexión a RabbitMQ cerrada');
+};
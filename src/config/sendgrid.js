@@ -2,6 +2,17 @@
 import sgMail from '@sendgrid/mail';
 // Importar dotenv para cargar variables de entorno
 import dotenv from 'dotenv';
+// Importar plantillas de correo de las órdenes
+import { renderOrderEmail } from '../services/emailTemplates.js';
+// Importar error de avisos que no se deben reintentar
+import { PermanentNotificationError } from '../errors/notificationErrors.js';
+// Importar métricas de correos
+import { emailsSentTotal, emailSendDuration } from './metrics.js';
+// Importar logger
+import { logger } from './logger.js';
+// Importar trazas (cada envío es un span)
+import { SpanKind } from '@opentelemetry/api';
+import { withSpan } from './tracing.js';
 dotenv.config();
 
 // Configura la clave API de SendGrid desde las variables de entorno
@@ -10,119 +21,95 @@ sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 /**
  * Función principal para enviar correos electrónicos usando SendGrid
  * Soporta tanto texto plano como HTML
+ * Cada envío queda como un span CLIENT ('sendgrid send') en la traza del aviso
  * @async
  * @param {string} to - Dirección de correo del destinatario
  * @param {string} subject - Asunto del correo
  * @param {string} text - Contenido en texto plano del correo
  * @param {string} [html=null] - Contenido en HTML del correo (opcional)
- * @returns {Promise<void>}
+ * @returns {Promise<{statusCode: number, messageId: string|null}>} Respuesta de SendGrid
+ * @throws {Error} Si SendGrid rechaza el correo (con los errores informados por SendGrid)
  */
 export const sendEmail = async (to, subject, text, html = null) => {
-  try {
-    // Construye el objeto del mensaje con los datos del correo
-    const msg = {
-      to,                                    // Destinatario
-      from: process.env.FROM_EMAIL,          // Remitente configurado en variables de entorno
-      subject,                               // Asunto del correo
-      text,                                  // Contenido en texto plano
-      html: html || `<p>${text}</p>`,        // Contenido HTML (usa texto plano si no se proporciona)
-    };
+  // Construye el objeto del mensaje con los datos del correo
+  const msg = {
+    to,                                    // Destinatario
+    from: process.env.FROM_EMAIL,          // Remitente configurado en variables de entorno
+    subject,                               // Asunto del correo
+    text,                                  // Contenido en texto plano
+    html: html || `<p>${text}</p>`,        // Contenido HTML (usa texto plano si no se proporciona)
+  };
 
+  const stopTimer = emailSendDuration.startTimer();
+  try {
     // Envía el correo a través de SendGrid
-    await sgMail.send(msg);
-    console.log(`📧 Email enviado a ${to} | Asunto: ${subject}`);
+    const [response] = await withSpan('sendgrid send', {
+      kind: SpanKind.CLIENT,
+      attributes: { 'server.address': 'api.sendgrid.com' },
+    }, () => sgMail.send(msg));
+    stopTimer({ outcome: 'sent' });
+    emailsSentTotal.inc({ outcome: 'sent' });
+    const messageId = response.headers?.['x-message-id'] ?? null;
+    // Sin el destinatario: es un dato personal del cliente
+    logger.info({ module: 'email', subject, messageId }, 'Correo enviado');
+    return { statusCode: response.statusCode, messageId };
   } catch (error) {
-    // Manejo de errores en la entrega
-    console.error('❌ Error enviando correo con SendGrid:');
-    if (error.response?.body?.errors) {
-      // Si hay errores de respuesta de SendGrid, los muestra
-      console.error(error.response.body.errors);
-    } else {
-      // Si es otro tipo de error, muestra el mensaje
-      console.error(error.message);
-    }
+    stopTimer({ outcome: 'failed' });
+    emailsSentTotal.inc({ outcome: 'failed' });
+    // Si hay errores de respuesta de SendGrid se usan como mensaje del error
+    const errors = error.response?.body?.errors;
+    throw new Error(
+      errors
+        ? `SendGrid respondió ${error.code}: ${errors.map((e) => e.message).join('; ')}`
+        : error.message
+    );
   }
 };
 
 /**
- * Función auxiliar para enviar notificaciones de pedidos
- * Genera automáticamente el contenido según el tipo de notificación
+ * Notificador de pedidos por correo electrónico
+ * Genera el contenido con las plantillas del idioma de la orden
+ * (ver services/emailTemplates.js y src/templates/emails) y lo envía
+ * al correo de contacto guardado en la orden.
+ * Es uno de los canales del despachador de notificaciones (services/notificationDispatcher.js)
  * @async
  * @param {string} type - Tipo de notificación ('created', 'processing', 'shipped', 'delivered', 'cancelled')
  * @param {Object} order - Objeto con datos del pedido
  * @param {string} order.id - ID del pedido
  * @param {string} order.email - Email del cliente
- * @param {string} order.status - Estado actual del pedido
- * @param {string|null} [extraInfo=null] - Información adicional según el tipo (número de seguimiento, motivo de cancelación, etc.)
- * @returns {Promise<void>}
+ * @param {string} order.locale - Idioma del cliente ('es-CL' o 'en-US')
+ * @param {Object} [details={}] - Datos propios del evento
+ * @param {string} [details.trackingNumber] - Número de seguimiento (envíos)
+ * @param {string} [details.cancelledBy] - Rol que canceló ('user', 'admin' o 'system')
+ * @param {string} [details.reason] - Motivo de la cancelación
+ * @returns {Promise<Object>} Respuesta de SendGrid
+ * @throws {PermanentNotificationError} Si la orden no tiene correo de contacto
+ * @throws {Error} Si SendGrid rechaza el correo
  */
-export const sendOrderEmail = async (type, order, extraInfo = null) => {
-  // Obtiene el email del cliente, usa uno por defecto si no existe
-  const userEmail = order.email || 'cliente@ejemplo.com';
-  let subject, text, html;
+export const sendOrderEmail = async (type, order, details = {}) => {
+  if (!order.email) throw new PermanentNotificationError('La orden no tiene correo de contacto');
 
-  // Determina el contenido del correo según el tipo de notificación
-  switch (type) {
-    case 'created':
-      // Notificación cuando se crea el pedido
-      subject = `🛒 Confirmación de tu pedido #${order.id}`;
-      text = `Hola, tu pedido fue recibido exitosamente. Estado actual: ${order.status}.`;
-      html = `
-        <h2>Gracias por tu compra!</h2>
-        <p>Tu pedido <strong>#${order.id}</strong> fue creado correctamente.</p>
-        <p>Estado actual: <b>${order.status}</b></p>
-      `;
-      break;
+  // Genera asunto y contenido desde las plantillas
+  const { subject, text, html } = await renderOrderEmail(type, order, details);
 
-    case 'processing':
-      // Notificación cuando el pedido está en procesamiento
-      subject = `🔧 Tu pedido #${order.id} está en procesamiento`;
-      text = `Estamos preparando tus productos. Te avisaremos cuando se envíe.`;
-      html = `
-        <h2>Estamos preparando tu pedido</h2>
-        <p>Pedido #${order.id} está siendo procesado.</p>
-      `;
-      break;
-
-    case 'shipped':
-      // Notificación cuando el pedido es enviado (incluye número de seguimiento)
-      subject = `📦 Tu pedido #${order.id} fue enviado`;
-      text = `Tu pedido ha sido enviado. Número de seguimiento: ${extraInfo || 'N/A'}`;
-      html = `
-        <h2>Pedido enviado</h2>
-        <p>Tu pedido #${order.id} fue enviado.</p>
-        ${extraInfo ? `<p>Número de seguimiento: <b>${extraInfo}</b></p>` : ''}
-      `;
-      break;
-
-    case 'delivered':
-      // Notificación cuando el pedido es entregado
-      subject = `✅ Tu pedido #${order.id} fue entregado`;
-      text = `Tu pedido ha sido entregado correctamente. ¡Gracias por confiar en nosotros!`;
-      html = `
-        <h2>Pedido entregado</h2>
-        <p>Pedido #${order.id} fue entregado exitosamente.</p>
-      `;
-      break;
-
-    case 'cancelled':
-      // Notificación cuando el pedido es cancelado (puede incluir motivo)
-      subject = `❌ Tu pedido #${order.id} ha sido cancelado`;
-      text = `Tu pedido ha sido cancelado. Motivo: ${extraInfo || 'No especificado.'}`;
-      html = `
-        <h2>Pedido cancelado</h2>
-        <p>Tu pedido #${order.id} fue cancelado.</p>
-        ${extraInfo ? `<p>Motivo: ${extraInfo}</p>` : ''}
-      `;
-      break;
+  // Usa la función principal para enviar el correo con el contenido generado
+  return await sendEmail(order.email, subject, text, html);
+};
 
-    default:
-      // Notificación genérica para otros casos
-      subject = `📢 Actualización de pedido #${order.id}`;
-      text = `Tu pedido ha sido actualizado.`;
-      html = `<p>Tu pedido ha sido actualizado.</p>`;
-  }
+/**
+ * Verifica que SendGrid responda y acepte la clave API configurada
+ * Consulta los permisos de la clave (GET /v3/scopes), sin enviar correos
+ * @async
+ * @param {number} timeoutMs - Tiempo máximo de espera
+ * @returns {Promise<void>}
+ * @throws {Error} Si falta la clave, SendGrid no responde o rechaza la clave
+ */
+export const verifyMailProvider = async (timeoutMs) => {
+  if (!process.env.SENDGRID_API_KEY) throw new Error('SENDGRID_API_KEY no está configurada');
 
-  // Usa la función principal para enviar el correo con el contenido generado
-  await sendEmail(userEmail, subject, text, html);
-};
\ No newline at end of file
+  const response = await fetch('https://api.sendgrid.com/v3/scopes', {
+    headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) throw new Error(`SendGrid respondió ${response.status}`);
+};
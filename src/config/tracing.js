@@ -0,0 +1,194 @@
+// Importar API de OpenTelemetry (spans, contexto y propagación W3C)
+import { trace, context, propagation, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { suppressTracing } from '@opentelemetry/core';
+// Importar SDK de trazas y exportadores
+import { NodeTracerProvider } from '@opentelemetry/sdk-trace-node';
+import {
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  ConsoleSpanExporter,
+  InMemorySpanExporter,
+} from '@opentelemetry/sdk-trace-base';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+// Importar tipos de consulta de Sequelize (nombre de la operación de cada span)
+import { QueryTypes } from 'sequelize';
+
+/**
+ * 🔭 Trazas distribuidas con OpenTelemetry
+ * Cada solicitud REST y llamada gRPC abre un span (middlewares/tracingMiddleware y
+ * gRPC/tracingInterceptor) del que cuelgan las consultas de Sequelize, las publicaciones
+ * en RabbitMQ y los envíos a SendGrid, para ver en qué se va el tiempo de una orden.
+ * El contexto viaja en formato W3C (traceparent): se lee de las cabeceras HTTP, de la
+ * metadata gRPC y de las cabeceras AMQP de los mensajes recibidos, y se escribe en las
+ * cabeceras AMQP de los eventos publicados. Como los eventos y los avisos se envían
+ * después desde el outbox y la cola de avisos, el contexto se guarda con cada fila
+ * para que esos spans queden en la traza de la solicitud que los originó
+ *
+ * Sin exportador configurado las trazas quedan desactivadas y los spans no cuestan nada
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - OTEL_TRACES_EXPORTER: otlp, console, memory (pruebas, ver getFinishedSpans) o none (por defecto)
+ * - OTEL_EXPORTER_OTLP_ENDPOINT / OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: destino OTLP/HTTP
+ *   (por defecto http://localhost:4318/v1/traces)
+ * - OTEL_SERVICE_NAME: nombre del servicio en las trazas (por defecto censudex-orders-service)
+ *
+ * @module config/tracing
+ */
+
+const EXPORTER = process.env.OTEL_TRACES_EXPORTER || 'none';
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'censudex-orders-service';
+
+/**
+ * Tracer del servicio (sin proveedor registrado sus spans no hacen nada)
+ * @type {import('@opentelemetry/api').Tracer}
+ */
+export const tracer = trace.getTracer('censudex-orders-service');
+
+// Proveedor registrado por startTracing (null si las trazas están desactivadas)
+let provider = null;
+// Exportador en memoria (solo con OTEL_TRACES_EXPORTER=memory)
+let memoryExporter = null;
+
+/**
+ * Crea el exportador de spans configurado
+ * @param {string} name - otlp, console o memory
+ * @returns {SpanExporter} Exportador
+ * @throws {Error} Si el exportador no existe
+ */
+const createExporter = (name) => {
+  switch (name) {
+    case 'otlp':
+      return new OTLPTraceExporter();
+    case 'console':
+      return new ConsoleSpanExporter();
+    case 'memory':
+      memoryExporter = new InMemorySpanExporter();
+      return memoryExporter;
+    default:
+      throw new Error(`OTEL_TRACES_EXPORTER desconocido: ${name} (use otlp, console, memory o none)`);
+  }
+};
+
+/**
+ * Ejecuta una función dentro de un span nuevo (hijo del contexto indicado) y lo cierra
+ * al terminar; si la función lanza un error, el span queda con estado de error
+ * @async
+ * @param {string} name - Nombre del span
+ * @param {Object} options - Opciones del span (kind, attributes)
+ * @param {Function} fn - async (span) => resultado
+ * @param {Context} [parent=context.active()] - Contexto padre
+ * @returns {Promise<*>} Resultado de fn
+ *
+ * @example
+ * await withSpan('sendgrid send', { kind: SpanKind.CLIENT }, () => sgMail.send(msg));
+ */
+export const withSpan = (name, options, fn, parent = context.active()) =>
+  tracer.startActiveSpan(name, options, parent, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+
+/**
+ * Escribe el contexto de traza actual (traceparent, tracestate) en un objeto de cabeceras
+ * @param {Object} [carrier={}] - Cabeceras donde escribir
+ * @returns {Object} Las mismas cabeceras
+ */
+export const injectTraceContext = (carrier = {}) => {
+  propagation.inject(context.active(), carrier);
+  return carrier;
+};
+
+/**
+ * Lee un contexto de traza W3C de un objeto de cabeceras
+ * @param {Object} [carrier] - Cabeceras recibidas (o guardadas con injectTraceContext)
+ * @returns {Context} Contexto con el span remoto como padre (o el actual si no trae uno)
+ */
+export const extractTraceContext = (carrier) => propagation.extract(context.active(), carrier ?? {});
+
+/**
+ * Ejecuta una función sin crear spans (ej: sondas de salud, que llegan cada pocos segundos)
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} Resultado de fn
+ */
+export const withoutTracing = (fn) => context.with(suppressTracing(context.active()), fn);
+
+/**
+ * Mide cada consulta de una instancia de Sequelize como un span CLIENT
+ * ('SELECT Orders', 'INSERT OutboxMessages'). No se registra el SQL: lleva los
+ * valores de la consulta, con datos de los clientes
+ * @param {Sequelize} sequelize - Instancia de Sequelize
+ * @returns {void}
+ */
+export const traceQueries = (sequelize) => {
+  const query = sequelize.query.bind(sequelize);
+  // Al abrir una transacción options.type es su tipo (DEFERRED), no el de la consulta
+  const operationTypes = Object.values(QueryTypes).filter((type) => type !== QueryTypes.RAW);
+  sequelize.query = (sql, options = {}) => {
+    const operation = operationTypes.includes(options.type)
+      ? options.type
+      : String(typeof sql === 'string' ? sql : sql.query).trim().split(/\s/)[0].toUpperCase();
+    // Model.create y instance.save traen la instancia, no el modelo
+    const table = (options.model ?? options.instance?.constructor)?.tableName;
+    return withSpan(table ? `${operation} ${table}` : operation, {
+      kind: SpanKind.CLIENT,
+      attributes: {
+        'db.system.name': sequelize.getDialect(),
+        'db.namespace': sequelize.config.database,
+        'db.operation.name': operation,
+        ...(table && { 'db.collection.name': table }),
+      },
+    }, () => query(sql, options));
+  };
+};
+
+/**
+ * 🚀 Registra el proveedor de trazas según OTEL_TRACES_EXPORTER
+ * Con 'none' no hace nada. Registra además la propagación W3C y el contexto asíncrono
+ * que usan withSpan, injectTraceContext y extractTraceContext
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.exporter] - Exportador (por defecto OTEL_TRACES_EXPORTER)
+ * @returns {void}
+ * @throws {Error} Si el exportador no existe
+ */
+export const startTracing = ({ exporter = EXPORTER } = {}) => {
+  if (provider || exporter === 'none') return;
+
+  const spanExporter = createExporter(exporter);
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ 'service.name': SERVICE_NAME }),
+    // En memoria y en consola cada span se ve apenas termina; hacia OTLP se envían por lotes
+    spanProcessors: [exporter === 'otlp' ? new BatchSpanProcessor(spanExporter) : new SimpleSpanProcessor(spanExporter)],
+  });
+  provider.register();
+};
+
+/**
+ * 🛑 Envía los spans pendientes y detiene el proveedor de trazas
+ * @async
+ * @returns {Promise<void>}
+ */
+export const stopTracing = async () => {
+  if (!provider) return;
+  await provider.shutdown();
+  provider = null;
+};
+
+/**
+ * Spans terminados, con OTEL_TRACES_EXPORTER=memory (para pruebas)
+ * @returns {Array<ReadableSpan>} Spans en el orden en que terminaron
+ */
+export const getFinishedSpans = () => memoryExporter?.getFinishedSpans() ?? [];
+
+/**
+ * Borra los spans guardados por el exportador en memoria
+ * @returns {void}
+ */
+export const resetFinishedSpans = () => memoryExporter?.reset();
@@ -0,0 +1,106 @@
+// Importar errores de dominio (los de categoría 4xx no se reintentan)
+import { DomainError } from '../errors/domainErrors.js';
+
+/**
+ * 🔁 Reintentos y cola de errores de los consumidores de RabbitMQ
+ * Un mensaje que falla por un problema de infraestructura se envía a una cola de espera
+ * con un TTL por mensaje (expiration); al vencer, el broker lo devuelve a la cola
+ * principal por el dead-letter de la cola de espera. La cuenta de reintentos viaja en
+ * la cabecera x-retry-count y, al superar el máximo (o ante un error definitivo), el
+ * mensaje va a la cola de errores con la causa en las cabeceras MT-Fault-*
+ *
+ * @module consumers/consumerRetry
+ */
+
+// Cabecera donde se lleva la cuenta de reintentos del mensaje
+export const RETRY_HEADER = 'x-retry-count';
+
+/**
+ * Indica si un error es definitivo (reintentar no cambiaría el resultado)
+ * Lo son todos los errores de dominio de categoría 4xx (validación, no encontrado,
+ * conflicto, permisos); solo se reintentan las dependencias no disponibles (503)
+ * y los errores que no son de dominio (base de datos caída, red)
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+export const isPermanent = (error) => error instanceof DomainError && error.httpStatus < 500;
+
+/**
+ * Crea la política de reintentos de un consumidor
+ * @param {Object} options - Topología y límites
+ * @param {string} options.queue - Cola principal del consumidor
+ * @param {string} options.retryQueue - Cola de espera de los reintentos
+ * @param {string} options.errorExchange - Exchange (fanout) de la cola de errores
+ * @param {string} options.errorQueue - Cola de errores
+ * @param {number} options.maxRetries - Reintentos antes de enviar el mensaje a errores
+ * @param {number} options.retryBaseMs - Espera antes del primer reintento (se duplica en cada uno)
+ * @param {number} options.retryMaxMs - Espera máxima entre reintentos
+ * @returns {{assertTopology: Function, deadLetter: Function, retryOrDeadLetter: Function}} Política del consumidor
+ */
+export const createRetryPolicy = ({ queue, retryQueue, errorExchange, errorQueue, maxRetries, retryBaseMs, retryMaxMs }) => {
+  /**
+   * Envía un mensaje fallido a la cola de errores con la causa en las cabeceras
+   * (mismas cabeceras MT-Fault-* que usa MassTransit en sus colas _error)
+   * @param {Object} channel - Canal del consumidor
+   * @param {Object} msg - Mensaje AMQP original
+   * @param {Error} error - Error que provocó el fallo
+   * @returns {void}
+   */
+  const deadLetter = (channel, msg, error) => {
+    channel.publish(errorExchange, msg.fields.routingKey, msg.content, {
+      ...msg.properties,
+      headers: {
+        ...msg.properties.headers,
+        'MT-Fault-ExceptionType': error.name,
+        'MT-Fault-Message': error.message,
+        'MT-Fault-Timestamp': new Date().toISOString(),
+      },
+    });
+    channel.ack(msg);
+  };
+
+  return {
+    /**
+     * Declara la cola de errores y la cola de espera (al vencer, cada mensaje vuelve a la
+     * cola principal por el exchange por defecto, con su nombre como routingKey)
+     * @async
+     * @param {Object} channel - Canal del consumidor
+     * @returns {Promise<void>}
+     */
+    assertTopology: async (channel) => {
+      await channel.assertExchange(errorExchange, 'fanout', { durable: true });
+      await channel.assertQueue(errorQueue, { durable: true });
+      await channel.bindQueue(errorQueue, errorExchange, '');
+      await channel.assertQueue(retryQueue, { durable: true, deadLetterExchange: '', deadLetterRoutingKey: queue });
+    },
+
+    deadLetter,
+
+    /**
+     * Reintenta un mensaje fallido después de una espera o lo envía a la cola de errores
+     * La espera se duplica en cada reintento (hasta retryMaxMs), así una caída de la base de
+     * datos no agota los reintentos en milisegundos. El broker solo vence el mensaje que
+     * está primero en la cola de espera, por lo que la espera es un mínimo
+     * @param {Object} channel - Canal del consumidor
+     * @param {Object} msg - Mensaje AMQP original
+     * @param {Error} error - Error del procesamiento
+     * @returns {{retry: number, delay: number}|null} Reintento programado o null si fue a la cola de errores
+     */
+    retryOrDeadLetter: (channel, msg, error) => {
+      const retry = Number(msg.properties.headers?.[RETRY_HEADER] || 0) + 1;
+      if (isPermanent(error) || retry > maxRetries) {
+        deadLetter(channel, msg, error);
+        return null;
+      }
+
+      const delay = Math.min(retryBaseMs * 2 ** (retry - 1), retryMaxMs);
+      channel.sendToQueue(retryQueue, msg.content, {
+        ...msg.properties,
+        expiration: String(delay),
+        headers: { ...msg.properties.headers, [RETRY_HEADER]: retry },
+      });
+      channel.ack(msg);
+      return { retry, delay };
+    },
+  };
+};
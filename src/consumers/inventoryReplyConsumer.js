@@ -0,0 +1,135 @@
+// Importar función para registrar consumidores de RabbitMQ
+import { registerConsumer } from '../config/rabbitmq.js';
+// Importar pasos de la saga de reserva de stock
+import { handleStockReserved, handleStockRejected } from '../services/inventorySaga.js';
+// Importar reintentos con espera y cola de errores (los mismos de los comandos)
+import { createRetryPolicy } from './consumerRetry.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+const log = logger.child({ module: 'inventory-replies' });
+
+/**
+ * ⚙️ Topología de RabbitMQ para las respuestas de inventario
+ * - inventory_events (topic): respuestas con routingKey 'stock.reserved' o 'stock.rejected'
+ * - InventoryService.Src.Messages:<Mensaje> (fanout): exchanges que usa MassTransit al publicar
+ * - orders-service.inventory-replies: cola que recibe las respuestas
+ * - orders-service.inventory-replies.retry: espera de los reintentos (vuelven a la cola al vencer)
+ * - inventory_replies.error (fanout) → orders-service.inventory-replies.error: cola de respuestas fallidas
+ */
+const INVENTORY_EXCHANGE = 'inventory_events';
+const QUEUE = 'orders-service.inventory-replies';
+const RETRY_QUEUE = 'orders-service.inventory-replies.retry';
+const ERROR_EXCHANGE = 'inventory_replies.error';
+const ERROR_QUEUE = 'orders-service.inventory-replies.error';
+const MESSAGE_NAMESPACE = 'InventoryService.Src.Messages';
+
+/**
+ * Reintentos antes de enviar una respuesta a la cola de errores (INVENTORY_REPLIES_MAX_RETRIES),
+ * espera antes del primer reintento, que se duplica en cada uno (INVENTORY_REPLIES_RETRY_BASE_MS)
+ * y espera máxima (INVENTORY_REPLIES_RETRY_MAX_MS); por defecto, los mismos valores que los comandos
+ */
+const retryPolicy = createRetryPolicy({
+  queue: QUEUE,
+  retryQueue: RETRY_QUEUE,
+  errorExchange: ERROR_EXCHANGE,
+  errorQueue: ERROR_QUEUE,
+  maxRetries: Number(process.env.INVENTORY_REPLIES_MAX_RETRIES) || 3,
+  retryBaseMs: Number(process.env.INVENTORY_REPLIES_RETRY_BASE_MS) || 5000,
+  retryMaxMs: Number(process.env.INVENTORY_REPLIES_RETRY_MAX_MS) || 60000,
+});
+
+/**
+ * Lee una propiedad del mensaje aceptando camelCase o PascalCase
+ * @param {Object} message - Cuerpo del mensaje
+ * @param {string} name - Nombre de la propiedad en camelCase
+ * @returns {*} Valor de la propiedad o undefined
+ */
+const field = (message, name) =>
+  message[name] ?? message[name.charAt(0).toUpperCase() + name.slice(1)];
+
+/**
+ * 📚 Respuestas de inventario soportadas, por nombre de mensaje y por routingKey
+ */
+const handlers = {
+  StockReserved: (message) => handleStockReserved(field(message, 'orderId')),
+  StockRejected: (message) => handleStockRejected(field(message, 'orderId'), field(message, 'reason')),
+};
+const routingKeys = {
+  'stock.reserved': 'StockReserved',
+  'stock.rejected': 'StockRejected',
+};
+
+/**
+ * 📥 Procesa una respuesta de inventario
+ * Los pasos de la saga son idempotentes, así que ante un error transitorio
+ * (ej: base de datos caída) el mensaje se reintenta después de una espera creciente;
+ * al superar los reintentos, y de inmediato si es ilegible, de tipo desconocido o el
+ * error es definitivo (ej: transición no permitida), va a la cola de errores en lugar
+ * de volver a la cola para siempre
+ * @async
+ * @param {Object} channel - Canal del consumidor
+ * @param {Object} msg - Mensaje AMQP recibido
+ * @returns {Promise<void>}
+ */
+const handleMessage = async (channel, msg) => {
+  if (!msg) return;
+
+  let envelope;
+  try {
+    envelope = JSON.parse(msg.content.toString());
+  } catch (error) {
+    log.error({ messageId: msg.properties.messageId }, 'Respuesta de inventario con JSON inválido, enviada a la cola de errores');
+    return retryPolicy.deadLetter(channel, msg, error);
+  }
+
+  const type =
+    (envelope.messageType || []).map((urn) => urn.split(':').pop()).find((name) => handlers[name]) ||
+    routingKeys[msg.fields.routingKey];
+
+  if (!type || !envelope.message) {
+    log.error({ routingKey: msg.fields.routingKey, messageType: envelope.messageType }, 'Respuesta de inventario de tipo desconocido, enviada a la cola de errores');
+    return retryPolicy.deadLetter(channel, msg, new Error(`Tipo de respuesta no soportado: ${(envelope.messageType || []).join(', ')}`));
+  }
+
+  try {
+    const saga = await handlers[type](envelope.message);
+    channel.ack(msg);
+    if (saga) log.info({ type, orderId: saga.orderId, sagaState: saga.state }, 'Respuesta de inventario procesada');
+  } catch (error) {
+    const retry = retryPolicy.retryOrDeadLetter(channel, msg, error);
+    if (retry) {
+      log.warn({ type, retry: retry.retry, retryInMs: retry.delay, reason: error.message }, 'Error procesando respuesta de inventario, se reintentará');
+    } else {
+      log.error({ type, reason: error.message }, 'Respuesta de inventario enviada a la cola de errores');
+    }
+  }
+};
+
+/**
+ * 🚀 Registra el consumidor de respuestas de inventario
+ * @async
+ * @returns {Promise<void>}
+ */
+export const startInventoryReplyConsumer = async () => {
+  await registerConsumer('inventory-replies', async (channel) => {
+    // Cola de errores y cola de espera de reintentos
+    await retryPolicy.assertTopology(channel);
+
+    await channel.assertQueue(QUEUE, { durable: true });
+
+    await channel.assertExchange(INVENTORY_EXCHANGE, 'topic', { durable: true });
+    for (const routingKey of Object.keys(routingKeys)) {
+      await channel.bindQueue(QUEUE, INVENTORY_EXCHANGE, routingKey);
+    }
+
+    for (const type of Object.keys(handlers)) {
+      const exchange = `${MESSAGE_NAMESPACE}:${type}`;
+      await channel.assertExchange(exchange, 'fanout', { durable: true });
+      await channel.bindQueue(QUEUE, exchange, '');
+    }
+
+    await channel.prefetch(10);
+    await channel.consume(QUEUE, (msg) => handleMessage(channel, msg));
+  });
+};
@@ -0,0 +1,256 @@
+// Importar funciones de RabbitMQ
+import { registerConsumer, createChannel } from '../config/rabbitmq.js';
+// Importar operaciones de órdenes compartidas con REST y gRPC
+import * as orderService from '../services/orderService.js';
+// Importar errores de dominio
+import { InvalidTransitionError, OrderValidationError } from '../errors/orderErrors.js';
+import { DomainError } from '../errors/domainErrors.js';
+// Importar reintentos con espera y cola de errores
+import { createRetryPolicy } from './consumerRetry.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+const log = logger.child({ module: 'order-commands' });
+
+/**
+ * ⚙️ Topología de RabbitMQ para los comandos de órdenes
+ * - order_commands (topic): comandos enviados con routingKey 'order.command.<comando>'
+ * - OrderService.Messages:<Comando> (fanout): exchanges que usa MassTransit al hacer Send/Publish
+ * - orders-service.commands: cola que recibe los comandos
+ * - orders-service.commands.retry: espera de los reintentos; cada mensaje vence según su
+ *   TTL (expiration) y vuelve a orders-service.commands por el dead-letter de la cola
+ * - order_commands.error (fanout) → orders-service.commands.error: cola de mensajes fallidos
+ */
+const COMMANDS_EXCHANGE = 'order_commands';
+const ERROR_EXCHANGE = 'order_commands.error';
+const QUEUE = 'orders-service.commands';
+const ERROR_QUEUE = 'orders-service.commands.error';
+const RETRY_QUEUE = 'orders-service.commands.retry';
+const MESSAGE_NAMESPACE = 'OrderService.Messages';
+
+/**
+ * Reintentos antes de enviar un comando a la cola de errores (ORDER_COMMANDS_MAX_RETRIES),
+ * espera antes del primer reintento, que se duplica en cada uno (ORDER_COMMANDS_RETRY_BASE_MS),
+ * espera máxima (ORDER_COMMANDS_RETRY_MAX_MS) y mensajes procesados en paralelo por
+ * instancia (ORDER_COMMANDS_PREFETCH)
+ */
+const MAX_RETRIES = Number(process.env.ORDER_COMMANDS_MAX_RETRIES) || 3;
+const RETRY_BASE_MS = Number(process.env.ORDER_COMMANDS_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = Number(process.env.ORDER_COMMANDS_RETRY_MAX_MS) || 60000;
+const PREFETCH = Number(process.env.ORDER_COMMANDS_PREFETCH) || 10;
+
+const retryPolicy = createRetryPolicy({
+  queue: QUEUE,
+  retryQueue: RETRY_QUEUE,
+  errorExchange: ERROR_EXCHANGE,
+  errorQueue: ERROR_QUEUE,
+  maxRetries: MAX_RETRIES,
+  retryBaseMs: RETRY_BASE_MS,
+  retryMaxMs: RETRY_MAX_MS,
+});
+
+/**
+ * Lee una propiedad del mensaje aceptando camelCase (MassTransit v8)
+ * o PascalCase (serializadores .NET antiguos)
+ * @param {Object} message - Cuerpo del comando
+ * @param {string} name - Nombre de la propiedad en camelCase
+ * @returns {*} Valor de la propiedad o undefined
+ */
+const field = (message, name) =>
+  message[name] ?? message[name.charAt(0).toUpperCase() + name.slice(1)];
+
+/**
+ * Autor del comando para el historial: el usuario de RabbitMQ que lo publicó
+ * La propiedad user_id la valida el broker contra el usuario de la conexión, así que el
+ * cuerpo del mensaje no puede hacerse pasar por otro (sin user_id queda sin autor)
+ * @param {Object} msg - Mensaje AMQP recibido
+ * @returns {string|undefined} Usuario de RabbitMQ del emisor
+ */
+const commandActor = (msg) => msg.properties.userId || undefined;
+
+/**
+ * 📚 Comandos soportados
+ * Cada uno ejecuta la misma operación de dominio que los controladores REST y gRPC,
+ * siempre con rol 'system': los comandos vienen de otros servicios internos y el cuerpo
+ * no elige el rol ni el autor (un 'role' o 'actorId' en el mensaje se ignora)
+ */
+const handlers = {
+  /**
+   * Cambia el estado de una orden
+   * Cuerpo: { orderId, status, trackingNumber?, reason? }
+   */
+  async UpdateOrderStatus(message, msg) {
+    return await orderService.changeOrderStatus(field(message, 'orderId'), field(message, 'status'), {
+      role: 'system',
+      reason: field(message, 'reason') || undefined,
+      trackingNumber: field(message, 'trackingNumber') || undefined,
+      actorId: commandActor(msg),
+      source: 'event',
+    });
+  },
+
+  /**
+   * Cancela una orden por ID o número de seguimiento
+   * Cuerpo: { orderId | trackingNumber, reason? }
+   */
+  async CancelOrder(message, msg) {
+    return await orderService.cancelOrder(field(message, 'orderId') || field(message, 'trackingNumber'), {
+      role: 'system',
+      reason: field(message, 'reason') || undefined,
+      actorId: commandActor(msg),
+      source: 'event',
+    });
+  },
+};
+
+/**
+ * Obtiene el nombre del comando a partir del messageType de MassTransit
+ * (ej: 'urn:message:OrderService.Messages:CancelOrder' → 'CancelOrder')
+ * @param {Object} envelope - Envoltorio MassTransit
+ * @returns {string|undefined} Nombre del comando soportado
+ */
+const resolveCommand = (envelope) =>
+  (envelope.messageType || [])
+    .map((urn) => urn.split(':').pop())
+    .find((name) => handlers[name]);
+
+/**
+ * Describe el error de un comando para quien lo envió
+ * (solo los errores de dominio se informan con su mensaje)
+ * @param {Error} error - Error del comando
+ * @returns {{message: string, code: string}} Mensaje y código estable
+ */
+const publicError = (error) =>
+  error instanceof DomainError
+    ? { message: error.message, code: error.code }
+    : { message: 'Error interno procesando el comando.', code: 'INTERNAL_ERROR' };
+
+/**
+ * 📤 Publica la respuesta del comando cuando el emisor la solicita
+ * (el envoltorio trae requestId y responseAddress, como en el request client de MassTransit)
+ * La respuesta se envía al exchange indicado por la última parte de responseAddress
+ * @async
+ * @param {Object} envelope - Envoltorio MassTransit del comando
+ * @param {Object} result - Resultado del comando
+ * @param {boolean} result.success - Indica si el comando se aplicó
+ * @param {Order} [result.order] - Orden resultante
+ * @param {Error} [result.error] - Error si el comando falló
+ * @returns {Promise<void>}
+ */
+const publishResponse = async (envelope, { success, order, error }) => {
+  if (!envelope.requestId || !envelope.responseAddress) return;
+
+  const failure = error ? publicError(error) : null;
+  const response = {
+    messageId: crypto.randomUUID(),
+    requestId: envelope.requestId,
+    correlationId: envelope.correlationId,
+    conversationId: envelope.conversationId,
+    destinationAddress: envelope.responseAddress,
+    messageType: [`urn:message:${MESSAGE_NAMESPACE}:OrderCommandResult`],
+    message: {
+      success,
+      orderId: order?.id ?? null,
+      status: order?.status ?? null,
+      trackingNumber: order?.trackingNumber ?? null,
+      error: failure?.message ?? null,
+      errorCode: failure?.code ?? null,
+      allowedTransitions: error instanceof InvalidTransitionError ? error.allowed : undefined,
+    },
+    sentTime: new Date().toISOString(),
+  };
+
+  // Canal aislado: si el exchange de respuesta no existe, solo se cierra este canal
+  try {
+    const exchange = new URL(envelope.responseAddress).pathname.split('/').filter(Boolean).pop();
+    const responseChannel = await createChannel();
+    responseChannel.on('error', () => {});
+    responseChannel.publish(exchange, '', Buffer.from(JSON.stringify(response)), {
+      contentType: 'application/vnd.masstransit+json',
+      messageId: response.messageId,
+    });
+    await responseChannel.close();
+  } catch (err) {
+    log.error({ responseAddress: envelope.responseAddress, reason: err.message }, 'No se pudo enviar la respuesta del comando');
+  }
+};
+
+/**
+ * 📥 Procesa un comando recibido
+ * - Comando aplicado: ack (y respuesta si se pidió)
+ * - Error de dominio 4xx o mensaje inválido: a la cola de errores sin reintentar
+ * - Dependencia no disponible u otro error: vuelve a la cola después de una espera creciente,
+ *   con la cuenta de reintentos incrementada; al superar ORDER_COMMANDS_MAX_RETRIES va a la cola de errores
+ * @async
+ * @param {Object} channel - Canal del consumidor
+ * @param {Object} msg - Mensaje AMQP recibido
+ * @returns {Promise<void>}
+ */
+const handleMessage = async (channel, msg) => {
+  if (!msg) return;
+
+  let envelope;
+  try {
+    envelope = JSON.parse(msg.content.toString());
+  } catch (error) {
+    log.error({ messageId: msg.properties.messageId }, 'Comando con JSON inválido, enviado a la cola de errores');
+    return retryPolicy.deadLetter(channel, msg, error);
+  }
+
+  const command = resolveCommand(envelope);
+  if (!command || !envelope.message) {
+    const error = new OrderValidationError(`Tipo de comando no soportado: ${(envelope.messageType || []).join(', ')}`);
+    log.error({ messageType: envelope.messageType }, 'Tipo de comando no soportado, enviado a la cola de errores');
+    await publishResponse(envelope, { success: false, error });
+    return retryPolicy.deadLetter(channel, msg, error);
+  }
+
+  try {
+    const order = await handlers[command](envelope.message, msg);
+    channel.ack(msg);
+    log.info({ command, orderId: order.id }, 'Comando aplicado');
+    await publishResponse(envelope, { success: true, order });
+  } catch (error) {
+    const retry = retryPolicy.retryOrDeadLetter(channel, msg, error);
+    if (retry) {
+      log.warn(
+        { command, retry: retry.retry, maxRetries: MAX_RETRIES, retryInMs: retry.delay, reason: error.message },
+        'Error procesando comando, se reintentará'
+      );
+      return;
+    }
+
+    log.error({ command, reason: error.message }, 'Comando enviado a la cola de errores');
+    await publishResponse(envelope, { success: false, error });
+  }
+};
+
+/**
+ * 🚀 Registra el consumidor de comandos de órdenes
+ * Declara la topología (exchanges, colas y bindings) y comienza a consumir
+ * @async
+ * @returns {Promise<void>}
+ */
+export const startOrderCommandConsumer = async () => {
+  await registerConsumer('order-commands', async (channel) => {
+    // Cola de errores y cola de espera de reintentos
+    await retryPolicy.assertTopology(channel);
+
+    // Cola principal; los mensajes rechazados por el broker también van a errores
+    await channel.assertQueue(QUEUE, { durable: true, deadLetterExchange: ERROR_EXCHANGE });
+
+    // Comandos por routingKey en el exchange de comandos
+    await channel.assertExchange(COMMANDS_EXCHANGE, 'topic', { durable: true });
+    await channel.bindQueue(QUEUE, COMMANDS_EXCHANGE, 'order.command.#');
+
+    // Comandos enviados por MassTransit a los exchanges de cada tipo de mensaje
+    for (const command of Object.keys(handlers)) {
+      const exchange = `${MESSAGE_NAMESPACE}:${command}`;
+      await channel.assertExchange(exchange, 'fanout', { durable: true });
+      await channel.bindQueue(QUEUE, exchange, '');
+    }
+
+    await channel.prefetch(PREFETCH);
+    await channel.consume(QUEUE, (msg) => handleMessage(channel, msg));
+  });
+};
@@ -0,0 +1,59 @@
+// Importar función para registrar consumidores de RabbitMQ
+import { registerConsumer } from '../config/rabbitmq.js';
+// Importar exchange de los eventos de órdenes
+import { ORDER_EVENTS_EXCHANGE } from '../messages/orderContracts.js';
+// Importar suscripciones de WatchOrder
+import { isOrderWatched, notifyOrderChanged, refreshWatchedOrders } from '../services/orderWatchService.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+const log = logger.child({ module: 'order-watch' });
+
+/**
+ * ⚙️ Topología de RabbitMQ para WatchOrder
+ * - order_events (topic): eventos publicados por el relay de outbox de cualquier instancia
+ * - orders-service.order-watch.<instancia>: cola exclusiva de esta instancia, enlazada a
+ *   'order.#'. Como cada instancia tiene la suya, todas reciben todos los eventos.
+ *   RabbitMQ la borra al cerrar la conexión y los mensajes no se confirman: si se pierde
+ *   alguno, la relectura al reconectar entrega el estado al día
+ */
+const QUEUE = `orders-service.order-watch.${crypto.randomUUID().slice(0, 8)}`;
+const ROUTING_KEY = 'order.#';
+
+/**
+ * 📥 Procesa un evento de orden: si alguna llamada WatchOrder de esta instancia
+ * observa la orden, la relee y se la envía
+ * @async
+ * @param {Object} msg - Mensaje AMQP recibido
+ * @returns {Promise<void>}
+ */
+const handleMessage = async (msg) => {
+  if (!msg) return;
+
+  let orderId;
+  try {
+    orderId = JSON.parse(msg.content.toString()).message?.OrderId;
+  } catch {
+    log.warn({ messageId: msg.properties.messageId }, 'Evento de orden con JSON inválido, ignorado');
+    return;
+  }
+
+  if (orderId && isOrderWatched(orderId)) await notifyOrderChanged(orderId);
+};
+
+/**
+ * 🚀 Registra el consumidor de eventos de órdenes para WatchOrder
+ * Tras cada reconexión relee las órdenes observadas, por si cambiaron sin conexión
+ * @async
+ * @returns {Promise<void>}
+ */
+export const startOrderWatchConsumer = async () => {
+  await registerConsumer('order-watch', async (channel) => {
+    await channel.assertExchange(ORDER_EVENTS_EXCHANGE, 'topic', { durable: true });
+    await channel.assertQueue(QUEUE, { exclusive: true, autoDelete: true });
+    await channel.bindQueue(QUEUE, ORDER_EVENTS_EXCHANGE, ROUTING_KEY);
+
+    await channel.consume(QUEUE, handleMessage, { noAck: true });
+    await refreshWatchedOrders();
+  });
+};
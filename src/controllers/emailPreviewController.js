@@ -0,0 +1,35 @@
+import * as orderService from '../services/orderService.js';
+import { renderOrderEmail } from '../services/emailTemplates.js';
+
+import { ValidationFailedError } from '../errors/domainErrors.js';
+
+/**
+ * Genera un correo de orden con sus plantillas y lo devuelve sin enviarlo
+ * Sirve para revisar cómo verá el cliente cada correo en cada idioma
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.idOrTracking - ID del pedido o número de seguimiento
+ * @param {string} req.params.type - Tipo de correo ('created', 'processing', 'shipped', 'delivered', 'cancelled')
+ * @param {Object} req.query - Parámetros opcionales
+ * @param {string} [req.query.locale] - Idioma (por defecto el de la orden)
+ * @param {string} [req.query.format] - 'html' (por defecto), 'text' o 'json'
+ * @param {string} [req.query.cancelledBy] - Rol que canceló, para el correo 'cancelled'
+ * @param {string} [req.query.reason] - Motivo de cancelación, para el correo 'cancelled'
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const previewOrderEmail = async (req, res) => {
+  const { idOrTracking, type } = req.params;
+  const { locale, format = 'html', cancelledBy, reason } = req.query;
+
+  if (!['html', 'text', 'json'].includes(format)) {
+    throw new ValidationFailedError('Formato inválido. Debe ser "html", "text" o "json".');
+  }
+
+  const order = await orderService.findOrderByIdOrTracking(idOrTracking);
+  const email = await renderOrderEmail(type, order, { locale, cancelledBy, reason });
+
+  if (format === 'json') return res.json(email);
+  if (format === 'text') return res.type('text/plain').send(`${email.subject}\n\n${email.text}`);
+  res.type('html').send(email.html);
+};
@@ -0,0 +1,24 @@
+import * as healthService from '../services/healthService.js';
+
+/**
+ * Responde si el proceso está vivo (no revisa dependencias)
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void}
+ */
+export const getLiveness = (req, res) => {
+  res.json(healthService.checkLiveness());
+};
+
+/**
+ * Responde si el servicio puede atender solicitudes, con el estado y la latencia de
+ * cada dependencia: 200 si está listo ('up' o 'degraded') y 503 si no ('down')
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const getReadiness = async (req, res) => {
+  const { ready, status, checks } = await healthService.checkReadiness();
+  res.status(ready ? 200 : 503).json({ status, checks });
+};
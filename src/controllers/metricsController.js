@@ -0,0 +1,12 @@
+import { registry } from '../config/metrics.js';
+
+/**
+ * Devuelve todas las métricas en formato de texto de Prometheus
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const getMetrics = async (req, res) => {
+  res.type(registry.contentType).send(await registry.metrics());
+};
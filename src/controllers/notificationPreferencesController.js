@@ -0,0 +1,32 @@
+import * as notificationPreferenceService from '../services/notificationPreferenceService.js';
+
+/**
+ * Obtiene el canal de aviso de un cliente para cada evento de sus pedidos
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.clientId - ID del cliente
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const getPreferences = async (req, res) => {
+  const preferences = await notificationPreferenceService.getPreferences(req.params.clientId);
+  res.json({ clientId: req.params.clientId, preferences });
+};
+
+/**
+ * Cambia el canal de aviso de un cliente para uno o más eventos
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.clientId - ID del cliente
+ * @param {Object} req.body - Cuerpo de la solicitud
+ * @param {Object<string, string>} req.body.preferences - Canal por evento ('email', 'sms', 'push' o 'none')
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const updatePreferences = async (req, res) => {
+  const preferences = await notificationPreferenceService.updatePreferences(
+    req.params.clientId,
+    req.body?.preferences
+  );
+  res.json({ message: 'Preferencias actualizadas.', clientId: req.params.clientId, preferences });
+};
@@ -0,0 +1,34 @@
+import * as notificationService from '../services/notificationService.js';
+
+/**
+ * Lista los avisos de una orden con su registro de intentos
+ * Por defecto solo los que fallaron
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.orderId - ID de la orden
+ * @param {string} [req.query.status] - Estado de los avisos ('pending', 'sent' o 'failed'; por defecto 'failed')
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const getOrderNotifications = async (req, res) => {
+  const notifications = await notificationService.listOrderNotifications({
+    orderId: req.params.orderId,
+    status: req.query.status || undefined,
+  });
+  res.json(notifications);
+};
+
+/**
+ * Vuelve a poner en cola un aviso fallido para que el worker lo envíe de nuevo
+ * Responde 404 NOTIFICATION_NOT_FOUND si no existe y 409 NOTIFICATION_ALREADY_SENT si ya fue enviado o
+ * NOTIFICATION_PENDING si aún está pendiente (solo se reenvían avisos fallidos)
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del aviso
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const resendNotification = async (req, res) => {
+  const notification = await notificationService.resendNotification(req.params.id);
+  res.json({ message: 'Aviso reprogramado para envío.', notification });
+};
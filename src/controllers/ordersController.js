@@ -1,323 +1,245 @@
 import * as orderService from '../services/orderService.js';
+import { roundAmount } from '../services/money.js';
+import { resolveClientId, assertClientAccess, ownerScope } from '../services/authService.js';
 
-import { Order } from '../models/order.js';
-import { OrderItem } from '../models/orderItem.js';
-import { sendOrderEmail } from '../config/sendgrid.js'; // función auxiliar para enviar correos
-import { publishToQueue } from '../config/rabbitmq.js'; // para publicar eventos
-import { faker } from '@faker-js/faker';
+/*
+ * Los errores (de dominio o no) se propagan: Express 5 pasa los rechazos de los
+ * controladores async al manejador de errores, que responde application/problem+json
+ * (ver middlewares/errorMiddleware)
+ */
 
 /**
  * Crea un nuevo pedido con sus items asociados
  * Valida datos, calcula el total, genera número de seguimiento
- * y notifica mediante correo y RabbitMQ
+ * y notifica al cliente (por el canal que eligió) y a RabbitMQ (vía outbox)
+ * Con el header Idempotency-Key un reintento devuelve el pedido original
+ * (mismo 201 y cuerpo, con el header Idempotent-Replayed: true)
  * @async
  * @param {Object} req - Objeto de solicitud Express
- * @param {Object} req.body - Cuerpo de la solicitud
- * @param {string} req.body.userId - ID del cliente
- * @param {string} req.body.clientName - Nombre del cliente
- * @param {Array} req.body.items - Array de items del pedido
- * @param {string} req.body.items[].productId - ID del producto
- * @param {number} req.body.items[].quantity - Cantidad
- * @param {number} req.body.items[].price - Precio unitario
- * @param {string} req.body.shippingAddress - Dirección de envío
+ * @param {Object} req.auth - Quien llama (sujeto y rol del token)
+ * @param {string} [req.headers.idempotency-key] - Clave de idempotencia (ej: un UUID por pedido)
+ * @param {Object} req.validated - Cuerpo de la solicitud ya validado (ver middlewares/validationMiddleware)
+ * @param {string} [req.validated.userId] - ID del cliente (un usuario solo puede indicar el suyo; por defecto el del token)
+ * @param {string} req.validated.clientName - Nombre del cliente
+ * @param {Array} req.validated.items - Array de items del pedido
+ * @param {string} req.validated.items[].productId - ID del producto
+ * @param {number} req.validated.items[].quantity - Cantidad
+ * @param {string} [req.validated.items[].price] - Precio unitario esperado (el precio real lo fija el catálogo)
+ * @param {string} [req.validated.currency] - Moneda del pedido ('CLP' por defecto, o 'USD')
+ * @param {string} req.validated.shippingAddress - Dirección de envío
+ * @param {string} [req.validated.email] - Correo de contacto para avisos
+ * @param {string} [req.validated.phone] - Teléfono de contacto para SMS (ej: +56912345678)
+ * @param {string} [req.validated.locale] - Idioma de los correos ('es-CL' por defecto, o 'en-US')
  * @param {Object} res - Objeto de respuesta Express
  * @returns {Promise<void>}
  */
 export const createOrder = async (req, res) => {
-  try {
-    const { userId, clientName, items, shippingAddress } = req.body;
-
-    // 🔹 Validar datos básicos
-    if (!userId || !clientName || !items || items.length === 0) {
-      return res.status(400).json({ error: 'Faltan datos obligatorios: userId, clientName o items.' });
-    }
-
-    // 🔹 Calcular total del pedido sumando (precio * cantidad) de cada item
-    const totalAmount = items.reduce((acc, item) => acc + item.price * item.quantity, 0);
-
-    // 🔹 Generar número de seguimiento único
-    const trackingNumber = `TRK-${faker.string.alphanumeric(10).toUpperCase()}`;
-
-    // 🔹 Crear pedido con sus items asociados
-    const order = await Order.create(
-      {
-        shippingAddress,
-        clientId: userId,
-        clientName,
-        totalAmount,
-        trackingNumber,
-        status: 'pendiente',
-        items: items.map(i => ({
-          productId: i.productId,
-          quantity: i.quantity,
-          price: i.price
-        })),
-      },
-      { include: [{ model: OrderItem, as: 'items' }] }
-    );
-
-    // 🔹 Publicar evento a RabbitMQ para notificar a otros servicios
-    await publishToQueue('order.created', {
-      orderId: order.id,
-      trackingNumber,
-      userId,
-      items,
-    });
-
-    // 🔹 Enviar correo de confirmación al cliente
-    await sendOrderEmail(order, 'created');
-
-    res.status(201).json({
-      message: 'Pedido creado con éxito',
-      order
-    });
-
-  } catch (error) {
-    console.error('❌ Error al crear el pedido:', error);
-    res.status(500).json({ error: 'Error al crear el pedido.' });
-  }
+  const { userId, clientName, items, shippingAddress, email, phone, locale, currency } = req.validated;
+
+  // 🔹 Validar, calcular total, guardar la orden con su evento y saga,
+  // y enviar el correo de confirmación (o devolver la orden original si es un reintento)
+  const { order, replayed } = await orderService.createOrder({
+    clientId: resolveClientId(req.auth, userId),
+    clientName,
+    shippingAddress,
+    email,
+    phone,
+    items,
+    locale,
+    currency,
+  }, {
+    actorId: req.auth.subject,
+    role: req.auth.role,
+    source: 'rest',
+    idempotencyKey: req.get('Idempotency-Key'),
+  });
+
+  if (replayed) res.set('Idempotent-Replayed', 'true');
+  res.status(201).json({
+    message: 'Pedido creado con éxito',
+    order
+  });
 };
 
 /**
  * Consulta el estado de un pedido usando su número de seguimiento
  * @async
  * @param {Object} req - Objeto de solicitud Express
- * @param {string} req.params.trackingNumber - Número de seguimiento del pedido
+ * @param {Object} req.auth - Quien llama (un usuario solo consulta sus pedidos)
+ * @param {Object} req.validated - Solicitud ya validada (ver middlewares/validationMiddleware)
+ * @param {string} req.validated.trackingNumber - Número de seguimiento del pedido
+ * @param {string} [req.validated.includeLastTransition] - 'true' para incluir el último cambio de estado
  * @param {Object} res - Objeto de respuesta Express
  * @returns {Promise<void>}
  */
 export const getOrderStatus = async (req, res) => {
-  try {
-    const { trackingNumber } = req.params;
-
-    // Buscar el pedido por número de seguimiento
-    const order = await Order.findOne({ where: { trackingNumber } });
-
-    if (!order) {
-      return res.status(404).json({ error: 'Pedido no encontrado.' });
-    }
-
-    // Retorna información resumida del pedido
-    res.json({
-      trackingNumber: order.trackingNumber,
-      status: order.status,
-      clientName: order.clientName,
-      totalAmount: order.totalAmount,
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Error al consultar estado del pedido.' });
+  const { trackingNumber, includeLastTransition } = req.validated;
+
+  // Buscar el pedido por número de seguimiento
+  const order = await orderService.getOrderByTracking(trackingNumber, { ownerId: ownerScope(req.auth) });
+
+  // Retorna información resumida del pedido
+  const summary = {
+    trackingNumber: order.trackingNumber,
+    status: order.status,
+    clientName: order.clientName,
+    totalAmount: roundAmount(order.totalAmount, order.currency),
+    currency: order.currency,
+  };
+
+  // Opcionalmente incluye el último cambio de estado (cuándo, quién y por qué)
+  if (includeLastTransition === 'true') {
+    summary.lastTransition = await orderService.getLatestTransition(order.id);
   }
+
+  res.json(summary);
 };
 
 /**
  * Actualiza el estado de un pedido existente
- * Genera número de seguimiento si el estado es "enviado"
+ * El cambio se valida contra la máquina de estados de la orden;
+ * al pasar a "enviado" se asigna número de seguimiento
  * Notifica al cliente y publica evento en RabbitMQ
+ * Solo para administradores (ver la ruta); el autor del cambio es el sujeto del token
  * @async
  * @param {Object} req - Objeto de solicitud Express
- * @param {string} req.params.id - ID del pedido
- * @param {Object} req.body - Cuerpo de la solicitud
- * @param {string} req.body.status - Nuevo estado del pedido
- * @param {string} [req.body.trackingNumber] - Número de seguimiento (opcional)
+ * @param {Object} req.auth - Quien llama (sujeto y rol del token)
+ * @param {Object} req.validated - Solicitud ya validada (ver middlewares/validationMiddleware)
+ * @param {string} req.validated.id - ID del pedido
+ * @param {string} req.validated.status - Nuevo estado del pedido
+ * @param {string} [req.validated.trackingNumber] - Número de seguimiento (opcional)
+ * @param {string} [req.validated.reason] - Motivo del cambio (opcional, usado al cancelar)
  * @param {Object} res - Objeto de respuesta Express
  * @returns {Promise<void>}
  */
 export const updateOrderStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, trackingNumber } = req.body;
-
-    // Buscar el pedido por su ID
-    const order = await Order.findByPk(id);
-    if (!order) return res.status(404).json({ error: 'Pedido no encontrado.' });
-
-    // 🔹 Actualizar estado del pedido
-    order.status = status;
-
-    // 🔹 Solo actualizar o generar trackingNumber si el estado es "enviado"
-    if (status === 'enviado') {
-      order.trackingNumber = trackingNumber || order.trackingNumber || `TRK-${crypto.randomUUID().slice(0, 8).toUpperCase()}`;
-    }
-
-    // 🔹 Si se cancela el pedido, se elimina el trackingNumber
-    if (status === 'cancelado') {
-      order.trackingNumber = null;
-    }
-
-    // Guardar cambios en la base de datos
-    await order.save();
-
-    // 🔹 Enviar correo de notificación con el trackingNumber actual
-    await sendOrderEmail(order, 'status', order.trackingNumber);
-
-    // 🔹 Publicar evento de actualización en RabbitMQ
-    await publishToQueue('order.updated', {
-      orderId: id,
-      status,
-      trackingNumber: order.trackingNumber,
-    });
-
-    res.json({ message: 'Estado actualizado correctamente.', order });
-
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Error al actualizar estado.' });
-  }
+  const { id, status, trackingNumber, reason } = req.validated;
+
+  // 🔹 Aplicar la transición: valida el cambio, asigna trackingNumber al enviar,
+  // notifica al cliente y publica el evento correspondiente
+  const order = await orderService.changeOrderStatus(id, status, {
+    role: req.auth.role,
+    reason,
+    trackingNumber,
+    actorId: req.auth.subject,
+    source: 'rest',
+  });
+
+  res.json({ message: 'Estado actualizado correctamente.', order });
 };
 
 /**
- * Cancela un pedido con validación de rol
- * Usuarios solo pueden cancelar pedidos pendientes o en procesamiento
- * Administradores pueden cancelar cualquier pedido con motivo obligatorio
+ * Cancela un pedido con validación de rol (el rol del token)
+ * Usuarios solo pueden cancelar sus pedidos pendientes o en procesamiento
+ * Administradores pueden cancelar pedidos no entregados con motivo obligatorio
+ * Si el estado actual no permite la cancelación responde 409 INVALID_TRANSITION con los estados permitidos
  * @async
  * @param {Object} req - Objeto de solicitud Express
- * @param {string} req.params.idOrTracking - ID del pedido o número de seguimiento
- * @param {Object} req.body - Cuerpo de la solicitud
- * @param {string} req.body.role - Rol del usuario ('user' o 'admin')
- * @param {string} [req.body.reason] - Motivo de cancelación (obligatorio para admin)
+ * @param {Object} req.auth - Quien llama (sujeto y rol del token)
+ * @param {Object} req.validated - Solicitud ya validada (ver middlewares/validationMiddleware)
+ * @param {string} req.validated.idOrTracking - ID del pedido o número de seguimiento
+ * @param {string} [req.validated.reason] - Motivo de cancelación (obligatorio para admin)
  * @param {Object} res - Objeto de respuesta Express
  * @returns {Promise<void>}
  */
 export const cancelOrder = async (req, res) => {
-  try {
-    const { idOrTracking } = req.params; // 👈 puede ser id o trackingNumber
-    const { role, reason } = req.body; // 👈 Recibe rol y motivo opcional
-
-    // Validar que se proporcionó el rol
-    if (!role) {
-      return res.status(400).json({ error: 'Debe especificar el rol (user o admin).' });
-    }
-
-    // 🔍 Buscar pedido por ID o número de seguimiento
-    const order =
-      (await Order.findByPk(idOrTracking)) ||
-      (await Order.findOne({ where: { trackingNumber: idOrTracking } }));
-
-    if (!order) {
-      return res.status(404).json({ error: 'Pedido no encontrado.' });
-    }
-
-    // 🔹 CASO 1: Cancelación por usuario
-    if (role === 'user') {
-      // Los usuarios solo pueden cancelar pedidos en estado pendiente o en procesamiento
-      if (order.status !== 'pendiente' && order.status !== 'en procesamiento') {
-        return res.status(403).json({
-          error: 'El usuario solo puede cancelar pedidos pendientes o en procesamiento.',
-        });
-      }
-
-      order.status = 'cancelado';
-      await order.save();
-
-      // Notificar al cliente y publicar evento
-      await sendOrderEmail(order, 'cancelled', 'Cancelación realizada por el usuario.');
-      await publishToQueue('order.cancelled', {
-        orderId: order.id,
-        cancelledBy: 'usuario',
-      });
-
-      return res.json({
-        message: 'Pedido cancelado por el usuario.',
-        order,
-      });
-    }
-
-    // 🔹 CASO 2: Cancelación por administrador
-    if (role === 'admin') {
-      // Admin debe proporcionar un motivo de cancelación
-      if (!reason || reason.trim() === '') {
-        return res.status(400).json({
-          error: 'El administrador debe proporcionar una razón de cancelación.',
-        });
-      }
-
-      order.status = 'cancelado';
-      await order.save();
-
-      // Notificar al cliente incluyendo el motivo
-      await sendOrderEmail(order, 'cancelled', `Cancelado por admin: ${reason}`);
-      await publishToQueue('order.cancelled', {
-        orderId: order.id,
-        cancelledBy: 'admin',
-        reason,
-      });
-
-      return res.json({
-        message: 'Pedido cancelado por el administrador.',
-        order,
-      });
-    }
-
-    // 🔹 Si el rol no es válido
-    return res.status(400).json({ error: 'Rol inválido. Debe ser "user" o "admin".' });
-
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Error al cancelar pedido.' });
-  }
+  const { idOrTracking, reason } = req.validated; // 👈 id o trackingNumber, y motivo opcional (el rol y el autor vienen del token)
+  const { role, subject } = req.auth;
+
+  // 🔹 La máquina de estados decide desde qué estados puede cancelar cada rol
+  // (el usuario solo puede cancelar sus pedidos pendientes o en procesamiento)
+  const order = await orderService.cancelOrder(idOrTracking, {
+    role,
+    reason,
+    actorId: subject,
+    source: 'rest',
+    ownerId: ownerScope(req.auth),
+  });
+
+  return res.json({
+    message: role === 'admin' ? 'Pedido cancelado por el administrador.' : 'Pedido cancelado por el usuario.',
+    order,
+  });
 };
 
 /**
- * Obtiene el historial de todos los pedidos de un cliente
- * Ordena los resultados por fecha de creación descendente
+ * Obtiene el historial de pedidos de un cliente, paginado igual que el listado
+ * Un usuario solo puede pedir su propio historial
  * @async
  * @param {Object} req - Objeto de solicitud Express
- * @param {string} req.params.clientId - ID del cliente
+ * @param {Object} req.auth - Quien llama (sujeto y rol del token)
+ * @param {Object} req.validated - Solicitud ya validada (ver middlewares/validationMiddleware)
+ * @param {string} req.validated.userId - ID del cliente (parámetro :clientId de la ruta)
+ * @param {string} [req.validated.currency] - Moneda (obligatoria al ordenar por monto)
+ * @param {string} [req.validated.sort] - Columna de orden (por defecto -createdAt)
+ * @param {number} [req.validated.limit] - Pedidos por página
+ * @param {string} [req.validated.cursor] - Cursor de la página siguiente
  * @param {Object} res - Objeto de respuesta Express
  * @returns {Promise<void>}
  */
 export const getOrderHistory = async (req, res) => {
-  try {
-    const { clientId } = req.params;
+  const { userId: clientId, currency, sort, limit, cursor } = req.validated;
+  assertClientAccess(req.auth, clientId);
 
-    // Buscar todos los pedidos del cliente, incluye sus items
-    const orders = await Order.findAll({
-      where: { clientId },
-      include: { model: OrderItem, as: 'items' },
-      order: [['createdAt', 'DESC']],  // Ordena de más reciente a más antiguo
-    });
+  // Buscar una página de pedidos del cliente, incluye sus items
+  const page = await orderService.getOrderHistory(clientId, { currency, sort, limit, cursor });
 
-    res.json(orders);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Error al obtener historial.' });
-  }
+  res.json(page);
 };
 
 /**
- * Obtiene todos los pedidos con filtros opcionales
- * Puede filtrar por ID, rango de fechas y usuario
+ * Obtiene una página de pedidos con filtros, orden y búsqueda opcionales
+ * Responde { orders, pageInfo: { total, limit, sort, hasMore, nextCursor } }
+ * Un usuario solo ve sus propios pedidos
  * @async
  * @param {Object} req - Objeto de solicitud Express
- * @param {Object} req.query - Parámetros de búsqueda
- * @param {string} [req.query.id] - ID del pedido (opcional)
- * @param {string} [req.query.startDate] - Fecha inicial (opcional)
- * @param {string} [req.query.endDate] - Fecha final (opcional)
- * @param {string} [req.query.userId] - ID del usuario/cliente (opcional)
+ * @param {Object} req.auth - Quien llama (sujeto y rol del token)
+ * @param {Object} req.validated - Parámetros de búsqueda ya validados (ver middlewares/validationMiddleware)
+ * @param {string} [req.validated.id] - ID del pedido
+ * @param {string} [req.validated.userId] - ID del usuario/cliente (un usuario solo puede indicar el suyo)
+ * @param {Array<string>} [req.validated.status] - Estados (en la query, separados por coma)
+ * @param {string} [req.validated.currency] - Moneda (obligatoria con minAmount/maxAmount)
+ * @param {string} [req.validated.minAmount] - Monto total mínimo
+ * @param {string} [req.validated.maxAmount] - Monto total máximo
+ * @param {string} [req.validated.startDate] - Fecha inicial (puede ir sola)
+ * @param {string} [req.validated.endDate] - Fecha final (puede ir sola)
+ * @param {string} [req.validated.productId] - Pedidos que incluyen este producto
+ * @param {string} [req.validated.search] - Búsqueda por nombre del cliente o número de seguimiento (parámetro q)
+ * @param {string} [req.validated.sort] - Columna de orden (por defecto -createdAt)
+ * @param {number} [req.validated.limit] - Pedidos por página
+ * @param {string} [req.validated.cursor] - Cursor de la página siguiente
  * @param {Object} res - Objeto de respuesta Express
  * @returns {Promise<void>}
  */
 export const getAllOrders = async (req, res) => {
-  try {
-    const { id, startDate, endDate, userId } = req.query;
-
-    // Construir objeto con filtros dinámicos
-    const filters = {};
-    if (id) filters.id = id;
-    if (userId) filters.userId = userId;
-    if (startDate && endDate)
-      filters.createdAt = { [Op.between]: [new Date(startDate), new Date(endDate)] };
+  const {
+    id, userId, status, currency, minAmount, maxAmount, startDate, endDate, productId, search,
+    sort, limit, cursor,
+  } = req.validated;
+
+  // Buscar una página de pedidos con los filtros especificados
+  const page = await orderService.listOrders(
+    { id, clientId: resolveClientId(req.auth, userId), status, currency, minAmount, maxAmount, startDate, endDate, productId, search },
+    { sort, limit, cursor }
+  );
+
+  res.json(page);
+};
 
-    // Buscar pedidos con los filtros especificados
-    const orders = await Order.findAll({
-      where: filters,
-      include: { model: OrderItem, as: 'items' },
-    });
+/**
+ * Obtiene la línea de tiempo de estados de un pedido
+ * Cada transición incluye estado anterior y nuevo, autor, rol, motivo, origen y fecha
+ * Un usuario solo puede consultar sus propios pedidos
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.auth - Quien llama (sujeto y rol del token)
+ * @param {Object} req.validated - Solicitud ya validada (ver middlewares/validationMiddleware)
+ * @param {string} req.validated.idOrTracking - ID del pedido o número de seguimiento (parámetro :id de la ruta)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const getOrderTimeline = async (req, res) => {
+  const { order, timeline } = await orderService.getOrderTimeline(req.validated.idOrTracking, { ownerId: ownerScope(req.auth) });
 
-    res.json(orders);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Error al obtener pedidos.' });
-  }
-};
\ No newline at end of file
+  res.json({ orderId: order.id, currentStatus: order.status, timeline });
+};
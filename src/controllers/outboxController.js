@@ -0,0 +1,32 @@
+import * as outboxService from '../services/outboxService.js';
+
+/**
+ * Lista los mensajes del outbox que no se han podido publicar en RabbitMQ
+ * (agotaron sus reintentos o llevan demasiado tiempo pendientes)
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de búsqueda
+ * @param {string} [req.query.status] - Filtro por estado ('pending' o 'failed')
+ * @param {string} [req.query.orderId] - Filtro por ID de la orden
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const getStuckMessages = async (req, res) => {
+  const { status, orderId } = req.query;
+  const messages = await outboxService.listStuckMessages({ status, orderId });
+  res.json(messages);
+};
+
+/**
+ * Reprograma un mensaje del outbox para que el relay lo publique de nuevo
+ * Responde 404 OUTBOX_MESSAGE_NOT_FOUND si no existe y 409 OUTBOX_MESSAGE_ALREADY_SENT si ya fue publicado
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del mensaje en el outbox
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<void>}
+ */
+export const retryMessage = async (req, res) => {
+  const message = await outboxService.retryOutboxMessage(req.params.id);
+  res.json({ message: 'Mensaje reprogramado para publicación.', outboxMessage: message });
+};
@@ -0,0 +1,101 @@
+// Importar la librería amqplib para conectar con RabbitMQ
+import amqp from 'amqplib';
+// Importar dotenv para cargar variables de entorno
+import dotenv from 'dotenv';
+// Importar utilidades para saber si el módulo se ejecuta como script
+import { fileURLToPath } from 'url';
+dotenv.config();
+
+/**
+ * 🧪 Servicio de inventario falso para desarrollo y pruebas locales
+ * Escucha los eventos 'order.created' del exchange 'order_events' y responde
+ * StockReserved o StockRejected en 'inventory_events', igual que lo haría
+ * el servicio de inventario real, para poder ejercitar la saga de reserva de stock
+ *
+ * Variables de entorno:
+ * - RABBITMQ_URL: URL de RabbitMQ
+ * - FAKE_INVENTORY_MODE: 'reserve' (por defecto), 'reject', 'random' o 'silent'
+ *   ('silent' no responde, para probar el vencimiento de la saga)
+ * - FAKE_INVENTORY_DELAY_MS: espera antes de responder (por defecto 1000ms)
+ *
+ * Las pruebas lo importan y lo inician con startFakeInventoryResponder sobre su propia conexión
+ *
+ * @example
+ * // Con docker compose levantado y RABBITMQ_URL apuntando a localhost
+ * FAKE_INVENTORY_MODE=reject npm run inventory:fake
+ */
+
+const MODE = process.env.FAKE_INVENTORY_MODE || 'reserve';
+const DELAY_MS = Number(process.env.FAKE_INVENTORY_DELAY_MS) || 1000;
+
+/**
+ * Decide la respuesta a un pedido según el modo
+ * @param {string} mode - 'reserve', 'reject', 'random' o 'silent'
+ * @returns {string|null} 'StockReserved', 'StockRejected' o null si no se responde
+ */
+const decide = (mode) => {
+  if (mode === 'silent') return null;
+  if (mode === 'reject') return 'StockRejected';
+  if (mode === 'random') return Math.random() < 0.5 ? 'StockReserved' : 'StockRejected';
+  return 'StockReserved';
+};
+
+/**
+ * 🚀 Comienza a responder pedidos creados sobre una conexión a RabbitMQ
+ * @async
+ * @param {Object} connection - Conexión de amqplib
+ * @param {Object} [options] - Comportamiento del inventario falso
+ * @param {string} [options.mode=FAKE_INVENTORY_MODE] - 'reserve', 'reject', 'random' o 'silent'
+ * @param {number} [options.delayMs=FAKE_INVENTORY_DELAY_MS] - Espera antes de responder
+ * @returns {Promise<{stop: Function}>} Función que deja de responder (cierra el canal)
+ */
+export const startFakeInventoryResponder = async (connection, { mode = MODE, delayMs = DELAY_MS } = {}) => {
+  const channel = await connection.createChannel();
+
+  await channel.assertExchange('order_events', 'topic', { durable: true });
+  await channel.assertExchange('inventory_events', 'topic', { durable: true });
+
+  // Cola temporal: se elimina al detener el proceso
+  const { queue } = await channel.assertQueue('', { exclusive: true, autoDelete: true });
+  await channel.bindQueue(queue, 'order_events', 'order.created');
+
+  console.log(`🧪 Inventario falso escuchando 'order.created' (modo: ${mode}, espera: ${delayMs}ms)`);
+
+  await channel.consume(queue, (msg) => {
+    const envelope = JSON.parse(msg.content.toString());
+    const orderId = envelope.message?.OrderId ?? envelope.message?.orderId;
+    channel.ack(msg);
+
+    const type = decide(mode);
+    if (!type || !orderId) return;
+
+    setTimeout(() => {
+      const reply = {
+        messageId: crypto.randomUUID(),
+        correlationId: envelope.correlationId ?? envelope.messageId,
+        conversationId: envelope.conversationId,
+        messageType: [`urn:message:InventoryService.Src.Messages:${type}`],
+        message: type === 'StockReserved'
+          ? { OrderId: orderId }
+          : { OrderId: orderId, Reason: 'Sin stock en bodega (inventario falso)' },
+        sentTime: new Date().toISOString(),
+      };
+      const routingKey = type === 'StockReserved' ? 'stock.reserved' : 'stock.rejected';
+
+      channel.publish('inventory_events', routingKey, Buffer.from(JSON.stringify(reply)), { persistent: true });
+      console.log(`🧪 ${type} enviado para la orden ${orderId}`);
+    }, delayMs);
+  });
+
+  return { stop: () => channel.close() };
+};
+
+// Solo se conecta por su cuenta al ejecutarse como script (npm run inventory:fake)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  amqp.connect(process.env.RABBITMQ_URL)
+    .then((connection) => startFakeInventoryResponder(connection))
+    .catch((error) => {
+      console.error('❌ Error en inventario falso:', error);
+      process.exit(1);
+    });
+}
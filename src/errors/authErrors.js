@@ -0,0 +1,43 @@
+// Importar categorías del modelo de errores de dominio
+import { ForbiddenError, UnauthorizedError } from './domainErrors.js';
+
+/**
+ * Errores de autenticación y autorización
+ * REST los traduce a 401 / 403 y gRPC a UNAUTHENTICATED / PERMISSION_DENIED
+ *
+ * @module errors/authErrors
+ */
+
+/**
+ * Error lanzado cuando la solicitud no trae un token válido
+ * (falta, está mal formado, vencido, con firma inválida o sin sujeto)
+ * Código UNAUTHENTICATED
+ *
+ * @extends UnauthorizedError
+ */
+export class AuthenticationError extends UnauthorizedError {
+  /**
+   * @param {string} [message] - Descripción para el cliente (sin detalles de la verificación)
+   */
+  constructor(message = 'Token de acceso inválido o vencido.') {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Error lanzado cuando el token es válido pero su rol no permite la operación
+ * o la operación es sobre datos de otro cliente
+ * Código ACCESS_DENIED
+ *
+ * @extends ForbiddenError
+ */
+export class AccessDeniedError extends ForbiddenError {
+  /**
+   * @param {string} [message] - Descripción para el cliente
+   */
+  constructor(message = 'No tiene permiso para realizar esta operación.') {
+    super(message);
+    this.name = 'AccessDeniedError';
+  }
+}
@@ -0,0 +1,29 @@
+// Importar categorías del modelo de errores de dominio
+import { UnavailableError } from './domainErrors.js';
+
+/**
+ * Errores del catálogo de productos
+ *
+ * @module errors/catalogErrors
+ */
+
+/**
+ * Error lanzado cuando no se puede consultar el catálogo (caído, tiempo agotado
+ * o respuesta inválida). La orden no se crea: sin catálogo no hay precios confiables
+ * Código CATALOG_UNAVAILABLE. El cliente recibe un mensaje genérico; la descripción
+ * del problema queda en reason para el log
+ *
+ * @extends UnavailableError
+ * @property {string} reason - Descripción interna del problema
+ */
+export class CatalogUnavailableError extends UnavailableError {
+  /**
+   * @param {string} reason - Descripción del problema (no se envía al cliente)
+   * @param {Error} [cause] - Error original del cliente del catálogo
+   */
+  constructor(reason, cause) {
+    super('El catálogo de productos no está disponible. Intente nuevamente.', { code: 'CATALOG_UNAVAILABLE', cause });
+    this.name = 'CatalogUnavailableError';
+    this.reason = reason;
+  }
+}
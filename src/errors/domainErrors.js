@@ -0,0 +1,183 @@
+/**
+ * Modelo de errores de dominio compartido por REST y gRPC
+ * Cada error de dominio pertenece a una categoría (NotFound, ValidationFailed, Conflict,
+ * Unauthorized, Forbidden, Unavailable) que fija su estado HTTP y su código gRPC, y trae
+ * un código estable (ej: 'ORDER_NOT_FOUND') que los clientes pueden usar para decidir qué hacer
+ * sin depender del texto del mensaje.
+ *
+ * El mensaje de un error de dominio es para el cliente: nunca debe incluir detalles
+ * internos (SQL, trazas, respuestas de otros servicios). Cualquier error que no sea
+ * de dominio se responde como error interno genérico
+ *
+ * - REST: application/problem+json (ver middlewares/errorMiddleware)
+ * - gRPC: código de estado con detalles google.rpc (ver gRPC/grpcErrors)
+ *
+ * @module errors/domainErrors
+ */
+
+/**
+ * Error de dominio base (no se lanza directamente: se usa una de sus categorías)
+ *
+ * @extends Error
+ * @property {string} code - Código estable del error (ej: 'ORDER_NOT_FOUND')
+ * @property {Object} [details] - Datos adicionales para el cliente (campos inválidos, estados permitidos...)
+ */
+export class DomainError extends Error {
+  /** Estado HTTP de la categoría */
+  static httpStatus = 500;
+  /** Nombre del código gRPC de la categoría (clave de grpc.status) */
+  static grpcStatus = 'INTERNAL';
+  /** Título de la categoría (igual para todos los errores de la categoría) */
+  static title = 'Error interno';
+
+  /**
+   * @param {string} message - Descripción para el cliente
+   * @param {Object} options - Opciones
+   * @param {string} options.code - Código estable del error
+   * @param {Object} [options.details] - Datos adicionales para el cliente
+   * @param {Error} [options.cause] - Error original (solo para el log)
+   */
+  constructor(message, { code, details, cause } = {}) {
+    super(message, { cause });
+    this.name = 'DomainError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /** @returns {number} Estado HTTP del error */
+  get httpStatus() {
+    return this.constructor.httpStatus;
+  }
+
+  /** @returns {string} Nombre del código gRPC del error */
+  get grpcStatus() {
+    return this.constructor.grpcStatus;
+  }
+
+  /** @returns {string} Título de la categoría del error */
+  get title() {
+    return this.constructor.title;
+  }
+}
+
+/**
+ * Datos de la solicitud inválidos → 400 / INVALID_ARGUMENT
+ * @extends DomainError
+ */
+export class ValidationFailedError extends DomainError {
+  static httpStatus = 400;
+  static grpcStatus = 'INVALID_ARGUMENT';
+  static title = 'Solicitud inválida';
+
+  /**
+   * @param {string} message - Descripción del problema
+   * @param {Object} [options] - Opciones (code, details, cause)
+   */
+  constructor(message, { code = 'VALIDATION_FAILED', ...options } = {}) {
+    super(message, { code, ...options });
+    this.name = 'ValidationFailedError';
+  }
+}
+
+/**
+ * Recurso inexistente → 404 / NOT_FOUND
+ * @extends DomainError
+ * @property {string} resourceType - Tipo de recurso buscado (ej: 'order')
+ * @property {string} resourceName - ID o referencia buscada
+ */
+export class NotFoundError extends DomainError {
+  static httpStatus = 404;
+  static grpcStatus = 'NOT_FOUND';
+  static title = 'Recurso no encontrado';
+
+  /**
+   * @param {string} message - Descripción para el cliente
+   * @param {Object} options - Opciones
+   * @param {string} options.code - Código estable del error
+   * @param {string} options.resourceType - Tipo de recurso buscado
+   * @param {string|number} [options.resourceName] - ID o referencia buscada
+   */
+  constructor(message, { code, resourceType, resourceName }) {
+    super(message, { code });
+    this.name = 'NotFoundError';
+    this.resourceType = resourceType;
+    this.resourceName = resourceName === undefined ? '' : String(resourceName);
+  }
+}
+
+/**
+ * La operación choca con el estado actual del recurso → 409 / FAILED_PRECONDITION
+ * (una transición no permitida, un aviso ya enviado, una clave de idempotencia reutilizada)
+ * @extends DomainError
+ */
+export class ConflictError extends DomainError {
+  static httpStatus = 409;
+  static grpcStatus = 'FAILED_PRECONDITION';
+  static title = 'Conflicto con el estado actual';
+
+  /**
+   * @param {string} message - Descripción para el cliente
+   * @param {Object} options - Opciones (code, details, cause)
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Falta un token válido → 401 / UNAUTHENTICATED
+ * @extends DomainError
+ */
+export class UnauthorizedError extends DomainError {
+  static httpStatus = 401;
+  static grpcStatus = 'UNAUTHENTICATED';
+  static title = 'No autenticado';
+
+  /**
+   * @param {string} message - Descripción para el cliente
+   * @param {Object} [options] - Opciones (code, details, cause)
+   */
+  constructor(message, { code = 'UNAUTHENTICATED', ...options } = {}) {
+    super(message, { code, ...options });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * El token es válido pero no permite la operación → 403 / PERMISSION_DENIED
+ * @extends DomainError
+ */
+export class ForbiddenError extends DomainError {
+  static httpStatus = 403;
+  static grpcStatus = 'PERMISSION_DENIED';
+  static title = 'Acceso denegado';
+
+  /**
+   * @param {string} message - Descripción para el cliente
+   * @param {Object} [options] - Opciones (code, details, cause)
+   */
+  constructor(message, { code = 'ACCESS_DENIED', ...options } = {}) {
+    super(message, { code, ...options });
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * Una dependencia no responde y conviene reintentar más tarde → 503 / UNAVAILABLE
+ * @extends DomainError
+ */
+export class UnavailableError extends DomainError {
+  static httpStatus = 503;
+  static grpcStatus = 'UNAVAILABLE';
+  static title = 'Servicio no disponible';
+
+  /**
+   * @param {string} message - Descripción para el cliente
+   * @param {Object} options - Opciones (code, details, cause)
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UnavailableError';
+  }
+}
@@ -0,0 +1,31 @@
+// Importar categorías del modelo de errores de dominio
+import { ConflictError } from './domainErrors.js';
+
+/**
+ * Errores de las claves de idempotencia
+ *
+ * @module errors/idempotencyErrors
+ */
+
+/**
+ * Error lanzado cuando se reutiliza una clave de idempotencia con una solicitud distinta
+ * a la original (dentro de la ventana en que la clave sigue vigente)
+ * Código IDEMPOTENCY_KEY_MISMATCH; en REST responde 422, como es habitual para esta clave
+ *
+ * @extends ConflictError
+ * @property {string} key - Clave reutilizada
+ */
+export class IdempotencyKeyMismatchError extends ConflictError {
+  static httpStatus = 422;
+
+  /**
+   * @param {string} key - Clave reutilizada
+   */
+  constructor(key) {
+    super('La clave de idempotencia ya se usó con una solicitud distinta. Use una clave nueva para otra solicitud.', {
+      code: 'IDEMPOTENCY_KEY_MISMATCH',
+    });
+    this.name = 'IdempotencyKeyMismatchError';
+    this.key = key;
+  }
+}
@@ -0,0 +1,66 @@
+// Importar categorías del modelo de errores de dominio
+import { ConflictError, NotFoundError } from './domainErrors.js';
+
+/**
+ * Errores de envío de avisos al cliente
+ *
+ * @module errors/notificationErrors
+ */
+
+/**
+ * Error de un aviso que no tiene sentido reintentar
+ * (la orden no tiene el contacto del canal o el proveedor no está configurado)
+ * El worker de notificaciones marca el aviso como fallido sin esperar más intentos
+ * (es interno del worker: no llega a los clientes)
+ *
+ * @extends Error
+ */
+export class PermanentNotificationError extends Error {
+  /**
+   * @param {string} message - Descripción del problema
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentNotificationError';
+  }
+}
+
+/**
+ * Error lanzado cuando no existe el aviso solicitado (código NOTIFICATION_NOT_FOUND)
+ *
+ * @extends NotFoundError
+ */
+export class NotificationNotFoundError extends NotFoundError {
+  /**
+   * @param {number|string} id - ID del aviso buscado
+   */
+  constructor(id) {
+    super('Aviso no encontrado.', { code: 'NOTIFICATION_NOT_FOUND', resourceType: 'notification', resourceName: id });
+    this.name = 'NotificationNotFoundError';
+  }
+}
+
+/**
+ * Error lanzado al reprogramar un aviso que ya fue enviado (código NOTIFICATION_ALREADY_SENT)
+ *
+ * @extends ConflictError
+ */
+export class NotificationAlreadySentError extends ConflictError {
+  constructor() {
+    super('El aviso ya fue enviado.', { code: 'NOTIFICATION_ALREADY_SENT' });
+    this.name = 'NotificationAlreadySentError';
+  }
+}
+
+/**
+ * Error lanzado al reenviar un aviso que aún está pendiente de envío (código NOTIFICATION_PENDING)
+ * Solo se reenvían los avisos fallidos: uno pendiente ya está en la cola del worker
+ *
+ * @extends ConflictError
+ */
+export class NotificationPendingError extends ConflictError {
+  constructor() {
+    super('El aviso aún está pendiente de envío; solo se pueden reenviar avisos fallidos.', { code: 'NOTIFICATION_PENDING' });
+    this.name = 'NotificationPendingError';
+  }
+}
@@ -0,0 +1,133 @@
+// Importar categorías del modelo de errores de dominio
+import { ConflictError, NotFoundError, ValidationFailedError } from './domainErrors.js';
+
+/**
+ * Errores de dominio asociados al ciclo de vida de las órdenes
+ * Permiten que cada transporte (REST o gRPC) traduzca el error
+ * a su propio código de respuesta sin repetir la lógica de negocio
+ * (la categoría de cada error fija su estado; ver errors/domainErrors)
+ *
+ * @module errors/orderErrors
+ */
+
+/**
+ * Error lanzado cuando se intenta un cambio de estado no permitido
+ * por la máquina de estados de la orden (o no permitido para el rol indicado)
+ * Código INVALID_TRANSITION; el cliente recibe el estado actual y los permitidos
+ *
+ * @extends ConflictError
+ * @property {string} from - Estado actual de la orden
+ * @property {string} to - Estado solicitado
+ * @property {string} role - Rol que intentó la transición
+ * @property {Array<string>} allowed - Estados a los que el rol sí puede mover la orden
+ */
+export class InvalidTransitionError extends ConflictError {
+  /**
+   * @param {string} from - Estado actual de la orden
+   * @param {string} to - Estado solicitado
+   * @param {string} role - Rol que intentó la transición
+   * @param {Array<string>} allowed - Próximos estados permitidos para el rol
+   */
+  constructor(from, to, role, allowed) {
+    super(
+      `No se puede cambiar el pedido de "${from}" a "${to}" con rol "${role}". ` +
+      `Estados permitidos: ${allowed.length ? allowed.join(', ') : 'ninguno'}.`,
+      {
+        code: 'INVALID_TRANSITION',
+        details: { currentStatus: from, requestedStatus: to, allowedTransitions: allowed },
+      }
+    );
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+    this.role = role;
+    this.allowed = allowed;
+  }
+}
+
+/**
+ * Error lanzado cuando no existe la orden solicitada (código ORDER_NOT_FOUND)
+ *
+ * @extends NotFoundError
+ * @property {string} reference - ID o número de seguimiento buscado
+ */
+export class OrderNotFoundError extends NotFoundError {
+  /**
+   * @param {string} reference - ID o número de seguimiento buscado
+   */
+  constructor(reference) {
+    super('Pedido no encontrado.', { code: 'ORDER_NOT_FOUND', resourceType: 'order', resourceName: reference });
+    this.name = 'OrderNotFoundError';
+    this.reference = reference;
+  }
+}
+
+/**
+ * Error lanzado cuando los datos de una operación sobre la orden son inválidos
+ * (por ejemplo, un rol desconocido o una cancelación de admin sin motivo)
+ * Código VALIDATION_FAILED salvo que una subclase indique otro
+ *
+ * @extends ValidationFailedError
+ */
+export class OrderValidationError extends ValidationFailedError {
+  /**
+   * @param {string} message - Descripción del problema
+   * @param {Object} [options] - Código y datos adicionales (para las subclases)
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'OrderValidationError';
+  }
+}
+
+/**
+ * Error lanzado cuando uno o más items del pedido no coinciden con el catálogo
+ * (producto desconocido o inactivo, moneda distinta o precio diferente al vigente)
+ * Lista cada línea afectada para que el cliente pueda corregirlas todas de una vez
+ * Código INVALID_ORDER_ITEMS; en REST responde 422 (la solicitud está bien formada,
+ * pero no coincide con el catálogo)
+ *
+ * @extends OrderValidationError
+ * @property {Array<{line: number, productId: string, reason: string, expectedPrice?: string, receivedPrice?: string, catalogCurrency?: string}>} lines
+ *   Líneas con problemas (line empieza en 1; reason: 'unknown_product', 'inactive_product',
+ *   'currency_mismatch' o 'price_mismatch')
+ */
+export class InvalidOrderItemsError extends OrderValidationError {
+  static httpStatus = 422;
+
+  /**
+   * @param {Array<Object>} lines - Líneas del pedido con problemas
+   */
+  constructor(lines) {
+    super(`Hay ${lines.length} item(s) del pedido que no coinciden con el catálogo de productos.`, {
+      code: 'INVALID_ORDER_ITEMS',
+      details: { lines },
+    });
+    this.name = 'InvalidOrderItemsError';
+    this.lines = lines;
+  }
+}
+
+/**
+ * Error lanzado cuando una solicitud no cumple el esquema de su operación
+ * (campo obligatorio ausente, tipo o formato incorrecto, valor fuera de rango o desconocido)
+ * Lista cada campo con problemas para que el cliente pueda corregirlos todos de una vez
+ * Código INVALID_REQUEST
+ *
+ * @extends OrderValidationError
+ * @property {Array<{field: string, message: string}>} fields
+ *   Campos con problemas (field es la ruta del campo, ej: 'items[0].quantity')
+ */
+export class RequestValidationError extends OrderValidationError {
+  /**
+   * @param {Array<{field: string, message: string}>} fields - Campos con problemas
+   */
+  constructor(fields) {
+    super(`Solicitud inválida: ${fields.map(({ field, message }) => `${field} ${message}`).join('; ')}.`, {
+      code: 'INVALID_REQUEST',
+      details: { fields },
+    });
+    this.name = 'RequestValidationError';
+    this.fields = fields;
+  }
+}
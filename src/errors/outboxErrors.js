@@ -0,0 +1,37 @@
+// Importar categorías del modelo de errores de dominio
+import { ConflictError, NotFoundError } from './domainErrors.js';
+
+/**
+ * Errores de la administración del outbox
+ *
+ * @module errors/outboxErrors
+ */
+
+/**
+ * Error lanzado cuando no existe el mensaje del outbox solicitado
+ * (código OUTBOX_MESSAGE_NOT_FOUND)
+ *
+ * @extends NotFoundError
+ */
+export class OutboxMessageNotFoundError extends NotFoundError {
+  /**
+   * @param {number|string} id - ID del mensaje buscado
+   */
+  constructor(id) {
+    super('Mensaje no encontrado.', { code: 'OUTBOX_MESSAGE_NOT_FOUND', resourceType: 'outbox-message', resourceName: id });
+    this.name = 'OutboxMessageNotFoundError';
+  }
+}
+
+/**
+ * Error lanzado al reprogramar un mensaje que ya fue publicado
+ * (código OUTBOX_MESSAGE_ALREADY_SENT)
+ *
+ * @extends ConflictError
+ */
+export class OutboxMessageAlreadySentError extends ConflictError {
+  constructor() {
+    super('El mensaje ya fue publicado.', { code: 'OUTBOX_MESSAGE_ALREADY_SENT' });
+    this.name = 'OutboxMessageAlreadySentError';
+  }
+}
@@ -0,0 +1,69 @@
+// Importar librería gRPC
+import grpc from '@grpc/grpc-js';
+// Importar verificación de tokens y reglas de acceso
+import { bearerToken, authenticateToken, assertOperationAllowed } from '../services/authService.js';
+// Importar errores de autenticación y su traducción a estados gRPC
+import { AuthenticationError } from '../errors/authErrors.js';
+import { toGrpcStatus } from './grpcErrors.js';
+// Importar prefijo del servicio de salud (no exige token)
+import { HEALTH_SERVICE_PATH } from './healthGrpcService.js';
+
+/**
+ * 🔐 Interceptor de autenticación del servidor gRPC
+ * Verifica el JWT de la metadata 'authorization' ('Bearer <token>') antes de que la
+ * llamada llegue a su handler, y revisa que el rol del token pueda usar el método
+ * (OPERATION_ROLES, por nombre del RPC). Quien llama queda disponible para el
+ * handler con getCallPrincipal(call). Sin token válido responde UNAUTHENTICATED y
+ * sin permiso PERMISSION_DENIED, con los mismos detalles que el resto de los errores.
+ * Las revisiones de salud (grpc.health.v1.Health) pasan sin token
+ *
+ * @module gRPC/authInterceptor
+ */
+
+// Quien llama, por metadata de la llamada (la misma instancia llega al handler)
+const principals = new WeakMap();
+
+/**
+ * Obtiene quién hace una llamada ya autenticada por el interceptor
+ * @param {Object} call - Llamada recibida por el handler
+ * @returns {{subject: string, role: string}} Sujeto y rol del token
+ * @throws {AuthenticationError} Si la llamada no pasó por el interceptor
+ */
+export const getCallPrincipal = (call) => {
+  const principal = principals.get(call.metadata);
+  if (!principal) throw new AuthenticationError();
+  return principal;
+};
+
+/**
+ * Interceptor para new grpc.Server({ interceptors: [authInterceptor] })
+ * @param {Object} methodDescriptor - Método llamado (path: '/order.OrderService/CreateOrder')
+ * @param {Object} call - Llamada entrante
+ * @returns {grpc.ServerInterceptingCall} Llamada interceptada
+ */
+export const authInterceptor = (methodDescriptor, call) => {
+  if (methodDescriptor.path.startsWith(HEALTH_SERVICE_PATH)) return new grpc.ServerInterceptingCall(call);
+
+  const operation = methodDescriptor.path.split('/').pop();
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, nextMetadata) => {
+          const [authorization] = metadata.get('authorization');
+
+          Promise.resolve()
+            .then(() => authenticateToken(bearerToken(authorization ? String(authorization) : '')))
+            .then((principal) => {
+              assertOperationAllowed(principal, operation);
+              principals.set(metadata, principal);
+              nextMetadata(metadata);
+            })
+            .catch((error) =>
+              call.sendStatus(toGrpcStatus(error, { rpc: operation, message: 'Error verificando el token de acceso' }))
+            );
+        },
+      });
+    },
+  });
+};
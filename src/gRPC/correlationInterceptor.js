@@ -0,0 +1,58 @@
+// Importar librería gRPC
+import grpc from '@grpc/grpc-js';
+// Importar manejo del ID de correlación
+import { CORRELATION_HEADER, parseCorrelationId, runWithCorrelationId } from '../config/logger.js';
+
+/**
+ * 🔗 Interceptor de correlación del servidor gRPC
+ * Toma el ID de correlación de la metadata 'x-request-id' (o genera uno), lo devuelve en
+ * la metadata de respuesta (o en la final, si la llamada termina con un error) y ejecuta
+ * el resto de la llamada con ese ID, igual que X-Request-Id en la API REST. Va antes de
+ * authInterceptor para que también los rechazos de autenticación y todo lo que haga el
+ * handler queden con el ID
+ *
+ * @module gRPC/correlationInterceptor
+ */
+
+// Las claves de metadata gRPC van en minúsculas
+const METADATA_KEY = CORRELATION_HEADER.toLowerCase();
+
+/**
+ * Interceptor para new grpc.Server({ interceptors: [..., correlationInterceptor, authInterceptor] })
+ * @param {Object} methodDescriptor - Método llamado (path: '/order.OrderService/CreateOrder')
+ * @param {Object} call - Llamada entrante
+ * @returns {grpc.ServerInterceptingCall} Llamada interceptada
+ */
+export const correlationInterceptor = (methodDescriptor, call) => {
+  let correlationId = null;
+  let metadataSent = false;
+  // Los eventos de la llamada llegan fuera del contexto de quien la inició: cada uno
+  // se entrega al siguiente interceptor (y al final al handler) dentro del contexto
+  const withId = (fn) => runWithCorrelationId(correlationId, fn);
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, nextMetadata) => {
+          correlationId = parseCorrelationId(metadata.get(METADATA_KEY)) ?? crypto.randomUUID();
+          withId(() => nextMetadata(metadata));
+        },
+        onReceiveMessage: (message, nextMessage) => withId(() => nextMessage(message)),
+        onReceiveHalfClose: (nextHalfClose) => withId(() => nextHalfClose()),
+      });
+    },
+    sendMetadata: (metadata, next) => {
+      if (correlationId) metadata.set(METADATA_KEY, correlationId);
+      metadataSent = true;
+      next(metadata);
+    },
+    // Si la llamada termina sin enviar metadata (ej: un error antes de responder),
+    // el ID va en la metadata final
+    sendStatus: (status, next) => {
+      if (!correlationId || metadataSent) return next(status);
+      const metadata = status.metadata ?? new grpc.Metadata();
+      metadata.set(METADATA_KEY, correlationId);
+      next({ ...status, metadata });
+    },
+  });
+};
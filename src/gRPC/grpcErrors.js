@@ -0,0 +1,165 @@
+// Importar librerías necesarias para gRPC
+import grpc from '@grpc/grpc-js';
+import protobuf from 'protobufjs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Importar errores de dominio
+import { DomainError, NotFoundError } from '../errors/domainErrors.js';
+import { InvalidOrderItemsError, InvalidTransitionError, RequestValidationError } from '../errors/orderErrors.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+/**
+ * 🧯 Errores del servidor gRPC
+ * Traduce los errores de dominio al código de estado gRPC de su categoría y agrega
+ * los detalles estándar google.rpc en la metadata 'grpc-status-details-bin'
+ * (el mismo formato que leen los clientes de Google: Status con una lista de Any):
+ *
+ * - ErrorInfo: siempre; reason es el código estable del error (ej: ORDER_NOT_FOUND)
+ * - BadRequest: campos inválidos (RequestValidationError) o items que no coinciden
+ *   con el catálogo (InvalidOrderItemsError)
+ * - PreconditionFailure: transición no permitida y otros conflictos
+ * - ResourceInfo: recurso que no existe
+ *
+ * Por compatibilidad se mantienen las metadatas 'invalid-fields', 'invalid-items',
+ * 'current-status' y 'allowed-transitions'. Un error que no es de dominio se registra
+ * y se responde INTERNAL con un mensaje genérico
+ *
+ * @module gRPC/grpcErrors
+ */
+
+const log = logger.child({ module: 'grpc' });
+
+// Obtener la ruta del directorio actual
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Dominio de los ErrorInfo de este servicio
+const ERROR_DOMAIN = 'orders.censudex';
+
+// Mensajes google.rpc (copias de googleapis en src/proto/google/rpc)
+// (keepCase: los campos se escriben como en el .proto, ej: field_violations)
+const rpcProtos = new protobuf.Root().loadSync([
+  path.resolve(__dirname, '../proto/google/rpc/status.proto'),
+  path.resolve(__dirname, '../proto/google/rpc/error_details.proto'),
+], { keepCase: true });
+const Status = rpcProtos.lookupType('google.rpc.Status');
+
+/**
+ * Empaqueta un detalle google.rpc como google.protobuf.Any
+ * @param {string} typeName - Mensaje (ej: 'ErrorInfo')
+ * @param {Object} value - Contenido del mensaje
+ * @returns {{type_url: string, value: Uint8Array}} Detalle empaquetado
+ */
+const packDetail = (typeName, value) => {
+  const type = rpcProtos.lookupType(`google.rpc.${typeName}`);
+  return {
+    type_url: `type.googleapis.com/google.rpc.${typeName}`,
+    value: type.encode(type.fromObject(value)).finish(),
+  };
+};
+
+/**
+ * Serializa un valor como JSON solo con caracteres ASCII (los valores de metadata
+ * gRPC no admiten tildes ni ñ; los escapes \uXXXX siguen siendo JSON válido)
+ * @param {*} value - Valor a serializar
+ * @returns {string} JSON en ASCII
+ */
+const asciiJson = (value) =>
+  JSON.stringify(value).replace(/[\u007f-\uffff]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+/**
+ * Arma los detalles google.rpc de un error de dominio
+ * @param {DomainError} error - Error de dominio
+ * @returns {Array<Object>} Detalles empaquetados
+ */
+const errorDetails = (error) => {
+  const info = {};
+  if (error instanceof InvalidTransitionError) {
+    info.currentStatus = error.from;
+    info.requestedStatus = error.to;
+    info.allowedTransitions = error.allowed.join(',');
+  }
+  const details = [packDetail('ErrorInfo', { reason: error.code, domain: ERROR_DOMAIN, metadata: info })];
+
+  if (error instanceof RequestValidationError) {
+    details.push(packDetail('BadRequest', {
+      field_violations: error.fields.map(({ field, message }) => ({ field, description: message })),
+    }));
+  } else if (error instanceof InvalidOrderItemsError) {
+    details.push(packDetail('BadRequest', {
+      field_violations: error.lines.map(({ line, productId, reason }) => ({
+        field: `items[${line - 1}]`,
+        description: `${reason}: ${productId}`,
+      })),
+    }));
+  } else if (error instanceof InvalidTransitionError) {
+    details.push(packDetail('PreconditionFailure', {
+      violations: [{ type: error.code, subject: `status/${error.to}`, description: error.message }],
+    }));
+  } else if (error instanceof NotFoundError) {
+    details.push(packDetail('ResourceInfo', {
+      resource_type: error.resourceType,
+      resource_name: error.resourceName,
+      description: error.message,
+    }));
+  } else if (error.grpcStatus === 'FAILED_PRECONDITION') {
+    details.push(packDetail('PreconditionFailure', {
+      violations: [{ type: error.code, description: error.message }],
+    }));
+  }
+  return details;
+};
+
+/**
+ * Metadatas anteriores a los detalles google.rpc (se mantienen para los clientes existentes)
+ * @param {grpc.Metadata} metadata - Metadata de la respuesta
+ * @param {DomainError} error - Error de dominio
+ * @returns {void}
+ */
+const setLegacyMetadata = (metadata, error) => {
+  if (error instanceof RequestValidationError) {
+    metadata.set('invalid-fields', asciiJson(error.fields));
+  } else if (error instanceof InvalidOrderItemsError) {
+    metadata.set('invalid-items', asciiJson(error.lines));
+  } else if (error instanceof InvalidTransitionError) {
+    metadata.set('current-status', error.from);
+    metadata.set('allowed-transitions', error.allowed.join(','));
+  }
+};
+
+/**
+ * 🔁 Traduce un error al estado gRPC que recibe el cliente
+ * - Error de dominio → código de su categoría, su mensaje y los detalles google.rpc
+ * - Otro error → se registra y se responde INTERNAL con el mensaje genérico indicado
+ *
+ * @param {Error} error - Error capturado
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.rpc] - Método llamado (para el log)
+ * @param {string} [options.message='Error interno del servidor'] - Mensaje para el cliente si el error no es de dominio
+ * @returns {{code: number, details: string, metadata: grpc.Metadata}} Estado gRPC
+ *
+ * @example
+ * callback(toGrpcStatus(error, { rpc: 'CreateOrder', message: 'Error creando la orden' }));
+ */
+export const toGrpcStatus = (error, { rpc, message = 'Error interno del servidor' } = {}) => {
+  const metadata = new grpc.Metadata();
+
+  if (!(error instanceof DomainError)) {
+    // 🔴 Registra el error completo; el cliente solo recibe un mensaje genérico
+    log.error({ rpc, err: error }, 'Error en llamada gRPC');
+    return { code: grpc.status.INTERNAL, details: message, metadata };
+  }
+
+  const code = grpc.status[error.grpcStatus];
+  if (code === grpc.status.UNAVAILABLE) {
+    log.warn({ rpc, code: error.code, reason: error.reason || error.cause?.message || error.message }, 'Dependencia no disponible en llamada gRPC');
+  }
+
+  setLegacyMetadata(metadata, error);
+  metadata.set(
+    'grpc-status-details-bin',
+    Buffer.from(Status.encode(Status.fromObject({ code, message: error.message, details: errorDetails(error) })).finish())
+  );
+  return { code, details: error.message, metadata };
+};
@@ -0,0 +1,137 @@
+// Importar librerías necesarias para gRPC
+import grpc from '@grpc/grpc-js';
+import protoLoader from '@grpc/proto-loader';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Importar revisión de dependencias del servicio
+import { checkReadiness } from '../services/healthService.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+/**
+ * 🩺 Servicio estándar grpc.health.v1.Health
+ * Informa SERVING mientras la base de datos y RabbitMQ responden (la misma revisión
+ * que GET /health/ready) y NOT_SERVING si alguna falla. Responde al servidor completo
+ * (service = '') y a cada servicio registrado (ej: 'order.OrderService')
+ * No pasa por la autenticación ni por la validación de solicitudes: lo consultan el
+ * API Gateway, los balanceadores y grpc_health_probe, que no tienen token
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - HEALTH_WATCH_INTERVAL_MS: cada cuánto Watch revisa si cambió el estado (por defecto 5000ms)
+ *
+ * @module gRPC/healthGrpcService
+ */
+
+const log = logger.child({ module: 'grpc' });
+
+// Obtener la ruta del directorio actual
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const WATCH_INTERVAL_MS = Number(process.env.HEALTH_WATCH_INTERVAL_MS) || 5000;
+
+// Llamadas Watch abiertas (se cierran al apagar el servidor)
+const watches = new Set();
+
+// Cargar la definición estándar del servicio de salud
+const healthProto = grpc.loadPackageDefinition(protoLoader.loadSync(
+  path.resolve(__dirname, '../proto/grpc/health/v1/health.proto'),
+  { keepCase: true, enums: String, defaults: true }
+)).grpc.health.v1;
+
+/**
+ * Prefijo de los métodos del servicio de salud (para excluirlos de la autenticación)
+ * @type {string}
+ */
+export const HEALTH_SERVICE_PATH = '/grpc.health.v1.Health/';
+
+/**
+ * Estado de servicio según la revisión de dependencias
+ * @async
+ * @returns {Promise<string>} 'SERVING' o 'NOT_SERVING'
+ */
+const servingStatus = async () => ((await checkReadiness()).ready ? 'SERVING' : 'NOT_SERVING');
+
+/**
+ * Registra el servicio de salud en un servidor gRPC
+ * @param {grpc.Server} server - Servidor gRPC
+ * @param {Array<string>} services - Nombres completos de los servicios del servidor
+ * @returns {void}
+ */
+export const addHealthService = (server, services) => {
+  const known = new Set(['', ...services]);
+
+  server.addService(healthProto.Health.service, {
+    /**
+     * Estado actual de un servicio
+     * @async
+     * @param {Object} call - Llamada con request.service
+     * @param {Function} callback - Función para enviar la respuesta
+     * @returns {Promise<void>}
+     */
+    async Check(call, callback) {
+      if (!known.has(call.request.service)) {
+        return callback({ code: grpc.status.NOT_FOUND, details: `Servicio desconocido: ${call.request.service}` });
+      }
+      try {
+        callback(null, { status: await servingStatus() });
+      } catch (error) {
+        log.error({ err: error }, 'Error revisando la salud del servicio');
+        callback(null, { status: 'NOT_SERVING' });
+      }
+    },
+
+    /**
+     * Envía el estado actual y después cada cambio, hasta que el cliente cancela
+     * (un servicio desconocido recibe SERVICE_UNKNOWN y la llamada sigue abierta)
+     * @param {Object} call - Llamada de streaming con request.service
+     * @returns {void}
+     */
+    Watch(call) {
+      if (!known.has(call.request.service)) {
+        call.write({ status: 'SERVICE_UNKNOWN' });
+        watches.add(call);
+        call.on('cancelled', () => watches.delete(call));
+        return;
+      }
+
+      let last = null;
+      let timer = null;
+      const tick = async () => {
+        const status = await servingStatus().catch(() => 'NOT_SERVING');
+        if (call.cancelled) return;
+        if (status !== last) {
+          last = status;
+          call.write({ status });
+        }
+        timer = setTimeout(tick, WATCH_INTERVAL_MS);
+      };
+
+      watches.add(call);
+      call.on('cancelled', () => {
+        clearTimeout(timer);
+        watches.delete(call);
+      });
+      call.on('finish', () => {
+        clearTimeout(timer);
+        watches.delete(call);
+      });
+      tick();
+    },
+  });
+};
+
+/**
+ * Cierra las llamadas Watch abiertas informando NOT_SERVING
+ * (sin esto el apagado ordenado del servidor esperaría a que cada cliente cancele)
+ * @returns {void}
+ */
+export const endHealthWatches = () => {
+  for (const call of watches) {
+    if (!call.cancelled) {
+      call.write({ status: 'NOT_SERVING' });
+      call.end();
+    }
+  }
+  watches.clear();
+};
@@ -0,0 +1,36 @@
+// Importar librería gRPC
+import grpc from '@grpc/grpc-js';
+// Importar métricas gRPC
+import { grpcHandledTotal, grpcHandlingDuration } from '../config/metrics.js';
+
+/**
+ * 📈 Interceptor de métricas del servidor gRPC
+ * Cuenta cada llamada y mide su duración al enviar el estado final, por servicio,
+ * RPC y código gRPC ('OK', 'NOT_FOUND', ...). Va antes de authInterceptor para contar
+ * también las llamadas rechazadas por falta de token o de permiso
+ *
+ * @module gRPC/metricsInterceptor
+ */
+
+// Nombre de cada código gRPC por su número (0 → 'OK')
+const STATUS_NAMES = Object.fromEntries(Object.entries(grpc.status).map(([name, code]) => [code, name]));
+
+/**
+ * Interceptor para new grpc.Server({ interceptors: [metricsInterceptor, ...] })
+ * @param {Object} methodDescriptor - Método llamado (path: '/order.OrderService/CreateOrder')
+ * @param {Object} call - Llamada entrante
+ * @returns {grpc.ServerInterceptingCall} Llamada interceptada
+ */
+export const metricsInterceptor = (methodDescriptor, call) => {
+  const [, service, method] = methodDescriptor.path.split('/');
+  const stopTimer = grpcHandlingDuration.startTimer();
+
+  return new grpc.ServerInterceptingCall(call, {
+    sendStatus: (status, next) => {
+      const labels = { grpc_service: service, grpc_method: method, grpc_code: STATUS_NAMES[status.code] ?? String(status.code) };
+      grpcHandledTotal.inc(labels);
+      stopTimer(labels);
+      next(status);
+    },
+  });
+};
@@ -2,17 +2,34 @@
 import grpc from '@grpc/grpc-js';
 import protoLoader from '@grpc/proto-loader';
 import dotenv from 'dotenv';
-import { Order } from '../models/order.js';
-import { OrderItem } from '../models/orderItem.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { faker } from '@faker-js/faker';
-import { Op } from 'sequelize';
-import { sendOrderEmail } from '../config/sendgrid.js';
-import { publishToQueue } from '../config/rabbitmq.js';
+import * as orderService from '../services/orderService.js';
+import * as notificationService from '../services/notificationService.js';
+import { watchOrder } from '../services/orderWatchService.js';
+import { isFinalStatus } from '../services/orderStateMachine.js';
+import { resolveCurrency, toMoneyParts, fromMoneyParts } from '../services/money.js';
+import { OrderValidationError } from '../errors/orderErrors.js';
+import { resolveClientId, assertClientAccess, ownerScope } from '../services/authService.js';
+import { authInterceptor, getCallPrincipal } from './authInterceptor.js';
+import { metricsInterceptor } from './metricsInterceptor.js';
+import { correlationInterceptor } from './correlationInterceptor.js';
+import { tracingInterceptor } from './tracingInterceptor.js';
+import { toGrpcStatus } from './grpcErrors.js';
+import { addHealthService, endHealthWatches } from './healthGrpcService.js';
+import { REQUEST_SCHEMAS, validateRequest } from '../schemas/orderSchemas.js';
+import { logger } from '../config/logger.js';
 
 dotenv.config();
 
+const log = logger.child({ module: 'grpc' });
+
+// ⚙️ ORDER_WATCH_HEARTBEAT_MS: cada cuánto WatchOrder envía un latido (por defecto 15000ms)
+const WATCH_HEARTBEAT_MS = Number(process.env.ORDER_WATCH_HEARTBEAT_MS) || 15000;
+
+// Llamadas WatchOrder abiertas (se cierran al apagar el servidor)
+const orderWatches = new Set();
+
 // Obtener la ruta del directorio actual
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -35,288 +52,539 @@ const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
 // Cargar el paquete de definiciones gRPC
 const orderProto = grpc.loadPackageDefinition(packageDefinition).order;
 
+// Cada RPC del servicio debe tener su esquema de validación
+const methodsWithoutSchema = Object.keys(orderProto.OrderService.service).filter((method) => !REQUEST_SCHEMAS[method]);
+if (methodsWithoutSchema.length) {
+  throw new Error(`RPC sin esquema de validación: ${methodsWithoutSchema.join(', ')}`);
+}
+
+/**
+ * Convierte los items de CreateOrderRequest a items del servicio de órdenes
+ * El precio (Money) es opcional: el servicio usa el del catálogo y solo lo compara
+ * con el enviado. Si viene, debe estar en la moneda de la orden
+ * (la indicada en la solicitud o, si no viene, la del primer precio)
+ * @param {Array<Object>} items - Items del mensaje
+ * @param {string} [currency] - Moneda indicada en la solicitud
+ * @returns {{currency: string, items: Array<Object>}} Moneda resuelta e items con precio decimal
+ * @throws {OrderValidationError} Si la moneda de un precio no es la de la orden
+ */
+const fromItemMessages = (items = [], currency) => {
+  const orderCurrency = resolveCurrency(currency || items.find((item) => item.price?.currencyCode)?.price.currencyCode);
+  return {
+    currency: orderCurrency,
+    items: items.map((item) => {
+      if (!item.price) {
+        return { productId: item.productId, quantity: item.quantity };
+      }
+      if (item.price.currencyCode && resolveCurrency(item.price.currencyCode) !== orderCurrency) {
+        throw new OrderValidationError(
+          `El precio del producto ${item.productId} está en ${item.price.currencyCode} y la orden en ${orderCurrency}.`
+        );
+      }
+      return { productId: item.productId, quantity: item.quantity, price: fromMoneyParts(item.price, orderCurrency) };
+    }),
+  };
+};
+
+/**
+ * Convierte los filtros de monto (Money) de GetAllOrdersRequest a filtros del servicio
+ * La moneda del filtro es la indicada en la solicitud o, si no viene, la de los montos
+ * @param {Object} request - Solicitud con minAmount, maxAmount y currency
+ * @returns {{currency?: string, minAmount?: string, maxAmount?: string}} Filtros de monto
+ * @throws {OrderValidationError} Si hay montos sin moneda o en monedas distintas
+ */
+const fromAmountFilters = ({ minAmount, maxAmount, currency }) => {
+  const codes = [currency, minAmount?.currencyCode, maxAmount?.currencyCode].filter(Boolean).map(resolveCurrency);
+  if (new Set(codes).size > 1) {
+    throw new OrderValidationError('Los filtros de monto y moneda deben usar la misma moneda.');
+  }
+  const [filterCurrency] = codes;
+  if ((minAmount || maxAmount) && !filterCurrency) {
+    throw new OrderValidationError('El filtro por monto requiere indicar la moneda (currency o currencyCode).');
+  }
+  return {
+    currency: filterCurrency,
+    minAmount: minAmount ? fromMoneyParts(minAmount, filterCurrency) : undefined,
+    maxAmount: maxAmount ? fromMoneyParts(maxAmount, filterCurrency) : undefined,
+  };
+};
+
+/**
+ * Convierte los datos de una página del servicio al mensaje PageInfo del proto
+ * @param {Object} pageInfo - Datos de la página (ver orderService.listOrders)
+ * @returns {Object} Mensaje PageInfo
+ */
+const toPageInfoMessage = (pageInfo) => ({ ...pageInfo, nextCursor: pageInfo.nextCursor || '' });
+
+/**
+ * Convierte una orden del modelo al mensaje Order del proto
+ * (el proto expone clientId como userId, los montos como Money y las fechas en ISO 8601)
+ * @param {Order} order - Instancia de la orden
+ * @returns {Object} Mensaje Order
+ */
+const toOrderMessage = (order) => ({
+  id: order.id,
+  userId: order.clientId,
+  clientName: order.clientName,
+  totalAmount: toMoneyParts(order.totalAmount, order.currency),
+  status: order.status,
+  trackingNumber: order.trackingNumber || '',
+  shippingAddress: order.shippingAddress || '',
+  createdAt: order.createdAt ? new Date(order.createdAt).toISOString() : '',
+  locale: order.locale || '',
+  email: order.email || '',
+  phone: order.phone || '',
+  items: (order.items || []).map((item) => ({
+    id: item.id,
+    orderId: item.orderId,
+    productId: item.productId,
+    quantity: item.quantity,
+    price: toMoneyParts(item.price, order.currency),
+  })),
+});
+
+/**
+ * Convierte una transición del historial al mensaje StatusTransition del proto
+ * @param {OrderStatusHistory} entry - Transición registrada
+ * @returns {Object} Mensaje StatusTransition
+ */
+const toTransitionMessage = (entry) => ({
+  previousStatus: entry.previousStatus || '',
+  status: entry.status,
+  actorId: entry.actorId || '',
+  role: entry.role,
+  reason: entry.reason || '',
+  source: entry.source,
+  createdAt: new Date(entry.createdAt).toISOString(),
+});
+
+/**
+ * Convierte un aviso del modelo al mensaje Notification del proto
+ * @param {Notification} notification - Aviso con su registro de intentos
+ * @returns {Object} Mensaje Notification
+ */
+const toNotificationMessage = (notification) => ({
+  id: notification.id,
+  orderId: notification.orderId,
+  type: notification.type,
+  channel: notification.channel,
+  status: notification.status,
+  attempts: notification.attempts,
+  lastError: notification.lastError || '',
+  createdAt: notification.createdAt ? new Date(notification.createdAt).toISOString() : '',
+  attemptLog: (notification.attemptLog || []).map((attempt) => ({
+    attempt: attempt.attempt,
+    channel: attempt.channel,
+    status: attempt.status,
+    providerResponse: attempt.providerResponse ? JSON.stringify(attempt.providerResponse) : '',
+    error: attempt.error || '',
+    startedAt: new Date(attempt.startedAt).toISOString(),
+    finishedAt: new Date(attempt.finishedAt).toISOString(),
+  })),
+});
+
+/**
+ * Envía por el callback el error gRPC que corresponde al error capturado
+ * Los errores de dominio llevan su código y detalles google.rpc (ver gRPC/grpcErrors);
+ * el resto se registra y se responde INTERNAL sin detalles internos
+ * @param {Function} callback - Callback de la llamada gRPC
+ * @param {Error} error - Error capturado
+ * @param {string} rpc - Nombre del método (para el log)
+ * @param {string} message - Mensaje para el cliente en caso de error interno
+ * @returns {void}
+ */
+const fail = (callback, error, rpc, message) => callback(toGrpcStatus(error, { rpc, message }));
+
+/**
+ * Termina una llamada de streaming con el error gRPC que corresponde al error capturado
+ * (mismos códigos y detalles que fail)
+ * @param {Object} call - Llamada de streaming
+ * @param {Error} error - Error capturado
+ * @param {string} rpc - Nombre del método (para el log)
+ * @param {string} message - Mensaje para el cliente en caso de error interno
+ * @returns {void}
+ */
+const failStream = (call, error, rpc, message) => call.emit('error', toGrpcStatus(error, { rpc, message }));
+
+/**
+ * 📐 Valida call.request con el esquema de cada método antes de llamar a su handler
+ * (los mismos esquemas que usan las rutas REST)
+ * @param {Object<string, Function>} handlers - Handlers por nombre de método
+ * @returns {Object<string, Function>} Handlers que primero validan la solicitud
+ */
+const withRequestValidation = (handlers) =>
+  Object.fromEntries(
+    Object.entries(handlers).map(([method, handler]) => [
+      method,
+      (call, callback) => {
+        try {
+          validateRequest(method, call.request);
+        } catch (error) {
+          // Los métodos de streaming (WatchOrder) no reciben callback
+          return callback
+            ? fail(callback, error, method, 'Solicitud inválida')
+            : failStream(call, error, method, 'Solicitud inválida');
+        }
+        return handler(call, callback);
+      },
+    ])
+  );
+
 /**
  * 📚 Implementación de métodos del servicio gRPC
- * Define todas las operaciones disponibles para órdenes
+ * Cada método traduce la solicitud al servicio de dominio de órdenes
+ * (el mismo que usa el controlador REST) y su resultado al mensaje del proto.
+ * Las llamadas llegan ya autenticadas por authInterceptor, que también revisa el rol
+ * de cada método; los handlers limitan a un usuario a sus propias órdenes
  */
-const orderService = {
+const orderHandlers = {
   /**
    * ✅ Crea una nueva orden con sus items asociados
+   * Con la metadata 'idempotency-key' un reintento devuelve la orden original
+   * (con la metadata de respuesta 'idempotent-replayed: true')
    * @async
    * @param {Object} call - Objeto que contiene los datos de la solicitud
    * @param {Object} call.request - Datos enviados por el cliente
-   * @param {string} call.request.clientId - ID del cliente
+   * @param {string} [call.request.userId] - ID del cliente (un usuario solo puede indicar el suyo; por defecto el del token)
    * @param {string} call.request.clientName - Nombre del cliente
    * @param {string} call.request.shippingAddress - Dirección de envío
    * @param {Array} call.request.items - Array de items del pedido
-   * @param {string} call.request.email - Email del cliente
+   * @param {string} [call.request.email] - Correo de contacto para avisos
+   * @param {string} [call.request.phone] - Teléfono de contacto para SMS
+   * @param {string} [call.request.locale] - Idioma de los correos ('es-CL' por defecto, o 'en-US')
+   * @param {string} [call.request.currency] - Moneda de la orden ('CLP' por defecto, o 'USD')
    * @param {Function} callback - Función para enviar la respuesta
    * @returns {void}
    */
   async CreateOrder(call, callback) {
     try {
-      const { clientId, clientName, shippingAddress, items, email } = call.request;
-
-      // 🧮 Calcular el monto total sumando (precio * cantidad) de cada item
-      const totalAmount = items.reduce(
-        (sum, item) => sum + item.price * item.quantity,
-        0
-      );
-
-      // Generar número de seguimiento único
-      const trackingNumber = `TRK-${faker.string.alphanumeric(10).toUpperCase()}`;
-
-      // 🗃️ Crear la orden en la base de datos con sus items relacionados
-      const order = await Order.create(
-        {
-          clientId,
-          clientName,
-          email,
-          totalAmount,
-          trackingNumber,
-          shippingAddress,
-          status: 'pendiente',
-          items: items.map((item) => ({
-            productId: item.productId,
-            quantity: item.quantity,
-            price: item.price,
-          })),
-        },
-        { include: [{ model: OrderItem, as: 'items' }] }
-      );
-
-      // 📤 Publicar evento en RabbitMQ para notificar a otros servicios
-      await publishToQueue('order.created', {
-        orderId: order.id,
-        trackingNumber,
-        clientId,
+      const principal = getCallPrincipal(call);
+      const { userId, clientName, shippingAddress, email, phone, locale } = call.request;
+      const { currency, items } = fromItemMessages(call.request.items, call.request.currency);
+
+      const [idempotencyKey] = call.metadata.get('idempotency-key');
+
+      const { order, replayed } = await orderService.createOrder({
+        clientId: resolveClientId(principal, userId || undefined),
+        clientName,
+        shippingAddress,
+        email: email || undefined,
+        phone: phone || undefined,
         items,
+        locale: locale || undefined,
+        currency,
+      }, {
+        actorId: principal.subject,
+        role: principal.role,
+        source: 'grpc',
+        idempotencyKey: idempotencyKey ? String(idempotencyKey) : undefined,
       });
 
-      // 📧 Enviar correo de confirmación al cliente
-      await sendOrderEmail('created', order);
+      if (replayed) {
+        const metadata = new grpc.Metadata();
+        metadata.set('idempotent-replayed', 'true');
+        call.sendMetadata(metadata);
+      }
 
       // Enviar respuesta exitosa al cliente gRPC
-      callback(null, { message: 'Orden creada exitosamente', order });
+      callback(null, { order: toOrderMessage(order) });
     } catch (error) {
-      console.error('❌ Error en CreateOrder:', error);
-      // Enviar error en formato gRPC
-      callback({
-        code: grpc.status.INTERNAL,
-        message: `Error creando la orden: ${error.message}`,
-      });
+      fail(callback, error, 'CreateOrder', 'Error creando la orden');
     }
   },
 
   /**
-   * ✅ Obtiene todas las órdenes con filtros opcionales
+   * ✅ Obtiene una página de órdenes con filtros, orden y búsqueda opcionales
+   * Un usuario solo ve sus propias órdenes
    * @async
    * @param {Object} call - Objeto que contiene los parámetros de búsqueda
    * @param {string} [call.request.id] - ID de la orden (opcional)
-   * @param {string} [call.request.userId] - ID del usuario/cliente (opcional)
+   * @param {string} [call.request.userId] - ID del usuario/cliente (opcional; un usuario solo puede indicar el suyo)
    * @param {string} [call.request.startDate] - Fecha inicial en ISO (opcional)
    * @param {string} [call.request.endDate] - Fecha final en ISO (opcional)
+   * @param {Array<string>} [call.request.status] - Estados (opcional)
+   * @param {Object} [call.request.minAmount] - Monto mínimo como Money (opcional)
+   * @param {Object} [call.request.maxAmount] - Monto máximo como Money (opcional)
+   * @param {string} [call.request.currency] - Moneda (opcional)
+   * @param {string} [call.request.productId] - Producto incluido (opcional)
+   * @param {string} [call.request.search] - Texto buscado (opcional)
+   * @param {string} [call.request.sort] - Columna de orden (opcional)
+   * @param {number} [call.request.limit] - Órdenes por página (opcional)
+   * @param {string} [call.request.cursor] - Cursor de la página siguiente (opcional)
    * @param {Function} callback - Función para enviar la respuesta
    * @returns {void}
    */
   async GetAllOrders(call, callback) {
     try {
-      const { id, userId, startDate, endDate } = call.request;
-      const filters = {};
-
-      // Aplicar filtros si se proporcionan
-      if (id) filters.id = id;
-      if (userId) filters.clientId = userId;
-
-      // Filtrar por rango de fechas si se proporcionan
-      if (startDate && endDate) {
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        // Validar que las fechas sean válidas
-        if (isNaN(start) || isNaN(end)) {
-          return callback({
-            code: grpc.status.INVALID_ARGUMENT,
-            message: 'Fechas inválidas (use formato ISO: 2025-11-01T00:00:00Z)',
-          });
-        }
-        filters.createdAt = { [Op.between]: [start, end] };
-      }
+      const { id, userId, startDate, endDate, status, productId, search, sort, limit, cursor } = call.request;
 
-      // Buscar órdenes con los filtros aplicados
-      const orders = await Order.findAll({
-        where: filters,
-        include: [{ model: OrderItem, as: 'items' }],
-        order: [['createdAt', 'DESC']],  // Ordenar de más reciente a más antiguo
-      });
+      const { orders, pageInfo } = await orderService.listOrders(
+        { id, clientId: resolveClientId(getCallPrincipal(call), userId || undefined), startDate, endDate, status, productId, search, ...fromAmountFilters(call.request) },
+        { sort, limit, cursor }
+      );
 
-      callback(null, { orders });
+      callback(null, { orders: orders.map(toOrderMessage), pageInfo: toPageInfoMessage(pageInfo) });
     } catch (error) {
-      console.error('❌ Error en GetAllOrders:', error);
-      callback({
-        code: grpc.status.INTERNAL,
-        message: `Error obteniendo órdenes: ${error.message}`,
-      });
+      fail(callback, error, 'GetAllOrders', 'Error obteniendo órdenes');
     }
   },
 
   /**
    * ✅ Obtiene el estado de una orden por número de seguimiento
+   * Un usuario solo puede consultar sus propias órdenes
    * @async
    * @param {Object} call - Objeto que contiene el número de seguimiento
    * @param {string} call.request.trackingNumber - Número de seguimiento de la orden
+   * @param {boolean} [call.request.includeLastTransition] - Incluir el último cambio de estado
    * @param {Function} callback - Función para enviar la respuesta
    * @returns {void}
    */
   async GetOrderStatus(call, callback) {
     try {
-      const { trackingNumber } = call.request;
-      
-      // Buscar orden por número de seguimiento
-      const order = await Order.findOne({ where: { trackingNumber } });
-
-      if (!order)
-        return callback({ 
-          code: grpc.status.NOT_FOUND, 
-          message: 'Orden no encontrada' 
-        });
-
-      // Retornar estado de la orden
-      callback(null, { trackingNumber, status: order.status });
-    } catch (error) {
-      callback({
-        code: grpc.status.INTERNAL,
-        message: `Error obteniendo estado: ${error.message}`,
+      const { trackingNumber, includeLastTransition } = call.request;
+      const order = await orderService.getOrderByTracking(trackingNumber, {
+        ownerId: ownerScope(getCallPrincipal(call)),
+      });
+
+      // Opcionalmente incluye el último cambio de estado (igual que REST)
+      const lastTransition = includeLastTransition
+        ? await orderService.getLatestTransition(order.id)
+        : null;
+
+      // Retornar información resumida de la orden (igual que REST)
+      callback(null, {
+        status: order.status,
+        trackingNumber: order.trackingNumber,
+        clientName: order.clientName,
+        totalAmount: toMoneyParts(order.totalAmount, order.currency),
+        lastTransition: lastTransition ? toTransitionMessage(lastTransition) : null,
       });
+    } catch (error) {
+      fail(callback, error, 'GetOrderStatus', 'Error obteniendo estado');
     }
   },
 
   /**
-   * ✅ Actualiza el estado de una orden existente
+   * ✅ Actualiza el estado de una orden existente (solo admin; el autor es el sujeto del token)
    * @async
    * @param {Object} call - Objeto que contiene ID y nuevo estado
    * @param {string} call.request.id - ID de la orden
    * @param {string} call.request.status - Nuevo estado de la orden
+   * @param {string} [call.request.trackingNumber] - Número de seguimiento a asignar al enviar
+   * @param {string} [call.request.reason] - Motivo del cambio (usado al cancelar)
    * @param {Function} callback - Función para enviar la respuesta
    * @returns {void}
    */
   async UpdateOrderStatus(call, callback) {
     try {
-      const { id, status } = call.request;
-      
-      // Buscar la orden por ID
-      const order = await Order.findByPk(id);
-
-      if (!order)
-        return callback({ 
-          code: grpc.status.NOT_FOUND, 
-          message: 'Orden no encontrada' 
-        });
-
-      // Actualizar el estado de la orden
-      order.status = status;
-      await order.save();
-
-      // 📧 Notificar cambio de estado al cliente por correo
-      // Convierte estado 'enviado' a 'shipped' para el correo
-      await sendOrderEmail(status === 'enviado' ? 'shipped' : status, order);
+      const principal = getCallPrincipal(call);
+      const { id, status, trackingNumber, reason } = call.request;
+
+      // Aplicar la transición validada por la máquina de estados
+      // (asigna trackingNumber, notifica al cliente y publica el evento)
+      await orderService.changeOrderStatus(id, status, {
+        role: principal.role,
+        reason: reason || undefined,
+        trackingNumber: trackingNumber || undefined,
+        actorId: principal.subject,
+        source: 'grpc',
+      });
 
       // Retornar respuesta exitosa
       callback(null, { success: true });
     } catch (error) {
-      console.error('❌ Error en UpdateOrderStatus:', error);
-      callback({
-        code: grpc.status.INTERNAL,
-        message: `Error actualizando estado: ${error.message}`,
-      });
+      fail(callback, error, 'UpdateOrderStatus', 'Error actualizando estado');
     }
   },
 
   /**
-   * ✅ Cancela una orden con validación de rol
+   * ✅ Cancela una orden con validación de rol (el rol del token)
+   * Un usuario solo puede cancelar sus propias órdenes
    * @async
    * @param {Object} call - Objeto que contiene datos de cancelación
    * @param {string} call.request.idOrTracking - ID o número de seguimiento
-   * @param {string} call.request.role - Rol del usuario ('user' o 'admin')
-   * @param {string} [call.request.reason] - Motivo de cancelación (para admin)
+   * @param {string} [call.request.reason] - Motivo de cancelación (obligatorio para admin)
    * @param {Function} callback - Función para enviar la respuesta
    * @returns {void}
    */
   async CancelOrder(call, callback) {
     try {
-      const { idOrTracking, role, reason } = call.request;
-
-      // Validar que se proporcionó el rol
-      if (!role) {
-        return callback({
-          code: grpc.status.INVALID_ARGUMENT,
-          message: 'Debe especificar el rol (user o admin).',
-        });
-      }
-
-      // Buscar orden por ID o número de seguimiento
-      const order =
-        (await Order.findByPk(idOrTracking)) ||
-        (await Order.findOne({ where: { trackingNumber: idOrTracking } }));
-
-      if (!order)
-        return callback({
-          code: grpc.status.NOT_FOUND,
-          message: 'Pedido no encontrado.',
-        });
-
-      // Cambiar estado a cancelado
-      order.status = 'cancelado';
-      await order.save();
-
-      // 📧 Enviar correo de cancelación con motivo según el rol
-      if (role === 'user') {
-        await sendOrderEmail('cancelled', order, 'Cancelación realizada por el usuario.');
-      } else {
-        await sendOrderEmail('cancelled', order, `Cancelado por admin: ${reason || 'N/A'}`);
-      }
+      const principal = getCallPrincipal(call);
+      const { role } = principal;
+      const { idOrTracking, reason } = call.request;
+
+      // Cancelar según las reglas de la máquina de estados
+      // (el usuario solo puede cancelar sus pedidos pendientes o en procesamiento)
+      await orderService.cancelOrder(idOrTracking, {
+        role,
+        reason,
+        actorId: principal.subject,
+        source: 'grpc',
+        ownerId: ownerScope(principal),
+      });
 
       // Retornar respuesta exitosa
       callback(null, {
         success: true,
-        message: `Pedido cancelado por ${role === 'admin' ? 'administrador' : 'usuario'}.`,
+        message: role === 'admin' ? 'Pedido cancelado por el administrador.' : 'Pedido cancelado por el usuario.',
       });
     } catch (error) {
-      console.error('❌ Error en CancelOrder:', error);
-      callback({
-        code: grpc.status.INTERNAL,
-        message: `Error cancelando pedido: ${error.message}`,
-      });
+      fail(callback, error, 'CancelOrder', 'Error cancelando pedido');
     }
   },
 
   /**
-   * ✅ Obtiene el historial de órdenes de un cliente
+   * ✅ Obtiene una página del historial de órdenes de un cliente
+   * Un usuario solo puede pedir su propio historial
    * @async
    * @param {Object} call - Objeto que contiene el ID del cliente
-   * @param {string} call.request.clientId - ID del cliente
+   * @param {string} call.request.userId - ID del cliente
+   * @param {string} [call.request.sort] - Columna de orden (opcional)
+   * @param {number} [call.request.limit] - Órdenes por página (opcional)
+   * @param {string} [call.request.cursor] - Cursor de la página siguiente (opcional)
    * @param {Function} callback - Función para enviar la respuesta
    * @returns {void}
    */
   async GetOrderHistory(call, callback) {
     try {
-      const { clientId } = call.request;
-      
-      // Buscar todas las órdenes del cliente incluidas sus items
-      const orders = await Order.findAll({
-        where: { clientId },
-        include: [{ model: OrderItem, as: 'items' }],
+      const { userId, currency, sort, limit, cursor } = call.request;
+      assertClientAccess(getCallPrincipal(call), userId);
+      const { orders, pageInfo } = await orderService.getOrderHistory(userId, { currency, sort, limit, cursor });
+
+      callback(null, { orders: orders.map(toOrderMessage), pageInfo: toPageInfoMessage(pageInfo) });
+    } catch (error) {
+      fail(callback, error, 'GetOrderHistory', 'Error obteniendo historial');
+    }
+  },
+
+  /**
+   * ✅ Obtiene la línea de tiempo de estados de una orden
+   * Un usuario solo puede consultar sus propias órdenes
+   * @async
+   * @param {Object} call - Objeto que contiene la orden consultada
+   * @param {string} call.request.idOrTracking - ID o número de seguimiento
+   * @param {Function} callback - Función para enviar la respuesta
+   * @returns {void}
+   */
+  async GetOrderTimeline(call, callback) {
+    try {
+      const { order, timeline } = await orderService.getOrderTimeline(call.request.idOrTracking, {
+        ownerId: ownerScope(getCallPrincipal(call)),
       });
 
-      callback(null, { orders });
+      callback(null, {
+        orderId: order.id,
+        currentStatus: order.status,
+        transitions: timeline.map(toTransitionMessage),
+      });
     } catch (error) {
-      console.error('❌ Error en GetOrderHistory:', error);
-      callback({
-        code: grpc.status.INTERNAL,
-        message: `Error obteniendo historial: ${error.message}`,
+      fail(callback, error, 'GetOrderTimeline', 'Error obteniendo línea de tiempo');
+    }
+  },
+
+  /**
+   * ✅ Lista los avisos fallidos de una orden con su registro de intentos (solo admin)
+   * @async
+   * @param {Object} call - Objeto que contiene el ID de la orden
+   * @param {string} call.request.orderId - ID de la orden
+   * @param {Function} callback - Función para enviar la respuesta
+   * @returns {void}
+   */
+  async ListFailedNotifications(call, callback) {
+    try {
+      const notifications = await notificationService.listOrderNotifications({
+        orderId: call.request.orderId,
+        status: 'failed',
       });
+
+      callback(null, { notifications: notifications.map(toNotificationMessage) });
+    } catch (error) {
+      fail(callback, error, 'ListFailedNotifications', 'Error obteniendo avisos');
     }
   },
+
+  /**
+   * ✅ Vuelve a poner en cola un aviso fallido (solo admin)
+   * Responde NOT_FOUND (NOTIFICATION_NOT_FOUND) si no existe y FAILED_PRECONDITION
+   * si ya fue enviado (NOTIFICATION_ALREADY_SENT) o aún está pendiente (NOTIFICATION_PENDING)
+   * @async
+   * @param {Object} call - Objeto que contiene el ID del aviso
+   * @param {number} call.request.id - ID del aviso
+   * @param {Function} callback - Función para enviar la respuesta
+   * @returns {void}
+   */
+  async ResendNotification(call, callback) {
+    try {
+      const notification = await notificationService.resendNotification(call.request.id);
+      callback(null, { notification: toNotificationMessage(notification) });
+    } catch (error) {
+      fail(callback, error, 'ResendNotification', 'Error reprogramando aviso');
+    }
+  },
+
+  /**
+   * ✅ Sigue los cambios de una orden (server streaming)
+   * Envía el estado actual ('current'), cada cambio de estado o de número de seguimiento
+   * hecho por cualquier vía o instancia ('changed') y un latido cada
+   * ORDER_WATCH_HEARTBEAT_MS ('heartbeat'). Termina con OK cuando la orden llega a un
+   * estado final; si el cliente cancela se libera su suscripción.
+   * Un usuario solo puede seguir sus propias órdenes
+   * @async
+   * @param {Object} call - Llamada de streaming
+   * @param {string} call.request.idOrTracking - ID o número de seguimiento
+   * @returns {Promise<void>}
+   */
+  async WatchOrder(call) {
+    let order;
+    try {
+      order = await orderService.findOrderByIdOrTracking(call.request.idOrTracking, {
+        ownerId: ownerScope(getCallPrincipal(call)),
+      });
+    } catch (error) {
+      return failStream(call, error, 'WatchOrder', 'Error siguiendo la orden');
+    }
+    if (call.cancelled) return;
+
+    // Último estado enviado (los eventos repetidos o sin cambios no se reenvían)
+    let last = null;
+    let heartbeat = null;
+    let unsubscribe = null;
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe?.();
+      orderWatches.delete(call);
+    };
+
+    const send = (type, current) => {
+      if (call.cancelled || call.writableEnded) return;
+      const state = { status: current.status, trackingNumber: current.trackingNumber || '' };
+      if (type === 'changed' && state.status === last.status && state.trackingNumber === last.trackingNumber) return;
+
+      call.write({
+        type,
+        orderId: order.id,
+        ...state,
+        previousStatus: type === 'changed' ? last.status : '',
+        sentAt: new Date().toISOString(),
+      });
+      last = state;
+
+      if (type !== 'heartbeat' && isFinalStatus(state.status)) {
+        close();
+        call.end();
+      }
+    };
+
+    // Suscribirse antes de enviar el estado actual para no perder un cambio intermedio
+    unsubscribe = watchOrder(order.id, (current) => send('changed', current));
+    orderWatches.add(call);
+    call.on('cancelled', close);
+    call.on('finish', close);
+
+    heartbeat = setInterval(() => send('heartbeat', last), WATCH_HEARTBEAT_MS);
+    send('current', order);
+  },
 };
 
 /**
@@ -328,10 +596,16 @@ const orderService = {
  */
 export const startGrpcService = async () => {
   // Crear nueva instancia del servidor gRPC
-  const server = new grpc.Server();
+  // (cada llamada se mide, se traza, recibe su ID de correlación y pasa por la verificación del token y del rol)
+  const server = new grpc.Server({
+    interceptors: [metricsInterceptor, tracingInterceptor, correlationInterceptor, authInterceptor],
+  });
   
   // Agregar el servicio de órdenes con sus implementaciones
-  server.addService(orderProto.OrderService.service, orderService);
+  server.addService(orderProto.OrderService.service, withRequestValidation(orderHandlers));
+
+  // Servicio estándar de salud (grpc.health.v1.Health), sin token
+  addHealthService(server, ['order.OrderService']);
   
   // Obtener puerto del archivo .env o usar puerto por defecto
   const PORT = process.env.GRPC_PORT || 50052;
@@ -343,9 +617,38 @@ export const startGrpcService = async () => {
       grpc.ServerCredentials.createInsecure(),    // Sin cifrado (desarrollo)
       (err, port) => {
         if (err) return reject(err);
-        console.log(`🚀 Order gRPC Server corriendo en puerto ${port}`);
+        log.info({ port }, 'Servidor gRPC escuchando');
         resolve(server);
       }
     );
   });
-};
\ No newline at end of file
+};
+/**
+ * 🛑 Detiene el servidor gRPC de forma ordenada
+ * Deja de aceptar llamadas nuevas y espera a que terminen las que están en curso;
+ * si no terminan dentro del plazo, las corta
+ * @async
+ * @param {grpc.Server} server - Servidor iniciado con startGrpcService
+ * @param {number} timeoutMs - Espera máxima por las llamadas en curso
+ * @returns {Promise<void>}
+ */
+export const stopGrpcService = (server, timeoutMs) =>
+  new Promise((resolve) => {
+    // Los Watch de salud no terminan solos: se cierran informando NOT_SERVING
+    endHealthWatches();
+    // Los WatchOrder terminan con UNAVAILABLE para que el cliente se suscriba en otra instancia
+    for (const call of orderWatches) {
+      call.emit('error', { code: grpc.status.UNAVAILABLE, details: 'El servicio se está apagando; vuelva a suscribirse.' });
+    }
+
+    const timer = setTimeout(() => {
+      log.warn('Llamadas gRPC sin terminar al vencer el plazo de apagado, se cortan');
+      server.forceShutdown();
+      resolve();
+    }, timeoutMs);
+
+    server.tryShutdown(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
@@ -0,0 +1,81 @@
+// Importar librería gRPC
+import grpc from '@grpc/grpc-js';
+// Importar API de OpenTelemetry
+import { context, trace, ROOT_CONTEXT, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { suppressTracing } from '@opentelemetry/core';
+// Importar tracer y propagación W3C
+import { tracer, extractTraceContext } from '../config/tracing.js';
+// Importar prefijo del servicio de salud (no genera trazas)
+import { HEALTH_SERVICE_PATH } from './healthGrpcService.js';
+
+/**
+ * 🔭 Interceptor de trazas del servidor gRPC
+ * Abre un span SERVER por llamada ('order.OrderService/CreateOrder'), hijo del
+ * traceparent de la metadata si lo hay, y entrega los eventos de la llamada al resto de
+ * los interceptores y al handler dentro de ese span. Lo cierra al enviar el estado
+ * final (o si el cliente cancela); los códigos que indican una falla del servidor
+ * (INTERNAL, UNAVAILABLE...) quedan como error. Las revisiones de salud no generan trazas
+ *
+ * @module gRPC/tracingInterceptor
+ */
+
+// Códigos que son una falla del servidor y no del cliente (convención de OpenTelemetry)
+const SERVER_ERROR_CODES = new Set([
+  grpc.status.UNKNOWN,
+  grpc.status.DEADLINE_EXCEEDED,
+  grpc.status.UNIMPLEMENTED,
+  grpc.status.INTERNAL,
+  grpc.status.UNAVAILABLE,
+  grpc.status.DATA_LOSS,
+]);
+
+/**
+ * Interceptor para new grpc.Server({ interceptors: [..., tracingInterceptor, ...] })
+ * @param {Object} methodDescriptor - Método llamado (path: '/order.OrderService/CreateOrder')
+ * @param {Object} call - Llamada entrante
+ * @returns {grpc.ServerInterceptingCall} Llamada interceptada
+ */
+export const tracingInterceptor = (methodDescriptor, call) => {
+  const [, service, method] = methodDescriptor.path.split('/');
+  const probe = methodDescriptor.path.startsWith(HEALTH_SERVICE_PATH);
+  let span = null;
+  let spanContext = ROOT_CONTEXT;
+  const inSpan = (fn) => context.with(spanContext, fn);
+
+  // Cierra el span una sola vez con el código final de la llamada
+  const endSpan = (code, details) => {
+    if (!span) return;
+    span.setAttribute('rpc.grpc.status_code', code);
+    if (SERVER_ERROR_CODES.has(code)) span.setStatus({ code: SpanStatusCode.ERROR, message: details });
+    span.end();
+    span = null;
+  };
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, nextMetadata) => {
+          if (probe) {
+            spanContext = suppressTracing(ROOT_CONTEXT);
+          } else {
+            const parent = extractTraceContext(metadata.getMap());
+            span = tracer.startSpan(`${service}/${method}`, {
+              kind: SpanKind.SERVER,
+              attributes: { 'rpc.system': 'grpc', 'rpc.service': service, 'rpc.method': method },
+            }, parent);
+            spanContext = trace.setSpan(parent, span);
+          }
+          inSpan(() => nextMetadata(metadata));
+        },
+        onReceiveMessage: (message, nextMessage) => inSpan(() => nextMessage(message)),
+        onReceiveHalfClose: (nextHalfClose) => inSpan(() => nextHalfClose()),
+        // El cliente canceló (o venció su plazo): no habrá estado final
+        onCancel: () => endSpan(grpc.status.CANCELLED),
+      });
+    },
+    sendStatus: (status, next) => {
+      endSpan(status.code, status.details);
+      next(status);
+    },
+  });
+};
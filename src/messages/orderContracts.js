@@ -0,0 +1,189 @@
+// Importar utilidades del sistema para identificar el host que publica
+import os from 'os';
+// Importar dotenv para cargar variables de entorno
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * 📜 Contratos de los eventos de órdenes publicados en RabbitMQ
+ * Cada evento tiene su propio tipo de mensaje MassTransit (URN), su routingKey
+ * en el exchange 'order_events' y un cuerpo tipado, para que los consumidores
+ * .NET puedan deserializarlo sin adivinar la forma del mensaje
+ *
+ * @module messages/orderContracts
+ */
+
+/**
+ * Namespace .NET de los mensajes (debe coincidir con las clases del consumidor)
+ * Se puede cambiar con ORDER_EVENTS_MESSAGE_NAMESPACE
+ * @type {string}
+ */
+const MESSAGE_NAMESPACE = process.env.ORDER_EVENTS_MESSAGE_NAMESPACE || 'InventoryService.Src.Messages';
+
+/**
+ * Exchange donde se publican los eventos de órdenes
+ * @type {string}
+ */
+export const ORDER_EVENTS_EXCHANGE = 'order_events';
+
+/**
+ * Construye la URN MassTransit de un tipo de mensaje
+ * @param {string} name - Nombre de la clase del mensaje
+ * @returns {string} URN (ej: 'urn:message:InventoryService.Src.Messages:OrderCreatedMessage')
+ */
+const urn = (name) => `urn:message:${MESSAGE_NAMESPACE}:${name}`;
+
+/**
+ * 📚 Registro de contratos
+ * - routingKey: clave de enrutamiento en 'order_events'
+ * - messageType: URN MassTransit del mensaje
+ * - build: arma el cuerpo del mensaje (PascalCase, como las clases .NET) desde el evento
+ * @type {Object<string, {routingKey: string, messageType: string, build: Function}>}
+ */
+export const ORDER_CONTRACTS = {
+  /**
+   * Orden creada; dispara la reserva de stock en inventario
+   * Evento: { orderId, trackingNumber, userId, currency, items[{ productId, quantity, price }], occurredAt }
+   * Los precios llegan como texto decimal exacto y se envían como número JSON
+   * (representación más corta: '49.99' → 49.99), que .NET lee sin pérdida como decimal
+   */
+  OrderCreated: {
+    routingKey: 'order.created',
+    messageType: urn('OrderCreatedMessage'),
+    build: (event) => ({
+      OrderId: event.orderId,
+      TrackingNumber: event.trackingNumber || null,
+      UserId: event.userId,
+      Currency: event.currency || null,
+      Items: (event.items || []).map((item) => ({
+        ProductId: item.productId,
+        Quantity: item.quantity,
+        Price: Number(item.price),
+      })),
+      CreatedAt: event.occurredAt,
+    }),
+  },
+
+  /**
+   * Cambio de estado de la orden (procesamiento, envío)
+   * Evento: { orderId, previousStatus, status, trackingNumber, occurredAt }
+   */
+  OrderStatusChanged: {
+    routingKey: 'order.updated',
+    messageType: urn('OrderStatusChangedMessage'),
+    build: (event) => ({
+      OrderId: event.orderId,
+      PreviousStatus: event.previousStatus || null,
+      Status: event.status,
+      TrackingNumber: event.trackingNumber || null,
+      ChangedAt: event.occurredAt,
+    }),
+  },
+
+  /**
+   * Orden cancelada; inventario libera el stock reservado
+   * Evento: { orderId, previousStatus, cancelledBy, reason, occurredAt }
+   */
+  OrderCancelled: {
+    routingKey: 'order.cancelled',
+    messageType: urn('OrderCancelledMessage'),
+    build: (event) => ({
+      OrderId: event.orderId,
+      PreviousStatus: event.previousStatus || null,
+      CancelledBy: event.cancelledBy,
+      Reason: event.reason || null,
+      CancelledAt: event.occurredAt,
+    }),
+  },
+
+  /**
+   * Orden entregada al cliente
+   * Evento: { orderId, trackingNumber, occurredAt }
+   */
+  OrderDelivered: {
+    routingKey: 'order.delivered',
+    messageType: urn('OrderDeliveredMessage'),
+    build: (event) => ({
+      OrderId: event.orderId,
+      TrackingNumber: event.trackingNumber || null,
+      DeliveredAt: event.occurredAt,
+    }),
+  },
+};
+
+/**
+ * Obtiene un contrato por nombre
+ * @param {string} name - Nombre del contrato (ej: 'OrderCreated')
+ * @returns {Object} Contrato registrado
+ * @throws {Error} Si el contrato no existe
+ */
+export const getContract = (name) => {
+  const contract = ORDER_CONTRACTS[name];
+  if (!contract) throw new Error(`Contrato de mensaje desconocido: ${name}`);
+  return contract;
+};
+
+/**
+ * Dirección MassTransit de este servicio, derivada del host de RABBITMQ_URL
+ * @param {string} path - Cola o exchange (ej: 'order_events')
+ * @returns {string} Dirección (ej: 'rabbitmq://rabbitmq/order_events')
+ */
+export const busAddress = (path) => {
+  let host = 'localhost';
+  let vhost = '';
+  try {
+    const url = new URL(process.env.RABBITMQ_URL);
+    host = url.hostname;
+    vhost = url.pathname && url.pathname !== '/' ? url.pathname : '';
+  } catch {
+    // Sin RABBITMQ_URL válida se usa localhost
+  }
+  return `rabbitmq://${host}${vhost}/${path}`;
+};
+
+/**
+ * Datos del host que publica, incluidos en el envoltorio como hace MassTransit
+ * @type {Object}
+ */
+const HOST_INFO = {
+  machineName: os.hostname(),
+  processName: 'node',
+  processId: process.pid,
+  assembly: 'censudex-orders-service',
+  frameworkVersion: process.version,
+};
+
+/**
+ * ✉️ Construye el envoltorio MassTransit completo de un evento de orden
+ *
+ * @param {string} name - Nombre del contrato (ej: 'OrderCancelled')
+ * @param {Object} event - Datos del evento (debe incluir orderId)
+ * @param {Object} [options] - Datos del envoltorio
+ * @param {string} [options.messageId] - ID del mensaje (estable entre reintentos)
+ * @param {string} [options.correlationId] - ID de correlación (X-Request-Id de la solicitud de origen; por defecto el ID de la orden)
+ * @param {string} [options.conversationId] - ID de conversación (por defecto uno nuevo)
+ * @param {Object} [options.headers] - Cabeceras adicionales
+ * @returns {{routingKey: string, envelope: Object}} RoutingKey y envoltorio listo para publicar
+ *
+ * @example
+ * const { routingKey, envelope } = buildEnvelope('OrderCreated', { orderId, userId, items, occurredAt });
+ */
+export const buildEnvelope = (name, event, { messageId, correlationId, conversationId, headers } = {}) => {
+  const contract = getContract(name);
+
+  return {
+    routingKey: contract.routingKey,
+    envelope: {
+      messageId: messageId || crypto.randomUUID(),
+      conversationId: conversationId || crypto.randomUUID(),
+      correlationId: correlationId || event.orderId,
+      sourceAddress: busAddress('censudex-orders-service'),
+      destinationAddress: busAddress(`${ORDER_EVENTS_EXCHANGE}?type=topic`),
+      messageType: [contract.messageType],
+      message: contract.build(event),
+      sentTime: new Date().toISOString(),
+      headers: { ...headers },
+      host: HOST_INFO,
+    },
+  };
+};
@@ -0,0 +1,66 @@
+// Importar verificación de tokens y reglas de acceso
+import {
+  bearerToken,
+  authenticateToken,
+  assertOperationAllowed,
+  assertClientAccess,
+} from '../services/authService.js';
+
+/**
+ * 🔐 Verifica el JWT del header Authorization y guarda quién llama en req.auth
+ * Sin token válido pasa un AuthenticationError al manejador de errores (401)
+ *
+ * @async
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Siguiente middleware
+ * @returns {Promise<void>}
+ *
+ * @example
+ * router.use(authenticate);
+ * // req.auth = { subject: '123e4567-e89b-12d3-a456-426614174000', role: 'user' }
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    req.auth = await authenticateToken(bearerToken(req.get('Authorization')));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 🛡️ Permite la ruta solo a los roles de la operación (ver OPERATION_ROLES)
+ * Debe ir después de authenticate; con otro rol pasa un AccessDeniedError (403)
+ * @param {string} operation - Operación protegida
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * router.patch('/:id/status', authorize('UpdateOrderStatus'), ordersController.updateOrderStatus);
+ */
+export const authorize = (operation) => (req, res, next) => {
+  try {
+    assertOperationAllowed(req.auth, operation);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 👤 Permite la ruta solo si el cliente del parámetro es quien llama (o si es admin)
+ * Debe ir después de authenticate; con otro cliente pasa un AccessDeniedError (403)
+ * @param {string} [param='clientId'] - Parámetro de la ruta con el ID del cliente
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * router.get('/:clientId/notification-preferences', authorizeClient(), controller.getPreferences);
+ */
+export const authorizeClient = (param = 'clientId') => (req, res, next) => {
+  try {
+    assertClientAccess(req.auth, req.params[param]);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
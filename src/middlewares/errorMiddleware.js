@@ -1,23 +1,158 @@
+// Importar el error de dominio base (su categoría fija el estado HTTP)
+import { DomainError } from '../errors/domainErrors.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
 /**
- * Middleware de manejo de errores para Express
- * Captura cualquier error no manejado en las rutas y retorna una respuesta de error
- * Este middleware debe ser el último en la cadena de middlewares
- * 
+ * 🧯 Respuestas de error de la API REST
+ * Todos los errores se responden como application/problem+json (RFC 9457):
+ *
+ * {
+ *   "type": "urn:censudex:orders:error:ORDER_NOT_FOUND",
+ *   "title": "Recurso no encontrado",
+ *   "status": 404,
+ *   "detail": "Pedido no encontrado.",
+ *   "instance": "/orders/TRK-ABC123XYZ",
+ *   "code": "ORDER_NOT_FOUND"
+ * }
+ *
+ * `code` es estable y es lo que deben revisar los clientes; los datos propios del error
+ * (fields, lines, currentStatus, allowedTransitions...) van como miembros adicionales.
+ * Un error que no es de dominio se registra y se responde 500 INTERNAL_ERROR sin detalles
+ *
+ * @module middlewares/errorMiddleware
+ */
+
+const log = logger.child({ module: 'http' });
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * URI del tipo de problema de un código
+ * @param {string} code - Código estable del error
+ * @returns {string} URI del tipo (ej: 'urn:censudex:orders:error:ORDER_NOT_FOUND')
+ */
+const problemType = (code) => `urn:censudex:orders:error:${code}`;
+
+/**
+ * Errores de express.json() que sí se informan al cliente (por tipo de body-parser)
+ * @type {Object<string, {status: number, code: string, title: string, detail: string}>}
+ */
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': {
+    status: 400,
+    code: 'MALFORMED_JSON',
+    title: 'Solicitud inválida',
+    detail: 'El cuerpo de la solicitud no es un JSON válido.',
+  },
+  'entity.too.large': {
+    status: 413,
+    code: 'PAYLOAD_TOO_LARGE',
+    title: 'Solicitud demasiado grande',
+    detail: 'El cuerpo de la solicitud supera el tamaño permitido.',
+  },
+  'encoding.unsupported': {
+    status: 415,
+    code: 'UNSUPPORTED_ENCODING',
+    title: 'Codificación no soportada',
+    detail: 'La codificación del cuerpo de la solicitud no está soportada.',
+  },
+};
+
+/**
+ * Envía un problema como application/problem+json
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Object} problem - Problema (status, code, title, detail y miembros adicionales)
+ * @param {string} instance - Ruta de la solicitud
+ * @returns {void}
+ */
+const sendProblem = (res, { status, code, title, detail, ...extensions }, instance) => {
+  res
+    .status(status)
+    .type(PROBLEM_CONTENT_TYPE)
+    .send(JSON.stringify({ type: problemType(code), title, status, detail, instance, code, ...extensions }));
+};
+
+/**
+ * Traduce un error al problema que recibe el cliente
+ * @param {Error} error - Error capturado
+ * @returns {Object|null} Problema, o null si el error no es para el cliente
+ */
+const toProblem = (error) => {
+  if (error instanceof DomainError) {
+    return {
+      status: error.httpStatus,
+      code: error.code,
+      title: error.title,
+      detail: error.message,
+      ...error.details,
+    };
+  }
+  return BODY_PARSER_ERRORS[error.type] || null;
+};
+
+/**
+ * 🔍 Responde 404 ROUTE_NOT_FOUND a las rutas que no existen
+ * Debe montarse después de todas las rutas
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void}
+ *
+ * @example
+ * app.use(notFoundHandler);
+ */
+export const notFoundHandler = (req, res) => {
+  sendProblem(res, {
+    status: 404,
+    code: 'ROUTE_NOT_FOUND',
+    title: 'Recurso no encontrado',
+    detail: `No existe la ruta ${req.method} ${req.path}.`,
+  }, req.originalUrl);
+};
+
+/**
+ * 🧯 Middleware de manejo de errores para Express
+ * Captura los errores de las rutas (los controladores async los propagan solos) y los
+ * responde como application/problem+json. Debe ser el último middleware de la aplicación
+ *
+ * - Error de dominio → estado de su categoría, con su código y datos
+ *   (401 incluye WWW-Authenticate: Bearer)
+ * - JSON mal formado o cuerpo demasiado grande → 400 / 413
+ * - Cualquier otro error → se registra y se responde 500 INTERNAL_ERROR sin detalles
+ *
  * @param {Error} err - Objeto de error capturado
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} res - Objeto de respuesta Express
- * @param {Function} next - Función para pasar al siguiente middleware (no utilizado en este caso)
+ * @param {Function} next - Siguiente middleware (si la respuesta ya empezó a enviarse)
  * @returns {void}
- * 
+ *
  * @example
- * // Uso en el archivo principal de la aplicación (app.js o index.js):
+ * app.use(notFoundHandler);
  * app.use(errorHandler); // Debe ir al final de todas las rutas
  */
 export const errorHandler = (err, req, res, next) => {
-  // 🔴 Registra el error en la consola para propósitos de debugging
-  console.error('❌ Error:', err.message);
-  
-  // 📤 Retorna respuesta HTTP 500 (Error interno del servidor)
-  // con un mensaje genérico para no exponer detalles sensibles del error
-  res.status(500).json({ message: 'Error interno del servidor' });
-};
\ No newline at end of file
+  // Si la respuesta ya empezó, Express cierra la conexión
+  if (res.headersSent) return next(err);
+
+  const problem = toProblem(err);
+  if (!problem) {
+    // 🔴 Registra el error completo; el cliente solo recibe un mensaje genérico
+    log.error({ method: req.method, path: req.originalUrl.split('?')[0], err }, 'Error en solicitud HTTP');
+    return sendProblem(res, {
+      status: 500,
+      code: 'INTERNAL_ERROR',
+      title: 'Error interno',
+      detail: 'Error interno del servidor.',
+    }, req.originalUrl);
+  }
+
+  if (problem.status >= 500) {
+    log.warn(
+      { method: req.method, path: req.originalUrl.split('?')[0], code: problem.code, reason: err.reason || err.cause?.message || err.message },
+      'Dependencia no disponible en solicitud HTTP'
+    );
+  }
+  if (problem.status === 401) res.set('WWW-Authenticate', 'Bearer');
+  sendProblem(res, problem, req.originalUrl);
+};
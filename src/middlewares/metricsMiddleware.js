@@ -0,0 +1,42 @@
+// Importar métricas HTTP
+import { httpRequestsTotal, httpRequestDuration } from '../config/metrics.js';
+
+/**
+ * Plantilla de la ruta que atendió la solicitud ('/orders/:id')
+ * Si la ruta lanzó un error, al llegar al manejador de errores Express ya restauró
+ * req.baseUrl: por eso el prefijo de montaje ('/orders') se toma de la URL, quitándole
+ * tantos segmentos como tiene la ruta
+ * @param {Object} req - Objeto de solicitud Express
+ * @returns {string} Plantilla de la ruta o 'unmatched' si no llegó a ninguna
+ */
+export const routeLabel = (req) => {
+  if (!req.route) return 'unmatched';
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const routeSegments = req.route.path.split('/').filter(Boolean).length;
+  const prefix = segments.slice(0, segments.length - routeSegments).join('/');
+  return `/${prefix}${req.route.path}`.replace(/(.)\/$/, '$1').replace(/^\/\//, '/');
+};
+
+/**
+ * 📈 Middleware de métricas HTTP
+ * Cuenta cada solicitud y mide su duración al terminar la respuesta, por método,
+ * plantilla de la ruta ('/orders/:id') y código de estado. Las solicitudes que no llegan
+ * a una ruta (inexistentes, o rechazadas antes por el middleware del router, como un 401)
+ * se agrupan como 'unmatched' para no crear una serie por URL
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+export const metricsMiddleware = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.once('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+
+  next();
+};
@@ -0,0 +1,41 @@
+// Importar contexto asíncrono (para registrar el fin de la solicitud con su ID)
+import { AsyncLocalStorage } from 'node:async_hooks';
+// Importar logger y manejo del ID de correlación
+import { logger, CORRELATION_HEADER, getCorrelationId, parseCorrelationId, runWithCorrelationId } from '../config/logger.js';
+
+const log = logger.child({ module: 'http' });
+
+// Rutas que consultan los orquestadores y Prometheus cada pocos segundos (se registran en debug)
+const PROBE_PATHS = ['/health', '/metrics'];
+
+/**
+ * 🔗 Middleware de contexto de la solicitud
+ * Toma el ID de correlación de la cabecera X-Request-Id (o genera uno), lo devuelve en
+ * la misma cabecera de la respuesta y atiende el resto de la solicitud con ese ID: los
+ * logs lo incluyen y los eventos que la solicitud deja en el outbox lo publican.
+ * Al terminar la respuesta registra método, ruta, código de estado y duración
+ * (sin la query string, que puede traer datos del cliente)
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+export const requestContext = (req, res, next) => {
+  const startedAt = performance.now();
+
+  runWithCorrelationId(parseCorrelationId(req.get(CORRELATION_HEADER)), () => {
+    const path = req.originalUrl.split('?')[0];
+    res.set(CORRELATION_HEADER, getCorrelationId());
+
+    res.once('finish', AsyncLocalStorage.bind(() => {
+      const level = PROBE_PATHS.some((prefix) => path.startsWith(prefix)) ? 'debug' : 'info';
+      log[level](
+        { method: req.method, path, status: res.statusCode, durationMs: Math.round(performance.now() - startedAt) },
+        'Solicitud HTTP atendida'
+      );
+    }));
+
+    next();
+  });
+};
@@ -0,0 +1,46 @@
+// Importar API de OpenTelemetry
+import { context, trace, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+// Importar tracer y propagación W3C
+import { tracer, extractTraceContext, withoutTracing } from '../config/tracing.js';
+// Importar plantilla de la ruta (la misma etiqueta que usan las métricas)
+import { routeLabel } from './metricsMiddleware.js';
+
+// Sondas de los orquestadores y de Prometheus: no generan trazas
+const PROBE_PATHS = ['/health', '/metrics'];
+
+/**
+ * 🔭 Middleware de trazas HTTP
+ * Abre un span SERVER por solicitud, hijo del traceparent recibido si lo hay, y atiende
+ * el resto de la solicitud dentro de él (las consultas, publicaciones y envíos cuelgan
+ * de este span). Al terminar la respuesta le pone la plantilla de la ruta
+ * ('GET /orders/:id') y el código de estado; las respuestas 5xx quedan como error
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+export const tracingMiddleware = (req, res, next) => {
+  const path = req.originalUrl.split('?')[0];
+  if (PROBE_PATHS.some((prefix) => path.startsWith(prefix))) return withoutTracing(next);
+
+  const parent = extractTraceContext(req.headers);
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    attributes: { 'http.request.method': req.method, 'url.path': path },
+  }, parent);
+
+  // 'close' también llega si el cliente corta la conexión antes de la respuesta
+  res.once('close', () => {
+    const route = routeLabel(req);
+    if (route !== 'unmatched') {
+      span.updateName(`${req.method} ${route}`);
+      span.setAttribute('http.route', route);
+    }
+    span.setAttribute('http.response.status_code', res.statusCode);
+    if (res.statusCode >= 500) span.setStatus({ code: SpanStatusCode.ERROR });
+    span.end();
+  });
+
+  context.with(trace.setSpan(parent, span), next);
+};
@@ -0,0 +1,44 @@
+// Importar validación de solicitudes por operación
+import { validateRequest } from '../schemas/orderSchemas.js';
+// Importar errores de dominio
+import { RequestValidationError } from '../errors/orderErrors.js';
+
+/**
+ * 📐 Valida la solicitud contra el esquema de su operación (ver schemas/orderSchemas)
+ * Reúne los parámetros de ruta, la query y el cuerpo, y si algún campo no cumple
+ * el esquema pasa un RequestValidationError (400) con la lista de campos y el motivo.
+ * Si la solicitud es válida deja en req.validated lo que devuelve el esquema, con los
+ * nombres de order.proto y los valores ya normalizados (textos sin espacios sobrantes,
+ * moneda en mayúsculas, estados como lista, números como number, sin campos desconocidos);
+ * los controladores leen de ahí y no de req.params, req.query o req.body
+ *
+ * @param {string} operation - Operación (mismo nombre que su RPC, ej: 'CreateOrder')
+ * @param {Object<string, string>} [aliases] - Campos que en REST tienen otro nombre que en order.proto
+ *   ({ nombreEnProto: nombreEnRest }); los errores se informan con el nombre REST
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * router.get('/history/:clientId', validate('GetOrderHistory', { userId: 'clientId' }), ordersController.getOrderHistory);
+ * // GET /history/123e4567-e89b-12d3-a456-426614174000?currency=usd
+ * // req.validated = { userId: '123e4567-e89b-12d3-a456-426614174000', currency: 'USD' }
+ * // 400 { "code": "INVALID_REQUEST", "detail": "Solicitud inválida: clientId debe ser un UUID.",
+ * //       "fields": [{ "field": "clientId", "message": "debe ser un UUID" }], ... }
+ */
+export const validate = (operation, aliases = {}) => (req, res, next) => {
+  const fields = { ...req.query, ...(req.body ?? {}), ...req.params };
+  for (const [protoName, restName] of Object.entries(aliases)) {
+    fields[protoName] = fields[restName];
+  }
+
+  try {
+    req.validated = validateRequest(operation, fields);
+    next();
+  } catch (error) {
+    if (!(error instanceof RequestValidationError)) return next(error);
+
+    next(new RequestValidationError(error.fields.map(({ field, message }) => ({
+      field: field.replace(/^[^.[]+/, (name) => aliases[name] || name),
+      message,
+    }))));
+  }
+};
@@ -0,0 +1,217 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+/**
+ * 🧱 Migración: esquema inicial
+ * Crea las tablas de órdenes, items, historial de estados, outbox, sagas de stock,
+ * preferencias de aviso y avisos en cola, con sus índices y claves foráneas.
+ * Los montos quedan como FLOAT y sin moneda, como estaban antes de
+ * 20261019000000-exact-money (que los convierte a DECIMAL)
+ *
+ * Las bases creadas antes con sequelize.sync() ya tienen estas tablas: las que existen
+ * se dejan como están y la migración solo se registra como aplicada
+ *
+ * @module migrations/20261001000000-initial-schema
+ */
+
+/**
+ * Crea una tabla con sus índices si todavía no existe
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @param {string} table - Nombre de la tabla
+ * @param {Object} attributes - Columnas
+ * @param {Array<Object>} [indexes=[]] - Índices (mismas opciones que en el modelo)
+ * @returns {Promise<void>}
+ */
+const createTableIfMissing = async (queryInterface, table, attributes, indexes = []) => {
+  if (await queryInterface.tableExists(table)) {
+    logger.info({ module: 'migrations', table }, 'La tabla ya existe, se conserva');
+    return;
+  }
+  await queryInterface.createTable(table, attributes);
+  for (const index of indexes) {
+    await queryInterface.addIndex(table, index);
+  }
+};
+
+/**
+ * Aplica la migración
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const up = async (queryInterface) => {
+  await createTableIfMissing(queryInterface, 'Orders', {
+    id: { type: DataTypes.UUID, primaryKey: true },
+    clientId: { type: DataTypes.UUID, allowNull: false },
+    clientName: { type: DataTypes.STRING, allowNull: false },
+    totalAmount: { type: DataTypes.FLOAT, allowNull: false },
+    status: {
+      type: DataTypes.ENUM('pendiente', 'en procesamiento', 'enviado', 'entregado', 'cancelado'),
+      allowNull: false,
+      defaultValue: 'pendiente',
+    },
+    trackingNumber: { type: DataTypes.STRING, allowNull: true, comment: 'Número de seguimiento para rastrear el envío' },
+    shippingAddress: { type: DataTypes.STRING, allowNull: true, comment: 'Dirección de envío proporcionada por el cliente' },
+    email: { type: DataTypes.STRING, allowNull: true, comment: 'Correo de contacto para notificaciones del pedido' },
+    phone: { type: DataTypes.STRING(20), allowNull: true, comment: 'Teléfono de contacto para notificaciones por SMS' },
+    locale: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: 'es-CL',
+      comment: 'Idioma de los correos enviados al cliente',
+    },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+  }, [
+    { fields: ['createdAt'] },
+    { fields: ['clientId', 'createdAt'] },
+    { fields: ['status', 'createdAt'] },
+    { fields: ['totalAmount'] },
+    { fields: ['clientName'] },
+    { fields: ['trackingNumber'] },
+  ]);
+
+  await createTableIfMissing(queryInterface, 'OrderItems', {
+    id: { type: DataTypes.UUID, primaryKey: true },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Orders', key: 'id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+    },
+    productId: { type: DataTypes.UUID, allowNull: false },
+    quantity: { type: DataTypes.INTEGER, allowNull: false },
+    price: { type: DataTypes.FLOAT, allowNull: false },
+  });
+
+  await createTableIfMissing(queryInterface, 'OrderStatusHistories', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Orders', key: 'id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+    },
+    previousStatus: { type: DataTypes.STRING, allowNull: true },
+    status: { type: DataTypes.STRING, allowNull: false },
+    actorId: { type: DataTypes.STRING, allowNull: true },
+    role: { type: DataTypes.STRING, allowNull: false },
+    reason: { type: DataTypes.TEXT, allowNull: true },
+    source: { type: DataTypes.ENUM('rest', 'grpc', 'event', 'system'), allowNull: false },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+  }, [
+    { fields: ['orderId', 'id'] },
+  ]);
+
+  await createTableIfMissing(queryInterface, 'OutboxMessages', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    messageId: { type: DataTypes.UUID, allowNull: false },
+    aggregateId: { type: DataTypes.UUID, allowNull: false },
+    messageType: { type: DataTypes.STRING, allowNull: false },
+    routingKey: { type: DataTypes.STRING, allowNull: false },
+    payload: { type: DataTypes.JSON, allowNull: false },
+    status: { type: DataTypes.ENUM('pending', 'sent', 'failed'), allowNull: false, defaultValue: 'pending' },
+    attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    lastError: { type: DataTypes.TEXT, allowNull: true },
+    nextAttemptAt: { type: DataTypes.DATE, allowNull: false },
+    sentAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+  }, [
+    { fields: ['status', 'nextAttemptAt'] },
+    { fields: ['aggregateId', 'id'] },
+  ]);
+
+  await createTableIfMissing(queryInterface, 'OrderSagas', {
+    orderId: { type: DataTypes.UUID, primaryKey: true },
+    state: {
+      type: DataTypes.ENUM('awaiting_stock', 'completed', 'compensated', 'timed_out'),
+      allowNull: false,
+      defaultValue: 'awaiting_stock',
+    },
+    reason: { type: DataTypes.STRING, allowNull: true },
+    deadlineAt: { type: DataTypes.DATE, allowNull: false },
+    completedAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false },
+  }, [
+    { fields: ['state', 'deadlineAt'] },
+  ]);
+
+  await createTableIfMissing(queryInterface, 'NotificationPreferences', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    clientId: { type: DataTypes.UUID, allowNull: false },
+    eventType: {
+      type: DataTypes.ENUM('created', 'processing', 'shipped', 'delivered', 'cancelled'),
+      allowNull: false,
+    },
+    channel: { type: DataTypes.ENUM('email', 'sms', 'push', 'none'), allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false },
+  }, [
+    { unique: true, fields: ['clientId', 'eventType'] },
+  ]);
+
+  await createTableIfMissing(queryInterface, 'Notifications', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    orderId: { type: DataTypes.UUID, allowNull: false },
+    clientId: { type: DataTypes.UUID, allowNull: false },
+    type: { type: DataTypes.STRING, allowNull: false },
+    channel: { type: DataTypes.ENUM('email', 'sms', 'push'), allowNull: false },
+    details: { type: DataTypes.JSON, allowNull: false },
+    status: { type: DataTypes.ENUM('pending', 'sent', 'failed'), allowNull: false, defaultValue: 'pending' },
+    attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    lastError: { type: DataTypes.TEXT, allowNull: true },
+    nextAttemptAt: { type: DataTypes.DATE, allowNull: false },
+    sentAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false },
+  }, [
+    { fields: ['status', 'nextAttemptAt'] },
+    { fields: ['orderId', 'status'] },
+  ]);
+
+  await createTableIfMissing(queryInterface, 'NotificationAttempts', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    notificationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'Notifications', key: 'id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+    },
+    attempt: { type: DataTypes.INTEGER, allowNull: false },
+    channel: { type: DataTypes.STRING, allowNull: false },
+    status: { type: DataTypes.ENUM('sent', 'failed'), allowNull: false },
+    providerResponse: { type: DataTypes.JSON, allowNull: true },
+    error: { type: DataTypes.TEXT, allowNull: true },
+    startedAt: { type: DataTypes.DATE, allowNull: false },
+    finishedAt: { type: DataTypes.DATE, allowNull: false },
+  }, [
+    { fields: ['notificationId', 'attempt'] },
+  ]);
+};
+
+/**
+ * Revierte la migración (borra las tablas y sus datos)
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const down = async (queryInterface) => {
+  // Primero las tablas que referencian a otras
+  for (const table of [
+    'NotificationAttempts',
+    'Notifications',
+    'NotificationPreferences',
+    'OrderSagas',
+    'OutboxMessages',
+    'OrderStatusHistories',
+    'OrderItems',
+    'Orders',
+  ]) {
+    await queryInterface.dropTable(table);
+  }
+};
@@ -0,0 +1,76 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar reglas de redondeo por moneda
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, currencyDecimals } from '../services/money.js';
+
+/**
+ * 🧮 Migración: montos exactos con moneda
+ * Pasa Orders.totalAmount y OrderItems.price de FLOAT a DECIMAL(14,2), agrega
+ * Orders.currency (las órdenes existentes quedan en ORDER_CURRENCY, la moneda en que
+ * ya se mostraban), redondea los precios a los decimales de su moneda y recalcula
+ * los totales desde los items. Se puede ejecutar más de una vez sin efectos extra
+ * y no usa SQL propio de MySQL
+ *
+ * @module migrations/20261019000000-exact-money
+ */
+
+/**
+ * Aplica la migración
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const up = async (queryInterface) => {
+  const orders = await queryInterface.describeTable('Orders');
+  if (!orders.currency) {
+    await queryInterface.addColumn('Orders', 'currency', {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: DEFAULT_CURRENCY,
+      comment: 'Moneda del total y de los precios de los items',
+    });
+  }
+
+  await queryInterface.changeColumn('Orders', 'totalAmount', { type: DataTypes.DECIMAL(14, 2), allowNull: false });
+  await queryInterface.changeColumn('OrderItems', 'price', { type: DataTypes.DECIMAL(14, 2), allowNull: false });
+
+  // Redondear cada precio a los decimales de la moneda de su orden (CLP: 0, USD: 2)
+  // Solo subconsultas correlacionadas (sin UPDATE ... JOIN) e identificadores citados
+  // por el dialecto, para que corra igual en MySQL, SQLite o PostgreSQL
+  const q = (identifier) => queryInterface.quoteIdentifier(identifier);
+  const decimalsByCurrency = SUPPORTED_CURRENCIES
+    .map((currency) => `WHEN '${currency}' THEN ${currencyDecimals(currency)}`)
+    .join(' ');
+  await queryInterface.sequelize.query(
+    `UPDATE ${q('OrderItems')}
+     SET ${q('price')} = ROUND(${q('price')}, (
+       SELECT CASE ${q('Orders')}.${q('currency')} ${decimalsByCurrency} ELSE 2 END
+       FROM ${q('Orders')} WHERE ${q('Orders')}.${q('id')} = ${q('OrderItems')}.${q('orderId')}
+     ))`
+  );
+
+  // Recalcular los totales desde los items ya redondeados
+  await queryInterface.sequelize.query(
+    `UPDATE ${q('Orders')}
+     SET ${q('totalAmount')} = (
+       SELECT COALESCE(SUM(${q('OrderItems')}.${q('price')} * ${q('OrderItems')}.${q('quantity')}), 0)
+       FROM ${q('OrderItems')} WHERE ${q('OrderItems')}.${q('orderId')} = ${q('Orders')}.${q('id')}
+     )`
+  );
+};
+
+/**
+ * Revierte la migración (los montos vuelven a FLOAT y se pierde la moneda)
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const down = async (queryInterface) => {
+  await queryInterface.changeColumn('OrderItems', 'price', { type: DataTypes.FLOAT, allowNull: false });
+  await queryInterface.changeColumn('Orders', 'totalAmount', { type: DataTypes.FLOAT, allowNull: false });
+
+  const orders = await queryInterface.describeTable('Orders');
+  if (orders.currency) {
+    await queryInterface.removeColumn('Orders', 'currency');
+  }
+};
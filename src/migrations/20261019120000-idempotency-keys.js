@@ -0,0 +1,46 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+
+/**
+ * 🔑 Migración: claves de idempotencia
+ * Crea la tabla IdempotencyKeys, donde POST /orders y CreateOrder guardan cada clave
+ * con el hash de la solicitud y la orden creada (ver services/idempotencyService)
+ * Si la tabla ya existe (base creada con sequelize.sync()) se conserva
+ *
+ * @module migrations/20261019120000-idempotency-keys
+ */
+
+/**
+ * Aplica la migración
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const up = async (queryInterface) => {
+  if (await queryInterface.tableExists('IdempotencyKeys')) return;
+
+  await queryInterface.createTable('IdempotencyKeys', {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    scope: { type: DataTypes.STRING(50), allowNull: false },
+    key: { type: DataTypes.STRING(255), allowNull: false },
+    requestHash: { type: DataTypes.CHAR(64), allowNull: false },
+    orderId: { type: DataTypes.UUID, allowNull: true },
+    response: { type: DataTypes.JSON, allowNull: true },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+  });
+  // Una solicitud por clave y operación (también evita dos órdenes si los reintentos llegan a la vez)
+  await queryInterface.addIndex('IdempotencyKeys', { unique: true, fields: ['scope', 'key'] });
+  // Limpieza de claves vencidas
+  await queryInterface.addIndex('IdempotencyKeys', { fields: ['expiresAt'] });
+};
+
+/**
+ * Revierte la migración (se pierden las claves guardadas)
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const down = async (queryInterface) => {
+  await queryInterface.dropTable('IdempotencyKeys');
+};
@@ -0,0 +1,38 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+
+/**
+ * 🔗 Migración: ID de correlación en el outbox
+ * Agrega OutboxMessages.correlationId, donde se guarda el ID de correlación de la
+ * solicitud o mensaje que generó el evento (X-Request-Id); el relay lo publica como
+ * correlationId del envoltorio MassTransit. Los mensajes anteriores quedan en NULL y
+ * se publican con el ID de la orden, como hasta ahora
+ *
+ * @module migrations/20261019140000-outbox-correlation-id
+ */
+
+/**
+ * Aplica la migración
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const up = async (queryInterface) => {
+  const columns = await queryInterface.describeTable('OutboxMessages');
+  if (columns.correlationId) return;
+
+  await queryInterface.addColumn('OutboxMessages', 'correlationId', {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+  });
+};
+
+/**
+ * Revierte la migración (los mensajes pendientes se publicarán con el ID de la orden)
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const down = async (queryInterface) => {
+  await queryInterface.removeColumn('OutboxMessages', 'correlationId');
+};
@@ -0,0 +1,41 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+
+/**
+ * 🔭 Migración: contexto de traza en el outbox y en la cola de avisos
+ * Agrega traceContext (cabeceras W3C traceparent/tracestate) a OutboxMessages y a
+ * Notifications: el relay y el worker de avisos lo usan como padre de sus spans, para
+ * que la publicación y el envío queden en la traza de la solicitud que los originó.
+ * Las filas anteriores quedan en NULL y sus spans inician una traza propia
+ *
+ * @module migrations/20261019160000-trace-context
+ */
+
+// Tablas que reciben la columna
+const TABLES = ['OutboxMessages', 'Notifications'];
+
+/**
+ * Aplica la migración
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const up = async (queryInterface) => {
+  for (const table of TABLES) {
+    const columns = await queryInterface.describeTable(table);
+    if (columns.traceContext) continue;
+    await queryInterface.addColumn(table, 'traceContext', { type: DataTypes.JSON, allowNull: true });
+  }
+};
+
+/**
+ * Revierte la migración
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const down = async (queryInterface) => {
+  for (const table of TABLES) {
+    await queryInterface.removeColumn(table, 'traceContext');
+  }
+};
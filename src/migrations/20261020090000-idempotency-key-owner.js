@@ -0,0 +1,44 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+
+/**
+ * 👤 Migración: dueño de cada clave de idempotencia
+ * Agrega IdempotencyKeys.ownerId (quien hizo la solicitud) y lo incluye en el índice
+ * único, para que dos clientes que eligen la misma clave no choquen entre sí ni puedan
+ * saber que la clave del otro existe. Las claves anteriores quedan con ownerId vacío
+ * (no coinciden con ningún cliente) y vencen solas
+ *
+ * @module migrations/20261020090000-idempotency-key-owner
+ */
+
+/**
+ * Aplica la migración
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const up = async (queryInterface) => {
+  const columns = await queryInterface.describeTable('IdempotencyKeys');
+  if (columns.ownerId) return;
+
+  await queryInterface.addColumn('IdempotencyKeys', 'ownerId', {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: '',
+  });
+  await queryInterface.removeIndex('IdempotencyKeys', ['scope', 'key']);
+  await queryInterface.addIndex('IdempotencyKeys', { unique: true, fields: ['scope', 'ownerId', 'key'] });
+};
+
+/**
+ * Revierte la migración (si dos clientes usaron la misma clave, el índice anterior no
+ * se puede crear hasta que venzan)
+ * @async
+ * @param {QueryInterface} queryInterface - Interfaz de Sequelize para modificar tablas
+ * @returns {Promise<void>}
+ */
+export const down = async (queryInterface) => {
+  await queryInterface.removeIndex('IdempotencyKeys', ['scope', 'ownerId', 'key']);
+  await queryInterface.addIndex('IdempotencyKeys', { unique: true, fields: ['scope', 'key'] });
+  await queryInterface.removeColumn('IdempotencyKeys', 'ownerId');
+};
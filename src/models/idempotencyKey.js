@@ -0,0 +1,81 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from '../config/censudex-orders-db.js';
+
+/**
+ * Modelo de IdempotencyKey (Clave de idempotencia)
+ * Define la estructura de la tabla 'IdempotencyKeys' en la base de datos
+ * Guarda cada clave recibida en una operación (Idempotency-Key en REST o la metadata
+ * 'idempotency-key' en gRPC) con el hash de la solicitud y la respuesta entregada,
+ * para que un reintento devuelva el mismo resultado en vez de repetir la operación
+ *
+ * @type {Model}
+ * @property {number} id - Identificador autoincremental
+ * @property {string} scope - Operación protegida (ej: 'createOrder')
+ * @property {string} ownerId - Quien hizo la solicitud (cada cliente tiene sus propias claves)
+ * @property {string} key - Clave enviada por el cliente
+ * @property {string} requestHash - SHA-256 de la solicitud original
+ * @property {UUID} orderId - Orden creada por la solicitud original
+ * @property {Object} response - Orden entregada en la respuesta original (con sus items)
+ * @property {Date} expiresAt - Fecha desde la que la clave se puede volver a usar
+ * @property {Date} createdAt - Fecha de la solicitud original
+ */
+export const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  // 🔑 Campo id: identificador autoincremental
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+
+  // 🧭 Campo scope: operación a la que pertenece la clave
+  scope: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+
+  // 👤 Campo ownerId: quien hizo la solicitud (sujeto del token)
+  ownerId: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: ''
+  },
+
+  // 🏷️ Campo key: clave enviada por el cliente
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+
+  // #️⃣ Campo requestHash: hash de la solicitud original
+  requestHash: {
+    type: DataTypes.CHAR(64),
+    allowNull: false
+  },
+
+  // 🔗 Campo orderId: orden creada por la solicitud original
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+
+  // 📦 Campo response: respuesta original (orden con sus items)
+  response: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // ⏰ Campo expiresAt: fin de la ventana de idempotencia
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  // ⚙️ Opciones del modelo
+  updatedAt: false,                            // Solo se escribe una vez
+  indexes: [
+    { unique: true, fields: ['scope', 'ownerId', 'key'] }, // Una solicitud por clave, operación y cliente
+    { fields: ['expiresAt'] }                              // Limpieza de claves vencidas
+  ]
+});
@@ -14,9 +14,44 @@ import { Order } from './order.js';
 // Contiene la estructura y definición de los artículos dentro de una orden
 import { OrderItem } from './orderItem.js';
 
+// Importar modelo de mensajes de outbox (OutboxMessage)
+// Eventos de órdenes pendientes de publicar en RabbitMQ
+import { OutboxMessage } from './outboxMessage.js';
+
+// Importar modelo de sagas de reserva de stock (OrderSaga)
+// Estado de la reserva de inventario de cada orden
+import { OrderSaga } from './orderSaga.js';
+
+// Importar modelo de preferencias de notificación (NotificationPreference)
+// Canal elegido por cada cliente para cada aviso de sus pedidos
+import { NotificationPreference } from './notificationPreference.js';
+
+// Importar modelos de avisos en cola (Notification) y su auditoría (NotificationAttempt)
+// Avisos pendientes de envío al cliente y cada intento realizado
+import { Notification } from './notification.js';
+import { NotificationAttempt } from './notificationAttempt.js';
+
+// Importar modelo de historial de estados (OrderStatusHistory)
+// Cada transición de estado de una orden con su autor, motivo y origen
+import { OrderStatusHistory } from './orderStatusHistory.js';
+
+// Importar modelo de claves de idempotencia (IdempotencyKey)
+// Solicitudes ya procesadas y su respuesta, para responder igual a los reintentos
+import { IdempotencyKey } from './idempotencyKey.js';
+
 /**
  * Exportar modelos para su uso en otros módulos
- * Permite usar: import { Order, OrderItem } from './models/index.js'
+ * Permite usar: import { Order, OrderItem, OutboxMessage } from './models/index.js'
  * O simplemente: import { Order, OrderItem } from './models'
  */
-export { Order, OrderItem };
\ No newline at end of file
+export {
+  Order,
+  OrderItem,
+  OutboxMessage,
+  OrderSaga,
+  NotificationPreference,
+  Notification,
+  NotificationAttempt,
+  OrderStatusHistory,
+  IdempotencyKey,
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from '../config/censudex-orders-db.js';
+
+/**
+ * Modelo de Notification (Aviso al cliente)
+ * Define la estructura de la tabla 'Notifications' en la base de datos
+ * Cada fila es un aviso de pedido en cola: se escribe en la misma transacción
+ * que el cambio de la orden y el worker de notificaciones lo envía después,
+ * reintentando con backoff exponencial si el proveedor falla
+ * 
+ * @type {Model}
+ * @property {integer} id - Identificador autoincremental
+ * @property {UUID} orderId - ID de la orden notificada
+ * @property {UUID} clientId - ID del cliente notificado
+ * @property {string} type - Evento notificado (created, processing, shipped, delivered, cancelled)
+ * @property {string} channel - Canal de envío (email, sms, push)
+ * @property {Object} details - Datos propios del evento (trackingNumber, cancelledBy, reason)
+ * @property {Object} traceContext - Contexto de traza W3C de la solicitud que encoló el aviso
+ * @property {string} status - Estado del envío (pending, sent, failed)
+ * @property {integer} attempts - Intentos de envío realizados
+ * @property {string} lastError - Último error del proveedor
+ * @property {Date} nextAttemptAt - Fecha a partir de la cual se puede (re)intentar
+ * @property {Date} sentAt - Fecha de envío exitoso
+ * @property {Date} createdAt - Fecha en que se encoló el aviso
+ * @property {Date} updatedAt - Fecha del último cambio
+ */
+export const Notification = sequelize.define('Notification', {
+  // 🔑 Campo ID: autoincremental, define el orden de envío
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+
+  // 📦 Campo orderId: orden notificada
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+
+  // 👤 Campo clientId: cliente notificado
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+
+  // 📢 Campo type: evento del pedido
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // 📡 Campo channel: canal elegido por el cliente al momento del evento
+  channel: {
+    type: DataTypes.ENUM('email', 'sms', 'push'),
+    allowNull: false
+  },
+
+  // 🧾 Campo details: datos propios del evento usados en la plantilla
+  details: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+
+  // 🔭 Campo traceContext: padre del span de envío (traceparent/tracestate)
+  traceContext: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // 🚦 Campo status: estado del envío
+  status: {
+    type: DataTypes.ENUM(
+      'pending',                       // En cola o esperando reintento
+      'sent',                          // Entregado al proveedor
+      'failed'                         // Agotó sus intentos o el error no se puede reintentar
+    ),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+
+  // 🔁 Campo attempts: intentos de envío realizados
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+
+  // ⚠️ Campo lastError: último error del proveedor
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // ⏰ Campo nextAttemptAt: próximo intento (también sirve de plazo mientras se envía)
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+
+  // ✅ Campo sentAt: fecha de envío exitoso
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  // ⚙️ Opciones del modelo
+  indexes: [
+    { fields: ['status', 'nextAttemptAt'] },   // Búsqueda del worker
+    { fields: ['orderId', 'status'] }          // Consulta de avisos fallidos de una orden
+  ]
+});
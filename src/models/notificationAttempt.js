@@ -0,0 +1,101 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar modelo Notification para establecer relaciones
+import { Notification } from './notification.js';
+
+/**
+ * Modelo de NotificationAttempt (Intento de envío)
+ * Define la estructura de la tabla 'NotificationAttempts' en la base de datos
+ * Registro de auditoría: una fila por cada intento de envío de un aviso,
+ * con su resultado y la respuesta del proveedor
+ * 
+ * @type {Model}
+ * @property {integer} id - Identificador autoincremental
+ * @property {integer} notificationId - ID del aviso
+ * @property {integer} attempt - Número de intento (1, 2, ...)
+ * @property {string} channel - Canal usado en el intento
+ * @property {string} status - Resultado del intento (sent, failed)
+ * @property {Object} providerResponse - Respuesta del proveedor (código, ID del mensaje, etc.)
+ * @property {string} error - Mensaje de error si el intento falló
+ * @property {Date} startedAt - Inicio del intento
+ * @property {Date} finishedAt - Fin del intento
+ */
+export const NotificationAttempt = sequelize.define('NotificationAttempt', {
+  // 🔑 Campo ID: identificador autoincremental
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+
+  // 🔗 Campo notificationId: aviso al que pertenece el intento
+  notificationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // 🔢 Campo attempt: número de intento
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // 📡 Campo channel: canal usado
+  channel: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // 🚦 Campo status: resultado del intento
+  status: {
+    type: DataTypes.ENUM('sent', 'failed'),
+    allowNull: false
+  },
+
+  // 📨 Campo providerResponse: respuesta del proveedor
+  providerResponse: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // ⚠️ Campo error: mensaje de error del intento
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // ▶️ Campo startedAt: inicio del intento
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  // ⏹️ Campo finishedAt: fin del intento
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  // ⚙️ Opciones del modelo
+  timestamps: false,                   // startedAt/finishedAt ya registran el momento
+  indexes: [
+    { fields: ['notificationId', 'attempt'] }
+  ]
+});
+
+/**
+ * 🔗 Definición de relaciones entre modelos
+ */
+
+// Un aviso tiene muchos intentos (ej: notification.getAttemptLog())
+Notification.hasMany(NotificationAttempt, {
+  foreignKey: 'notificationId',
+  as: 'attemptLog'
+});
+
+// Cada intento pertenece a un aviso
+NotificationAttempt.belongsTo(Notification, {
+  foreignKey: 'notificationId'
+});
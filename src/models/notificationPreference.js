@@ -0,0 +1,61 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from '../config/censudex-orders-db.js';
+
+/**
+ * Modelo de NotificationPreference (Preferencia de notificación)
+ * Define la estructura de la tabla 'NotificationPreferences' en la base de datos
+ * Indica por qué canal quiere recibir un cliente cada tipo de aviso de sus pedidos.
+ * Si un cliente no tiene preferencia para un evento se usa el canal por defecto
+ * 
+ * @type {Model}
+ * @property {integer} id - Identificador autoincremental
+ * @property {UUID} clientId - ID del cliente
+ * @property {string} eventType - Evento notificado (created, processing, shipped, delivered, cancelled)
+ * @property {string} channel - Canal elegido (email, sms, push o none para no recibir avisos)
+ * @property {Date} updatedAt - Fecha del último cambio
+ */
+export const NotificationPreference = sequelize.define('NotificationPreference', {
+  // 🔑 Campo ID: identificador autoincremental
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+
+  // 👤 Campo clientId: cliente dueño de la preferencia
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+
+  // 📢 Campo eventType: evento del pedido al que aplica
+  eventType: {
+    type: DataTypes.ENUM(
+      'created',                       // Pedido recibido
+      'processing',                    // Pedido en preparación
+      'shipped',                       // Pedido enviado
+      'delivered',                     // Pedido entregado
+      'cancelled'                      // Pedido cancelado
+    ),
+    allowNull: false
+  },
+
+  // 📡 Campo channel: canal por el que se avisa
+  channel: {
+    type: DataTypes.ENUM(
+      'email',                         // Correo electrónico (order.email)
+      'sms',                           // Mensaje de texto (order.phone)
+      'push',                          // Notificación push a las apps del cliente
+      'none'                           // El cliente no quiere recibir este aviso
+    ),
+    allowNull: false
+  }
+}, {
+  // ⚙️ Opciones del modelo
+  createdAt: false,                    // Solo interesa la fecha del último cambio
+  indexes: [
+    { unique: true, fields: ['clientId', 'eventType'] }   // Una preferencia por cliente y evento
+  ]
+});
@@ -12,10 +12,14 @@ import { sequelize } from '../config/censudex-orders-db.js';
  * @property {UUID} id - Identificador único de la orden (generado automáticamente)
  * @property {UUID} clientId - ID del cliente que realizó el pedido
  * @property {string} clientName - Nombre del cliente
- * @property {float} totalAmount - Monto total del pedido
+ * @property {string} totalAmount - Monto total del pedido (DECIMAL, se lee como texto: '59980.00')
+ * @property {string} currency - Moneda de los montos del pedido ('CLP' o 'USD')
  * @property {string} status - Estado actual del pedido (pendiente, procesando, enviado, etc.)
  * @property {string} trackingNumber - Número de seguimiento del envío
  * @property {string} shippingAddress - Dirección de entrega
+ * @property {string} email - Correo de contacto del cliente para notificaciones
+ * @property {string} phone - Teléfono de contacto del cliente para SMS
+ * @property {string} locale - Idioma de las notificaciones al cliente ('es-CL' o 'en-US')
  * @property {Date} createdAt - Fecha de creación del pedido
  */
 export const Order = sequelize.define('Order', {
@@ -40,10 +44,21 @@ export const Order = sequelize.define('Order', {
 
   // 💰 Campo totalAmount: Monto total del pedido
   totalAmount: { 
-    type: DataTypes.FLOAT,             // Número decimal para moneda
+    type: DataTypes.DECIMAL(14, 2),    // Decimal exacto (redondeado según la moneda al calcularlo)
     allowNull: false                   // Campo obligatorio
   },
 
+  // 💱 Campo currency: Moneda de los montos del pedido y sus items
+  currency: {
+    type: DataTypes.STRING(3),         // Código ISO 4217 (ej: 'CLP')
+    allowNull: false,                  // Campo obligatorio
+    defaultValue: 'CLP',               // Peso chileno por defecto
+    validate: {
+      isIn: [['CLP', 'USD']]           // Monedas con reglas de redondeo definidas en services/money.js
+    },
+    comment: 'Moneda del total y de los precios de los items'
+  },
+
   // 📦 Campo status: Estado actual del pedido
   status: {
     type: DataTypes.ENUM(              // Enumeración con valores predefinidos
@@ -53,6 +68,7 @@ export const Order = sequelize.define('Order', {
       'entregado',                     // Recibido por el cliente
       'cancelado'                      // Cancelado por cliente o admin
     ),
+    allowNull: false,                  // Campo obligatorio
     defaultValue: 'pendiente',         // Estado inicial de todo pedido nuevo
   },
 
@@ -71,6 +87,34 @@ export const Order = sequelize.define('Order', {
     comment: 'Dirección de envío proporcionada por el cliente'
   },
 
+  // ✉️ Campo email: Correo de contacto del cliente
+  email: {
+    type: DataTypes.STRING,            // Dirección de correo electrónico
+    allowNull: true,                   // Campo opcional (sin él no se envían correos)
+    validate: {
+      isEmail: true                    // Debe tener formato de correo válido
+    },
+    comment: 'Correo de contacto para notificaciones del pedido'
+  },
+
+  // 📱 Campo phone: Teléfono de contacto del cliente
+  phone: {
+    type: DataTypes.STRING(20),        // Número en formato internacional (ej: +56912345678)
+    allowNull: true,                   // Campo opcional (sin él no se envían SMS)
+    comment: 'Teléfono de contacto para notificaciones por SMS'
+  },
+
+  // 🌐 Campo locale: Idioma en que se notifica al cliente
+  locale: {
+    type: DataTypes.STRING(5),         // Código de idioma y región (ej: 'es-CL')
+    allowNull: false,                  // Campo obligatorio
+    defaultValue: 'es-CL',             // Español de Chile por defecto
+    validate: {
+      isIn: [['es-CL', 'en-US']]       // Idiomas con plantillas de correo disponibles
+    },
+    comment: 'Idioma de los correos enviados al cliente'
+  },
+
   // 📅 Campo createdAt: Fecha de creación automática
   createdAt: {             
     type: DataTypes.DATE,              // Tipo fecha y hora
@@ -79,5 +123,14 @@ export const Order = sequelize.define('Order', {
   }
 }, {
   // ⚙️ Opciones del modelo
-  updatedAt: false                     // No crear columna 'updatedAt' (no se usa)
+  updatedAt: false,                    // No crear columna 'updatedAt' (no se usa)
+  // Índices del listado: cada columna indexada (y obligatoria) se puede usar para ordenar
+  indexes: [
+    { fields: ['createdAt'] },                 // Orden por defecto del listado
+    { fields: ['clientId', 'createdAt'] },     // Historial de un cliente
+    { fields: ['status', 'createdAt'] },       // Filtro por estado
+    { fields: ['totalAmount'] },               // Orden y filtro por monto
+    { fields: ['clientName'] },                // Orden y búsqueda por nombre
+    { fields: ['trackingNumber'] }             // Búsqueda por número de seguimiento
+  ]
 });
\ No newline at end of file
@@ -15,7 +15,7 @@ import { Order } from './order.js';
  * @property {UUID} orderId - ID de la orden a la que pertenece este item
  * @property {UUID} productId - ID del producto que se está ordenando
  * @property {integer} quantity - Cantidad del producto en la orden
- * @property {float} price - Precio unitario del producto en el momento de la compra
+ * @property {string} price - Precio unitario en el momento de la compra (DECIMAL, en la moneda de la orden)
  */
 export const OrderItem = sequelize.define('OrderItem', {
   // 🔑 Campo ID: Identificador único del item
@@ -45,7 +45,7 @@ export const OrderItem = sequelize.define('OrderItem', {
 
   // 💰 Campo price: Precio unitario del producto
   price: {
-    type: DataTypes.FLOAT,            // Número decimal para el precio
+    type: DataTypes.DECIMAL(14, 2),   // Decimal exacto en la moneda de la orden
     allowNull: false                  // Campo obligatorio
   },
 }, 
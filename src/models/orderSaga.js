@@ -0,0 +1,61 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from '../config/censudex-orders-db.js';
+
+/**
+ * Modelo de OrderSaga (Saga de reserva de stock)
+ * Define la estructura de la tabla 'OrderSagas' en la base de datos
+ * Guarda el estado de la reserva de inventario de cada orden para que
+ * la saga continúe aunque el servicio se reinicie
+ * 
+ * @type {Model}
+ * @property {UUID} orderId - ID de la orden (una saga por orden)
+ * @property {string} state - Estado de la saga (awaiting_stock, completed, compensated, timed_out)
+ * @property {string} reason - Motivo del rechazo o de la compensación
+ * @property {Date} deadlineAt - Fecha límite para recibir la respuesta de inventario
+ * @property {Date} completedAt - Fecha en que la saga terminó
+ * @property {Date} createdAt - Fecha de inicio de la saga
+ */
+export const OrderSaga = sequelize.define('OrderSaga', {
+  // 🔑 Campo orderId: la saga se identifica por la orden
+  orderId: {
+    type: DataTypes.UUID,
+    primaryKey: true
+  },
+
+  // 🚦 Campo state: estado de la saga
+  state: {
+    type: DataTypes.ENUM(
+      'awaiting_stock',                // Esperando StockReserved / StockRejected
+      'completed',                     // Stock reservado, la orden pasó a procesamiento
+      'compensated',                   // Stock rechazado o la orden ya estaba cancelada
+      'timed_out'                      // Sin respuesta a tiempo, la orden se canceló
+    ),
+    defaultValue: 'awaiting_stock',
+    allowNull: false
+  },
+
+  // 📝 Campo reason: motivo del rechazo o de la compensación
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // ⏰ Campo deadlineAt: fecha límite para la respuesta de inventario
+  deadlineAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  // ✅ Campo completedAt: fecha de término de la saga
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  // ⚙️ Opciones del modelo
+  indexes: [
+    { fields: ['state', 'deadlineAt'] }        // Búsqueda de sagas vencidas
+  ]
+});
@@ -0,0 +1,107 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar modelo Order para establecer relaciones
+import { Order } from './order.js';
+
+/**
+ * Modelo de OrderStatusHistory (Historial de estados)
+ * Define la estructura de la tabla 'OrderStatusHistories' en la base de datos
+ * Cada fila es una transición de estado de una orden (incluida su creación),
+ * escrita en la misma transacción que el cambio
+ * 
+ * @type {Model}
+ * @property {integer} id - Identificador autoincremental (define el orden de las transiciones)
+ * @property {UUID} orderId - ID de la orden
+ * @property {string} previousStatus - Estado anterior (null al crear la orden)
+ * @property {string} status - Nuevo estado
+ * @property {string} actorId - ID de quien hizo el cambio (usuario, admin o servicio), si se conoce
+ * @property {string} role - Rol con el que se hizo el cambio (user, admin, system)
+ * @property {string} reason - Motivo indicado (cancelaciones, rechazos de stock)
+ * @property {string} source - Origen del cambio (rest, grpc, event, system)
+ * @property {Date} createdAt - Fecha de la transición
+ */
+export const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  // 🔑 Campo ID: autoincremental para conservar el orden de las transiciones
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+
+  // 📦 Campo orderId: orden a la que pertenece la transición
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+
+  // ⬅️ Campo previousStatus: estado anterior (null en la creación)
+  previousStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // ➡️ Campo status: nuevo estado
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // 👤 Campo actorId: quién hizo el cambio
+  actorId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // 🎭 Campo role: rol con el que se hizo el cambio
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // 📝 Campo reason: motivo del cambio
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // 🛰️ Campo source: por dónde llegó el cambio
+  source: {
+    type: DataTypes.ENUM(
+      'rest',                          // API REST
+      'grpc',                          // API gRPC
+      'event',                         // Mensaje de RabbitMQ (comandos, respuestas de inventario)
+      'system'                         // Procesos internos (vencimientos, datos de prueba)
+    ),
+    allowNull: false
+  },
+
+  // 📅 Campo createdAt: fecha de la transición
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  // ⚙️ Opciones del modelo
+  updatedAt: false,                    // El historial no se modifica
+  indexes: [
+    { fields: ['orderId', 'id'] }      // Línea de tiempo de una orden
+  ]
+});
+
+/**
+ * 🔗 Definición de relaciones entre modelos
+ */
+
+// Una orden tiene muchas transiciones (ej: order.getHistory())
+Order.hasMany(OrderStatusHistory, {
+  foreignKey: 'orderId',
+  as: 'history'
+});
+
+// Cada transición pertenece a una orden
+OrderStatusHistory.belongsTo(Order, {
+  foreignKey: 'orderId'
+});
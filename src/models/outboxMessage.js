@@ -0,0 +1,130 @@
+// Importar tipos de datos de Sequelize para definir columnas
+import { DataTypes } from 'sequelize';
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from '../config/censudex-orders-db.js';
+
+/**
+ * Modelo de OutboxMessage (Mensaje pendiente de publicación)
+ * Define la estructura de la tabla 'OutboxMessages' en la base de datos
+ * Cada fila es un evento de orden escrito en la misma transacción que el cambio
+ * de la orden; el relay de outbox lo publica luego en RabbitMQ
+ * 
+ * @type {Model}
+ * @property {integer} id - Identificador autoincremental (define el orden de publicación)
+ * @property {UUID} messageId - ID del mensaje MassTransit (se mantiene entre reintentos)
+ * @property {UUID} aggregateId - ID de la orden a la que pertenece el evento
+ * @property {string} messageType - Contrato del mensaje (ej: 'OrderCreated', ver messages/orderContracts.js)
+ * @property {string} routingKey - Clave de enrutamiento (ej: 'order.created')
+ * @property {Object} payload - Datos del evento
+ * @property {string} correlationId - ID de correlación de la solicitud o mensaje que generó el evento
+ * @property {Object} traceContext - Contexto de traza W3C de la solicitud que generó el evento
+ * @property {string} status - Estado de publicación (pending, sent, failed)
+ * @property {integer} attempts - Intentos de publicación realizados
+ * @property {string} lastError - Último error de publicación
+ * @property {Date} nextAttemptAt - Fecha a partir de la cual se puede reintentar
+ * @property {Date} sentAt - Fecha de publicación exitosa
+ * @property {Date} createdAt - Fecha de creación del evento
+ */
+export const OutboxMessage = sequelize.define('OutboxMessage', {
+  // 🔑 Campo ID: autoincremental para conservar el orden de los eventos
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+
+  // 🆔 Campo messageId: ID estable para que los consumidores detecten duplicados
+  messageId: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    allowNull: false
+  },
+
+  // 🔗 Campo aggregateId: orden a la que pertenece el evento
+  aggregateId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+
+  // 📜 Campo messageType: contrato con el que se arma el mensaje MassTransit
+  messageType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // 🧭 Campo routingKey: clave de enrutamiento en el exchange 'order_events'
+  routingKey: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // 📦 Campo payload: datos del evento
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+
+  // 🔗 Campo correlationId: se publica como correlationId del envoltorio
+  // (NULL en eventos sin solicitud de origen: se usa el ID de la orden)
+  correlationId: {
+    type: DataTypes.STRING(128),
+    allowNull: true
+  },
+
+  // 🔭 Campo traceContext: padre del span de publicación (traceparent/tracestate)
+  traceContext: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // 🚦 Campo status: estado de publicación del mensaje
+  status: {
+    type: DataTypes.ENUM(
+      'pending',                       // Pendiente de publicación (o esperando reintento)
+      'sent',                          // Publicado y confirmado por RabbitMQ
+      'failed'                         // Agotó los reintentos, requiere intervención
+    ),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+
+  // 🔁 Campo attempts: intentos de publicación realizados
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+
+  // ⚠️ Campo lastError: último error de publicación
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // ⏰ Campo nextAttemptAt: próximo intento permitido
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+
+  // ✅ Campo sentAt: fecha de publicación exitosa
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // 📅 Campo createdAt: fecha en que ocurrió el evento
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  // ⚙️ Opciones del modelo
+  updatedAt: false,
+  indexes: [
+    { fields: ['status', 'nextAttemptAt'] },   // Búsqueda de mensajes listos para publicar
+    { fields: ['aggregateId', 'id'] }          // Orden de publicación por orden
+  ]
+});
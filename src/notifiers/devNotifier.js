@@ -0,0 +1,58 @@
+// Importar utilidades de Node para escribir el archivo de notificaciones
+import fs from 'fs/promises';
+import path from 'path';
+// Importar plantillas de las notificaciones
+import { renderOrderEmail } from '../services/emailTemplates.js';
+// Importar dotenv para cargar variables de entorno
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * ⚙️ Salida de desarrollo
+ * - NOTIFICATIONS_DEV_OUTPUT: 'console' o 'file'
+ * - NOTIFICATIONS_DEV_FILE: archivo JSON Lines para 'file' (por defecto logs/notifications.log)
+ */
+const OUTPUT = process.env.NOTIFICATIONS_DEV_OUTPUT;
+const FILE = path.resolve(process.env.NOTIFICATIONS_DEV_FILE || 'logs/notifications.log');
+
+/**
+ * Contacto al que iría el aviso según el canal
+ * @param {string} channel - Canal
+ * @param {Order} order - Orden
+ * @returns {string|null} Destinatario
+ */
+const recipient = (channel, order) =>
+  ({ email: order.email, sms: order.phone, push: order.clientId })[channel] ?? null;
+
+/**
+ * 🧪 Crea un notificador de desarrollo para un canal
+ * En lugar de enviar el aviso lo muestra en consola o lo agrega a un archivo,
+ * para probar los avisos sin proveedores reales
+ * @param {string} channel - Canal reemplazado ('email', 'sms' o 'push')
+ * @returns {Function} Notificador async (type, order, details) => { output, to }
+ *
+ * @example
+ * // NOTIFICATIONS_DEV_OUTPUT=file npm run dev
+ * // tail -f logs/notifications.log
+ */
+export const createDevNotifier = (channel) => async (type, order, details = {}) => {
+  const { locale, subject, text } = await renderOrderEmail(type, order, details);
+  const entry = {
+    channel,
+    to: recipient(channel, order),
+    type,
+    orderId: order.id,
+    locale,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  };
+
+  if (OUTPUT === 'file') {
+    await fs.mkdir(path.dirname(FILE), { recursive: true });
+    await fs.appendFile(FILE, `${JSON.stringify(entry)}\n`);
+    return { output: FILE, to: entry.to };
+  }
+  console.log(`🧪 [${channel}] → ${entry.to ?? 'sin destinatario'} | ${subject}\n${text}`);
+  return { output: 'console', to: entry.to };
+};
@@ -0,0 +1,50 @@
+// Importar cliente HTTP para proveedores externos
+import { postWebhook } from './webhook.js';
+// Importar plantillas de las notificaciones
+import { renderOrderEmail } from '../services/emailTemplates.js';
+// Importar error de avisos que no se deben reintentar
+import { PermanentNotificationError } from '../errors/notificationErrors.js';
+// Importar dotenv para cargar variables de entorno
+import dotenv from 'dotenv';
+// Importar logger
+import { logger } from '../config/logger.js';
+dotenv.config();
+
+const log = logger.child({ module: 'push' });
+
+/**
+ * ⚙️ Proveedor de notificaciones push
+ * - PUSH_WEBHOOK_URL: endpoint del proveedor (recibe { userId, title, body, data })
+ * - PUSH_WEBHOOK_TOKEN: token Bearer opcional
+ */
+const { PUSH_WEBHOOK_URL, PUSH_WEBHOOK_TOKEN } = process.env;
+
+/**
+ * 🔔 Envía un aviso de pedido como notificación push a las apps del cliente
+ * El proveedor resuelve los dispositivos a partir del ID del cliente
+ * @async
+ * @param {string} type - Tipo de aviso ('created', 'processing', 'shipped', 'delivered', 'cancelled')
+ * @param {Order} order - Orden a notificar (usa order.clientId)
+ * @param {Object} [details={}] - Datos propios del evento (ver renderOrderEmail)
+ * @returns {Promise<Object>} Código HTTP y respuesta del proveedor
+ * @throws {PermanentNotificationError} Si no hay proveedor configurado
+ * @throws {Error} Si el proveedor rechaza el envío
+ */
+export const sendOrderPush = async (type, order, details = {}) => {
+  if (!PUSH_WEBHOOK_URL) throw new PermanentNotificationError('No hay proveedor de push configurado (PUSH_WEBHOOK_URL)');
+
+  const { subject, text } = await renderOrderEmail(type, order, details);
+
+  const response = await postWebhook(
+    PUSH_WEBHOOK_URL,
+    {
+      userId: order.clientId,
+      title: subject,
+      body: text.split('\n')[0],   // Solo el primer párrafo, sin el detalle de productos
+      data: { orderId: order.id, type, trackingNumber: order.trackingNumber || null },
+    },
+    { token: PUSH_WEBHOOK_TOKEN }
+  );
+  log.info({ clientId: order.clientId, orderId: order.id, type }, 'Push enviado');
+  return response;
+};
@@ -0,0 +1,46 @@
+// Importar cliente HTTP para proveedores externos
+import { postWebhook } from './webhook.js';
+// Importar plantillas de las notificaciones
+import { renderOrderEmail } from '../services/emailTemplates.js';
+// Importar error de avisos que no se deben reintentar
+import { PermanentNotificationError } from '../errors/notificationErrors.js';
+// Importar dotenv para cargar variables de entorno
+import dotenv from 'dotenv';
+// Importar logger
+import { logger } from '../config/logger.js';
+dotenv.config();
+
+const log = logger.child({ module: 'sms' });
+
+/**
+ * ⚙️ Proveedor de SMS
+ * - SMS_WEBHOOK_URL: endpoint del proveedor (recibe { to, body, reference })
+ * - SMS_WEBHOOK_TOKEN: token Bearer opcional
+ */
+const { SMS_WEBHOOK_URL, SMS_WEBHOOK_TOKEN } = process.env;
+
+/**
+ * 📱 Envía un aviso de pedido por SMS al teléfono guardado en la orden
+ * El texto es el asunto de la plantilla del idioma de la orden,
+ * más el número de seguimiento cuando existe
+ * @async
+ * @param {string} type - Tipo de aviso ('created', 'processing', 'shipped', 'delivered', 'cancelled')
+ * @param {Order} order - Orden a notificar (usa order.phone)
+ * @param {Object} [details={}] - Datos propios del evento (ver renderOrderEmail)
+ * @returns {Promise<Object>} Código HTTP y respuesta del proveedor
+ * @throws {PermanentNotificationError} Si la orden no tiene teléfono o no hay proveedor configurado
+ * @throws {Error} Si el proveedor rechaza el envío
+ */
+export const sendOrderSms = async (type, order, details = {}) => {
+  if (!order.phone) throw new PermanentNotificationError('La orden no tiene teléfono de contacto');
+  if (!SMS_WEBHOOK_URL) throw new PermanentNotificationError('No hay proveedor de SMS configurado (SMS_WEBHOOK_URL)');
+
+  const { subject } = await renderOrderEmail(type, order, details);
+  const trackingNumber = details.trackingNumber || order.trackingNumber;
+  const body = type === 'shipped' && trackingNumber ? `${subject} (${trackingNumber})` : subject;
+
+  const response = await postWebhook(SMS_WEBHOOK_URL, { to: order.phone, body, reference: order.id }, { token: SMS_WEBHOOK_TOKEN });
+  // Sin el teléfono: es un dato personal del cliente
+  log.info({ orderId: order.id, type }, 'SMS enviado');
+  return response;
+};
@@ -0,0 +1,29 @@
+/**
+ * Envía un JSON por HTTP POST a un proveedor externo (SMS, push)
+ * Lanza error si el proveedor no responde 2xx para que el llamador lo registre
+ * @async
+ * @param {string} url - URL del proveedor
+ * @param {Object} body - Cuerpo de la solicitud
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.token] - Token Bearer del proveedor
+ * @param {number} [options.timeoutMs=10000] - Tiempo máximo de espera
+ * @returns {Promise<Object>} Código HTTP y respuesta del proveedor
+ * @throws {Error} Si la solicitud falla, se agota el tiempo o el código no es 2xx
+ */
+export const postWebhook = async (url, body, { token, timeoutMs = 10000 } = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`El proveedor respondió ${response.status}: ${text.slice(0, 200)}`);
+  }
+  return { status: response.status, body: text };
+};
@@ -0,0 +1,91 @@
+// Importar la clase Router de Express para definir rutas
+import { Router } from 'express';
+// Importar funciones del controlador del outbox
+import * as outboxController from '../controllers/outboxController.js';
+// Importar vista previa de correos de órdenes
+import * as emailPreviewController from '../controllers/emailPreviewController.js';
+// Importar funciones del controlador de avisos al cliente
+import * as notificationsController from '../controllers/notificationsController.js';
+// Importar verificación del token y reglas de acceso
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+
+// Crear instancia del enrutador
+const router = Router();
+
+// 🔐 Todas las rutas exigen un JWT con rol admin
+router.use(authenticate);
+
+/**
+ * 📮 GET /outbox
+ * Lista los eventos de órdenes que no se han podido publicar en RabbitMQ
+ * 
+ * @route GET /admin/outbox
+ * @query {string} [status] - Filtro por estado: 'pending' (atascado) o 'failed' (sin reintentos)
+ * @query {string} [orderId] - Filtro por ID de orden
+ * @returns {Array} Mensajes atascados, del más antiguo al más reciente
+ * 
+ * @example
+ * GET /admin/outbox?status=failed
+ */
+router.get('/outbox', authorize('ManageOutbox'), outboxController.getStuckMessages);
+
+/**
+ * 🔁 POST /outbox/:id/retry
+ * Reinicia los intentos de un mensaje para que el relay lo vuelva a publicar
+ * 
+ * @route POST /admin/outbox/:id/retry
+ * @param {string} id - ID del mensaje en el outbox
+ * @returns {Object} Mensaje reprogramado
+ * 
+ * @example
+ * POST /admin/outbox/42/retry
+ */
+router.post('/outbox/:id/retry', authorize('ManageOutbox'), outboxController.retryMessage);
+
+/**
+ * 👀 GET /orders/:idOrTracking/emails/:type/preview
+ * Genera un correo de la orden con sus plantillas sin enviarlo
+ * 
+ * @route GET /admin/orders/:idOrTracking/emails/:type/preview
+ * @param {string} idOrTracking - ID de la orden o número de seguimiento
+ * @param {string} type - Tipo de correo: 'created', 'processing', 'shipped', 'delivered' o 'cancelled'
+ * @query {string} [locale] - Idioma: 'es-CL' o 'en-US' (por defecto el de la orden)
+ * @query {string} [format] - 'html' (por defecto), 'text' o 'json' (asunto, texto y HTML)
+ * @query {string} [cancelledBy] - Rol que canceló ('user', 'admin' o 'system'), para 'cancelled'
+ * @query {string} [reason] - Motivo de cancelación, para 'cancelled'
+ * @returns {string|Object} HTML del correo, texto plano o JSON
+ * 
+ * @example
+ * GET /admin/orders/TRK-ABC123XYZ/emails/shipped/preview?locale=en-US
+ */
+router.get('/orders/:idOrTracking/emails/:type/preview', authorize('PreviewOrderEmail'), emailPreviewController.previewOrderEmail);
+
+/**
+ * 🔔 GET /orders/:orderId/notifications
+ * Lista los avisos de una orden con cada intento de envío y la respuesta del proveedor
+ * 
+ * @route GET /admin/orders/:orderId/notifications
+ * @param {string} orderId - ID de la orden
+ * @query {string} [status] - 'failed' (por defecto), 'pending' o 'sent'
+ * @returns {Array} Avisos con su registro de intentos (attemptLog)
+ * 
+ * @example
+ * GET /admin/orders/123e4567-e89b-12d3-a456-426614174000/notifications
+ */
+router.get('/orders/:orderId/notifications', authorize('ListFailedNotifications'), notificationsController.getOrderNotifications);
+
+/**
+ * 🔁 POST /notifications/:id/resend
+ * Vuelve a poner en cola un aviso fallido (reinicia sus intentos)
+ * 
+ * @route POST /admin/notifications/:id/resend
+ * @param {string} id - ID del aviso
+ * @returns {Object} Aviso reprogramado
+ * 
+ * @example
+ * POST /admin/notifications/15/resend
+ */
+router.post('/notifications/:id/resend', authorize('ResendNotification'), notificationsController.resendNotification);
+
+// Exportar el enrutador configurado para usarlo en la aplicación principal
+export default router;
@@ -0,0 +1,58 @@
+// Importar la clase Router de Express para definir rutas
+import { Router } from 'express';
+// Importar funciones del controlador de preferencias de notificación
+import * as notificationPreferencesController from '../controllers/notificationPreferencesController.js';
+// Importar verificación del token y reglas de acceso
+import { authenticate, authorize, authorizeClient } from '../middlewares/authMiddleware.js';
+
+// Crear instancia del enrutador
+const router = Router();
+
+// 🔐 Todas las rutas exigen un JWT; un usuario solo accede a sus propias preferencias
+router.use(authenticate, authorize('ManageNotificationPreferences'));
+
+/**
+ * 🔔 GET /:clientId/notification-preferences
+ * Obtiene por qué canal se avisa al cliente cada evento de sus pedidos
+ * Los eventos sin preferencia guardada muestran el canal por defecto
+ * 
+ * @route GET /clients/:clientId/notification-preferences
+ * @param {string} clientId - ID del cliente
+ * @returns {Object} Canal por evento
+ * 
+ * @example
+ * GET /clients/123e4567-e89b-12d3-a456-426614174000/notification-preferences
+ * 
+ * Respuesta:
+ * {
+ *   "clientId": "123e4567-e89b-12d3-a456-426614174000",
+ *   "preferences": {
+ *     "created": "email",
+ *     "processing": "none",
+ *     "shipped": "sms",
+ *     "delivered": "email",
+ *     "cancelled": "email"
+ *   }
+ * }
+ */
+router.get('/:clientId/notification-preferences', authorizeClient(), notificationPreferencesController.getPreferences);
+
+/**
+ * ✏️ PUT /:clientId/notification-preferences
+ * Cambia el canal de uno o más eventos; los no indicados conservan su valor
+ * 
+ * @route PUT /clients/:clientId/notification-preferences
+ * @param {string} clientId - ID del cliente
+ * @param {Object} req.body.preferences - Canal por evento: 'email', 'sms', 'push' o 'none'
+ * @returns {Object} Preferencias completas después del cambio
+ * 
+ * @example
+ * PUT /clients/123e4567-e89b-12d3-a456-426614174000/notification-preferences
+ * {
+ *   "preferences": { "shipped": "sms", "processing": "none" }
+ * }
+ */
+router.put('/:clientId/notification-preferences', authorizeClient(), notificationPreferencesController.updatePreferences);
+
+// Exportar el enrutador configurado para usarlo en la aplicación principal
+export default router;
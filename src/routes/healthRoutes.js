@@ -0,0 +1,45 @@
+// Importar la clase Router de Express para definir rutas
+import { Router } from 'express';
+// Importar funciones del controlador de salud
+import * as healthController from '../controllers/healthController.js';
+
+// Crear instancia del enrutador
+const router = Router();
+
+// 🩺 Rutas sin autenticación: las consultan docker-compose, el API Gateway y el orquestador
+// (no devuelven datos de órdenes ni de clientes)
+
+/**
+ * 💓 GET /live
+ * Indica que el proceso está vivo; no revisa dependencias
+ * 
+ * @route GET /health/live
+ * @returns {Object} 200 con { status: 'up', uptimeSeconds }
+ */
+router.get('/live', healthController.getLiveness);
+
+/**
+ * ✅ GET /ready
+ * Indica si el servicio puede atender solicitudes, según la base de datos, RabbitMQ
+ * y el proveedor de correo (este último no es crítico)
+ * 
+ * @route GET /health/ready
+ * @returns {Object} 200 si está listo, 503 si falla la base de datos o RabbitMQ
+ * 
+ * @example
+ * GET /health/ready
+ * 
+ * Respuesta (503):
+ * {
+ *   "status": "down",
+ *   "checks": {
+ *     "database": { "status": "up", "latencyMs": 4 },
+ *     "rabbitmq": { "status": "down", "latencyMs": 0, "error": "No hay canal de RabbitMQ" },
+ *     "mail": { "status": "up", "latencyMs": 212, "provider": "sendgrid", "checkedAt": "2026-10-19T12:00:00.000Z" }
+ *   }
+ * }
+ */
+router.get('/ready', healthController.getReadiness);
+
+// Exportar el enrutador configurado para usarlo en la aplicación principal
+export default router;
@@ -0,0 +1,29 @@
+// Importar la clase Router de Express para definir rutas
+import { Router } from 'express';
+// Importar funciones del controlador de métricas
+import * as metricsController from '../controllers/metricsController.js';
+
+// Crear instancia del enrutador
+const router = Router();
+
+/**
+ * 📈 GET /
+ * Métricas del servicio en formato de texto de Prometheus (ver config/metrics)
+ * Sin autenticación, como las rutas de salud: solo expone contadores agregados,
+ * sin datos de órdenes ni de clientes
+ * 
+ * @route GET /metrics
+ * @returns {string} text/plain; version=0.0.4
+ * 
+ * @example
+ * GET /metrics
+ * 
+ * Respuesta:
+ * # HELP orders_created_total Órdenes creadas (sin contar reintentos idempotentes)
+ * # TYPE orders_created_total counter
+ * orders_created_total{currency="CLP",source="grpc"} 42
+ */
+router.get('/', metricsController.getMetrics);
+
+// Exportar el enrutador configurado para usarlo en la aplicación principal
+export default router;
@@ -2,20 +2,35 @@
 import { Router } from 'express';
 // Importar todas las funciones del controlador de órdenes
 import * as ordersController from '../controllers/ordersController.js';
+// Importar verificación del token y reglas de acceso
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+// Importar validación de solicitudes (mismos esquemas que gRPC)
+import { validate } from '../middlewares/validationMiddleware.js';
 
 // Crear instancia del enrutador
 const router = Router();
 
+// 🔐 Todas las rutas exigen un JWT (Authorization: Bearer <token>);
+// el rol y el cliente de quien llama salen del token
+router.use(authenticate);
+
+// 📐 Cada ruta valida su solicitud con el esquema de su operación (schemas/orderSchemas);
+// un campo inválido responde 400 INVALID_REQUEST con fields: [{ field, message }]
+
 /**
  * 📮 POST /
  * Crea una nueva orden con sus items asociados
+ * Un usuario solo crea órdenes a su nombre (userId es opcional: por defecto el del token)
  * 
  * @route POST /orders
  * @param {Object} req.body - Cuerpo de la solicitud
- * @param {string} req.body.userId - ID del cliente
+ * @param {string} [req.body.userId] - ID del cliente (obligatorio para admin)
  * @param {string} req.body.clientName - Nombre del cliente
  * @param {Array} req.body.items - Array de items del pedido
  * @param {string} req.body.shippingAddress - Dirección de envío
+ * @param {string} [req.body.email] - Correo de contacto para avisos
+ * @param {string} [req.body.phone] - Teléfono de contacto para SMS (formato internacional)
+ * @param {string} [req.body.locale] - Idioma de los correos: 'es-CL' (por defecto) o 'en-US'
  * @returns {Object} Orden creada con código 201
  * 
  * @example
@@ -24,36 +39,51 @@ const router = Router();
  *   "userId": "123e4567-e89b-12d3-a456-426614174000",
  *   "clientName": "Juan Pérez",
  *   "items": [
- *     { "productId": "prod1", "quantity": 2, "price": 29.99 }
+ *     { "productId": "8f14e45f-ceea-4e7a-9b1d-1a2b3c4d5e02", "quantity": 2, "price": 29.99 }
  *   ],
- *   "shippingAddress": "Calle Principal 123"
+ *   "shippingAddress": "Calle Principal 123",
+ *   "email": "juan.perez@ejemplo.com",
+ *   "phone": "+56912345678"
  * }
  */
-router.post('/', ordersController.createOrder);
+router.post('/', authorize('CreateOrder'), validate('CreateOrder'), ordersController.createOrder);
 
 /**
  * 🔍 GET /
- * Obtiene todas las órdenes con filtros opcionales
+ * Obtiene una página de órdenes con filtros, orden y búsqueda opcionales
+ * Un usuario solo ve sus propias órdenes
  * 
  * @route GET /orders
  * @query {string} [id] - Filtro por ID de orden
  * @query {string} [userId] - Filtro por ID del usuario
- * @query {string} [startDate] - Filtro por fecha inicial (ISO 8601)
- * @query {string} [endDate] - Filtro por fecha final (ISO 8601)
- * @returns {Array} Lista de órdenes encontradas
+ * @query {string} [status] - Filtro por estado (varios separados por coma)
+ * @query {string} [currency] - Filtro por moneda (obligatorio con minAmount/maxAmount o sort=totalAmount)
+ * @query {string} [minAmount] - Monto total mínimo
+ * @query {string} [maxAmount] - Monto total máximo
+ * @query {string} [startDate] - Filtro por fecha inicial (ISO 8601, puede ir sola)
+ * @query {string} [endDate] - Filtro por fecha final (ISO 8601, puede ir sola)
+ * @query {string} [productId] - Órdenes que incluyen este producto
+ * @query {string} [q] - Búsqueda en nombre del cliente y número de seguimiento
+ * @query {string} [sort=-createdAt] - createdAt, clientId, status, totalAmount o clientName (- descendente)
+ * @query {number} [limit=20] - Órdenes por página (máximo 100)
+ * @query {string} [cursor] - pageInfo.nextCursor de la página anterior
+ * @returns {Object} { orders, pageInfo: { total, limit, sort, hasMore, nextCursor } }
  * 
  * @example
  * GET /orders?userId=123e4567-e89b-12d3-a456-426614174000
- * GET /orders?startDate=2025-11-01&endDate=2025-11-15
+ * GET /orders?status=pendiente,en%20procesamiento&startDate=2025-11-01&currency=CLP&sort=-totalAmount&limit=50
+ * GET /orders?q=perez&cursor=eyJzb3J0Ijoi...
  */
-router.get('/', ordersController.getAllOrders);
+router.get('/', authorize('GetAllOrders'), validate('GetAllOrders', { search: 'q' }), ordersController.getAllOrders);
 
 /**
  * 📦 GET /:trackingNumber/status
  * Consulta el estado de una orden usando su número de seguimiento
+ * Un usuario solo puede consultar sus propias órdenes (403 si es de otro cliente)
  * 
  * @route GET /orders/:trackingNumber/status
  * @param {string} trackingNumber - Número de seguimiento de la orden
+ * @query {string} [includeLastTransition] - 'true' para incluir el último cambio de estado
  * @returns {Object} Estado y detalles de la orden
  * 
  * @example
@@ -64,14 +94,15 @@ router.get('/', ordersController.getAllOrders);
  *   "trackingNumber": "TRK-ABC123XYZ",
  *   "status": "enviado",
  *   "clientName": "Juan Pérez",
- *   "totalAmount": 59.98
+ *   "totalAmount": "59980",
+ *   "currency": "CLP"
  * }
  */
-router.get('/:trackingNumber/status', ordersController.getOrderStatus);
+router.get('/:trackingNumber/status', authorize('GetOrderStatus'), validate('GetOrderStatus'), ordersController.getOrderStatus);
 
 /**
  * 🔄 PATCH /:id/status
- * Actualiza el estado de una orden existente
+ * Actualiza el estado de una orden existente (solo admin)
  * Genera número de seguimiento si el estado es "enviado"
  * 
  * @route PATCH /orders/:id/status
@@ -88,69 +119,86 @@ router.get('/:trackingNumber/status', ordersController.getOrderStatus);
  *   "trackingNumber": "TRK-XYZ789ABC"
  * }
  */
-router.patch('/:id/status', ordersController.updateOrderStatus);
+router.patch('/:id/status', authorize('UpdateOrderStatus'), validate('UpdateOrderStatus'), ordersController.updateOrderStatus);
 
 /**
  * ❌ PATCH /:idOrTracking/cancel
- * Cancela una orden con validación de rol
- * Usuarios: solo pueden cancelar pedidos pendientes o en procesamiento
+ * Cancela una orden con validación de rol (el rol del token)
+ * Usuarios: solo pueden cancelar sus pedidos pendientes o en procesamiento
  * Administradores: pueden cancelar cualquier pedido con motivo obligatorio
  * 
  * @route PATCH /orders/:idOrTracking/cancel
  * @param {string} idOrTracking - ID de la orden o número de seguimiento
  * @param {Object} req.body - Cuerpo de la solicitud
- * @param {string} req.body.role - Rol del usuario: 'user' o 'admin'
  * @param {string} [req.body.reason] - Motivo de cancelación (obligatorio para admin)
  * @returns {Object} Orden cancelada con mensaje de confirmación
  * 
  * @example
- * // Cancelación por usuario
+ * // Cancelación por usuario (token con rol user)
  * PATCH /orders/123e4567-e89b-12d3-a456-426614174000/cancel
- * {
- *   "role": "user"
- * }
+ * {}
  * 
  * @example
- * // Cancelación por administrador
+ * // Cancelación por administrador (token con rol admin)
  * PATCH /orders/123e4567-e89b-12d3-a456-426614174000/cancel
  * {
- *   "role": "admin",
  *   "reason": "Stock agotado"
  * }
  */
-router.patch('/:idOrTracking/cancel', ordersController.cancelOrder);
+router.patch('/:idOrTracking/cancel', authorize('CancelOrder'), validate('CancelOrder'), ordersController.cancelOrder);
 
 /**
  * 📚 GET /history/:clientId
- * Obtiene el historial completo de órdenes de un cliente
- * Ordena los resultados por fecha de creación descendente (más reciente primero)
+ * Obtiene el historial de órdenes de un cliente, paginado igual que GET /orders
+ * Un usuario solo puede pedir su propio historial
+ * Por defecto ordena por fecha de creación descendente (más reciente primero)
  * 
  * @route GET /orders/history/:clientId
  * @param {string} clientId - ID del cliente cuyo historial se solicita
- * @returns {Array} Lista de todas las órdenes del cliente
+ * @query {string} [sort=-createdAt] - Columna de orden (- descendente)
+ * @query {string} [currency] - Moneda de las órdenes (obligatoria con sort=totalAmount)
+ * @query {number} [limit=20] - Órdenes por página (máximo 100)
+ * @query {string} [cursor] - pageInfo.nextCursor de la página anterior
+ * @returns {Object} { orders, pageInfo: { total, limit, sort, hasMore, nextCursor } }
  * 
  * @example
- * GET /orders/history/123e4567-e89b-12d3-a456-426614174000
+ * GET /orders/history/123e4567-e89b-12d3-a456-426614174000?limit=2
  * 
  * Respuesta:
- * [
- *   {
- *     "id": "order1",
- *     "clientName": "Juan Pérez",
- *     "totalAmount": 59.98,
- *     "status": "entregado",
- *     "createdAt": "2025-11-15T10:30:00Z"
- *   },
- *   {
- *     "id": "order2",
- *     "clientName": "Juan Pérez",
- *     "totalAmount": 29.99,
- *     "status": "pendiente",
- *     "createdAt": "2025-11-10T14:22:00Z"
- *   }
- * ]
+ * {
+ *   "orders": [
+ *     { "id": "order1", "clientName": "Juan Pérez", "totalAmount": "59980.00", "currency": "CLP", "status": "entregado", "createdAt": "2025-11-15T10:30:00Z" },
+ *     { "id": "order2", "clientName": "Juan Pérez", "totalAmount": "29990.00", "currency": "CLP", "status": "pendiente", "createdAt": "2025-11-10T14:22:00Z" }
+ *   ],
+ *   "pageInfo": { "total": 7, "limit": 2, "sort": "-createdAt", "hasMore": true, "nextCursor": "eyJzb3J0Ijoi..." }
+ * }
+ */
+router.get('/history/:clientId', authorize('GetOrderHistory'), validate('GetOrderHistory', { userId: 'clientId' }), ordersController.getOrderHistory);
+
+/**
+ * 🧭 GET /:id/timeline
+ * Obtiene la línea de tiempo de estados de una orden
+ * Un usuario solo puede consultar sus propias órdenes
+ * 
+ * @route GET /orders/:id/timeline
+ * @param {string} id - ID de la orden o número de seguimiento
+ * @returns {Object} Estado actual y transiciones, de la más antigua a la más reciente
+ * 
+ * @example
+ * GET /orders/123e4567-e89b-12d3-a456-426614174000/timeline
+ * 
+ * Respuesta:
+ * {
+ *   "orderId": "123e4567-e89b-12d3-a456-426614174000",
+ *   "currentStatus": "cancelado",
+ *   "timeline": [
+ *     { "previousStatus": null, "status": "pendiente", "role": "user", "source": "rest", "createdAt": "2025-11-15T10:30:00Z" },
+ *     { "previousStatus": "pendiente", "status": "cancelado", "actorId": "admin-7", "role": "admin",
+ *       "reason": "Stock agotado", "source": "rest", "createdAt": "2025-11-15T11:02:00Z" }
+ *   ]
+ * }
  */
-router.get('/history/:clientId', ordersController.getOrderHistory);
+router.get('/:id/timeline', authorize('GetOrderTimeline'), validate('GetOrderTimeline', { idOrTracking: 'id' }), ordersController.getOrderTimeline);
 
 // Exportar el enrutador configurado para usarlo en la aplicación principal
 export default router;
\ No newline at end of file
@@ -0,0 +1,277 @@
+// Importar constructor de esquemas
+import { z } from 'zod';
+// Importar valores permitidos desde el dominio (los mismos que usa el servicio)
+import { ORDER_STATUSES } from '../services/orderStateMachine.js';
+import { ORDER_SORT_FIELDS, MAX_PAGE_SIZE, EMAIL_PATTERN, PHONE_PATTERN } from '../services/orderService.js';
+import { SUPPORTED_CURRENCIES } from '../services/money.js';
+import { resolveLocale } from '../services/emailTemplates.js';
+// Importar errores de dominio
+import { RequestValidationError } from '../errors/orderErrors.js';
+
+/**
+ * 📐 Esquemas de las solicitudes de órdenes
+ * Un esquema por operación, con los nombres de campo de order.proto: el interceptor
+ * de validación gRPC los aplica a call.request y el middleware REST a la solicitud
+ * (parámetros, query y cuerpo) traducida a esos mismos nombres. Así cada regla se
+ * escribe una sola vez y un dato inválido se rechaza antes de llegar a la base de datos,
+ * indicando qué campo falló y por qué
+ *
+ * Los campos vacíos cuentan como ausentes: gRPC envía '' y 0 en los campos no indicados
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - ORDER_MAX_ITEMS: máximo de items por pedido (por defecto 50)
+ * - ORDER_MAX_ITEM_QUANTITY: máximo de unidades por item (por defecto 1000)
+ *
+ * @module schemas/orderSchemas
+ */
+
+const MAX_ITEMS = Number(process.env.ORDER_MAX_ITEMS) || 50;
+const MAX_ITEM_QUANTITY = Number(process.env.ORDER_MAX_ITEM_QUANTITY) || 1000;
+
+// Nombre de cada tipo en los mensajes de error
+const TYPE_NAMES = {
+  string: 'texto',
+  number: 'un número',
+  integer: 'un número entero',
+  boolean: 'verdadero o falso',
+  array: 'una lista',
+  object: 'un objeto',
+};
+
+/**
+ * Mensajes en español para los problemas detectados por los esquemas
+ * @param {Object} issue - Problema detectado
+ * @param {Object} ctx - Contexto con el mensaje por defecto
+ * @returns {{message: string}} Mensaje para el cliente
+ */
+const errorMap = (issue, ctx) => {
+  switch (issue.code) {
+    case 'invalid_type':
+      if (issue.received === 'undefined') return { message: 'es obligatorio' };
+      return { message: `debe ser ${TYPE_NAMES[issue.expected] || issue.expected}` };
+    case 'too_small':
+      if (issue.type === 'string') return { message: `debe tener al menos ${issue.minimum} caracter(es)` };
+      if (issue.type === 'array') return { message: `debe tener al menos ${issue.minimum} elemento(s)` };
+      return { message: `debe ser mayor o igual a ${issue.minimum}` };
+    case 'too_big':
+      if (issue.type === 'string') return { message: `debe tener como máximo ${issue.maximum} caracteres` };
+      if (issue.type === 'array') return { message: `debe tener como máximo ${issue.maximum} elementos` };
+      return { message: `debe ser menor o igual a ${issue.maximum}` };
+    case 'invalid_string':
+      if (issue.validation === 'uuid') return { message: 'debe ser un UUID' };
+      return { message: 'tiene un formato inválido' };
+    case 'invalid_enum_value':
+      return { message: `debe ser uno de: ${issue.options.join(', ')}` };
+    case 'invalid_union':
+      return { message: 'tiene un formato inválido' };
+    default:
+      return { message: issue.message || ctx.defaultError };
+  }
+};
+
+/**
+ * Marca un campo como opcional; '', null y las listas vacías cuentan como ausentes
+ * @param {z.ZodTypeAny} schema - Esquema del campo
+ * @returns {z.ZodTypeAny} Esquema opcional
+ */
+const optional = (schema) =>
+  z.preprocess(
+    (value) => (value === '' || value === null || (Array.isArray(value) && !value.length) ? undefined : value),
+    schema.optional()
+  );
+
+/**
+ * Número entero en un rango: número (gRPC y JSON) o texto con solo dígitos (query y
+ * parámetros de ruta REST). A diferencia de z.coerce no convierte true, ' 3 ', '1e2' ni ''
+ * @param {number} min - Valor mínimo
+ * @param {number} max - Valor máximo
+ * @returns {z.ZodTypeAny} Esquema del campo
+ */
+const integer = (min, max) =>
+  z.preprocess(
+    (value) => (typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value),
+    z.number().int().min(min).max(max)
+  );
+
+// 🧱 Campos comunes
+const uuid = z.string().uuid();
+const reference = z.string().max(64).regex(/^[A-Za-z0-9-]+$/, 'solo admite letras, números y guiones');
+const text = (max) => z.string().trim().min(1).max(max);
+const isoDate = z.string().refine((value) => !Number.isNaN(Date.parse(value)), 'debe ser una fecha ISO 8601');
+const currency = z.preprocess((value) => (typeof value === 'string' ? value.toUpperCase() : value), z.enum(SUPPORTED_CURRENCIES));
+const status = z.enum(ORDER_STATUSES);
+
+// Monto decimal no negativo (hasta 12 dígitos enteros), como texto o número (REST)
+const decimalAmount = z.union([z.string(), z.number()])
+  .transform(String)
+  .refine((value) => /^\d{1,12}(\.\d{1,9})?$/.test(value), 'debe ser un monto decimal no negativo (ej: "49.99")');
+
+// Monto como mensaje Money (gRPC)
+const moneyAmount = z.object({
+  currencyCode: optional(currency),
+  units: z.union([z.string(), z.number()]).refine((value) => /^\d{1,12}$/.test(String(value)), 'debe ser un entero no negativo'),
+  nanos: z.number().int().min(0).max(999999999),
+});
+
+const amount = z.union([decimalAmount, moneyAmount]);
+
+// Estados como lista (gRPC) o separados por coma (REST)
+const statusList = z.preprocess(
+  (value) => (typeof value === 'string' ? value.split(',').map((s) => s.trim()).filter(Boolean) : value),
+  z.array(status).min(1)
+);
+
+// Orden del listado: columna indexada con - opcional para descendente
+const sort = z.string().refine(
+  (value) => ORDER_SORT_FIELDS.includes(value.replace(/^[-+]/, '')),
+  `debe ser una de: ${ORDER_SORT_FIELDS.join(', ')} (con - para orden descendente)`
+);
+
+// Tamaño de página: gRPC envía 0 si no se indica
+const limit = z.preprocess(
+  (value) => ([0, '0', '', null].includes(value) ? undefined : value),
+  integer(1, MAX_PAGE_SIZE).optional()
+);
+
+const cursor = z.string().max(1024).regex(/^[A-Za-z0-9_-]+$/, 'no es un cursor válido');
+
+const locale = z.string().refine((value) => {
+  try {
+    resolveLocale(value);
+    return true;
+  } catch {
+    return false;
+  }
+}, 'no es un idioma soportado');
+
+const pageFields = {
+  sort: optional(sort),
+  limit,
+  cursor: optional(cursor),
+};
+
+/**
+ * Exige la moneda al ordenar por monto (los montos de monedas distintas no se comparan)
+ * @param {Object} request - Solicitud ya validada campo a campo
+ * @param {z.RefinementCtx} ctx - Contexto de zod para informar el problema
+ * @returns {void}
+ */
+const requireCurrencyForAmountSort = (request, ctx) => {
+  if (request.sort?.replace(/^[-+]/, '') === 'totalAmount' && !request.currency) {
+    ctx.addIssue({ code: 'custom', path: ['currency'], message: 'es obligatoria al ordenar por totalAmount' });
+  }
+};
+
+/**
+ * 📋 Esquema de cada operación (mismo nombre que su RPC)
+ * @type {Object<string, z.ZodTypeAny>}
+ */
+export const REQUEST_SCHEMAS = {
+  CreateOrder: z.object({
+    userId: optional(uuid),
+    clientName: text(255),
+    shippingAddress: optional(text(255)),
+    email: optional(z.string().max(255).regex(EMAIL_PATTERN, 'debe ser un correo válido')),
+    phone: optional(z.string().regex(PHONE_PATTERN, 'debe estar en formato internacional (ej: +56912345678)')),
+    locale: optional(locale),
+    currency: optional(currency),
+    items: z.array(
+      z.object({
+        productId: uuid,
+        quantity: integer(1, MAX_ITEM_QUANTITY),
+        price: optional(amount),
+      })
+    ).min(1).max(MAX_ITEMS),
+  }),
+
+  GetAllOrders: z.object({
+    id: optional(uuid),
+    userId: optional(uuid),
+    status: optional(statusList),
+    currency: optional(currency),
+    minAmount: optional(amount),
+    maxAmount: optional(amount),
+    startDate: optional(isoDate),
+    endDate: optional(isoDate),
+    productId: optional(uuid),
+    search: optional(z.string().max(100)),
+    ...pageFields,
+  }).superRefine((request, ctx) => {
+    if (request.startDate && request.endDate && Date.parse(request.startDate) > Date.parse(request.endDate)) {
+      ctx.addIssue({ code: 'custom', path: ['endDate'], message: 'debe ser posterior a startDate' });
+    }
+    requireCurrencyForAmountSort(request, ctx);
+  }),
+
+  GetOrderStatus: z.object({
+    trackingNumber: reference,
+    includeLastTransition: optional(z.union([z.boolean(), z.enum(['true', 'false'])])),
+  }),
+
+  UpdateOrderStatus: z.object({
+    id: uuid,
+    status,
+    trackingNumber: optional(reference),
+    reason: optional(text(1000)),
+  }),
+
+  CancelOrder: z.object({
+    idOrTracking: reference,
+    reason: optional(text(1000)),
+  }),
+
+  GetOrderHistory: z.object({
+    userId: uuid,
+    currency: optional(currency),
+    ...pageFields,
+  }).superRefine(requireCurrencyForAmountSort),
+
+  GetOrderTimeline: z.object({
+    idOrTracking: reference,
+  }),
+
+  ListFailedNotifications: z.object({
+    orderId: uuid,
+  }),
+
+  ResendNotification: z.object({
+    id: integer(1, Number.MAX_SAFE_INTEGER),
+  }),
+
+  WatchOrder: z.object({
+    idOrTracking: reference,
+  }),
+};
+
+/**
+ * Convierte la ruta de un campo a texto (ej: ['items', 0, 'quantity'] → 'items[0].quantity')
+ * @param {Array<string|number>} path - Ruta del campo
+ * @returns {string} Ruta legible
+ */
+const fieldPath = (path) =>
+  path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key), '') ||
+  'solicitud';
+
+/**
+ * ✅ Valida una solicitud contra el esquema de su operación
+ * @param {string} operation - Operación (clave de REQUEST_SCHEMAS, ej: 'CreateOrder')
+ * @param {Object} request - Campos de la solicitud con los nombres de order.proto
+ * @returns {Object} Solicitud validada (sin campos desconocidos)
+ * @throws {RequestValidationError} Si algún campo no cumple el esquema
+ * @throws {Error} Si la operación no tiene esquema
+ *
+ * @example
+ * validateRequest('CancelOrder', { idOrTracking: 'TRK-ABC123XYZ', reason: 'Stock agotado' });
+ */
+export const validateRequest = (operation, request) => {
+  const schema = REQUEST_SCHEMAS[operation];
+  if (!schema) throw new Error(`La operación ${operation} no tiene esquema de validación`);
+
+  const result = schema.safeParse(request ?? {}, { errorMap });
+  if (!result.success) {
+    throw new RequestValidationError(
+      result.error.issues.map((issue) => ({ field: fieldPath(issue.path), message: issue.message }))
+    );
+  }
+  return result.data;
+};
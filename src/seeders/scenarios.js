@@ -0,0 +1,57 @@
+/**
+ * 🎬 Escenarios de datos de prueba
+ * Cada escenario es un conjunto de opciones para seedOrders (ver seeders/seeder) que
+ * reproduce una situación conocida. Las opciones que se pasan por línea de comandos
+ * reemplazan las del escenario
+ *
+ * Las fechas se calculan desde el momento en que se ejecuta el seeder; para repetir
+ * exactamente los mismos datos hay que fijar también --from y --to además de --seed
+ *
+ * @module seeders/scenarios
+ */
+
+/**
+ * Fecha de hace n días
+ * @param {number} days - Días hacia atrás
+ * @returns {Date} Fecha calculada
+ */
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+/**
+ * Escenarios disponibles por nombre
+ * @type {Object<string, {description: string, options: Object}>}
+ */
+export const SEED_SCENARIOS = {
+  random: {
+    description: 'Órdenes variadas de clientes distintos en los últimos 90 días',
+    options: { orders: 20, maxItemsPerOrder: 5, from: daysAgo(90) },
+  },
+  'client-with-500-orders': {
+    description: 'Un solo cliente con 500 órdenes en los últimos 2 años (historial y paginación)',
+    options: {
+      orders: 500,
+      clients: 1,
+      from: daysAgo(730),
+      statusDistribution: { entregado: 70, enviado: 10, 'en procesamiento': 5, pendiente: 5, cancelado: 10 },
+    },
+  },
+  'stuck-in-processing': {
+    description: 'Órdenes en procesamiento hace más de una semana (sin avanzar)',
+    options: {
+      orders: 50,
+      statusDistribution: { 'en procesamiento': 1 },
+      from: daysAgo(60),
+      to: daysAgo(7),
+    },
+  },
+  'load-100k': {
+    description: '100.000 órdenes de 5.000 clientes en el último año (pruebas de carga)',
+    options: {
+      orders: 100000,
+      clients: 5000,
+      products: 500,
+      from: daysAgo(365),
+      statusDistribution: { entregado: 55, enviado: 15, 'en procesamiento': 10, pendiente: 10, cancelado: 10 },
+    },
+  },
+};
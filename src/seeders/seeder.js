@@ -1,106 +1,258 @@
 // Importar Faker para generar datos aleatorios realistas
 import { faker } from '@faker-js/faker';
-// Importar instancia de Sequelize para sincronizar la base de datos
+// Importar instancia de Sequelize para insertar cada lote en una transacción
 import { sequelize } from '../config/censudex-orders-db.js';
 // Importar modelos de datos
 import { Order } from '../models/order.js';
 import { OrderItem } from '../models/orderItem.js';
+import { OrderStatusHistory } from '../models/orderStatusHistory.js';
+// Importar cálculos exactos de montos
+import { SUPPORTED_CURRENCIES, currencyDecimals, multiplyAmount, sumAmounts } from '../services/money.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+const log = logger.child({ module: 'seeder' });
+
+// Rango de precios unitarios de prueba por moneda
+const PRICE_RANGES = { CLP: { min: 3000, max: 150000 }, USD: { min: 5, max: 200 } };
+
+// Estados posibles de una orden (los del modelo)
+const ORDER_STATUSES = Order.getAttributes().status.values;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
- * 🌱 Función para llenar la base de datos con datos de prueba
- * Crea órdenes aleatorias con sus items asociados para testing y desarrollo
- * 
+ * Opciones por defecto de seedOrders
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+  orders: 20,
+  maxItemsPerOrder: 5,
+  statusDistribution: Object.fromEntries(ORDER_STATUSES.map((status) => [status, 1])),
+  from: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000),
+  to: new Date(),
+  products: 50,
+  batchSize: 1000,
+};
+
+/**
+ * Valida y completa las opciones del seeder
+ * @param {Object} options - Opciones recibidas
+ * @returns {Object} Opciones completas
+ * @throws {Error} Si alguna opción no es válida
+ */
+const normalizeOptions = (options) => {
+  const merged = { ...DEFAULT_OPTIONS, ...options };
+  const from = new Date(merged.from);
+  const to = new Date(merged.to);
+
+  for (const name of ['orders', 'maxItemsPerOrder', 'batchSize']) {
+    if (!Number.isInteger(merged[name]) || merged[name] < 1) {
+      throw new Error(`${name} debe ser un entero mayor o igual a 1`);
+    }
+  }
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    throw new Error('El rango de fechas no es válido (from debe ser anterior a to)');
+  }
+  if (merged.currency && !SUPPORTED_CURRENCIES.includes(merged.currency)) {
+    throw new Error(`Moneda no soportada: ${merged.currency} (use ${SUPPORTED_CURRENCIES.join(' o ')})`);
+  }
+
+  const weights = Object.entries(merged.statusDistribution);
+  const unknown = weights.map(([status]) => status).filter((status) => !ORDER_STATUSES.includes(status));
+  if (unknown.length) {
+    throw new Error(`Estados desconocidos: ${unknown.join(', ')} (use ${ORDER_STATUSES.join(', ')})`);
+  }
+  if (!weights.length || weights.some(([, weight]) => !(weight >= 0)) || weights.every(([, weight]) => weight === 0)) {
+    throw new Error('La distribución de estados necesita pesos positivos');
+  }
+
+  for (const name of ['clients', 'products']) {
+    const value = merged[name];
+    if (Array.isArray(value)) {
+      if (!value.length || value.some((id) => !UUID_PATTERN.test(id))) {
+        throw new Error(`${name} debe ser una lista de UUID`);
+      }
+    } else if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new Error(`${name} debe ser una lista de UUID o una cantidad mayor o igual a 1`);
+    }
+  }
+
+  return { ...merged, from, to };
+};
+
+/**
+ * Genera el grupo de clientes de las órdenes (mismo nombre y contacto en todas sus órdenes)
+ * @param {Array<string>|number} clients - IDs fijos o cantidad a generar
+ * @returns {Array<Object>} Clientes
+ */
+const buildClients = (clients) =>
+  (Array.isArray(clients) ? clients : faker.helpers.multiple(() => faker.string.uuid(), { count: clients }))
+    .map((id) => ({
+      id,
+      name: faker.person.fullName(),                 // Nombre completo aleatorio
+      email: faker.internet.email(),                 // Correo de contacto aleatorio
+      phone: `+569${faker.string.numeric(8)}`,       // Teléfono chileno aleatorio
+    }));
+
+/**
+ * Genera el grupo de productos de las órdenes, con un precio fijo por moneda
+ * (con los decimales de cada moneda: CLP sin decimales)
+ * @param {Array<string>|number} products - IDs fijos o cantidad a generar
+ * @returns {Array<Object>} Productos
+ */
+const buildProducts = (products) =>
+  (Array.isArray(products) ? products : faker.helpers.multiple(() => faker.string.uuid(), { count: products }))
+    .map((id) => ({
+      id,
+      prices: Object.fromEntries(SUPPORTED_CURRENCIES.map((currency) => [
+        currency,
+        faker.commerce.price({ ...PRICE_RANGES[currency], dec: currencyDecimals(currency) }),
+      ])),
+    }));
+
+/**
+ * Genera una orden con sus items y su registro de historial
+ * @param {Object} context - Opciones normalizadas y grupos de clientes y productos
+ * @returns {{order: Object, items: Array<Object>, history: Object}} Filas a insertar
+ */
+const buildOrder = ({ options, clients, products, statuses }) => {
+  const client = faker.helpers.arrayElement(clients);
+  const currency = options.currency ?? faker.helpers.arrayElement(SUPPORTED_CURRENCIES);
+  const status = faker.helpers.weightedArrayElement(statuses);
+  const createdAt = faker.date.between({ from: options.from, to: options.to });
+  const orderId = faker.string.uuid();
+
+  // 🔢 Entre 1 y maxItemsPerOrder productos distintos, de 1 a 5 unidades cada uno
+  const nItems = Math.min(faker.number.int({ min: 1, max: options.maxItemsPerOrder }), products.length);
+  const items = faker.helpers.arrayElements(products, nItems).map((product) => ({
+    id: faker.string.uuid(),
+    orderId,
+    productId: product.id,
+    quantity: faker.number.int({ min: 1, max: 5 }),
+    price: product.prices[currency],
+  }));
+
+  return {
+    order: {
+      id: orderId,
+      clientId: client.id,
+      clientName: client.name,
+      // 💰 Suma exacta de (precio × cantidad) de todos los items
+      totalAmount: sumAmounts(items.map(({ price, quantity }) => multiplyAmount(price, quantity, currency)), currency),
+      currency,
+      status,
+      // 🔹 Formato: TRK-XXXXXXXXXX (10 caracteres alfanuméricos)
+      trackingNumber: `TRK-${faker.string.alphanumeric(10).toUpperCase()}`,
+      shippingAddress: `${faker.location.streetAddress()}, ${faker.location.city()}, ${faker.location.country()}`,
+      email: client.email,
+      phone: client.phone,
+      createdAt,
+    },
+    items,
+    // 🕒 Estado de la orden en el historial, con la misma fecha de creación
+    history: {
+      orderId,
+      previousStatus: null,
+      status,
+      role: 'system',
+      reason: 'Datos de prueba',
+      source: 'system',
+      createdAt,
+    },
+  };
+};
+
+/**
+ * 🌱 Llena la base de datos con órdenes de prueba configurables
+ * Con la misma semilla y las mismas opciones se generan exactamente los mismos datos
+ * (IDs, clientes, montos, estados y fechas), lo que permite reproducir un error o
+ * repetir una prueba de carga. Las órdenes se insertan por lotes (una transacción y un
+ * INSERT por tabla en cada lote), así que 100.000 órdenes tardan segundos
+ * Solo se ejecuta cuando se pide (npm run db:seed o SEED_ON_START=true) y nunca
+ * con NODE_ENV=production. Las tablas deben existir (npm run db:migrate)
+ *
  * @async
- * @param {number} nOrders - Número de órdenes a crear (por defecto 10)
- * @param {number} maxItemsPerOrder - Cantidad máxima de items por orden (por defecto 5)
- * @returns {Promise<void>}
- * @throws {Error} Si hay error al crear los datos
- * 
- * @example
- * // Crear 10 órdenes con máximo 5 items cada una
- * await seedDatabase();
- * 
+ * @param {Object} [options] - Opciones (ver escenarios en seeders/scenarios)
+ * @param {number} [options.seed] - Semilla de Faker (por defecto una al azar, que se devuelve)
+ * @param {number} [options.orders=20] - Cantidad de órdenes
+ * @param {number} [options.maxItemsPerOrder=5] - Máximo de productos distintos por orden
+ * @param {Object<string, number>} [options.statusDistribution] - Peso de cada estado (por defecto todos iguales)
+ * @param {Date|string} [options.from] - Fecha de creación mínima (por defecto hace 90 días)
+ * @param {Date|string} [options.to] - Fecha de creación máxima (por defecto ahora)
+ * @param {Array<string>|number} [options.clients] - IDs de cliente fijos o cantidad de clientes a generar (por defecto uno por orden)
+ * @param {Array<string>|number} [options.products=50] - IDs de producto fijos o cantidad de productos a generar
+ * @param {string} [options.currency] - Moneda de todas las órdenes (por defecto al azar entre las soportadas)
+ * @param {number} [options.batchSize=1000] - Órdenes por lote
+ * @returns {Promise<{seed: number, orders: number, items: number}>} Semilla usada y filas creadas
+ * @throws {Error} Si las opciones no son válidas, si falla la inserción o si NODE_ENV es 'production'
+ *
  * @example
- * // Crear 50 órdenes con máximo 10 items cada una
- * await seedDatabase(50, 10);
+ * // 500 órdenes de un mismo cliente, repetibles con la semilla 42
+ * await seedOrders({ seed: 42, orders: 500, clients: ['3f8e...'], from: '2025-01-01', to: '2026-01-01' });
  */
-export async function seedDatabase(nOrders = 10, maxItemsPerOrder = 5) {
+export async function seedOrders(options = {}) {
+  // 🚫 Nunca llenar con datos de prueba una base de producción
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('El seeder no se ejecuta con NODE_ENV=production');
+  }
+
+  const normalized = normalizeOptions(options);
+  // 🎲 Fijar la semilla antes de generar cualquier dato
+  const seed = faker.seed(normalized.seed ?? faker.number.int({ max: 2 ** 31 - 1 }));
+
+  const context = {
+    options: normalized,
+    clients: buildClients(normalized.clients ?? normalized.orders),
+    products: buildProducts(normalized.products),
+    statuses: Object.entries(normalized.statusDistribution)
+      .filter(([, weight]) => weight > 0)
+      .map(([value, weight]) => ({ value, weight })),
+  };
+
+  let items = 0;
   try {
-    // 🔄 Sincroniza los modelos con la base de datos
-    // Crea las tablas si no existen
-    await sequelize.sync();
-    console.log('📦 Base de datos sincronizada');
-
-    // 🔁 Bucle para crear múltiples órdenes
-    for (let i = 0; i < nOrders; i++) {
-      // 🎲 Estado aleatorio de la orden
-      // Selecciona aleatoriamente uno de los estados posibles
-      const status = faker.helpers.arrayElement([
-        'pendiente',                   // Orden recibida, pendiente de procesamiento
-        'en procesamiento',            // Siendo preparada para envío
-        'enviado',                     // Ya fue enviada al cliente
-        'entregado',                   // Recibida por el cliente
-        'cancelado',                   // Cancelada por cliente o admin
-      ]);
-
-      // 🔹 Generar número de seguimiento único para cada pedido
-      // Formato: TRK-XXXXXXXXXX (10 caracteres alfanuméricos)
-      const trackingNumber = `TRK-${faker.string.alphanumeric(10).toUpperCase()}`;
-
-      // 🏠 Dirección de envío aleatoria y realista
-      // Combina calle, ciudad y país aleatorios
-      const shippingAddress = `${faker.location.streetAddress()}, ${faker.location.city()}, ${faker.location.country()}`;
-
-      // 📝 Crear la orden en la base de datos
-      const order = await Order.create({
-        clientId: faker.string.uuid(),         // ID único del cliente
-        clientName: faker.person.fullName(),   // Nombre completo aleatorio
-        totalAmount: 0,                        // Se calcula después al sumar items
-        status,                                // Estado aleatorio
-        trackingNumber,                        // Número de seguimiento único
-        shippingAddress,                       // Dirección de envío aleatoria
+    // 🔁 Insertar por lotes para no armar todas las filas en memoria a la vez
+    for (let created = 0; created < normalized.orders; created += normalized.batchSize) {
+      const batch = Array.from(
+        { length: Math.min(normalized.batchSize, normalized.orders - created) },
+        () => buildOrder(context)
+      );
+
+      await sequelize.transaction(async (transaction) => {
+        await Order.bulkCreate(batch.map(({ order }) => order), { transaction });
+        await OrderItem.bulkCreate(batch.flatMap(({ items: rows }) => rows), { transaction });
+        await OrderStatusHistory.bulkCreate(batch.map(({ history }) => history), { transaction });
       });
 
-      // 🔢 Generar cantidad aleatoria de items (entre 1 y maxItemsPerOrder)
-      const nItems = faker.number.int({ min: 1, max: maxItemsPerOrder });
-      let totalAmount = 0;
-
-      // 🔁 Bucle para crear items dentro de la orden
-      for (let j = 0; j < nItems; j++) {
-        // 💰 Generar precio aleatorio entre $5 y $200 con 2 decimales
-        const price = parseFloat(
-          faker.commerce.price({ min: 5, max: 200, dec: 2 })
-        );
-        
-        // 📦 Generar cantidad aleatoria entre 1 y 5 unidades
-        const quantity = faker.number.int({ min: 1, max: 5 });
-        
-        // 🧮 Sumar al total: precio × cantidad
-        totalAmount += price * quantity;
-
-        // ✅ Crear el item en la base de datos
-        await OrderItem.create({
-          orderId: order.id,                   // ID de la orden a la que pertenece
-          productId: faker.string.uuid(),      // ID único del producto
-          quantity,                            // Cantidad del producto
-          price,                               // Precio unitario
-        });
+      items += batch.reduce((acc, { items: rows }) => acc + rows.length, 0);
+      if (normalized.orders > normalized.batchSize) {
+        log.info({ created: created + batch.length, total: normalized.orders }, 'Lote de órdenes creado');
       }
-
-      // 💾 Actualizar el monto total de la orden
-      // Suma de (precio × cantidad) de todos los items
-      order.totalAmount = totalAmount;
-      await order.save();
     }
-
-    // ✅ Mensaje de éxito en consola
-    console.log(
-      `✅ Se han creado ${nOrders} órdenes con trackingNumbers, direcciones y items aleatorios`
-    );
-
   } catch (error) {
     // ❌ Manejo de errores
-    console.error('❌ Error creando seed:', error);
-    throw error; // Propaga el error al archivo que llama esta función (server.js)
+    log.error({ err: error }, 'Error creando seed');
+    throw error; // Propaga el error al que llama esta función (server.js o cli/seed.js)
   }
-}
\ No newline at end of file
+
+  log.info({ orders: normalized.orders, items, seed }, 'Seed creado');
+  return { seed, orders: normalized.orders, items };
+}
+
+/**
+ * 🌱 Función para llenar la base de datos con datos de prueba
+ * Atajo de seedOrders con órdenes de clientes distintos en los últimos 90 días
+ *
+ * @async
+ * @param {number} nOrders - Número de órdenes a crear (por defecto 10)
+ * @param {number} maxItemsPerOrder - Cantidad máxima de items por orden (por defecto 5)
+ * @returns {Promise<{seed: number, orders: number, items: number}>} Semilla usada y filas creadas
+ * @throws {Error} Si hay error al crear los datos o si NODE_ENV es 'production'
+ *
+ * @example
+ * // Crear 50 órdenes con máximo 10 items cada una
+ * await seedDatabase(50, 10);
+ */
+export const seedDatabase = (nOrders = 10, maxItemsPerOrder = 5) =>
+  seedOrders({ orders: nOrders, maxItemsPerOrder });
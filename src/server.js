@@ -1,5 +1,5 @@
-// Importar framework Express para crear servidor HTTP
-import express from 'express';
+// Importar módulo HTTP de Node para crear el servidor
+import http from 'http';
 // Importar cliente MySQL para crear conexiones
 import mysql from 'mysql2/promise';
 // Importar dotenv para cargar variables de entorno
@@ -8,15 +8,37 @@ import dotenv from 'dotenv';
 import { sequelize } from './config/censudex-orders-db.js';
 // Importar modelos de datos
 import { Order } from './models/order.js';
-import { OrderItem } from './models/orderItem.js';
+// Importar migraciones versionadas de la base de datos
+import { runPendingMigrations } from './config/migrator.js';
 // Importar función para llenar la base de datos con datos de prueba
 import { seedDatabase } from './seeders/seeder.js';
 // Importar función para conectar con RabbitMQ
-import { connectRabbitMQ } from './config/rabbitmq.js';
-// Importar rutas de órdenes
-import ordersRouter from './routes/ordersRoutes.js'; // 👈 importa tu router
+import { connectRabbitMQ, stopConsumers, closeRabbitMQ } from './config/rabbitmq.js';
+// Importar administrador del ciclo de vida (inicio ordenado y apagado con SIGTERM)
+import { createLifecycle } from './config/lifecycle.js';
+// Importar logger
+import { logger } from './config/logger.js';
+// Importar trazas de OpenTelemetry (proveedor de spans)
+import { startTracing, stopTracing } from './config/tracing.js';
+// Importar aplicación Express con todas sus rutas
+import { createApp } from './app.js';
+// Importar relay que publica los eventos del outbox en RabbitMQ
+import { startOutboxRelay, stopOutboxRelay } from './services/outboxRelay.js';
+// Importar worker que envía los avisos en cola a los clientes
+import { startNotificationWorker, stopNotificationWorker } from './services/notificationWorker.js';
+// Importar consumidor de comandos de órdenes recibidos por RabbitMQ
+import { startOrderCommandConsumer } from './consumers/orderCommandConsumer.js';
+// Importar consumidor de respuestas de inventario y revisión de sagas vencidas
+import { startInventoryReplyConsumer } from './consumers/inventoryReplyConsumer.js';
+import { startSagaTimeouts, stopSagaTimeouts } from './services/inventorySaga.js';
+// Importar consumidor de eventos de órdenes que alimenta WatchOrder
+import { startOrderWatchConsumer } from './consumers/orderWatchConsumer.js';
+// Limpieza de claves de idempotencia vencidas
+import { startIdempotencyCleanup, stopIdempotencyCleanup } from './services/idempotencyService.js';
 // Importar función para iniciar servicio gRPC
-import { startGrpcService } from './gRPC/orderGrpcService.js';
+import { startGrpcService, stopGrpcService } from './gRPC/orderGrpcService.js';
+// Importar estado de preparación (deja de estar listo al apagar)
+import { markShuttingDown } from './services/healthService.js';
 
 // Cargar variables de entorno desde archivo .env
 dotenv.config();
@@ -24,6 +46,8 @@ dotenv.config();
 // 📌 Obtener configuración desde variables de entorno
 const { DB_HOST, DB_NAME, DB_USER, DB_PASSWORD, PORT } = process.env;
 
+const log = logger.child({ module: 'server' });
+
 /**
  * 🧩 Esperar a que la base de datos esté lista antes de continuar
  * Intenta conectar a MySQL múltiples veces con reintentos automáticos
@@ -52,11 +76,11 @@ async function waitForDatabase() {
       // Cerrar conexión
       await connection.end();
       
-      console.log('✅ Base de datos lista');
+      log.info({ database: DB_NAME }, 'Base de datos lista');
       return;  // Salir exitosamente
     } catch (err) {
       // Si hay error, reintentar
-      console.log('⏳ Esperando a que MySQL esté listo...');
+      log.info({ retriesLeft: retries - 1, reason: err.message }, 'Esperando a que MySQL esté listo');
       retries--;  // Decrementar contador
       
       // Esperar 5 segundos antes de reintentar
@@ -69,90 +93,152 @@ async function waitForDatabase() {
 }
 
 /**
- * 🧩 Sincronizar modelos y ejecutar seeder
- * Crea las tablas en la base de datos si no existen
- * Llena la base de datos con datos de prueba si está vacía
+ * 🧩 Aplicar migraciones pendientes y, si se pide, ejecutar el seeder
+ * Las tablas y sus cambios se crean con las migraciones de src/migrations
+ * (nunca se borran datos al arrancar). El seeder solo corre con SEED_ON_START=true,
+ * si la base está vacía y fuera de producción
  * 
  * @async
  * @returns {Promise<void>}
- * @throws {Error} Si hay error al sincronizar modelos o ejecutar seeder
+ * @throws {Error} Si falla alguna migración o el seeder
  */
 async function initDatabase() {
-  // Sincronizar modelos con la base de datos
-  // force: true = borra tablas existentes y las recrea (solo para desarrollo)
-  await sequelize.sync({ force: true });
-  console.log('🧩 Migraciones ejecutadas correctamente');
+  // Aplicar solo las migraciones que faltan (registradas en SequelizeMeta)
+  const applied = await runPendingMigrations();
+  log.info({ applied: applied.length }, applied.length ? 'Migraciones aplicadas' : 'La base de datos ya está al día');
 
-  // Contar órdenes existentes
-  const count = await Order.count();
-  
-  // Si no hay datos, ejecutar seeder
-  if (count === 0) {
-    console.log('🌱 Ejecutando seeder...');
+  if (process.env.SEED_ON_START !== 'true') return;
+
+  if (process.env.NODE_ENV === 'production') {
+    log.warn('SEED_ON_START se ignora con NODE_ENV=production');
+    return;
+  }
+
+  // Llenar con datos de prueba solo una base sin órdenes
+  if (await Order.count() === 0) {
+    log.info('Ejecutando seeder');
     // Crear 20 órdenes con máximo 5 items cada una
     await seedDatabase(20, 5);
   } else {
-    console.log('✅ La base de datos ya tiene datos.');
+    log.info('La base de datos ya tiene datos, no se ejecuta el seeder');
   }
 }
 
+/**
+ * 🌐 Iniciar el servidor HTTP en el puerto especificado
+ * @param {express.Application} app - Aplicación Express
+ * @returns {Promise<http.Server>} Servidor escuchando
+ * @throws {Error} Si no se puede abrir el puerto
+ */
+const listen = (app) =>
+  new Promise((resolve, reject) => {
+    const server = http.createServer(app);
+    server.once('error', reject);
+    server.listen(PORT, () => {
+      log.info({ port: PORT }, 'Servidor HTTP escuchando');
+      resolve(server);
+    });
+  });
+
+/**
+ * 🛑 Detener el servidor HTTP de forma ordenada
+ * Deja de aceptar conexiones, cierra las inactivas y espera las solicitudes en curso;
+ * al vencer el plazo corta las que queden
+ * @param {http.Server} server - Servidor iniciado con listen
+ * @param {number} timeoutMs - Espera máxima por las solicitudes en curso
+ * @returns {Promise<void>}
+ */
+const closeHttpServer = (server, timeoutMs) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      log.warn('Solicitudes HTTP sin terminar al vencer el plazo de apagado, se cortan');
+      server.closeAllConnections();
+    }, timeoutMs);
+
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    // Las conexiones keep-alive sin solicitud en curso no impedirían cerrar
+    server.closeIdleConnections();
+  });
+
+// Administrador del ciclo de vida de todos los componentes
+const lifecycle = createLifecycle();
+
 /**
  * 🚀 Función principal para iniciar la aplicación
- * Realiza todas las conexiones necesarias y arranca el servidor Express
+ * Inicia cada componente en orden con el administrador del ciclo de vida, que los
+ * detiene en el orden inverso con SIGTERM/SIGINT: primero deja de estar listo y de
+ * aceptar llamadas (gRPC y HTTP esperan las que están en curso), luego deja de consumir
+ * mensajes, detiene los procesos en segundo plano (el relay termina sus publicaciones),
+ * cierra RabbitMQ, la base de datos y por último envía las trazas pendientes.
+ * Si algo falla antes de quedar listo, detiene lo ya iniciado y termina con código 1
+ * para que docker-compose lo reinicie (nunca atiende solicitudes sin base de datos)
  * 
  * @async
  * @returns {Promise<void>}
  */
 async function start() {
-  // 1️⃣ Esperar a que MySQL esté listo
-  await waitForDatabase();
-  
-  // 2️⃣ Conectar con RabbitMQ con reintentos automáticos
-  await connectRabbitMQ();
+  lifecycle.exitOnSignals();
 
   try {
-    // 3️⃣ Autenticar conexión con la base de datos
-    await sequelize.authenticate();
-    console.log('✅ Conectado a MySQL');
-    
-    // 4️⃣ Inicializar base de datos (migraciones + seeder)
-    await initDatabase();
-
-    // 5️⃣ Crear instancia de Express
-    const app = express();
-    
-    // Middleware para parsear JSON en el body de las solicitudes
-    app.use(express.json());
-
-    // 👇 Montar rutas de órdenes en el prefijo /orders
-    // Todas las rutas de ordersRouter estarán disponibles en /orders/*
-    app.use('/orders', ordersRouter);
-
-    // (Opcional) Ruta de salud para probar conexión rápida
-    // GET / retorna un mensaje indicando que el servicio está funcionando
-    app.get('/', (req, res) => res.send('✅ Order Service funcionando'));
-
-    // 6️⃣ Iniciar servidor HTTP en el puerto especificado
-    app.listen(PORT, () => {
-      console.log(`🚀 Order Service corriendo en puerto ${PORT}`);
+    // 0️⃣ Trazas (OTEL_TRACES_EXPORTER); se detienen al final para enviar los últimos spans
+    await lifecycle.start('trazas', { start: () => startTracing(), stop: () => stopTracing() });
+
+    // 1️⃣ Base de datos: esperar a MySQL, conectar y aplicar migraciones (+ seeder si se pidió)
+    await lifecycle.start('MySQL', {
+      start: async () => {
+        await waitForDatabase();
+        await sequelize.authenticate();
+        log.info('Conectado a MySQL');
+        await initDatabase();
+      },
+      stop: () => sequelize.close(),
+    });
+
+    // 2️⃣ Conectar con RabbitMQ con reintentos automáticos
+    await lifecycle.start('RabbitMQ', { start: () => connectRabbitMQ(), stop: () => closeRabbitMQ() });
+
+    // 3️⃣ Procesos en segundo plano
+    // Relay de outbox para publicar eventos pendientes
+    await lifecycle.start('relay de outbox', { start: startOutboxRelay, stop: stopOutboxRelay });
+    // Enviar los avisos en cola a los clientes (con reintentos)
+    await lifecycle.start('worker de notificaciones', { start: startNotificationWorker, stop: stopNotificationWorker });
+    // Saga de reserva de stock: compensación por vencimiento
+    await lifecycle.start('revisión de sagas', { start: startSagaTimeouts, stop: stopSagaTimeouts });
+    // Borrar periódicamente las claves de idempotencia vencidas
+    await lifecycle.start('limpieza de idempotencia', { start: startIdempotencyCleanup, stop: stopIdempotencyCleanup });
+
+    // 4️⃣ Consumir comandos de órdenes y respuestas de inventario enviados vía RabbitMQ,
+    // y los eventos de órdenes de todas las instancias para WatchOrder
+    await lifecycle.start('consumidores de RabbitMQ', {
+      start: async () => {
+        await startOrderCommandConsumer();
+        await startInventoryReplyConsumer();
+        await startOrderWatchConsumer();
+      },
+      stop: (instance, timeoutMs) => stopConsumers(timeoutMs),
     });
+
+    // 5️⃣ Iniciar servidor HTTP
+    await lifecycle.start('servidor HTTP', { start: () => listen(createApp()), stop: closeHttpServer });
+
+    // 6️⃣ Iniciar servicio gRPC en un puerto separado (por defecto 50052)
+    await lifecycle.start('servidor gRPC', { start: startGrpcService, stop: stopGrpcService });
+
+    // 7️⃣ Listo: al apagar, lo primero es dejar de informarse como listo (/health/ready y gRPC)
+    await lifecycle.start('estado de preparación', { start: () => {}, stop: markShuttingDown });
   } catch (err) {
     // Capturar y mostrar errores durante la inicialización
-    console.error('❌ Error inicializando la app:', err);
+    log.fatal({ err }, 'Error inicializando la app');
+    await lifecycle.stop('error al iniciar');
+    process.exit(1);
   }
 }
 
 /**
- * 🚀 Iniciar el servidor Express
+ * 🚀 Iniciar la aplicación
  * Llamar a la función start() para iniciar toda la aplicación
  */
 start();
-
-/**
- * 🚀 Iniciar servicio gRPC de forma asincrónica
- * El servidor gRPC se ejecuta en paralelo con Express
- * en un puerto separado (por defecto 50052)
- */
-(async () => {
-  await startGrpcService();
-})();
\ No newline at end of file
@@ -0,0 +1,207 @@
+// Importar utilidades de Node para leer el JWKS local
+import fs from 'fs';
+// Importar verificación de JWT
+import { jwtVerify, createLocalJWKSet } from 'jose';
+// Importar errores de autenticación y autorización
+import { AuthenticationError, AccessDeniedError } from '../errors/authErrors.js';
+
+/**
+ * 🔐 Autenticación y autorización de llamadas externas (REST y gRPC)
+ * Cada llamada trae un JWT (Authorization: Bearer <token>). El sujeto del token ('sub')
+ * es el ID de quien llama (para un usuario, su clientId) y su rol sale del claim de roles:
+ * nunca del cuerpo de la solicitud. Qué roles pueden hacer cada operación se define
+ * una sola vez en OPERATION_ROLES, y un usuario solo accede a las órdenes de su propio clientId
+ *
+ * ⚙️ Configuración desde variables de entorno (se usa una de las dos claves)
+ * - AUTH_JWKS_FILE: archivo JWKS con las claves públicas (RS256, ES256, EdDSA...)
+ * - AUTH_JWT_SECRET: secreto compartido para HS256/HS384/HS512 (mínimo 32 caracteres)
+ * - AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE: valores exigidos en 'iss' y 'aud' (opcionales)
+ * - AUTH_ROLES_CLAIM: claim con los roles (por defecto 'roles'; lista o texto separado por espacios)
+ * - AUTH_CLOCK_TOLERANCE_S: tolerancia de reloj al revisar 'exp' y 'nbf' (por defecto 30 segundos)
+ *
+ * @module services/authService
+ */
+
+const JWKS_FILE = process.env.AUTH_JWKS_FILE;
+const JWT_SECRET = process.env.AUTH_JWT_SECRET;
+const ISSUER = process.env.AUTH_JWT_ISSUER || undefined;
+const AUDIENCE = process.env.AUTH_JWT_AUDIENCE || undefined;
+const ROLES_CLAIM = process.env.AUTH_ROLES_CLAIM || 'roles';
+const CLOCK_TOLERANCE_S = Number(process.env.AUTH_CLOCK_TOLERANCE_S ?? 30);
+
+if (!JWKS_FILE && !JWT_SECRET) {
+  throw new Error('Configure AUTH_JWKS_FILE o AUTH_JWT_SECRET para verificar los tokens de acceso.');
+}
+if (JWKS_FILE && JWT_SECRET) {
+  throw new Error('Configure solo una de AUTH_JWKS_FILE o AUTH_JWT_SECRET.');
+}
+if (JWT_SECRET && JWT_SECRET.length < 32) {
+  throw new Error('AUTH_JWT_SECRET debe tener al menos 32 caracteres.');
+}
+
+// Algoritmos aceptados según el tipo de clave (nunca 'none' ni mezclas de tipos)
+const ALGORITHMS = JWKS_FILE
+  ? ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512', 'EdDSA']
+  : ['HS256', 'HS384', 'HS512'];
+
+/**
+ * Roles que puede traer un token, de mayor a menor privilegio
+ * El rol 'system' queda reservado para procesos internos
+ * @type {Array<string>}
+ */
+export const CALLER_ROLES = ['admin', 'user'];
+
+/**
+ * 🛡️ Roles permitidos por operación
+ * Las operaciones de órdenes usan el nombre de su RPC (el interceptor gRPC las busca
+ * por el nombre del método) y las rutas REST usan las mismas claves.
+ * Una operación que no está en la tabla se rechaza
+ * @type {Object<string, Array<string>>}
+ */
+export const OPERATION_ROLES = {
+  CreateOrder: ['user', 'admin'],
+  GetAllOrders: ['user', 'admin'],
+  GetOrderStatus: ['user', 'admin'],
+  UpdateOrderStatus: ['admin'],
+  CancelOrder: ['user', 'admin'],
+  GetOrderHistory: ['user', 'admin'],
+  GetOrderTimeline: ['user', 'admin'],
+  ListFailedNotifications: ['admin'],
+  ResendNotification: ['admin'],
+  WatchOrder: ['user', 'admin'],
+  // Solo REST
+  ManageOutbox: ['admin'],
+  PreviewOrderEmail: ['admin'],
+  ManageNotificationPreferences: ['user', 'admin'],
+};
+
+// Clave de verificación (se carga la primera vez que se necesita)
+let verificationKey = null;
+
+/**
+ * Obtiene la clave con que se verifican las firmas
+ * @returns {Function|Uint8Array} JWKS local o secreto compartido
+ */
+const getVerificationKey = () => {
+  if (!verificationKey) {
+    verificationKey = JWKS_FILE
+      ? createLocalJWKSet(JSON.parse(fs.readFileSync(JWKS_FILE, 'utf8')))
+      : new TextEncoder().encode(JWT_SECRET);
+  }
+  return verificationKey;
+};
+
+/**
+ * Lee los roles del claim configurado (lista o texto separado por espacios o comas)
+ * @param {Object} payload - Claims del token
+ * @returns {Array<string>} Roles del token
+ */
+const readRoles = (payload) => {
+  const claim = payload[ROLES_CLAIM] ?? payload.role;
+  if (Array.isArray(claim)) return claim.map(String);
+  if (typeof claim === 'string') return claim.split(/[\s,]+/).filter(Boolean);
+  return [];
+};
+
+/**
+ * Extrae el token de un header Authorization ('Bearer <token>')
+ * @param {string} [header] - Valor del header o de la metadata 'authorization'
+ * @returns {string} Token
+ * @throws {AuthenticationError} Si falta el header o no es de tipo Bearer
+ */
+export const bearerToken = (header) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  if (!match) {
+    throw new AuthenticationError('Falta el token de acceso (Authorization: Bearer <token>).');
+  }
+  return match[1];
+};
+
+/**
+ * 🔎 Verifica un token y obtiene quién llama
+ * Revisa la firma, el vencimiento y, si están configurados, el emisor y la audiencia
+ *
+ * @async
+ * @param {string} token - JWT recibido
+ * @returns {Promise<{subject: string, role: string}>} Sujeto del token y su rol de mayor privilegio
+ * @throws {AuthenticationError} Si el token no es válido o no tiene sujeto
+ * @throws {AccessDeniedError} Si el token no tiene un rol conocido
+ *
+ * @example
+ * const principal = await authenticateToken(bearerToken(req.get('Authorization')));
+ * // { subject: '123e4567-e89b-12d3-a456-426614174000', role: 'user' }
+ */
+export const authenticateToken = async (token) => {
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, getVerificationKey(), {
+      algorithms: ALGORITHMS,
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      clockTolerance: CLOCK_TOLERANCE_S,
+    }));
+  } catch {
+    // Sin detalles de la verificación para el cliente
+    throw new AuthenticationError();
+  }
+
+  if (!payload.sub) {
+    throw new AuthenticationError('El token de acceso no identifica a quién llama (sub).');
+  }
+
+  const roles = readRoles(payload);
+  const role = CALLER_ROLES.find((candidate) => roles.includes(candidate));
+  if (!role) {
+    throw new AccessDeniedError(`El token no tiene un rol permitido (${CALLER_ROLES.join(' o ')}).`);
+  }
+
+  return { subject: String(payload.sub), role };
+};
+
+/**
+ * Verifica que el rol de quien llama pueda realizar una operación
+ * @param {{subject: string, role: string}} principal - Quien llama
+ * @param {string} operation - Operación (clave de OPERATION_ROLES)
+ * @returns {void}
+ * @throws {AccessDeniedError} Si el rol no está permitido o la operación no existe
+ */
+export const assertOperationAllowed = (principal, operation) => {
+  if (!OPERATION_ROLES[operation]?.includes(principal.role)) {
+    throw new AccessDeniedError();
+  }
+};
+
+/**
+ * Verifica que quien llama pueda acceder a los datos de un cliente
+ * (el administrador accede a todos; un usuario, solo a los suyos)
+ * @param {{subject: string, role: string}} principal - Quien llama
+ * @param {string} [clientId] - Cliente consultado (sin cliente no hay nada que revisar)
+ * @returns {void}
+ * @throws {AccessDeniedError} Si un usuario pide datos de otro cliente
+ */
+export const assertClientAccess = (principal, clientId) => {
+  if (principal.role !== 'admin' && clientId && clientId !== principal.subject) {
+    throw new AccessDeniedError('Solo puede acceder a sus propios pedidos.');
+  }
+};
+
+/**
+ * Obtiene el cliente al que se limitan las consultas de quien llama
+ * @param {{subject: string, role: string}} principal - Quien llama
+ * @returns {string|undefined} clientId del usuario, o undefined para el administrador (sin límite)
+ */
+export const ownerScope = (principal) => (principal.role === 'admin' ? undefined : principal.subject);
+
+/**
+ * Resuelve el cliente de una operación a partir del indicado en la solicitud y de quien llama
+ * Un usuario solo puede indicar su propio clientId (si no lo indica, se usa el del token);
+ * el administrador puede indicar cualquiera
+ * @param {{subject: string, role: string}} principal - Quien llama
+ * @param {string} [clientId] - Cliente indicado en la solicitud
+ * @returns {string|undefined} Cliente de la operación
+ * @throws {AccessDeniedError} Si un usuario indica otro cliente
+ */
+export const resolveClientId = (principal, clientId) => {
+  assertClientAccess(principal, clientId);
+  return clientId || ownerScope(principal);
+};
@@ -0,0 +1,134 @@
+// Importar utilidades de Node para ubicar el catálogo local
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Importar clientes del catálogo de productos
+import { createHttpCatalogClient } from '../catalog/httpCatalogClient.js';
+import { createGrpcCatalogClient } from '../catalog/grpcCatalogClient.js';
+import { createStubCatalogClient } from '../catalog/stubCatalogClient.js';
+// Importar cálculos exactos de montos
+import { roundAmount, toMinorUnits } from './money.js';
+// Importar errores de dominio
+import { InvalidOrderItemsError } from '../errors/orderErrors.js';
+import { CatalogUnavailableError } from '../errors/catalogErrors.js';
+
+/**
+ * 🛒 Validación de productos y precios contra el catálogo
+ * Los precios de una orden nunca se toman del cliente: se resuelven en el catálogo.
+ * Un cliente del catálogo es un objeto { name, getProducts(productIds, { currency }) }
+ * que devuelve los productos encontrados como { productId, name, active, price, currency }
+ * y lanza CatalogUnavailableError si no puede responder
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - CATALOG_CLIENT: 'stub' (por defecto), 'http' o 'grpc'
+ * - CATALOG_HTTP_URL / CATALOG_HTTP_TOKEN: catálogo HTTP
+ * - CATALOG_GRPC_URL: catálogo gRPC (ej: catalog:50052)
+ * - CATALOG_TIMEOUT_MS: tiempo máximo de espera (por defecto 3000ms)
+ * - CATALOG_STUB_FILE: productos del catálogo local (por defecto src/dev/catalogProducts.json)
+ *
+ * @module services/catalogService
+ */
+
+// Obtener la ruta del directorio actual
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CATALOG_CLIENT = process.env.CATALOG_CLIENT || 'stub';
+const TIMEOUT_MS = Number(process.env.CATALOG_TIMEOUT_MS) || 3000;
+const STUB_FILE = process.env.CATALOG_STUB_FILE || path.resolve(__dirname, '../dev/catalogProducts.json');
+
+// Fábricas de cada implementación del cliente
+const factories = {
+  stub: () => createStubCatalogClient({ file: STUB_FILE }),
+  http: () => createHttpCatalogClient({
+    baseUrl: process.env.CATALOG_HTTP_URL,
+    token: process.env.CATALOG_HTTP_TOKEN,
+    timeoutMs: TIMEOUT_MS,
+  }),
+  grpc: () => createGrpcCatalogClient({ address: process.env.CATALOG_GRPC_URL, timeoutMs: TIMEOUT_MS }),
+};
+
+if (!factories[CATALOG_CLIENT]) {
+  throw new Error(`CATALOG_CLIENT inválido: ${CATALOG_CLIENT}. Use ${Object.keys(factories).join(', ')}.`);
+}
+
+// Cliente en uso (se crea la primera vez que se necesita)
+let catalogClient = null;
+
+/**
+ * Obtiene el cliente del catálogo configurado
+ * @returns {{name: string, getProducts: Function}} Cliente del catálogo
+ */
+export const getCatalogClient = () => {
+  if (!catalogClient) catalogClient = factories[CATALOG_CLIENT]();
+  return catalogClient;
+};
+
+/**
+ * Reemplaza el cliente del catálogo
+ * Permite conectar otra implementación sin cambiar la validación de órdenes
+ * @param {{name: string, getProducts: Function}} client - Cliente del catálogo
+ * @returns {void}
+ */
+export const setCatalogClient = (client) => {
+  catalogClient = client;
+};
+
+/**
+ * 🧾 Valida los items de un pedido contra el catálogo y les asigna el precio vigente
+ * Revisa todas las líneas antes de fallar, para informar todos los problemas juntos:
+ * - unknown_product: el catálogo no conoce el producto
+ * - inactive_product: el producto no se puede vender
+ * - currency_mismatch: el catálogo no tiene precio en la moneda de la orden
+ * - price_mismatch: el cliente envió un precio distinto al del catálogo
+ * El precio enviado por el cliente es opcional; si viene, solo sirve para detectar diferencias
+ *
+ * @async
+ * @param {Array<{productId: string, quantity: number, price?: number|string}>} items - Items del pedido
+ * @param {string} currency - Moneda de la orden
+ * @returns {Promise<Array<{productId: string, quantity: number, price: string}>>} Items con el precio del catálogo
+ * @throws {InvalidOrderItemsError} Si alguna línea no coincide con el catálogo
+ * @throws {CatalogUnavailableError} Si el catálogo no responde
+ * @throws {OrderValidationError} Si un precio enviado no es un número válido
+ */
+export const priceOrderItems = async (items, currency) => {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+
+  let products;
+  try {
+    products = new Map((await getCatalogClient().getProducts(productIds, { currency })).map((p) => [p.productId, p]));
+  } catch (error) {
+    if (error instanceof CatalogUnavailableError) throw error;
+    throw new CatalogUnavailableError(`Error consultando el catálogo de productos: ${error.message}`, error);
+  }
+
+  const problems = [];
+  const priced = items.map((item, index) => {
+    const line = { line: index + 1, productId: item.productId };
+    const product = products.get(item.productId);
+
+    if (!product) {
+      problems.push({ ...line, reason: 'unknown_product' });
+      return null;
+    }
+    if (!product.active) {
+      problems.push({ ...line, reason: 'inactive_product' });
+      return null;
+    }
+    if (product.currency !== currency || product.price === null || product.price === undefined) {
+      problems.push({ ...line, reason: 'currency_mismatch', catalogCurrency: product.currency || null });
+      return null;
+    }
+
+    const price = roundAmount(product.price, currency);
+    const sent = item.price ?? '';
+    if (sent !== '' && toMinorUnits(sent, currency) !== toMinorUnits(price, currency)) {
+      problems.push({ ...line, reason: 'price_mismatch', expectedPrice: price, receivedPrice: String(sent) });
+      return null;
+    }
+
+    return { ...item, price };
+  });
+
+  if (problems.length) throw new InvalidOrderItemsError(problems);
+  return priced;
+};
@@ -0,0 +1,216 @@
+// Importar utilidades de Node para leer las plantillas desde disco
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Importar motor de plantillas (escapa HTML por defecto)
+import Handlebars from 'handlebars';
+// Importar modelo Order para leer los idiomas definidos en su validación
+import { Order } from '../models/order.js';
+// Importar error de dominio para tipos o idiomas inválidos
+import { OrderValidationError } from '../errors/orderErrors.js';
+// Importar cálculos exactos de montos
+import { DEFAULT_CURRENCY, multiplyAmount } from './money.js';
+
+/**
+ * ✉️ Plantillas de correo de las órdenes
+ * Cada idioma tiene su carpeta en src/templates/emails/<locale> con, por tipo de correo:
+ * - <tipo>.subject.hbs: asunto
+ * - <tipo>.html.hbs: cuerpo HTML (los valores se escapan)
+ * - <tipo>.text.hbs: cuerpo en texto plano
+ * y parciales comunes en partials/ (layout, tabla de items, resumen)
+ *
+ * @module services/emailTemplates
+ */
+
+// Obtener la ruta del directorio actual
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Carpeta raíz de las plantillas de correo
+const TEMPLATES_DIR = path.resolve(__dirname, '../templates/emails');
+
+/**
+ * Idiomas soportados, tomados de la validación del modelo Order
+ * para que la columna y las plantillas no puedan desalinearse
+ * @type {Array<string>}
+ */
+export const SUPPORTED_LOCALES = Order.getAttributes().locale.validate.isIn[0];
+
+/**
+ * Idioma usado cuando la orden no tiene uno (valor por defecto de la columna)
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = Order.getAttributes().locale.defaultValue;
+
+/**
+ * Tipos de correo disponibles (los mismos que usa la máquina de estados)
+ * @type {Array<string>}
+ */
+export const EMAIL_TYPES = ['created', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+/**
+ * ⚙️ Configuración desde variables de entorno
+ * - EMAIL_TIME_ZONE: zona horaria de las fechas (por defecto America/Santiago)
+ * - TRACKING_URL_TEMPLATE: enlace de seguimiento, con {trackingNumber} como marcador
+ *   (ej: https://envios.ejemplo.cl/seguimiento/{trackingNumber}); sin él solo se muestra el número
+ */
+const TIME_ZONE = process.env.EMAIL_TIME_ZONE || 'America/Santiago';
+const TRACKING_URL_TEMPLATE = process.env.TRACKING_URL_TEMPLATE;
+
+// Verificar al cargar el módulo que cada idioma tiene todas sus plantillas
+for (const locale of SUPPORTED_LOCALES) {
+  for (const type of EMAIL_TYPES) {
+    for (const part of ['subject', 'html', 'text']) {
+      const file = path.join(TEMPLATES_DIR, locale, `${type}.${part}.hbs`);
+      if (!fs.existsSync(file)) {
+        throw new Error(`Falta la plantilla de correo ${locale}/${type}.${part}.hbs`);
+      }
+    }
+  }
+}
+
+/**
+ * Crea un entorno Handlebars aislado para un idioma, con sus helpers y parciales
+ * (cada idioma tiene sus propios parciales con textos traducidos)
+ * @param {string} locale - Idioma del entorno
+ * @returns {Object} Instancia de Handlebars
+ */
+const createEnvironment = (locale) => {
+  const hbs = Handlebars.create();
+
+  // Un formateador por moneda (cada orden muestra sus montos en su propia moneda)
+  const moneyFormats = new Map();
+  const moneyFormat = (currency) => {
+    if (!moneyFormats.has(currency)) {
+      moneyFormats.set(currency, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+    }
+    return moneyFormats.get(currency);
+  };
+  const dateTime = new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeStyle: 'short', timeZone: TIME_ZONE });
+
+  // {{money order.totalAmount}} → "$59.980" (es-CL) / "CLP 59,980" (en-US), en la moneda de la orden
+  // (el monto se pasa como texto para formatear el decimal exacto)
+  hbs.registerHelper('money', (value, options) =>
+    moneyFormat(options.data.root.order.currency).format(String(value ?? 0)));
+  // {{date order.createdAt}} → fecha legible en el idioma del correo
+  hbs.registerHelper('date', (value) => (value ? dateTime.format(new Date(value)) : ''));
+  // {{#if (eq cancelledBy "admin")}} → comparación simple
+  hbs.registerHelper('eq', (a, b) => a === b);
+
+  const partialsDir = path.join(TEMPLATES_DIR, locale, 'partials');
+  for (const file of fs.readdirSync(partialsDir).filter((f) => f.endsWith('.hbs'))) {
+    hbs.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(partialsDir, file), 'utf8'));
+  }
+
+  return hbs;
+};
+
+// Plantillas compiladas por idioma, tipo y parte (se compilan la primera vez que se usan)
+const cache = new Map();
+
+/**
+ * Obtiene una plantilla compilada
+ * @param {string} locale - Idioma
+ * @param {string} type - Tipo de correo
+ * @param {string} part - 'subject', 'html' o 'text'
+ * @returns {Function} Plantilla compilada
+ */
+const getTemplate = (locale, type, part) => {
+  if (!cache.has(locale)) cache.set(locale, { hbs: createEnvironment(locale), templates: {} });
+  const entry = cache.get(locale);
+  const key = `${type}.${part}`;
+
+  if (!entry.templates[key]) {
+    const source = fs.readFileSync(path.join(TEMPLATES_DIR, locale, `${key}.hbs`), 'utf8');
+    // El asunto y el texto plano no son HTML: no se escapan
+    entry.templates[key] = entry.hbs.compile(source, { noEscape: part !== 'html' });
+  }
+  return entry.templates[key];
+};
+
+/**
+ * Resuelve el idioma de un correo
+ * Acepta el código exacto ('en-US') o solo el idioma ('en'); si no se indica usa el por defecto
+ * @param {string} [locale] - Idioma solicitado
+ * @returns {string} Idioma soportado
+ * @throws {OrderValidationError} Si el idioma no está soportado
+ */
+export const resolveLocale = (locale) => {
+  if (!locale) return DEFAULT_LOCALE;
+  const match =
+    SUPPORTED_LOCALES.find((l) => l.toLowerCase() === locale.toLowerCase()) ||
+    SUPPORTED_LOCALES.find((l) => l.split('-')[0] === locale.toLowerCase());
+  if (!match) {
+    throw new OrderValidationError(`Idioma no soportado: ${locale}. Use ${SUPPORTED_LOCALES.join(' o ')}.`);
+  }
+  return match;
+};
+
+/**
+ * Construye el enlace de seguimiento de un envío
+ * @param {string} [trackingNumber] - Número de seguimiento
+ * @returns {string|null} URL de seguimiento o null si no hay número o plantilla configurada
+ */
+const trackingUrl = (trackingNumber) =>
+  trackingNumber && TRACKING_URL_TEMPLATE
+    ? TRACKING_URL_TEMPLATE.replace('{trackingNumber}', encodeURIComponent(trackingNumber))
+    : null;
+
+/**
+ * 🖨️ Genera el asunto y los cuerpos de un correo de orden sin enviarlo
+ * Si la orden no trae sus items cargados, los consulta
+ *
+ * @async
+ * @param {string} type - Tipo de correo ('created', 'processing', 'shipped', 'delivered', 'cancelled')
+ * @param {Order} order - Orden a notificar
+ * @param {Object} [details] - Datos propios del evento
+ * @param {string} [details.locale] - Idioma (por defecto el de la orden)
+ * @param {string} [details.trackingNumber] - Número de seguimiento (por defecto el de la orden)
+ * @param {string} [details.cancelledBy] - Rol que canceló ('user', 'admin' o 'system')
+ * @param {string} [details.reason] - Motivo de la cancelación
+ * @returns {Promise<{locale: string, subject: string, text: string, html: string}>} Correo generado
+ * @throws {OrderValidationError} Si el tipo de correo o el idioma no existen
+ *
+ * @example
+ * const { subject, html } = await renderOrderEmail('shipped', order, { locale: 'en-US' });
+ */
+export const renderOrderEmail = async (type, order, details = {}) => {
+  if (!EMAIL_TYPES.includes(type)) {
+    throw new OrderValidationError(`Tipo de correo inválido: ${type}. Use ${EMAIL_TYPES.join(', ')}.`);
+  }
+  const locale = resolveLocale(details.locale || order.locale);
+
+  const items = order.items ?? (typeof order.getItems === 'function' ? await order.getItems() : []);
+  const trackingNumber = details.trackingNumber || order.trackingNumber || null;
+
+  // Datos disponibles en las plantillas
+  const view = {
+    order: {
+      id: order.id,
+      number: String(order.id).slice(0, 8).toUpperCase(),
+      clientName: order.clientName,
+      status: order.status,
+      shippingAddress: order.shippingAddress,
+      createdAt: order.createdAt,
+      totalAmount: order.totalAmount,
+      currency: order.currency || DEFAULT_CURRENCY,
+    },
+    items: items.map((item) => ({
+      productId: item.productId,
+      quantity: item.quantity,
+      price: item.price,
+      subtotal: multiplyAmount(item.price, item.quantity, order.currency || DEFAULT_CURRENCY),
+    })),
+    trackingNumber,
+    trackingUrl: trackingUrl(trackingNumber),
+    cancelledBy: details.cancelledBy || null,
+    reason: details.reason || null,
+  };
+
+  return {
+    locale,
+    subject: getTemplate(locale, type, 'subject')(view).trim(),
+    text: getTemplate(locale, type, 'text')(view).trim(),
+    html: getTemplate(locale, type, 'html')(view),
+  };
+};
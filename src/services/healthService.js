@@ -0,0 +1,174 @@
+// Importar instancia de Sequelize configurada para conectar con MySQL
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar estado de la conexión con RabbitMQ
+import { getChannel, createChannel } from '../config/rabbitmq.js';
+// Importar verificación del proveedor de correo
+import { verifyMailProvider } from '../config/sendgrid.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+const log = logger.child({ module: 'health' });
+
+/**
+ * 🩺 Salud del servicio
+ * - Vida (liveness): el proceso responde; no revisa dependencias, para que el
+ *   orquestador no reinicie el servicio solo porque MySQL o RabbitMQ están caídos
+ * - Preparación (readiness): revisa la base de datos, el canal de RabbitMQ y el
+ *   proveedor de correo, con la latencia de cada uno. El servicio está listo si la
+ *   base de datos y RabbitMQ responden; el correo no es crítico (los avisos quedan en
+ *   cola y se reintentan), por lo que si falla el estado es 'degraded' y sigue listo.
+ *   Desde que empieza el apagado el servicio deja de estar listo ('shutting_down')
+ *
+ * La misma revisión alimenta GET /health/ready y el servicio grpc.health.v1.Health.
+ * Estas respuestas no exigen token, así que el motivo de una falla es un texto fijo
+ * ('Sin respuesta en 2000ms' o 'No disponible'); el error original (con hosts o
+ * usuarios de las dependencias) solo va al log
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - HEALTH_CHECK_TIMEOUT_MS: espera máxima de cada revisión (por defecto 2000ms)
+ * - HEALTH_MAIL_CACHE_MS: cada cuánto se vuelve a consultar SendGrid (por defecto 60000ms)
+ *
+ * @module services/healthService
+ */
+
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+const MAIL_CACHE_MS = Number(process.env.HEALTH_MAIL_CACHE_MS) || 60 * 1000;
+
+// Último resultado del proveedor de correo (no se consulta en cada revisión)
+let mailResult = null;
+// Indica que el servicio se está apagando (deja de estar listo aunque todo responda)
+let shuttingDown = false;
+// Apertura del canal de prueba de RabbitMQ en curso (nunca más de una a la vez)
+let rabbitProbe = null;
+
+// Error de una revisión que no respondió a tiempo
+class CheckTimeoutError extends Error {}
+
+/**
+ * Ejecuta una revisión con tiempo máximo y mide su latencia
+ * @async
+ * @param {string} name - Dependencia revisada (para el log)
+ * @param {Function} check - async () => detalle opcional; lanza un error si la dependencia no está disponible
+ * @returns {Promise<{status: string, latencyMs: number, error?: string}>} Resultado de la revisión
+ */
+const runCheck = async (name, check) => {
+  const startedAt = performance.now();
+  let timer;
+  try {
+    const detail = await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new CheckTimeoutError(`Sin respuesta en ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+      }),
+    ]);
+    return { status: 'up', latencyMs: Math.round(performance.now() - startedAt), ...detail };
+  } catch (error) {
+    log.warn({ dependency: name, err: error }, 'Dependencia no disponible en la revisión de salud');
+    const reason = error instanceof CheckTimeoutError ? error.message : 'No disponible';
+    return { status: 'down', latencyMs: Math.round(performance.now() - startedAt), error: reason };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Abre y cierra un canal aparte de RabbitMQ para confirmar que el broker responde
+ * Si la revisión vence antes, el canal se cierra igual al terminar de abrirse, y las
+ * revisiones siguientes esperan esa misma apertura en lugar de abrir otro canal
+ * @async
+ * @returns {Promise<void>}
+ */
+const probeRabbitMQ = () => {
+  rabbitProbe ??= createChannel()
+    .then((channel) => channel.close())
+    .finally(() => {
+      rabbitProbe = null;
+    });
+  return rabbitProbe;
+};
+
+/**
+ * Dependencias revisadas, con si son críticas para atender solicitudes
+ * @type {Object<string, {critical: boolean, check: Function}>}
+ */
+const CHECKS = {
+  database: {
+    critical: true,
+    check: () => sequelize.authenticate(),
+  },
+  rabbitmq: {
+    critical: true,
+    // Sin el canal de publicación los eventos se acumulan en el outbox; el canal de
+    // prueba confirma que el broker responde sin arriesgar el canal principal
+    check: async () => {
+      if (!getChannel()) throw new Error('No hay canal de RabbitMQ');
+      await probeRabbitMQ();
+    },
+  },
+  mail: {
+    critical: false,
+    check: async () => {
+      // En desarrollo los avisos no se envían a ningún proveedor
+      if (process.env.NOTIFICATIONS_DEV_OUTPUT) return { provider: `dev:${process.env.NOTIFICATIONS_DEV_OUTPUT}` };
+      await verifyMailProvider(CHECK_TIMEOUT_MS);
+      return { provider: 'sendgrid' };
+    },
+  },
+};
+
+/**
+ * Revisa el proveedor de correo, reutilizando el último resultado por HEALTH_MAIL_CACHE_MS
+ * @async
+ * @returns {Promise<Object>} Resultado de la revisión (con checkedAt)
+ */
+const checkMail = async () => {
+  if (!mailResult || Date.now() - mailResult.checkedAt.getTime() > MAIL_CACHE_MS) {
+    mailResult = { ...(await runCheck('mail', CHECKS.mail.check)), checkedAt: new Date() };
+  }
+  return mailResult;
+};
+
+/**
+ * 💓 Estado de vida del proceso
+ * @returns {{status: string, uptimeSeconds: number}} Siempre 'up' mientras el proceso responde
+ */
+export const checkLiveness = () => ({ status: 'up', uptimeSeconds: Math.round(process.uptime()) });
+
+/**
+ * Marca el inicio del apagado: desde ahora el servicio no está listo
+ * @returns {void}
+ */
+export const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+/**
+ * ✅ Estado de preparación: revisa todas las dependencias en paralelo
+ * @async
+ * @returns {Promise<{ready: boolean, status: string, checks: Object}>} 'up', 'degraded' (falla
+ * una dependencia no crítica), 'down' (falla una crítica) o 'shutting_down' (sin revisiones);
+ * ready = false en los dos últimos
+ *
+ * @example
+ * await checkReadiness();
+ * // {
+ * //   ready: true, status: 'degraded',
+ * //   checks: {
+ * //     database: { status: 'up', latencyMs: 3 },
+ * //     rabbitmq: { status: 'up', latencyMs: 2 },
+ * //     mail: { status: 'down', latencyMs: 2000, error: 'Sin respuesta en 2000ms', checkedAt: ... }
+ * //   }
+ * // }
+ */
+export const checkReadiness = async () => {
+  if (shuttingDown) return { ready: false, status: 'shutting_down', checks: {} };
+
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map((name) => (name === 'mail' ? checkMail() : runCheck(name, CHECKS[name].check))));
+  const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+  const failed = names.filter((name) => checks[name].status !== 'up');
+  const ready = failed.every((name) => !CHECKS[name].critical);
+
+  return { ready, status: ready ? (failed.length ? 'degraded' : 'up') : 'down', checks };
+};
@@ -0,0 +1,179 @@
+// Importar utilidades de hash
+import { createHash } from 'crypto';
+// Importar operadores de Sequelize para construir filtros
+import { Op } from 'sequelize';
+// Importar modelo de claves de idempotencia
+import { IdempotencyKey } from '../models/idempotencyKey.js';
+// Importar errores de dominio
+import { IdempotencyKeyMismatchError } from '../errors/idempotencyErrors.js';
+import { OrderValidationError } from '../errors/orderErrors.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+/**
+ * 🔁 Claves de idempotencia
+ * Un cliente (o el API Gateway al reintentar) envía la misma clave en cada intento
+ * de una operación. La primera solicitud guarda la clave, el hash de su contenido
+ * y su respuesta; los reintentos con la misma clave y el mismo contenido reciben
+ * esa respuesta sin repetir la operación, y la misma clave con otro contenido se rechaza.
+ * Las claves son de cada cliente (ownerId): la misma clave elegida por otro cliente
+ * es otra clave
+ *
+ * La clave se inserta en la misma transacción que la operación: si dos intentos llegan
+ * a la vez, el segundo espera en el índice único y, cuando el primero confirma,
+ * responde con su resultado
+ *
+ * ⚙️ Configuración desde variables de entorno
+ * - IDEMPOTENCY_TTL_MS: tiempo que se guarda cada clave (por defecto 24 horas)
+ * - IDEMPOTENCY_CLEANUP_INTERVAL_MS: cada cuánto se borran las claves vencidas (por defecto 1 hora)
+ *
+ * @module services/idempotencyService
+ */
+
+const log = logger.child({ module: 'idempotency' });
+
+const TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = Number(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Formato aceptado: 1 a 255 caracteres ASCII visibles (ej: un UUID)
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Temporizador de limpieza de claves vencidas (null si está detenido)
+let timer = null;
+// Limpieza en curso (al detener se espera a que termine)
+let pass = Promise.resolve();
+
+/**
+ * Valida el formato de una clave de idempotencia
+ * @param {string} key - Clave recibida
+ * @returns {string} Clave validada
+ * @throws {OrderValidationError} Si la clave está vacía, es muy larga o tiene caracteres no permitidos
+ */
+export const assertIdempotencyKey = (key) => {
+  if (!KEY_PATTERN.test(key)) {
+    throw new OrderValidationError('Idempotency-Key inválida: use entre 1 y 255 caracteres ASCII visibles (ej: un UUID).');
+  }
+  return key;
+};
+
+/**
+ * Serializa un valor con las propiedades ordenadas, para que el hash
+ * no dependa del orden en que el cliente envió los campos
+ * @param {*} value - Valor a serializar
+ * @returns {string} JSON canónico
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Calcula el hash de una solicitud
+ * @param {Object} request - Datos de la solicitud (ya normalizados por el llamador)
+ * @returns {string} SHA-256 en hexadecimal
+ */
+export const hashRequest = (request) => createHash('sha256').update(canonicalJson(request)).digest('hex');
+
+/**
+ * 🔎 Busca el resultado guardado de una clave
+ * Las claves vencidas se borran y se tratan como nuevas
+ *
+ * @async
+ * @param {string} scope - Operación (ej: 'createOrder')
+ * @param {string} ownerId - Quien hace la solicitud (las claves de otros no se ven)
+ * @param {string} key - Clave enviada por el cliente
+ * @param {string} requestHash - Hash de la solicitud actual
+ * @returns {Promise<IdempotencyKey|null>} Registro con la respuesta original o null si la clave es nueva
+ * @throws {IdempotencyKeyMismatchError} Si la clave se usó con otra solicitud
+ */
+export const findIdempotentResult = async (scope, ownerId, key, requestHash) => {
+  const record = await IdempotencyKey.findOne({ where: { scope, ownerId, key } });
+  if (!record) return null;
+
+  if (record.expiresAt <= new Date()) {
+    await record.destroy();
+    return null;
+  }
+  if (record.requestHash !== requestHash) {
+    throw new IdempotencyKeyMismatchError(key);
+  }
+  return record;
+};
+
+/**
+ * 🔒 Reserva una clave dentro de la transacción de la operación
+ * Si otra transacción ya la reservó, espera a que termine; si esa confirmó,
+ * falla con UniqueConstraintError y el llamador debe responder con findIdempotentResult
+ *
+ * @async
+ * @param {string} scope - Operación
+ * @param {string} ownerId - Quien hace la solicitud
+ * @param {string} key - Clave enviada por el cliente
+ * @param {string} requestHash - Hash de la solicitud
+ * @param {Object} options - Opciones de Sequelize
+ * @param {Transaction} options.transaction - Transacción de la operación
+ * @returns {Promise<IdempotencyKey>} Clave reservada (se completa con saveIdempotentResult)
+ */
+export const claimIdempotencyKey = async (scope, ownerId, key, requestHash, { transaction }) => {
+  return await IdempotencyKey.create(
+    { scope, ownerId, key, requestHash, expiresAt: new Date(Date.now() + TTL_MS) },
+    { transaction }
+  );
+};
+
+/**
+ * 💾 Guarda la respuesta de la operación en su clave (misma transacción)
+ * @async
+ * @param {IdempotencyKey} record - Clave reservada
+ * @param {Object} result - Resultado de la operación
+ * @param {string} result.orderId - Orden creada
+ * @param {Object} result.response - Respuesta entregada al cliente
+ * @param {Object} options - Opciones de Sequelize
+ * @param {Transaction} options.transaction - Transacción de la operación
+ * @returns {Promise<IdempotencyKey>} Clave completada
+ */
+export const saveIdempotentResult = async (record, { orderId, response }, { transaction }) => {
+  return await record.update({ orderId, response }, { transaction });
+};
+
+/**
+ * 🧹 Borra las claves vencidas
+ * @async
+ * @returns {Promise<number>} Cantidad de claves borradas
+ */
+export const purgeExpiredIdempotencyKeys = async () => {
+  return await IdempotencyKey.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+};
+
+/**
+ * 🚀 Inicia la limpieza periódica de claves vencidas
+ * @returns {void}
+ */
+export const startIdempotencyCleanup = () => {
+  if (timer) return;
+  timer = setInterval(() => {
+    pass = purgeExpiredIdempotencyKeys().catch((error) =>
+      log.error({ err: error }, 'Error borrando claves de idempotencia vencidas')
+    );
+  }, CLEANUP_INTERVAL_MS);
+  log.info('Limpieza de claves de idempotencia iniciada');
+};
+
+/**
+ * 🛑 Detiene la limpieza periódica de claves vencidas
+ * Si hay un borrado en curso, espera a que termine
+ * @async
+ * @returns {Promise<void>}
+ */
+export const stopIdempotencyCleanup = async () => {
+  clearInterval(timer);
+  timer = null;
+  await pass;
+};
@@ -0,0 +1,192 @@
+// Importar operadores de Sequelize para construir filtros
+import { Op } from 'sequelize';
+// Importar instancia de Sequelize para manejar transacciones
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar modelos de datos
+import { Order } from '../models/order.js';
+import { OrderSaga } from '../models/orderSaga.js';
+// Importar máquina de estados de la orden
+import { transitionOrder } from './orderStateMachine.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+const log = logger.child({ module: 'inventory-saga' });
+
+/**
+ * ⚙️ Configuración de la saga desde variables de entorno
+ * - INVENTORY_RESERVATION_TIMEOUT_MS: tiempo máximo para recibir la respuesta de inventario (por defecto 5 minutos)
+ * - INVENTORY_SAGA_POLL_INTERVAL_MS: cada cuánto se revisan las sagas vencidas (por defecto 10 segundos)
+ */
+const RESERVATION_TIMEOUT_MS = Number(process.env.INVENTORY_RESERVATION_TIMEOUT_MS) || 5 * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.INVENTORY_SAGA_POLL_INTERVAL_MS) || 10000;
+
+// Autor registrado en el historial cuando el cambio lo provoca una respuesta de inventario
+const INVENTORY_ACTOR = 'inventory-service';
+
+// Temporizador de revisión de sagas vencidas (null si está detenido)
+let timer = null;
+// Revisión en curso (al detener se espera a que termine)
+let pass = Promise.resolve();
+
+/**
+ * 🚀 Inicia la saga de reserva de stock de una orden recién creada
+ * Debe llamarse en la misma transacción que crea la orden y registra
+ * el evento 'order.created', que es el que dispara la reserva en inventario
+ *
+ * @async
+ * @param {Order} order - Orden recién creada
+ * @param {Object} options - Opciones de Sequelize
+ * @param {Transaction} options.transaction - Transacción en curso
+ * @returns {Promise<OrderSaga>} Saga creada en estado 'awaiting_stock'
+ */
+export const startReservationSaga = async (order, { transaction }) => {
+  return await OrderSaga.create(
+    {
+      orderId: order.id,
+      deadlineAt: new Date(Date.now() + RESERVATION_TIMEOUT_MS),
+    },
+    { transaction }
+  );
+};
+
+/**
+ * Cierra una saga que sigue esperando stock aplicando la acción indicada
+ * La saga y la orden se bloquean dentro de la transacción, por lo que una misma
+ * respuesta (o un vencimiento) solo se procesa una vez aunque haya varias instancias
+ * o mensajes duplicados
+ *
+ * @async
+ * @param {string} orderId - ID de la orden
+ * @param {Function} action - async (order, saga, transaction) => estado final de la saga
+ * @returns {Promise<OrderSaga|null>} Saga cerrada o null si no estaba esperando stock
+ */
+const settleSaga = async (orderId, action) => {
+  return await sequelize.transaction(async (transaction) => {
+    const saga = await OrderSaga.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!saga || saga.state !== 'awaiting_stock') return null;
+
+    const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+
+    saga.state = order ? await action(order, saga, transaction) : 'compensated';
+    saga.completedAt = new Date();
+    await saga.save({ transaction });
+    return saga;
+  });
+};
+
+/**
+ * ✅ Procesa la confirmación de inventario (StockReserved)
+ * La orden pasa de 'pendiente' a 'en procesamiento'. Si mientras tanto fue cancelada
+ * la saga queda compensada (inventario libera el stock al recibir 'order.cancelled')
+ *
+ * @async
+ * @param {string} orderId - ID de la orden
+ * @returns {Promise<OrderSaga|null>} Saga cerrada o null si ya estaba cerrada
+ */
+export const handleStockReserved = async (orderId) => {
+  return await settleSaga(orderId, async (order, saga, transaction) => {
+    if (order.status === 'cancelado') {
+      saga.reason = 'La orden fue cancelada antes de confirmar el stock';
+      return 'compensated';
+    }
+    if (order.status === 'pendiente') {
+      await transitionOrder(order, 'en procesamiento', {
+        role: 'system',
+        actorId: INVENTORY_ACTOR,
+        source: 'event',
+        transaction,
+      });
+    }
+    return 'completed';
+  });
+};
+
+/**
+ * ❌ Procesa el rechazo de inventario (StockRejected)
+ * Cancela la orden con el motivo informado y notifica al cliente por correo
+ *
+ * @async
+ * @param {string} orderId - ID de la orden
+ * @param {string} [reason] - Motivo del rechazo informado por inventario
+ * @returns {Promise<OrderSaga|null>} Saga cerrada o null si ya estaba cerrada
+ */
+export const handleStockRejected = async (orderId, reason) => {
+  const note = `Stock insuficiente${reason ? `: ${reason}` : ''}`;
+
+  return await settleSaga(orderId, async (order, saga, transaction) => {
+    saga.reason = note;
+    if (order.status !== 'cancelado') {
+      await transitionOrder(order, 'cancelado', {
+        role: 'system',
+        reason: note,
+        actorId: INVENTORY_ACTOR,
+        source: 'event',
+        transaction,
+      });
+    }
+    return 'compensated';
+  });
+};
+
+/**
+ * ⏰ Compensa las sagas que superaron su fecha límite sin respuesta de inventario
+ * Cancela la orden; el evento 'order.cancelled' indica a inventario que libere
+ * cualquier reserva que haya hecho tarde
+ *
+ * @async
+ * @returns {Promise<number>} Cantidad de sagas compensadas
+ */
+export const compensateExpiredSagas = async () => {
+  const expired = await OrderSaga.findAll({
+    where: { state: 'awaiting_stock', deadlineAt: { [Op.lte]: new Date() } },
+    order: [['deadlineAt', 'ASC']],
+    limit: 100,
+  });
+
+  let compensated = 0;
+  for (const { orderId } of expired) {
+    const note = 'No se recibió confirmación de stock a tiempo';
+    const saga = await settleSaga(orderId, async (order, saga, transaction) => {
+      // Si la orden ya avanzó o se canceló por otra vía no hay nada que compensar
+      if (order.status === 'cancelado') return 'compensated';
+      if (order.status !== 'pendiente') return 'completed';
+
+      saga.reason = note;
+      await transitionOrder(order, 'cancelado', { role: 'system', reason: note, transaction });
+      return 'timed_out';
+    });
+    if (saga?.state === 'timed_out') {
+      compensated++;
+      log.warn({ orderId }, 'Saga de stock vencida, orden cancelada');
+    }
+  }
+  return compensated;
+};
+
+/**
+ * 🚀 Inicia la revisión periódica de sagas vencidas
+ * Como el estado está en la base de datos, al reiniciar el servicio
+ * se retoman las sagas que quedaron esperando
+ * @returns {void}
+ */
+export const startSagaTimeouts = () => {
+  if (timer) return;
+  timer = setInterval(() => {
+    pass = compensateExpiredSagas().catch((error) =>
+      log.error({ err: error }, 'Error revisando sagas de stock vencidas')
+    );
+  }, POLL_INTERVAL_MS);
+  log.info('Revisión de sagas de stock iniciada');
+};
+
+/**
+ * 🛑 Detiene la revisión periódica de sagas vencidas
+ * Si hay una revisión en curso, espera a que termine de compensar
+ * @async
+ * @returns {Promise<void>}
+ */
+export const stopSagaTimeouts = async () => {
+  clearInterval(timer);
+  timer = null;
+  await pass;
+};
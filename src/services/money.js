@@ -0,0 +1,184 @@
+// Importar modelo Order para leer las monedas definidas en su validación
+import { Order } from '../models/order.js';
+// Importar error de dominio para montos o monedas inválidos
+import { OrderValidationError } from '../errors/orderErrors.js';
+
+/**
+ * 💰 Montos exactos por moneda
+ * Los cálculos se hacen en unidades mínimas enteras (pesos en CLP, centavos en USD)
+ * y nunca con decimales de punto flotante. Cada moneda redondea a sus propios
+ * decimales (CLP no tiene, USD tiene 2), con redondeo "mitad hacia arriba".
+ * En la base de datos los montos se guardan como DECIMAL y viajan como texto ('12990', '49.99')
+ *
+ * @module services/money
+ */
+
+/**
+ * Monedas soportadas, tomadas de la validación del modelo Order
+ * para que la columna y los cálculos no puedan desalinearse
+ * @type {Array<string>}
+ */
+export const SUPPORTED_CURRENCIES = Order.getAttributes().currency.validate.isIn[0];
+
+/**
+ * Moneda de las órdenes que no indican una
+ * ORDER_CURRENCY en el entorno, o el valor por defecto de la columna (CLP)
+ * @type {string}
+ */
+export const DEFAULT_CURRENCY = process.env.ORDER_CURRENCY || Order.getAttributes().currency.defaultValue;
+
+if (!SUPPORTED_CURRENCIES.includes(DEFAULT_CURRENCY)) {
+  throw new Error(`ORDER_CURRENCY inválida: ${DEFAULT_CURRENCY}. Use ${SUPPORTED_CURRENCIES.join(' o ')}.`);
+}
+
+// Decimales de cada moneda según ISO 4217 (CLP: 0, USD: 2)
+const DECIMALS = Object.fromEntries(
+  SUPPORTED_CURRENCIES.map((currency) => [
+    currency,
+    new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits,
+  ])
+);
+
+// Formato aceptado para montos: enteros o decimales con punto, sin separador de miles
+const AMOUNT_PATTERN = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Valida y normaliza un código de moneda
+ * @param {string} [currency] - Código ISO 4217 (si no se indica se usa la moneda por defecto)
+ * @returns {string} Código en mayúsculas
+ * @throws {OrderValidationError} Si la moneda no está soportada
+ */
+export const resolveCurrency = (currency) => {
+  if (!currency) return DEFAULT_CURRENCY;
+  const code = String(currency).toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(code)) {
+    throw new OrderValidationError(`Moneda no soportada: ${currency}. Use ${SUPPORTED_CURRENCIES.join(' o ')}.`);
+  }
+  return code;
+};
+
+/**
+ * Cantidad de decimales de una moneda
+ * @param {string} currency - Código ISO 4217
+ * @returns {number} Decimales (0 para CLP, 2 para USD)
+ */
+export const currencyDecimals = (currency) => DECIMALS[resolveCurrency(currency)];
+
+/**
+ * Convierte un monto a unidades mínimas enteras redondeando a los decimales de la moneda
+ * Los números se leen por su representación más corta (49.99 → '49.99'),
+ * por lo que 1.005 se redondea a 1.01 y no a 1.00
+ *
+ * @param {number|string} amount - Monto (ej: 49.99 o '12990')
+ * @param {string} currency - Código ISO 4217
+ * @returns {number} Monto en unidades mínimas (ej: 4999 en USD, 12990 en CLP)
+ * @throws {OrderValidationError} Si el monto no es un número válido
+ *
+ * @example
+ * toMinorUnits('12990.5', 'CLP'); // 12991
+ * toMinorUnits(49.99, 'USD');     // 4999
+ */
+export const toMinorUnits = (amount, currency) => {
+  const decimals = currencyDecimals(currency);
+  const text = typeof amount === 'number' && /e/i.test(String(amount))
+    ? amount.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+    : String(amount ?? '').trim();
+
+  const match = AMOUNT_PATTERN.exec(text);
+  if (!match) {
+    throw new OrderValidationError(`Monto inválido: ${amount}.`);
+  }
+  const [, sign, units, fraction = ''] = match;
+
+  // Un dígito más que los de la moneda para decidir el redondeo
+  const digits = fraction.padEnd(decimals + 1, '0').slice(0, decimals + 1);
+  let minor = Number(units) * 10 ** decimals + Number(digits.slice(0, decimals) || 0);
+  if (Number(digits[decimals]) >= 5) minor += 1;
+
+  if (!Number.isSafeInteger(minor)) {
+    throw new OrderValidationError(`Monto fuera de rango: ${amount}.`);
+  }
+  return sign && minor !== 0 ? -minor : minor;
+};
+
+/**
+ * Convierte unidades mínimas a un monto decimal en texto con los decimales de la moneda
+ * @param {number} minor - Monto en unidades mínimas
+ * @param {string} currency - Código ISO 4217
+ * @returns {string} Monto decimal (ej: '49.99' en USD, '12990' en CLP)
+ */
+export const fromMinorUnits = (minor, currency) => {
+  const decimals = currencyDecimals(currency);
+  const digits = String(Math.abs(minor)).padStart(decimals + 1, '0');
+  const sign = minor < 0 ? '-' : '';
+  return decimals
+    ? `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`
+    : `${sign}${digits}`;
+};
+
+/**
+ * Redondea un monto a los decimales de su moneda
+ * @param {number|string} amount - Monto a redondear (ej: '12990.00' leído de la base de datos)
+ * @param {string} currency - Código ISO 4217
+ * @returns {string} Monto decimal redondeado
+ * @throws {OrderValidationError} Si el monto no es un número válido
+ */
+export const roundAmount = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+/**
+ * Multiplica un precio unitario por una cantidad sin perder precisión
+ * @param {number|string} price - Precio unitario
+ * @param {number} quantity - Cantidad entera
+ * @param {string} currency - Código ISO 4217
+ * @returns {string} Subtotal decimal
+ */
+export const multiplyAmount = (price, quantity, currency) =>
+  fromMinorUnits(toMinorUnits(price, currency) * quantity, currency);
+
+/**
+ * Suma montos de una misma moneda sin perder precisión
+ * @param {Array<number|string>} amounts - Montos a sumar
+ * @param {string} currency - Código ISO 4217
+ * @returns {string} Suma decimal
+ */
+export const sumAmounts = (amounts, currency) =>
+  fromMinorUnits(amounts.reduce((acc, amount) => acc + toMinorUnits(amount, currency), 0), currency);
+
+/**
+ * Descompone un monto en unidades enteras y nanos (formato del mensaje Money de gRPC,
+ * el mismo que google.type.Money): '49.99' → { units: '49', nanos: 990000000 }
+ * @param {number|string} amount - Monto decimal
+ * @param {string} currency - Código ISO 4217
+ * @returns {{currencyCode: string, units: string, nanos: number}} Monto separado
+ */
+export const toMoneyParts = (amount, currency) => {
+  const decimals = currencyDecimals(currency);
+  const minor = toMinorUnits(amount, currency);
+  const scale = 10 ** decimals;
+  // Math.trunc y % conservan el signo, como exige el formato (units y nanos con el mismo signo)
+  return {
+    currencyCode: resolveCurrency(currency),
+    units: String(Math.trunc(minor / scale)),
+    nanos: (minor % scale) * 10 ** (9 - decimals),
+  };
+};
+
+/**
+ * Reconstruye un monto decimal desde unidades enteras y nanos
+ * Los nanos que exceden los decimales de la moneda se redondean
+ * @param {Object} money - Monto separado
+ * @param {string|number} [money.units] - Unidades enteras
+ * @param {number} [money.nanos] - Fracción en nanos (0 a ±999.999.999)
+ * @param {string} currency - Código ISO 4217
+ * @returns {string} Monto decimal
+ * @throws {OrderValidationError} Si las partes no forman un monto válido
+ */
+export const fromMoneyParts = ({ units = '0', nanos = 0 } = {}, currency) => {
+  const sign = String(units).startsWith('-') || nanos < 0 ? '-' : '';
+  const whole = String(units).replace('-', '') || '0';
+  const fraction = String(Math.abs(nanos)).padStart(9, '0');
+  if (Math.abs(nanos) > 999999999) {
+    throw new OrderValidationError(`Monto inválido: nanos fuera de rango (${nanos}).`);
+  }
+  return roundAmount(`${sign}${whole}.${fraction}`, currency);
+};
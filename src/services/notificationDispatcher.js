@@ -0,0 +1,72 @@
+// Importar notificadores de cada canal
+import { sendOrderEmail } from '../config/sendgrid.js';
+import { sendOrderSms } from '../notifiers/smsNotifier.js';
+import { sendOrderPush } from '../notifiers/pushNotifier.js';
+import { createDevNotifier } from '../notifiers/devNotifier.js';
+// Importar error de avisos que no se deben reintentar
+import { PermanentNotificationError } from '../errors/notificationErrors.js';
+// Importar preferencias de notificación de los clientes
+import { NOTIFICATION_CHANNELS } from './notificationPreferenceService.js';
+
+/**
+ * 📣 Despachador de avisos de pedidos
+ * Entrega un aviso por el notificador de su canal. Un notificador es una función
+ * async (type, order, details) => respuesta del proveedor, que lanza error si no
+ * puede entregar el aviso (PermanentNotificationError si no vale la pena reintentar).
+ * Los avisos se encolan con services/notificationService.js y los envía el
+ * worker de services/notificationWorker.js
+ *
+ * Con NOTIFICATIONS_DEV_OUTPUT=console|file todos los canales se reemplazan por
+ * el notificador de desarrollo (no se contacta a ningún proveedor)
+ *
+ * @module services/notificationDispatcher
+ */
+
+// Notificadores registrados por canal
+const notifiers = new Map([
+  ['email', sendOrderEmail],
+  ['sms', sendOrderSms],
+  ['push', sendOrderPush],
+]);
+
+/**
+ * Registra (o reemplaza) el notificador de un canal
+ * Permite conectar otro proveedor de SMS o push sin cambiar el despachador
+ * @param {string} channel - Canal ('email', 'sms' o 'push')
+ * @param {Function} notifier - async (type, order, details) => respuesta del proveedor
+ * @returns {void}
+ * @throws {Error} Si el canal no existe
+ */
+export const registerNotifier = (channel, notifier) => {
+  if (channel === 'none' || !NOTIFICATION_CHANNELS.includes(channel)) {
+    throw new Error(`Canal de notificación desconocido: ${channel}`);
+  }
+  notifiers.set(channel, notifier);
+};
+
+/**
+ * Obtiene el notificador de un canal (el de desarrollo si está activado)
+ * @param {string} channel - Canal
+ * @returns {Function} Notificador
+ */
+const getNotifier = (channel) =>
+  process.env.NOTIFICATIONS_DEV_OUTPUT ? createDevNotifier(channel) : notifiers.get(channel);
+
+/**
+ * 📨 Entrega un aviso de pedido por un canal
+ *
+ * @async
+ * @param {string} channel - Canal ('email', 'sms' o 'push')
+ * @param {string} type - Evento ('created', 'processing', 'shipped', 'delivered', 'cancelled')
+ * @param {Order} order - Orden a notificar (con sus items)
+ * @param {Object} [details={}] - Datos propios del evento (trackingNumber, cancelledBy, reason)
+ * @returns {Promise<Object>} Respuesta del proveedor
+ * @throws {PermanentNotificationError} Si el canal no tiene notificador o el aviso no se puede entregar nunca
+ * @throws {Error} Si el proveedor falla (se puede reintentar)
+ */
+export const dispatchNotification = async (channel, type, order, details = {}) => {
+  const notifier = getNotifier(channel);
+  if (!notifier) throw new PermanentNotificationError(`No hay notificador para el canal ${channel}`);
+
+  return (await notifier(type, order, details)) ?? null;
+};
@@ -0,0 +1,95 @@
+// Importar instancia de Sequelize para manejar transacciones
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar modelo de preferencias de notificación
+import { NotificationPreference } from '../models/notificationPreference.js';
+// Importar error de dominio para datos inválidos
+import { OrderValidationError } from '../errors/orderErrors.js';
+
+/**
+ * Eventos que se pueden configurar, tomados del ENUM del modelo
+ * @type {Array<string>}
+ */
+export const NOTIFICATION_EVENTS = NotificationPreference.getAttributes().eventType.values;
+
+/**
+ * Canales que un cliente puede elegir ('none' desactiva el aviso)
+ * @type {Array<string>}
+ */
+export const NOTIFICATION_CHANNELS = NotificationPreference.getAttributes().channel.values;
+
+/**
+ * Canal usado cuando el cliente no eligió uno (NOTIFICATIONS_DEFAULT_CHANNEL, por defecto email)
+ * @type {string}
+ */
+export const DEFAULT_CHANNEL = process.env.NOTIFICATIONS_DEFAULT_CHANNEL || 'email';
+
+if (!NOTIFICATION_CHANNELS.includes(DEFAULT_CHANNEL)) {
+  throw new Error(`NOTIFICATIONS_DEFAULT_CHANNEL inválido: "${DEFAULT_CHANNEL}"`);
+}
+
+/**
+ * 🔍 Obtiene el canal por el que se avisa un evento a un cliente
+ * @async
+ * @param {string} clientId - ID del cliente
+ * @param {string} eventType - Evento del pedido
+ * @param {Object} [options={}] - Opciones de Sequelize
+ * @param {Transaction} [options.transaction] - Transacción en curso (la del cambio de la orden)
+ * @returns {Promise<string>} Canal elegido o el canal por defecto
+ */
+export const getChannelFor = async (clientId, eventType, { transaction } = {}) => {
+  const preference = await NotificationPreference.findOne({ where: { clientId, eventType }, transaction });
+  return preference?.channel ?? DEFAULT_CHANNEL;
+};
+
+/**
+ * 📋 Obtiene las preferencias de un cliente para todos los eventos
+ * Los eventos sin preferencia guardada muestran el canal por defecto
+ * @async
+ * @param {string} clientId - ID del cliente
+ * @returns {Promise<Object<string, string>>} Canal por evento (ej: { created: 'email', shipped: 'sms', ... })
+ * @throws {OrderValidationError} Si no se indica el cliente
+ */
+export const getPreferences = async (clientId) => {
+  if (!clientId) throw new OrderValidationError('Debe especificar el ID del cliente.');
+
+  const saved = await NotificationPreference.findAll({ where: { clientId } });
+  const preferences = Object.fromEntries(NOTIFICATION_EVENTS.map((event) => [event, DEFAULT_CHANNEL]));
+  for (const { eventType, channel } of saved) preferences[eventType] = channel;
+  return preferences;
+};
+
+/**
+ * ✏️ Guarda las preferencias de un cliente
+ * Solo cambia los eventos indicados; el resto conserva su valor
+ * @async
+ * @param {string} clientId - ID del cliente
+ * @param {Object<string, string>} preferences - Canal por evento (ej: { shipped: 'sms', delivered: 'none' })
+ * @returns {Promise<Object<string, string>>} Preferencias completas después del cambio
+ * @throws {OrderValidationError} Si el cliente, algún evento o algún canal no es válido
+ *
+ * @example
+ * await updatePreferences(clientId, { shipped: 'sms', processing: 'none' });
+ */
+export const updatePreferences = async (clientId, preferences) => {
+  if (!clientId) throw new OrderValidationError('Debe especificar el ID del cliente.');
+  if (!preferences || typeof preferences !== 'object' || Object.keys(preferences).length === 0) {
+    throw new OrderValidationError('Debe indicar al menos una preferencia (evento: canal).');
+  }
+
+  for (const [event, channel] of Object.entries(preferences)) {
+    if (!NOTIFICATION_EVENTS.includes(event)) {
+      throw new OrderValidationError(`Evento inválido: ${event}. Use ${NOTIFICATION_EVENTS.join(', ')}.`);
+    }
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      throw new OrderValidationError(`Canal inválido para ${event}: ${channel}. Use ${NOTIFICATION_CHANNELS.join(', ')}.`);
+    }
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const [eventType, channel] of Object.entries(preferences)) {
+      await NotificationPreference.upsert({ clientId, eventType, channel }, { transaction });
+    }
+  });
+
+  return await getPreferences(clientId);
+};
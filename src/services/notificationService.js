@@ -0,0 +1,95 @@
+// Importar modelos de avisos y su auditoría
+import { Notification } from '../models/notification.js';
+import { NotificationAttempt } from '../models/notificationAttempt.js';
+// Importar preferencias de notificación de los clientes
+import { getChannelFor } from './notificationPreferenceService.js';
+// Importar contexto de traza de la solicitud en curso
+import { injectTraceContext } from '../config/tracing.js';
+// Importar errores de dominio
+import { OrderValidationError } from '../errors/orderErrors.js';
+import { NotificationNotFoundError, NotificationAlreadySentError, NotificationPendingError } from '../errors/notificationErrors.js';
+
+/**
+ * Estados de envío que se pueden consultar, tomados del ENUM del modelo
+ * @type {Array<string>}
+ */
+export const NOTIFICATION_STATUSES = Notification.getAttributes().status.values;
+
+/**
+ * 📝 Encola un aviso de pedido para el cliente
+ * Resuelve el canal según las preferencias del cliente al momento del evento.
+ * Debe llamarse dentro de la misma transacción que modifica la orden,
+ * de modo que el aviso exista si y solo si el cambio se confirmó. Guarda el contexto
+ * de traza actual para que el envío quede en la traza de la solicitud
+ *
+ * @async
+ * @param {string} type - Evento ('created', 'processing', 'shipped', 'delivered', 'cancelled')
+ * @param {Order} order - Orden notificada
+ * @param {Object} [details={}] - Datos propios del evento (trackingNumber, cancelledBy, reason)
+ * @param {Object} options - Opciones de Sequelize
+ * @param {Transaction} options.transaction - Transacción en curso
+ * @returns {Promise<Notification|null>} Aviso encolado o null si el cliente desactivó este aviso
+ *
+ * @example
+ * await enqueueOrderNotification('shipped', order, { trackingNumber }, { transaction });
+ */
+export const enqueueOrderNotification = async (type, order, details = {}, { transaction }) => {
+  const channel = await getChannelFor(order.clientId, type, { transaction });
+  if (channel === 'none') return null;
+
+  return await Notification.create(
+    { orderId: order.id, clientId: order.clientId, type, channel, details, traceContext: injectTraceContext() },
+    { transaction }
+  );
+};
+
+/**
+ * 🔍 Lista los avisos de una orden con su registro de intentos
+ *
+ * @async
+ * @param {Object} filters - Filtros
+ * @param {string} filters.orderId - ID de la orden
+ * @param {string} [filters.status='failed'] - Estado de los avisos ('pending', 'sent' o 'failed')
+ * @returns {Promise<Array<Notification>>} Avisos con sus intentos (attemptLog), del más antiguo al más reciente
+ * @throws {OrderValidationError} Si falta la orden o el estado no es válido
+ */
+export const listOrderNotifications = async ({ orderId, status = 'failed' }) => {
+  if (!orderId) throw new OrderValidationError('Debe especificar el ID de la orden.');
+  if (!NOTIFICATION_STATUSES.includes(status)) {
+    throw new OrderValidationError(`Estado inválido. Use ${NOTIFICATION_STATUSES.join(', ')}.`);
+  }
+
+  return await Notification.findAll({
+    where: { orderId, status },
+    include: [{ model: NotificationAttempt, as: 'attemptLog' }],
+    order: [['id', 'ASC'], [{ model: NotificationAttempt, as: 'attemptLog' }, 'attempt', 'ASC']],
+  });
+};
+
+/**
+ * 🔁 Vuelve a poner en cola un aviso fallido para que el worker lo envíe de nuevo
+ * Reinicia el contador de intentos (el registro de intentos anteriores se conserva).
+ * El cambio solo se aplica si el aviso sigue fallido, así no compite con el worker
+ *
+ * @async
+ * @param {number} id - ID del aviso
+ * @returns {Promise<Notification>} Aviso reprogramado
+ * @throws {NotificationNotFoundError} Si el aviso no existe
+ * @throws {NotificationAlreadySentError} Si el aviso ya fue enviado
+ * @throws {NotificationPendingError} Si el aviso aún está pendiente de envío
+ */
+export const resendNotification = async (id) => {
+  const notification = await Notification.findByPk(id);
+  if (!notification) throw new NotificationNotFoundError(id);
+  if (notification.status === 'sent') throw new NotificationAlreadySentError();
+  if (notification.status !== 'failed') throw new NotificationPendingError();
+
+  const [updated] = await Notification.update(
+    { status: 'pending', attempts: 0, lastError: null, nextAttemptAt: new Date() },
+    { where: { id: notification.id, status: 'failed' } }
+  );
+  // Otro reenvío lo tomó entre la lectura y el cambio
+  if (updated === 0) throw new NotificationPendingError();
+
+  return await notification.reload();
+};
@@ -0,0 +1,195 @@
+// Importar operadores de Sequelize para construir filtros
+import { Op } from 'sequelize';
+// Importar instancia de Sequelize para manejar transacciones
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar modelos de datos
+import { Order, OrderItem } from '../models/index.js';
+import { Notification } from '../models/notification.js';
+import { NotificationAttempt } from '../models/notificationAttempt.js';
+// Importar despachador de avisos por canal
+import { dispatchNotification } from './notificationDispatcher.js';
+// Importar error de avisos que no se deben reintentar
+import { PermanentNotificationError } from '../errors/notificationErrors.js';
+// Importar trazas (el envío cuelga de la traza de la solicitud que encoló el aviso)
+import { withSpan, extractTraceContext } from '../config/tracing.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+const log = logger.child({ module: 'notification-worker' });
+
+/**
+ * ⚙️ Configuración del worker desde variables de entorno
+ * - NOTIFICATIONS_POLL_INTERVAL_MS: espera entre revisiones de la cola (por defecto 2000ms)
+ * - NOTIFICATIONS_BATCH_SIZE: avisos tomados por pasada (por defecto 20)
+ * - NOTIFICATIONS_MAX_ATTEMPTS: intentos antes de marcar el aviso como 'failed' (por defecto 5)
+ * - NOTIFICATIONS_RETRY_BASE_MS: espera base del backoff exponencial (por defecto 5000ms)
+ * - NOTIFICATIONS_RETRY_MAX_MS: espera máxima entre reintentos (por defecto 30 minutos)
+ * - NOTIFICATIONS_LEASE_MS: plazo de un envío en curso; si la instancia muere,
+ *   el aviso vuelve a la cola al vencer (por defecto 2 minutos)
+ */
+const POLL_INTERVAL_MS = Number(process.env.NOTIFICATIONS_POLL_INTERVAL_MS) || 2000;
+const BATCH_SIZE = Number(process.env.NOTIFICATIONS_BATCH_SIZE) || 20;
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATIONS_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.NOTIFICATIONS_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = Number(process.env.NOTIFICATIONS_RETRY_MAX_MS) || 30 * 60 * 1000;
+const LEASE_MS = Number(process.env.NOTIFICATIONS_LEASE_MS) || 2 * 60 * 1000;
+
+// Temporizador del ciclo del worker (null si está detenido)
+let timer = null;
+// Indica si el worker está activo
+let running = false;
+// Pasada en curso (al detener se espera a que termine)
+let pass = Promise.resolve();
+
+/**
+ * Calcula la fecha del próximo intento con backoff exponencial
+ * @param {number} attempts - Intentos ya realizados
+ * @returns {Date} Fecha a partir de la cual se puede reintentar
+ */
+const nextAttemptDate = (attempts) =>
+  new Date(Date.now() + Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS));
+
+/**
+ * Toma un lote de avisos pendientes y los reserva por LEASE_MS
+ * La reserva se confirma antes de enviar, así un proveedor lento no mantiene
+ * bloqueada la tabla y otras instancias no toman los mismos avisos
+ * @async
+ * @returns {Promise<Array<Notification>>} Avisos reservados
+ */
+const claimBatch = async () => {
+  return await sequelize.transaction(async (transaction) => {
+    const batch = await Notification.findAll({
+      where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction,
+    });
+
+    for (const notification of batch) {
+      notification.attempts += 1;
+      notification.nextAttemptAt = new Date(Date.now() + LEASE_MS);
+      await notification.save({ transaction });
+    }
+    return batch;
+  });
+};
+
+/**
+ * Envía un aviso reservado y registra el intento
+ * El envío es un span hijo de la solicitud que encoló el aviso (traceContext)
+ * @async
+ * @param {Notification} notification - Aviso a enviar
+ * @returns {Promise<boolean>} true si se envió
+ */
+const deliver = async (notification) => {
+  const startedAt = new Date();
+  let providerResponse = null;
+  let error = null;
+
+  try {
+    const attributes = { 'notification.id': notification.id, 'notification.channel': notification.channel };
+    providerResponse = await withSpan(`deliver ${notification.type}`, { attributes }, async () => {
+      const order = await Order.findByPk(notification.orderId, {
+        include: [{ model: OrderItem, as: 'items' }],
+      });
+      if (!order) throw new PermanentNotificationError('La orden ya no existe');
+
+      return await dispatchNotification(
+        notification.channel,
+        notification.type,
+        order,
+        notification.details
+      );
+    }, extractTraceContext(notification.traceContext));
+  } catch (err) {
+    error = err;
+  }
+
+  // 🧾 Registro de auditoría del intento
+  await NotificationAttempt.create({
+    notificationId: notification.id,
+    attempt: notification.attempts,
+    channel: notification.channel,
+    status: error ? 'failed' : 'sent',
+    providerResponse,
+    error: error?.message ?? null,
+    startedAt,
+    finishedAt: new Date(),
+  });
+
+  if (!error) {
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = null;
+  } else {
+    notification.lastError = error.message;
+    if (error instanceof PermanentNotificationError || notification.attempts >= MAX_ATTEMPTS) {
+      notification.status = 'failed';
+      log.error(
+        { notificationId: notification.id, type: notification.type, channel: notification.channel, reason: error.message },
+        'Aviso fallido, no se reintenta'
+      );
+    } else {
+      notification.nextAttemptAt = nextAttemptDate(notification.attempts);
+      log.warn({ notificationId: notification.id, attempt: notification.attempts, reason: error.message }, 'Error enviando aviso');
+    }
+  }
+  await notification.save();
+
+  return !error;
+};
+
+/**
+ * 📤 Ejecuta una pasada del worker: reserva un lote y envía cada aviso
+ * @async
+ * @returns {Promise<number>} Cantidad de avisos procesados en la pasada
+ */
+export const processPendingNotifications = async () => {
+  const batch = await claimBatch();
+  for (const notification of batch) {
+    await deliver(notification);
+  }
+  return batch.length;
+};
+
+/**
+ * Ciclo del worker: repite pasadas mientras haya avisos en cola
+ * y luego espera POLL_INTERVAL_MS antes de volver a revisar
+ * @async
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  try {
+    while (running && (await processPendingNotifications()) > 0);
+  } catch (error) {
+    log.error({ err: error }, 'Error en el worker de notificaciones');
+  }
+  if (running) timer = setTimeout(() => { pass = tick(); }, POLL_INTERVAL_MS);
+};
+
+/**
+ * 🚀 Inicia el worker de notificaciones en segundo plano
+ * @returns {void}
+ */
+export const startNotificationWorker = () => {
+  if (running) return;
+  running = true;
+  timer = setTimeout(() => { pass = tick(); }, 0);
+  log.info('Worker de notificaciones iniciado');
+};
+
+/**
+ * 🛑 Detiene el worker de notificaciones
+ * Los avisos pendientes quedan en la tabla para la próxima ejecución
+ * Espera a que terminen los envíos de la pasada en curso
+ * @async
+ * @returns {Promise<void>}
+ */
+export const stopNotificationWorker = async () => {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+  await pass;
+};
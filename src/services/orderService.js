@@ -1,172 +1,674 @@
+// Importar operadores, tipos y errores de Sequelize
+import { Op, DataTypes, UniqueConstraintError } from 'sequelize';
+// Importar Faker para generar números de seguimiento
+import { faker } from '@faker-js/faker';
+// Importar instancia de Sequelize para manejar transacciones
+import { sequelize } from '../config/censudex-orders-db.js';
 // Importar modelos de datos
-import { Order, OrderItem } from '../models/index.js';
-// Importar función para obtener el canal de RabbitMQ
-import { getChannel } from '../config/rabbitmq.js';
-// Importar función para enviar correos
-import { sendEmail } from '../config/sendgrid.js';
+import { Order, OrderItem, OrderStatusHistory } from '../models/index.js';
+// Importar cola de avisos al cliente
+import { enqueueOrderNotification } from './notificationService.js';
+// Importar función para registrar eventos en el outbox
+import { enqueueOrderEvent } from './outboxService.js';
+// Importar saga de reserva de stock
+import { startReservationSaga } from './inventorySaga.js';
+// Importar validación de idiomas de las plantillas de correo
+import { resolveLocale } from './emailTemplates.js';
+// Importar cálculos exactos de montos
+import { resolveCurrency, roundAmount, multiplyAmount, sumAmounts } from './money.js';
+// Importar validación de productos y precios contra el catálogo
+import { priceOrderItems } from './catalogService.js';
+// Importar claves de idempotencia
+import {
+  assertIdempotencyKey,
+  hashRequest,
+  findIdempotentResult,
+  claimIdempotencyKey,
+  saveIdempotentResult,
+} from './idempotencyService.js';
+// Importar máquina de estados de la orden
+import { transitionOrder, ORDER_ROLES, ORDER_STATUSES } from './orderStateMachine.js';
+// Importar errores de dominio
+import { OrderNotFoundError, OrderValidationError } from '../errors/orderErrors.js';
+import { AccessDeniedError } from '../errors/authErrors.js';
+// Importar métrica de órdenes creadas
+import { ordersCreatedTotal } from '../config/metrics.js';
+
+/**
+ * 🧭 Servicio de dominio de órdenes
+ * Única implementación de las operaciones sobre órdenes: el controlador REST,
+ * los handlers gRPC y los consumidores de RabbitMQ solo traducen su entrada
+ * a estas funciones y sus errores a códigos de su protocolo
+ *
+ * @module services/orderService
+ */
+
+/**
+ * Verifica que una orden pertenezca al cliente que la pide
+ * @param {Order} order - Orden encontrada
+ * @param {string} [ownerId] - Cliente al que se limita la consulta (sin él, cualquier orden)
+ * @returns {Order} La misma orden
+ * @throws {AccessDeniedError} Si la orden es de otro cliente
+ */
+const assertOrderOwner = (order, ownerId) => {
+  if (ownerId && order.clientId !== ownerId) {
+    throw new AccessDeniedError('Solo puede acceder a sus propios pedidos.');
+  }
+  return order;
+};
+
+/**
+ * Formatos aceptados para los datos de contacto
+ * - Correo: texto@dominio.ext
+ * - Teléfono: formato internacional E.164 (+ y entre 8 y 15 dígitos)
+ */
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Convierte una fecha recibida como texto validando su formato
+ * @param {string} value - Fecha en formato ISO 8601
+ * @returns {Date} Fecha convertida
+ * @throws {OrderValidationError} Si la fecha no es válida
+ */
+const parseDate = (value) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new OrderValidationError('Fechas inválidas (use formato ISO: 2025-11-01T00:00:00Z)');
+  }
+  return date;
+};
+
+// Operación protegida por las claves de idempotencia de creación
+const CREATE_ORDER_SCOPE = 'createOrder';
+
+/**
+ * Reconstruye la orden entregada en la respuesta original de una clave de idempotencia
+ * (tal como se respondió entonces, aunque la orden haya cambiado después)
+ * Se construye con raw: sin él, build descarta createdAt por ser de solo lectura
+ * @param {IdempotencyKey} record - Clave con la respuesta guardada
+ * @returns {Order} Orden no persistida con sus items
+ */
+const replayOrder = (record) =>
+  Order.build(record.response, { isNewRecord: false, raw: true, include: [{ model: OrderItem, as: 'items' }] });
 
 /**
  * 📝 Crea una nueva orden con sus items asociados
- * Guarda la orden en la base de datos, publica evento en RabbitMQ 
- * y envía correo de confirmación al cliente
- * 
+ * Valida cada producto contra el catálogo y usa su precio vigente (nunca el del cliente),
+ * calcula el total sin decimales de punto flotante, genera número de seguimiento y guarda la orden junto con
+ * su evento 'order.created', la saga de reserva de stock y el aviso al cliente
+ * en una misma transacción
+ * Con una clave de idempotencia, un reintento con los mismos datos devuelve la orden
+ * creada la primera vez (sin crear otra ni repetir su evento y su aviso)
+ *
  * @async
  * @param {Object} orderData - Datos de la orden a crear
  * @param {string} orderData.clientId - ID del cliente
- * @param {number} orderData.totalAmount - Monto total de la orden
+ * @param {string} orderData.clientName - Nombre del cliente
+ * @param {string} [orderData.shippingAddress] - Dirección de envío
+ * @param {string} [orderData.email] - Correo de contacto para avisos
+ * @param {string} [orderData.phone] - Teléfono de contacto para SMS (ej: +56912345678)
  * @param {Array} orderData.items - Array de items del pedido
  * @param {string} orderData.items[].productId - ID del producto
  * @param {number} orderData.items[].quantity - Cantidad del producto
- * @param {number} orderData.items[].price - Precio unitario
- * @param {string} orderData.email - Email del cliente para notificación
- * @returns {Promise<Order>} Orden creada con sus datos
- * @throws {Error} Si hay error al crear la orden o enviar notificaciones
- * 
+ * @param {number|string} [orderData.items[].price] - Precio unitario esperado por el cliente (si no coincide con el catálogo se rechaza)
+ * @param {string} [orderData.currency] - Moneda de los montos ('CLP' por defecto o ORDER_CURRENCY, o 'USD')
+ * @param {string} [orderData.locale] - Idioma de los correos al cliente ('es-CL' por defecto, o 'en-US')
+ * @param {Object} [context] - Origen de la solicitud (se guarda en el historial)
+ * @param {string} [context.actorId] - ID de quien crea la orden
+ * @param {string} [context.role='user'] - Rol de quien crea la orden ('user' o 'admin')
+ * @param {string} [context.source='system'] - Origen ('rest', 'grpc', 'event' o 'system')
+ * @param {string} [context.idempotencyKey] - Clave de idempotencia enviada por el cliente
+ * @returns {Promise<{order: Order, replayed: boolean}>} Orden creada con sus items, y si es la respuesta
+ * guardada de una solicitud anterior con la misma clave
+ * @throws {OrderValidationError} Si faltan datos obligatorios, el contacto, un precio, una cantidad o la clave
+ * de idempotencia no son válidos, o el idioma o la moneda no están soportados
+ * @throws {InvalidOrderItemsError} Si algún producto no existe, está inactivo o su precio no coincide con el catálogo
+ * @throws {CatalogUnavailableError} Si no se puede consultar el catálogo
+ * @throws {IdempotencyKeyMismatchError} Si la clave de idempotencia ya se usó con otros datos
+ *
  * @example
- * const newOrder = await createOrder({
+ * const { order } = await createOrder({
  *   clientId: '123e4567-e89b-12d3-a456-426614174000',
- *   totalAmount: 99.98,
+ *   clientName: 'Juan Pérez',
+ *   shippingAddress: 'Calle Principal 123',
+ *   email: 'juan.perez@ejemplo.com',
  *   items: [
- *     { productId: 'prod1', quantity: 2, price: 49.99 }
- *   ],
- *   email: 'cliente@example.com'
+ *     { productId: '8f14e45f-ceea-4e7a-9b1d-1a2b3c4d5e02', quantity: 2 }
+ *   ]
  * });
  */
-export const createOrder = async (orderData) => {
-  // 📦 Crear la orden en la base de datos
-  const order = await Order.create({
-    clientId: orderData.clientId,
-    totalAmount: orderData.totalAmount,
-  });
+export const createOrder = async (
+  { clientId, clientName, shippingAddress, email, phone, items, locale, currency },
+  { actorId, role = 'user', source = 'system', idempotencyKey } = {}
+) => {
+  // 🔹 Validar datos básicos
+  if (!clientId || !clientName || !items || items.length === 0) {
+    throw new OrderValidationError('Faltan datos obligatorios: userId, clientName o items.');
+  }
+  if (email && !EMAIL_PATTERN.test(email)) {
+    throw new OrderValidationError('Correo de contacto inválido.');
+  }
+  if (phone && !PHONE_PATTERN.test(phone)) {
+    throw new OrderValidationError('Teléfono de contacto inválido (use formato internacional: +56912345678).');
+  }
+  const orderLocale = resolveLocale(locale);
+  const orderCurrency = resolveCurrency(currency);
 
-  // 🔁 Iterar sobre cada item y crear registros en la tabla OrderItem
-  for (const item of orderData.items) {
-    await OrderItem.create({
-      orderId: order.id,                // Vincular item con la orden creada
-      productId: item.productId,        // ID del producto
-      quantity: item.quantity,          // Cantidad del producto
-      price: item.price,                // Precio unitario
-    });
+  for (const item of items) {
+    if (!item.productId) {
+      throw new OrderValidationError('Todos los items deben indicar productId.');
+    }
+    if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0) {
+      throw new OrderValidationError(`Cantidad inválida para el producto ${item.productId}.`);
+    }
   }
 
-  // 📤 Publicar evento en RabbitMQ para notificar a otros servicios
-  // El canal debe estar activo (conectado previamente)
-  const channel = getChannel();
-  
-  // Asegurar que la cola existe
-  await channel.assertQueue('order.created');
-  
-  // Enviar mensaje a la cola con los datos de la orden
-  channel.sendToQueue(
-    'order.created', 
-    Buffer.from(JSON.stringify(orderData))
+  // 🔹 Si la clave ya se usó con estos mismos datos, responder con la orden original
+  // (cada cliente tiene sus propias claves: las de otro no se ven ni se pueden reusar)
+  const idempotencyOwner = actorId || clientId;
+  const requestHash = idempotencyKey
+    ? hashRequest({
+        clientId,
+        clientName,
+        shippingAddress: shippingAddress || null,
+        email: email || null,
+        phone: phone || null,
+        locale: orderLocale,
+        currency: orderCurrency,
+        items: items.map((item) => ({
+          productId: item.productId,
+          quantity: Number(item.quantity),
+          price: item.price === undefined || item.price === null || item.price === '' ? null : roundAmount(item.price, orderCurrency),
+        })),
+      })
+    : null;
+  if (idempotencyKey) {
+    assertIdempotencyKey(idempotencyKey);
+    const saved = await findIdempotentResult(CREATE_ORDER_SCOPE, idempotencyOwner, idempotencyKey, requestHash);
+    if (saved) return { order: replayOrder(saved), replayed: true };
+  }
+
+  // 🔹 Resolver cada producto en el catálogo y tomar su precio vigente
+  const orderItems = await priceOrderItems(
+    items.map((item) => ({ productId: item.productId, quantity: Number(item.quantity), price: item.price })),
+    orderCurrency
   );
-  console.log(`📤 Evento enviado: order.created`);
 
-  // 📧 Enviar correo de confirmación al cliente
-  await sendEmail(
-    orderData.email,                              // Destinatario
-    'Pedido creado',                              // Asunto
-    `Tu pedido ${order.id} fue creado con éxito.` // Contenido
+  // 🔹 Calcular total del pedido sumando (precio * cantidad) de cada item en unidades mínimas
+  const totalAmount = sumAmounts(
+    orderItems.map((item) => multiplyAmount(item.price, item.quantity, orderCurrency)),
+    orderCurrency
   );
 
-  // ✅ Retornar la orden creada
-  return order;
+  // 🔹 Generar número de seguimiento único
+  const trackingNumber = `TRK-${faker.string.alphanumeric(10).toUpperCase()}`;
+
+  // 🔹 Crear la orden, su evento y su saga de forma atómica
+  const createInTransaction = async (transaction) => {
+    // Reservar la clave primero: un intento simultáneo con la misma clave espera aquí
+    const claim = idempotencyKey
+      ? await claimIdempotencyKey(CREATE_ORDER_SCOPE, idempotencyOwner, idempotencyKey, requestHash, { transaction })
+      : null;
+
+    const created = await Order.create(
+      {
+        clientId,
+        clientName,
+        shippingAddress: shippingAddress || null,
+        email: email || null,
+        phone: phone || null,
+        totalAmount,
+        currency: orderCurrency,
+        trackingNumber,
+        status: 'pendiente',
+        locale: orderLocale,
+        items: orderItems,
+      },
+      { include: [{ model: OrderItem, as: 'items' }], transaction }
+    );
+
+    // Primera entrada del historial: la orden nace 'pendiente'
+    await OrderStatusHistory.create(
+      { orderId: created.id, previousStatus: null, status: 'pendiente', actorId: actorId || clientId, role, source },
+      { transaction }
+    );
+
+    // Evento para notificar a otros servicios (lo publica el relay de outbox)
+    await enqueueOrderEvent('OrderCreated', {
+      orderId: created.id,
+      trackingNumber,
+      userId: clientId,
+      currency: orderCurrency,
+      items: orderItems,
+    }, { transaction });
+
+    // Iniciar la saga que espera la confirmación de stock de inventario
+    await startReservationSaga(created, { transaction });
+
+    // Aviso de pedido recibido (lo envía el worker de notificaciones)
+    await enqueueOrderNotification('created', created, {}, { transaction });
+
+    // Guardar la respuesta para los reintentos con la misma clave
+    if (claim) {
+      await saveIdempotentResult(claim, { orderId: created.id, response: created.toJSON() }, { transaction });
+    }
+
+    // Se cuenta solo si la orden se confirma (los reintentos idempotentes no llegan aquí)
+    transaction.afterCommit(() => ordersCreatedTotal.inc({ currency: orderCurrency, source }));
+
+    return created;
+  };
+
+  try {
+    return { order: await sequelize.transaction(createInTransaction), replayed: false };
+  } catch (error) {
+    // Otro intento con la misma clave creó la orden primero: responder con su resultado
+    if (idempotencyKey && error instanceof UniqueConstraintError) {
+      const saved = await findIdempotentResult(CREATE_ORDER_SCOPE, idempotencyOwner, idempotencyKey, requestHash);
+      if (saved) return { order: replayOrder(saved), replayed: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * ⚙️ Tamaño de página del listado de órdenes
+ * - ORDERS_PAGE_SIZE: órdenes por página si no se indica (por defecto 20)
+ * - ORDERS_MAX_PAGE_SIZE: máximo de órdenes por página (por defecto 100)
+ */
+const DEFAULT_PAGE_SIZE = Number(process.env.ORDERS_PAGE_SIZE) || 20;
+export const MAX_PAGE_SIZE = Number(process.env.ORDERS_MAX_PAGE_SIZE) || 100;
+
+/**
+ * Columnas por las que se puede ordenar el listado: las que encabezan un índice
+ * del modelo Order y no admiten null (el cursor no puede avanzar sobre valores nulos)
+ * @type {Array<string>}
+ */
+export const ORDER_SORT_FIELDS = [...new Set(Order.options.indexes.map((index) => index.fields[0]))]
+  .filter((field) => Order.getAttributes()[field].allowNull === false);
+
+// Orden por defecto: más recientes primero
+const DEFAULT_SORT = '-createdAt';
+
+/**
+ * Interpreta el orden solicitado ('campo' ascendente, '-campo' descendente)
+ * @param {string} [sort] - Orden solicitado (ej: '-createdAt', 'totalAmount')
+ * @returns {{sort: string, field: string, direction: string}} Orden normalizado
+ * @throws {OrderValidationError} Si la columna no se puede usar para ordenar
+ */
+const parseSort = (sort = DEFAULT_SORT) => {
+  const field = sort.replace(/^[-+]/, '');
+  if (!ORDER_SORT_FIELDS.includes(field)) {
+    throw new OrderValidationError(`No se puede ordenar por "${field}". Use ${ORDER_SORT_FIELDS.join(', ')} (con - para orden descendente).`);
+  }
+  const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+  return { sort: `${direction === 'DESC' ? '-' : ''}${field}`, field, direction };
+};
+
+/**
+ * Valida el tamaño de página solicitado
+ * @param {number|string} [limit] - Órdenes por página
+ * @returns {number} Tamaño de página
+ * @throws {OrderValidationError} Si no es un entero entre 1 y MAX_PAGE_SIZE
+ */
+const parseLimit = (limit) => {
+  if (limit === undefined || limit === null || limit === '' || Number(limit) === 0) return DEFAULT_PAGE_SIZE;
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE) {
+    throw new OrderValidationError(`Tamaño de página inválido. Debe ser un entero entre 1 y ${MAX_PAGE_SIZE}.`);
+  }
+  return value;
+};
+
+/**
+ * Genera el cursor de la página siguiente a partir de la última orden de la página
+ * Guarda el orden usado, el valor de la columna de orden y el ID (desempate)
+ * @param {string} sort - Orden normalizado
+ * @param {string} field - Columna de orden
+ * @param {Order} order - Última orden de la página
+ * @returns {string} Cursor opaco (base64url)
+ */
+const encodeCursor = (sort, field, order) => {
+  const value = order.getDataValue(field);
+  return Buffer.from(
+    JSON.stringify({ sort, value: value instanceof Date ? value.toISOString() : value, id: order.id, currency: order.currency })
+  ).toString('base64url');
+};
+
+// Formato de los valores que puede traer un cursor
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Indica si el valor de un cursor tiene el tipo de la columna de orden
+ * @param {string} field - Columna de orden
+ * @param {*} value - Valor leído del cursor
+ * @returns {boolean}
+ */
+const isCursorValue = (field, value) => {
+  const type = Order.getAttributes()[field].type;
+  if (type instanceof DataTypes.DATE) return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+  if (type instanceof DataTypes.DECIMAL) return ['string', 'number'].includes(typeof value) && DECIMAL_PATTERN.test(String(value));
+  return typeof value === 'string';
+};
+
+/**
+ * Lee un cursor recibido y construye la condición para continuar después de él
+ * Un cursor alterado (valor o ID con otro tipo, otro orden u otra moneda al ordenar
+ * por monto) se rechaza en vez de llegar a la consulta
+ * @param {string} cursor - Cursor de la página anterior
+ * @param {{sort: string, field: string, direction: string}} sorting - Orden solicitado
+ * @param {string} [currency] - Moneda filtrada (la del cursor debe coincidir al ordenar por monto)
+ * @returns {Object} Condición de Sequelize (keyset sobre columna de orden + ID)
+ * @throws {OrderValidationError} Si el cursor no es válido o fue generado con otro orden
+ */
+const cursorCondition = (cursor, { sort, field, direction }, currency) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new OrderValidationError('Cursor de paginación inválido.');
+  }
+  if (!data || data.sort !== sort || data.id === undefined) {
+    throw new OrderValidationError('Cursor de paginación inválido o generado con otro orden.');
+  }
+  if (!UUID_PATTERN.test(String(data.id)) || !isCursorValue(field, data.value)
+    || (field === 'totalAmount' && data.currency !== currency)) {
+    throw new OrderValidationError('Cursor de paginación inválido.');
+  }
+
+  const value = Order.getAttributes()[field].type instanceof DataTypes.DATE ? new Date(data.value) : data.value;
+  const op = direction === 'DESC' ? Op.lt : Op.gt;
+  return {
+    [Op.or]: [
+      { [field]: { [op]: value } },
+      { [field]: value, id: { [op]: data.id } },
+    ],
+  };
+};
+
+/**
+ * Escapa los comodines de LIKE en un texto de búsqueda
+ * @param {string} text - Texto ingresado
+ * @returns {string} Texto con %, _ y \ escapados
+ */
+const escapeLike = (text) => text.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+/**
+ * Construye las condiciones de filtrado del listado de órdenes
+ * @param {Object} filters - Filtros (ver listOrders)
+ * @returns {Array<Object>} Condiciones de Sequelize (se combinan con AND)
+ * @throws {OrderValidationError} Si algún filtro no es válido
+ */
+const buildOrderFilters = ({ id, clientId, status, currency, minAmount, maxAmount, startDate, endDate, productId, search }) => {
+  const conditions = [];
+  if (id) conditions.push({ id });
+  if (clientId) conditions.push({ clientId });
+
+  // Estado: uno o varios ('pendiente,enviado' o lista)
+  const statuses = (Array.isArray(status) ? status : String(status || '').split(','))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const unknown = statuses.filter((s) => !ORDER_STATUSES.includes(s));
+  if (unknown.length) {
+    throw new OrderValidationError(`Estado inválido: ${unknown.join(', ')}. Use ${ORDER_STATUSES.join(', ')}.`);
+  }
+  if (statuses.length) conditions.push({ status: statuses });
+
+  // Monto: el rango solo tiene sentido dentro de una moneda
+  if (currency) conditions.push({ currency: resolveCurrency(currency) });
+  if (minAmount || maxAmount) {
+    if (!currency) {
+      throw new OrderValidationError('El filtro por monto requiere indicar la moneda (currency).');
+    }
+    const range = {};
+    if (minAmount) range[Op.gte] = roundAmount(minAmount, currency);
+    if (maxAmount) range[Op.lte] = roundAmount(maxAmount, currency);
+    conditions.push({ totalAmount: range });
+  }
+
+  // Fechas: se puede indicar solo el inicio, solo el fin o ambos
+  if (startDate || endDate) {
+    const range = {};
+    if (startDate) range[Op.gte] = parseDate(startDate);
+    if (endDate) range[Op.lte] = parseDate(endDate);
+    conditions.push({ createdAt: range });
+  }
+
+  // Producto: órdenes con al menos un item de ese producto
+  if (productId) {
+    conditions.push({
+      id: { [Op.in]: sequelize.literal(`(SELECT orderId FROM OrderItems WHERE productId = ${sequelize.escape(productId)})`) },
+    });
+  }
+
+  // Búsqueda libre por nombre del cliente o número de seguimiento
+  const text = String(search || '').trim();
+  if (text) {
+    const pattern = `%${escapeLike(text)}%`;
+    conditions.push({
+      [Op.or]: [{ clientName: { [Op.like]: pattern } }, { trackingNumber: { [Op.like]: pattern } }],
+    });
+  }
+
+  return conditions;
 };
 
 /**
- * 🔍 Obtiene todas las órdenes con sus items asociados
- * Carga las órdenes desde la base de datos incluyendo sus artículos
- * 
+ * 🔍 Obtiene una página de órdenes con filtros, orden y búsqueda, incluyendo sus items
+ * La paginación es por cursor: cada página devuelve el cursor de la siguiente,
+ * por lo que no se repiten ni se saltan órdenes aunque se creen nuevas entre páginas
+ *
  * @async
- * @returns {Promise<Array<Order>>} Array con todas las órdenes
- * @throws {Error} Si hay error al consultar la base de datos
- * 
+ * @param {Object} [filters] - Filtros de búsqueda (todos opcionales, se combinan con AND)
+ * @param {string} [filters.id] - ID de la orden
+ * @param {string} [filters.clientId] - ID del cliente
+ * @param {string|Array<string>} [filters.status] - Estado o estados ('pendiente,enviado')
+ * @param {string} [filters.currency] - Moneda de la orden (obligatoria si se filtra por monto)
+ * @param {string|number} [filters.minAmount] - Monto total mínimo
+ * @param {string|number} [filters.maxAmount] - Monto total máximo
+ * @param {string} [filters.startDate] - Creadas desde esta fecha (ISO 8601)
+ * @param {string} [filters.endDate] - Creadas hasta esta fecha (ISO 8601)
+ * @param {string} [filters.productId] - Órdenes que incluyen este producto
+ * @param {string} [filters.search] - Texto buscado en el nombre del cliente y el número de seguimiento
+ * @param {Object} [page] - Paginación y orden
+ * @param {string} [page.sort='-createdAt'] - Columna indexada de orden (con - para descendente;
+ *   totalAmount exige filtrar por moneda, los montos de monedas distintas no se comparan)
+ * @param {number} [page.limit=20] - Órdenes por página (máximo ORDERS_MAX_PAGE_SIZE)
+ * @param {string} [page.cursor] - Cursor devuelto por la página anterior
+ * @returns {Promise<{orders: Array<Order>, pageInfo: {total: number, limit: number, sort: string, hasMore: boolean, nextCursor: string|null}}>}
+ *   Órdenes de la página y datos para pedir la siguiente (total cuenta todas las que cumplen los filtros)
+ * @throws {OrderValidationError} Si algún filtro, el orden, el tamaño de página o el cursor no son válidos
+ *
  * @example
- * const allOrders = await getOrders();
- * console.log(allOrders[0].items); // Items de la primera orden
+ * const first = await listOrders({ status: 'pendiente', currency: 'CLP' }, { sort: '-totalAmount', limit: 50 });
+ * const second = await listOrders({ status: 'pendiente', currency: 'CLP' }, { sort: '-totalAmount', limit: 50, cursor: first.pageInfo.nextCursor });
  */
-export const getOrders = async () => {
-  return await Order.findAll({ 
-    include: 'items'  // Incluir los items asociados a cada orden
-  });
+export const listOrders = async (filters = {}, { sort, limit, cursor } = {}) => {
+  const sorting = parseSort(sort || undefined);
+  if (sorting.field === 'totalAmount' && !filters.currency) {
+    throw new OrderValidationError('Ordenar por monto requiere indicar la moneda (currency).');
+  }
+  const pageSize = parseLimit(limit);
+  const conditions = buildOrderFilters(filters);
+  const currency = filters.currency && resolveCurrency(filters.currency);
+
+  const [total, rows] = await Promise.all([
+    Order.count({ where: { [Op.and]: conditions } }),
+    Order.findAll({
+      where: { [Op.and]: cursor ? [...conditions, cursorCondition(cursor, sorting, currency)] : conditions },
+      include: [{ model: OrderItem, as: 'items' }],
+      order: [[sorting.field, sorting.direction], ['id', sorting.direction]],
+      limit: pageSize + 1,   // Una más para saber si hay página siguiente
+    }),
+  ]);
+
+  const hasMore = rows.length > pageSize;
+  const orders = hasMore ? rows.slice(0, pageSize) : rows;
+
+  return {
+    orders,
+    pageInfo: {
+      total,
+      limit: pageSize,
+      sort: sorting.sort,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sorting.sort, sorting.field, orders[orders.length - 1]) : null,
+    },
+  };
 };
 
 /**
- * 🆔 Obtiene una orden específica por su ID
- * Carga la orden y todos sus items asociados
- * 
+ * 📚 Obtiene el historial de órdenes de un cliente, paginado igual que listOrders
+ *
  * @async
- * @param {string} id - ID de la orden a buscar (UUID)
- * @returns {Promise<Order|null>} Orden encontrada o null si no existe
- * @throws {Error} Si hay error al consultar la base de datos
- * 
- * @example
- * const order = await getOrderById('123e4567-e89b-12d3-a456-426614174000');
- * if (order) {
- *   console.log(`Orden: ${order.id}`);
- *   console.log(`Items: ${order.items.length}`);
- * }
- */
-export const getOrderById = async (id) => {
-  return await Order.findByPk(id, { 
-    include: 'items'  // Incluir los items asociados a la orden
-  });
+ * @param {string} clientId - ID del cliente
+ * @param {Object} [page] - Paginación y orden (ver listOrders)
+ * @param {string} [page.currency] - Moneda de las órdenes (obligatoria al ordenar por totalAmount)
+ * @returns {Promise<{orders: Array<Order>, pageInfo: Object}>} Página de órdenes del cliente
+ * @throws {OrderValidationError} Si no se indica el cliente o la paginación no es válida
+ */
+export const getOrderHistory = async (clientId, { currency, ...page } = {}) => {
+  if (!clientId) {
+    throw new OrderValidationError('Debe especificar el ID del cliente.');
+  }
+
+  return await listOrders({ clientId, currency }, page);
 };
 
 /**
- * 🔄 Actualiza el estado de una orden existente
- * 
+ * 📦 Obtiene una orden por su número de seguimiento
+ *
  * @async
- * @param {string} id - ID de la orden a actualizar
- * @param {Object} updateData - Datos a actualizar
- * @param {string} [updateData.status] - Nuevo estado de la orden
+ * @param {string} trackingNumber - Número de seguimiento
+ * @param {Object} [options] - Opciones de la consulta
+ * @param {string} [options.ownerId] - Cliente al que debe pertenecer la orden (para usuarios)
+ * @returns {Promise<Order>} Orden encontrada
+ * @throws {OrderNotFoundError} Si no existe una orden con ese número de seguimiento
+ * @throws {AccessDeniedError} Si la orden es de otro cliente
+ */
+export const getOrderByTracking = async (trackingNumber, { ownerId } = {}) => {
+  const order = trackingNumber && (await Order.findOne({ where: { trackingNumber } }));
+  if (!order) throw new OrderNotFoundError(trackingNumber);
+  return assertOrderOwner(order, ownerId);
+};
+
+/**
+ * 🔎 Busca una orden por su ID o, si no existe, por su número de seguimiento
+ *
+ * @async
+ * @param {string} idOrTracking - ID de la orden (UUID) o número de seguimiento
+ * @param {Object} [options] - Opciones de la consulta
+ * @param {string} [options.ownerId] - Cliente al que debe pertenecer la orden (para usuarios)
+ * @returns {Promise<Order>} Orden encontrada
+ * @throws {OrderNotFoundError} Si no existe una orden con ese ID o número de seguimiento
+ * @throws {AccessDeniedError} Si la orden es de otro cliente
+ */
+export const findOrderByIdOrTracking = async (idOrTracking, { ownerId } = {}) => {
+  const order =
+    (await Order.findByPk(idOrTracking)) ||
+    (await Order.findOne({ where: { trackingNumber: idOrTracking } }));
+
+  if (!order) throw new OrderNotFoundError(idOrTracking);
+  return assertOrderOwner(order, ownerId);
+};
+
+/**
+ * 🔄 Cambia el estado de una orden según la máquina de estados
+ * Punto común para REST, gRPC y los comandos recibidos por RabbitMQ
+ *
+ * @async
+ * @param {string} id - ID de la orden
+ * @param {string} status - Nuevo estado solicitado
+ * @param {Object} options - Datos del cambio
+ * @param {string} options.role - Rol que solicita el cambio ('user', 'admin' o 'system')
+ * @param {string} [options.reason] - Motivo del cambio (usado al cancelar)
+ * @param {string} [options.trackingNumber] - Número de seguimiento a asignar al enviar
+ * @param {string} [options.actorId] - ID de quien solicita el cambio
+ * @param {string} [options.source] - Origen del cambio ('rest', 'grpc', 'event' o 'system')
  * @returns {Promise<Order>} Orden actualizada
- * @throws {Error} Si la orden no existe o hay error en la base de datos
- * 
+ * @throws {OrderNotFoundError} Si la orden no existe
+ * @throws {InvalidTransitionError} Si la transición no está permitida para el rol
+ *
  * @example
- * const updated = await updateOrder('123e4567-e89b-12d3-a456-426614174000', {
- *   status: 'enviado'
- * });
+ * await changeOrderStatus(orderId, 'enviado', { role: 'admin', trackingNumber: 'TRK-XYZ789ABC' });
  */
-export const updateOrder = async (id, updateData) => {
-  // Buscar la orden por ID
-  const order = await Order.findByPk(id);
-  
-  if (!order) {
-    throw new Error(`Orden con ID ${id} no encontrada`);
-  }
-  
-  // Actualizar los campos especificados
-  await order.update(updateData);
-  
-  return order;
+export const changeOrderStatus = async (id, status, { role, reason, trackingNumber, actorId, source }) => {
+  const order = id && (await Order.findByPk(id));
+  if (!order) throw new OrderNotFoundError(id);
+
+  return await transitionOrder(order, status, { role, reason, trackingNumber, actorId, source });
+};
+
+/**
+ * ❌ Cancela una orden buscándola por ID o número de seguimiento
+ * El administrador debe indicar un motivo; desde qué estados puede cancelar
+ * cada rol lo decide la máquina de estados
+ *
+ * @async
+ * @param {string} idOrTracking - ID de la orden o número de seguimiento
+ * @param {Object} options - Datos de la cancelación
+ * @param {string} options.role - Rol que cancela ('user', 'admin' o 'system')
+ * @param {string} [options.reason] - Motivo de la cancelación (obligatorio para admin)
+ * @param {string} [options.actorId] - ID de quien cancela
+ * @param {string} [options.source] - Origen de la cancelación ('rest', 'grpc', 'event' o 'system')
+ * @param {string} [options.ownerId] - Cliente al que debe pertenecer la orden (para usuarios)
+ * @returns {Promise<Order>} Orden cancelada
+ * @throws {OrderValidationError} Si el rol es inválido o falta el motivo del admin
+ * @throws {OrderNotFoundError} Si la orden no existe
+ * @throws {AccessDeniedError} Si la orden es de otro cliente
+ * @throws {InvalidTransitionError} Si la orden no se puede cancelar desde su estado actual
+ *
+ * @example
+ * await cancelOrder('TRK-ABC123XYZ', { role: 'admin', reason: 'Stock agotado' });
+ */
+export const cancelOrder = async (idOrTracking, { role, reason, actorId, source, ownerId }) => {
+  if (!ORDER_ROLES.includes(role)) {
+    throw new OrderValidationError('Debe especificar el rol (user o admin).');
+  }
+  if (role === 'admin' && (!reason || reason.trim() === '')) {
+    throw new OrderValidationError('El administrador debe proporcionar una razón de cancelación.');
+  }
+
+  const order = assertOrderOwner(await findOrderByIdOrTracking(idOrTracking), ownerId);
+  return await transitionOrder(order, 'cancelado', { role, reason, actorId, source });
 };
 
 /**
- * ❌ Elimina una orden y todos sus items asociados
- * 
+ * 🕒 Obtiene la última transición de estado de una orden
+ *
  * @async
- * @param {string} id - ID de la orden a eliminar
- * @returns {Promise<boolean>} true si se eliminó exitosamente
- * @throws {Error} Si la orden no existe o hay error en la base de datos
- * 
+ * @param {string} orderId - ID de la orden
+ * @returns {Promise<OrderStatusHistory|null>} Última transición o null si no tiene historial
+ */
+export const getLatestTransition = async (orderId) => {
+  return await OrderStatusHistory.findOne({
+    where: { orderId },
+    order: [['id', 'DESC']],
+  });
+};
+
+/**
+ * 🧭 Obtiene la línea de tiempo de estados de una orden
+ * Incluye cada transición con su estado anterior y nuevo, autor, rol, motivo y origen
+ *
+ * @async
+ * @param {string} idOrTracking - ID de la orden o número de seguimiento
+ * @param {Object} [options] - Opciones de la consulta
+ * @param {string} [options.ownerId] - Cliente al que debe pertenecer la orden (para usuarios)
+ * @returns {Promise<{order: Order, timeline: Array<OrderStatusHistory>}>} Orden y sus transiciones, de la más antigua a la más reciente
+ * @throws {OrderNotFoundError} Si la orden no existe
+ * @throws {AccessDeniedError} Si la orden es de otro cliente
+ *
  * @example
- * const deleted = await deleteOrder('123e4567-e89b-12d3-a456-426614174000');
- * if (deleted) {
- *   console.log('Orden eliminada');
- * }
- */
-export const deleteOrder = async (id) => {
-  // Buscar la orden por ID
-  const order = await Order.findByPk(id);
-  
-  if (!order) {
-    throw new Error(`Orden con ID ${id} no encontrada`);
-  }
-  
-  // Eliminar la orden (los items se eliminan automáticamente por cascada)
-  await order.destroy();
-  
-  return true;
-};
\ No newline at end of file
+ * const { order, timeline } = await getOrderTimeline('TRK-ABC123XYZ');
+ */
+export const getOrderTimeline = async (idOrTracking, { ownerId } = {}) => {
+  const order = assertOrderOwner(await findOrderByIdOrTracking(idOrTracking), ownerId);
+  const timeline = await OrderStatusHistory.findAll({
+    where: { orderId: order.id },
+    order: [['id', 'ASC']],
+  });
+  return { order, timeline };
+};
@@ -0,0 +1,189 @@
+// Importar instancia de Sequelize para manejar transacciones
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar modelo Order para leer los estados definidos en su ENUM
+import { Order } from '../models/order.js';
+// Importar modelo del historial de estados
+import { OrderStatusHistory } from '../models/orderStatusHistory.js';
+// Importar cola de avisos al cliente
+import { enqueueOrderNotification } from './notificationService.js';
+// Importar función para registrar eventos en el outbox
+import { enqueueOrderEvent } from './outboxService.js';
+// Importar error de dominio para transiciones inválidas
+import { InvalidTransitionError, OrderNotFoundError } from '../errors/orderErrors.js';
+// Importar métrica de cambios de estado
+import { orderStatusTransitionsTotal } from '../config/metrics.js';
+
+/**
+ * Estados posibles de una orden, tomados directamente del ENUM del modelo
+ * para que la tabla de transiciones no pueda desalinearse de la base de datos
+ * @type {Array<string>}
+ */
+export const ORDER_STATUSES = Order.getAttributes().status.values;
+
+/**
+ * Roles que pueden solicitar un cambio de estado
+ * - user: cliente dueño del pedido
+ * - admin: administrador de la tienda
+ * - system: procesos internos (eventos, tareas programadas)
+ * @type {Array<string>}
+ */
+export const ORDER_ROLES = ['user', 'admin', 'system'];
+
+/**
+ * Orígenes posibles de un cambio de estado, tomados del ENUM del historial
+ * - rest / grpc: solicitudes a las APIs del servicio
+ * - event: mensajes recibidos por RabbitMQ
+ * - system: procesos internos (vencimientos de saga, datos de prueba)
+ * @type {Array<string>}
+ */
+export const ORDER_SOURCES = OrderStatusHistory.getAttributes().source.values;
+
+/**
+ * 🔀 Tabla de transiciones de la orden
+ * Para cada estado de origen define los estados de destino permitidos,
+ * los roles que pueden realizar cada transición y sus efectos secundarios:
+ * - email: tipo de aviso encolado para el cliente con enqueueOrderNotification
+ * - event: contrato del evento registrado en el outbox (ver messages/orderContracts.js)
+ * - assignTracking: asigna número de seguimiento si la orden no tiene uno
+ *
+ * Los estados 'entregado' y 'cancelado' son finales.
+ * @type {Object<string, Object<string, {roles: Array<string>, email: string, event: string, assignTracking?: boolean}>>}
+ */
+export const ORDER_TRANSITIONS = {
+  'pendiente': {
+    'en procesamiento': { roles: ['admin', 'system'], email: 'processing', event: 'OrderStatusChanged' },
+    'cancelado': { roles: ['user', 'admin', 'system'], email: 'cancelled', event: 'OrderCancelled' },
+  },
+  'en procesamiento': {
+    'enviado': { roles: ['admin', 'system'], email: 'shipped', event: 'OrderStatusChanged', assignTracking: true },
+    'cancelado': { roles: ['user', 'admin', 'system'], email: 'cancelled', event: 'OrderCancelled' },
+  },
+  'enviado': {
+    'entregado': { roles: ['admin', 'system'], email: 'delivered', event: 'OrderDelivered' },
+    'cancelado': { roles: ['admin'], email: 'cancelled', event: 'OrderCancelled' },
+  },
+  'entregado': {},
+  'cancelado': {},
+};
+
+// Verificar al cargar el módulo que la tabla cubre exactamente los estados del ENUM
+for (const status of ORDER_STATUSES) {
+  if (!ORDER_TRANSITIONS[status]) {
+    throw new Error(`La tabla de transiciones no define el estado "${status}"`);
+  }
+}
+
+/**
+ * Obtiene los estados a los que un rol puede mover una orden desde su estado actual
+ * @param {string} from - Estado actual de la orden
+ * @param {string} role - Rol que solicita el cambio
+ * @returns {Array<string>} Lista de estados de destino permitidos
+ */
+export const getAllowedTransitions = (from, role) =>
+  Object.entries(ORDER_TRANSITIONS[from] || {})
+    .filter(([, rule]) => rule.roles.includes(role))
+    .map(([to]) => to);
+
+/**
+ * Indica si un estado es final (no tiene transiciones de salida para ningún rol)
+ * @param {string} status - Estado de la orden
+ * @returns {boolean} true para 'entregado' y 'cancelado'
+ */
+export const isFinalStatus = (status) => Object.keys(ORDER_TRANSITIONS[status] || {}).length === 0;
+
+/**
+ * Valida que un rol pueda mover una orden de un estado a otro
+ * @param {string} from - Estado actual de la orden
+ * @param {string} to - Estado solicitado
+ * @param {string} role - Rol que solicita el cambio
+ * @returns {Object} Regla de la transición (roles y efectos secundarios)
+ * @throws {InvalidTransitionError} Si la transición no existe o el rol no la tiene permitida
+ */
+export const assertTransition = (from, to, role) => {
+  const rule = ORDER_TRANSITIONS[from]?.[to];
+  if (!rule || !rule.roles.includes(role)) {
+    throw new InvalidTransitionError(from, to, role, getAllowedTransitions(from, role));
+  }
+  return rule;
+};
+
+/**
+ * Genera un número de seguimiento con el formato usado por el servicio
+ * @returns {string} Número de seguimiento (TRK-XXXXXXXX)
+ */
+const generateTrackingNumber = () => `TRK-${crypto.randomUUID().slice(0, 8).toUpperCase()}`;
+
+/**
+ * 🔄 Aplica una transición de estado sobre una orden
+ * Dentro de una transacción relee la orden con un bloqueo de fila (SELECT ... FOR UPDATE)
+ * y valida la transición contra la tabla con ese estado, no con el que se leyó antes:
+ * si dos solicitudes cambian la misma orden a la vez (ej: una cancelación por REST y un
+ * comando de RabbitMQ), la segunda espera a la primera y se valida contra su resultado.
+ * Luego ejecuta los efectos secundarios definidos: asigna número de seguimiento, y guarda
+ * la orden, la transición en su historial, su evento en el outbox y el aviso al cliente
+ * en esa misma transacción (el aviso lo envía el worker de notificaciones)
+ *
+ * @async
+ * @param {Order} order - Instancia de la orden a modificar (se actualiza con el estado releído)
+ * @param {string} to - Nuevo estado solicitado
+ * @param {Object} options - Datos de la transición
+ * @param {string} options.role - Rol que solicita el cambio ('user', 'admin' o 'system')
+ * @param {string} [options.reason] - Motivo del cambio (usado en cancelaciones)
+ * @param {string} [options.trackingNumber] - Número de seguimiento a asignar al enviar
+ * @param {string} [options.actorId] - ID de quien solicita el cambio (se guarda en el historial)
+ * @param {string} [options.source='system'] - Origen del cambio ('rest', 'grpc', 'event' o 'system')
+ * @param {Transaction} [options.transaction] - Transacción externa en la que se guardan los cambios
+ * @returns {Promise<Order>} Orden actualizada
+ * @throws {OrderNotFoundError} Si la orden ya no existe
+ * @throws {InvalidTransitionError} Si la transición no está permitida
+ */
+export const transitionOrder = async (
+  order,
+  to,
+  { role, reason, trackingNumber, actorId, source = 'system', transaction } = {}
+) => {
+  const persist = async (t) => {
+    // 🔒 Releer la orden bloqueada y validar contra su estado actual
+    const locked = await Order.findByPk(order.id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!locked) throw new OrderNotFoundError(order.id);
+    order.set({ status: locked.status, trackingNumber: locked.trackingNumber });
+    const rule = assertTransition(order.status, to, role);
+
+    const previousStatus = order.status;
+    order.status = to;
+
+    // 🔹 Asignar número de seguimiento si la transición lo requiere
+    if (rule.assignTracking) {
+      order.trackingNumber = trackingNumber || order.trackingNumber || generateTrackingNumber();
+    }
+
+    // 🔹 Construir el evento para los demás servicios
+    const event = rule.event === 'OrderCancelled'
+      ? { orderId: order.id, previousStatus, cancelledBy: role === 'user' ? 'usuario' : role, reason }
+      : { orderId: order.id, previousStatus, status: to, trackingNumber: order.trackingNumber };
+
+    // 🔹 Datos del aviso al cliente según el nuevo estado
+    const notification = to === 'cancelado'
+      ? { cancelledBy: role, reason }
+      : { trackingNumber: order.trackingNumber };
+
+    // 🔹 Guardar la orden, su historial, su evento y el aviso de forma atómica
+    await order.save({ transaction: t });
+    await OrderStatusHistory.create(
+      { orderId: order.id, previousStatus, status: to, actorId: actorId || null, role, reason: reason || null, source },
+      { transaction: t }
+    );
+    await enqueueOrderEvent(rule.event, event, { transaction: t });
+    await enqueueOrderNotification(rule.email, order, notification, { transaction: t });
+    // Se cuenta solo si el cambio se confirma
+    t.afterCommit(() => orderStatusTransitionsTotal.inc({ from: previousStatus, to }));
+  };
+
+  if (transaction) {
+    await persist(transaction);
+  } else {
+    await sequelize.transaction(persist);
+  }
+
+  return order;
+};
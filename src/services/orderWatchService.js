@@ -0,0 +1,95 @@
+// Importar modelo Order para leer el estado actual de las órdenes observadas
+import { Order } from '../models/order.js';
+// Importar logger
+import { logger } from '../config/logger.js';
+
+const log = logger.child({ module: 'order-watch' });
+
+/**
+ * 👀 Suscripciones a los cambios de una orden (RPC WatchOrder)
+ * Cada instancia del servicio guarda las suscripciones de sus propios clientes. Los
+ * cambios le llegan como eventos de órdenes de RabbitMQ (ver consumers/orderWatchConsumer),
+ * que reciben todas las instancias sin importar cuál hizo el cambio ni por dónde
+ * (REST, gRPC o comandos). Ante cada evento de una orden observada se relee la orden
+ * de la base de datos y se entrega a sus suscriptores: así reciben el estado confirmado
+ * aunque los eventos lleguen repetidos
+ *
+ * @module services/orderWatchService
+ */
+
+// Suscriptores por ID de orden
+const listeners = new Map();
+// Última relectura de cada orden (se encadenan para entregar los estados en orden)
+const reloads = new Map();
+
+/**
+ * Suscribe una función a los cambios de una orden
+ * @param {string} orderId - ID de la orden
+ * @param {Function} listener - (order) => void, llamada con la orden releída
+ * @returns {Function} Función que cancela la suscripción
+ *
+ * @example
+ * const unsubscribe = watchOrder(order.id, (order) => call.write(toStatusEvent(order)));
+ */
+export const watchOrder = (orderId, listener) => {
+  if (!listeners.has(orderId)) listeners.set(orderId, new Set());
+  listeners.get(orderId).add(listener);
+
+  return () => {
+    const set = listeners.get(orderId);
+    if (!set) return;
+    set.delete(listener);
+    if (set.size === 0) listeners.delete(orderId);
+  };
+};
+
+/**
+ * Indica si alguna llamada de esta instancia observa la orden
+ * @param {string} orderId - ID de la orden
+ * @returns {boolean} true si tiene suscriptores
+ */
+export const isOrderWatched = (orderId) => listeners.has(orderId);
+
+/**
+ * 🔔 Relee una orden observada y la entrega a sus suscriptores
+ * Las relecturas de una misma orden se hacen una tras otra, para que un estado
+ * antiguo no llegue después de uno más reciente. Sin suscriptores no consulta nada
+ * @async
+ * @param {string} orderId - ID de la orden que cambió
+ * @returns {Promise<void>}
+ */
+export const notifyOrderChanged = (orderId) => {
+  if (!isOrderWatched(orderId)) return Promise.resolve();
+
+  const reload = (reloads.get(orderId) ?? Promise.resolve())
+    .then(async () => {
+      const set = listeners.get(orderId);
+      if (!set) return;
+      const order = await Order.findByPk(orderId);
+      if (!order) return;
+      for (const listener of [...set]) {
+        try {
+          listener(order);
+        } catch (error) {
+          log.error({ orderId, err: error }, 'Error entregando el cambio de la orden a un suscriptor');
+        }
+      }
+    })
+    .catch((error) => log.warn({ orderId, err: error }, 'No se pudo releer la orden observada'));
+
+  reloads.set(orderId, reload);
+  reload.finally(() => {
+    if (reloads.get(orderId) === reload) reloads.delete(orderId);
+  });
+  return reload;
+};
+
+/**
+ * Relee todas las órdenes observadas (después de reconectar a RabbitMQ, para
+ * entregar los cambios cuyos eventos llegaron mientras no había conexión)
+ * @async
+ * @returns {Promise<void>}
+ */
+export const refreshWatchedOrders = async () => {
+  await Promise.all([...listeners.keys()].map(notifyOrderChanged));
+};
@@ -0,0 +1,199 @@
+// Importar utilidades de Sequelize para consultas agregadas
+import { Op, fn, col } from 'sequelize';
+// Importar instancia de Sequelize para manejar transacciones
+import { sequelize } from '../config/censudex-orders-db.js';
+// Importar modelo de mensajes de outbox
+import { OutboxMessage } from '../models/outboxMessage.js';
+// Importar funciones de RabbitMQ
+import { getChannel, publishToQueue } from '../config/rabbitmq.js';
+// Importar constructor de envoltorios MassTransit
+import { buildEnvelope } from '../messages/orderContracts.js';
+// Importar logger y manejo del ID de correlación
+import { logger, CORRELATION_HEADER, runWithCorrelationId } from '../config/logger.js';
+// Importar contexto de traza guardado con cada mensaje
+import { context } from '@opentelemetry/api';
+import { extractTraceContext } from '../config/tracing.js';
+
+/**
+ * ⚙️ Configuración del relay desde variables de entorno
+ * - OUTBOX_POLL_INTERVAL_MS: espera entre revisiones del outbox (por defecto 1000ms)
+ * - OUTBOX_BATCH_SIZE: mensajes leídos por pasada (por defecto 50)
+ * - OUTBOX_MAX_ATTEMPTS: intentos antes de marcar el mensaje como 'failed' (por defecto 10)
+ * - OUTBOX_RETRY_BASE_MS: espera base del backoff exponencial (por defecto 2000ms)
+ * - OUTBOX_RETRY_MAX_MS: espera máxima entre reintentos (por defecto 5 minutos)
+ * - OUTBOX_LEASE_MS: plazo de una publicación en curso; si la instancia muere,
+ *   el mensaje vuelve a estar disponible al vencer (por defecto 1 minuto)
+ */
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+const BATCH_SIZE = Number(process.env.OUTBOX_BATCH_SIZE) || 50;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+const RETRY_BASE_MS = Number(process.env.OUTBOX_RETRY_BASE_MS) || 2000;
+const RETRY_MAX_MS = Number(process.env.OUTBOX_RETRY_MAX_MS) || 5 * 60 * 1000;
+const LEASE_MS = Number(process.env.OUTBOX_LEASE_MS) || 60 * 1000;
+
+const log = logger.child({ module: 'outbox-relay' });
+
+// Temporizador del ciclo del relay (null si está detenido)
+let timer = null;
+// Indica si el relay está activo
+let running = false;
+// Pasada en curso (al detener se espera a que termine)
+let pass = Promise.resolve();
+
+/**
+ * Calcula la fecha del próximo intento con backoff exponencial
+ * @param {number} attempts - Intentos ya realizados
+ * @returns {Date} Fecha a partir de la cual se puede reintentar
+ */
+const nextAttemptDate = (attempts) =>
+  new Date(Date.now() + Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS));
+
+/**
+ * Toma un lote de mensajes pendientes y reserva, por cada orden, su mensaje más antiguo
+ * sin publicar por LEASE_MS (como el worker de avisos). La reserva se confirma antes de
+ * publicar, así un broker lento no mantiene filas bloqueadas ni una conexión del pool,
+ * y otras instancias no toman los mismos mensajes ni los siguientes de esas órdenes
+ * @async
+ * @returns {Promise<Array<OutboxMessage>>} Mensajes reservados (uno por orden)
+ */
+const claimBatch = async () => {
+  return await sequelize.transaction(async (transaction) => {
+    const batch = await OutboxMessage.findAll({
+      where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction,
+    });
+    if (batch.length === 0) return [];
+
+    // 🔎 Mensaje más antiguo sin publicar de cada orden del lote
+    const heads = await OutboxMessage.findAll({
+      attributes: ['aggregateId', [fn('MIN', col('id')), 'headId']],
+      where: {
+        status: { [Op.ne]: 'sent' },
+        aggregateId: [...new Set(batch.map((m) => m.aggregateId))],
+      },
+      group: ['aggregateId'],
+      raw: true,
+      transaction,
+    });
+    const headIds = new Set(heads.map((h) => Number(h.headId)));
+
+    const claimed = batch.filter((message) => headIds.has(message.id));
+    for (const message of claimed) {
+      message.attempts += 1;
+      message.nextAttemptAt = new Date(Date.now() + LEASE_MS);
+      await message.save({ transaction });
+    }
+    return claimed;
+  });
+};
+
+/**
+ * Publica un mensaje reservado y guarda el resultado
+ * Si agota sus intentos queda 'failed' y los eventos siguientes de su orden no se
+ * publican (para no desordenarlos) hasta que un admin lo reprograme con
+ * POST /admin/outbox/:id/retry; el log de error informa cuántos quedaron esperando
+ * @async
+ * @param {OutboxMessage} message - Mensaje reservado
+ * @returns {Promise<boolean>} true si se publicó
+ */
+const publishMessage = async (message) => {
+  try {
+    const correlationId = message.correlationId || message.aggregateId;
+    const { routingKey, envelope } = buildEnvelope(message.messageType, message.payload, {
+      messageId: message.messageId,
+      correlationId,
+      headers: { [CORRELATION_HEADER]: correlationId },
+    });
+    await context.with(extractTraceContext(message.traceContext), () =>
+      runWithCorrelationId(correlationId, () => publishToQueue(routingKey, envelope))
+    );
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.lastError = null;
+  } catch (error) {
+    message.lastError = error.message;
+    if (message.attempts >= MAX_ATTEMPTS) {
+      message.status = 'failed';
+      const blockedMessages = await OutboxMessage.count({
+        where: { aggregateId: message.aggregateId, status: 'pending', id: { [Op.gt]: message.id } },
+      });
+      log.error(
+        { outboxId: message.id, orderId: message.aggregateId, routingKey: message.routingKey, attempts: MAX_ATTEMPTS, blockedMessages },
+        'Mensaje de outbox agotó sus intentos; los eventos siguientes de la orden esperan a que se reprograme'
+      );
+    } else {
+      message.nextAttemptAt = nextAttemptDate(message.attempts);
+      log.warn({ outboxId: message.id, attempt: message.attempts, reason: error.message }, 'Error publicando mensaje de outbox');
+    }
+  }
+  await message.save();
+  return message.status === 'sent';
+};
+
+/**
+ * 📤 Ejecuta una pasada del relay
+ * Reserva un lote de mensajes pendientes y publica, por cada orden, solo su mensaje más
+ * antiguo sin publicar, fuera de la transacción de la reserva. Así los eventos de una
+ * misma orden salen siempre en el orden en que ocurrieron: si uno falla, los siguientes
+ * esperan hasta que se publique.
+ * Cada evento sale con el ID de correlación de la solicitud que lo generó (o el de
+ * la orden) como correlationId MassTransit y en la cabecera X-Request-Id, y su span de
+ * publicación queda en la traza de esa solicitud
+ *
+ * @async
+ * @returns {Promise<number>} Cantidad de mensajes publicados en la pasada
+ */
+export const relayPendingMessages = async () => {
+  // Sin canal no hay nada que hacer: los mensajes siguen pendientes
+  if (!getChannel()) return 0;
+
+  let sent = 0;
+  for (const message of await claimBatch()) {
+    if (await publishMessage(message)) sent++;
+  }
+  return sent;
+};
+
+/**
+ * Ciclo del relay: repite pasadas mientras haya mensajes publicados
+ * y luego espera POLL_INTERVAL_MS antes de volver a revisar
+ * @async
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  try {
+    while (running && (await relayPendingMessages()) > 0);
+  } catch (error) {
+    log.error({ err: error }, 'Error en el relay de outbox');
+  }
+  if (running) timer = setTimeout(() => { pass = tick(); }, POLL_INTERVAL_MS);
+};
+
+/**
+ * 🚀 Inicia el relay de outbox en segundo plano
+ * @returns {void}
+ */
+export const startOutboxRelay = () => {
+  if (running) return;
+  running = true;
+  timer = setTimeout(() => { pass = tick(); }, 0);
+  log.info('Relay de outbox iniciado');
+};
+
+/**
+ * 🛑 Detiene el relay de outbox
+ * Los mensajes pendientes quedan en la tabla para la próxima ejecución
+ * Espera a que termine la pasada en curso, cuyas publicaciones ya esperan la confirmación del broker
+ * @async
+ * @returns {Promise<void>}
+ */
+export const stopOutboxRelay = async () => {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+  await pass;
+};
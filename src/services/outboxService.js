@@ -0,0 +1,110 @@
+// Importar operadores de Sequelize para construir filtros
+import { Op } from 'sequelize';
+// Importar modelo de mensajes de outbox
+import { OutboxMessage } from '../models/outboxMessage.js';
+// Importar registro de contratos de eventos
+import { getContract } from '../messages/orderContracts.js';
+// Importar ID de correlación del trabajo en curso
+import { getCorrelationId } from '../config/logger.js';
+// Importar contexto de traza de la solicitud en curso
+import { injectTraceContext } from '../config/tracing.js';
+// Importar errores de dominio
+import { ValidationFailedError } from '../errors/domainErrors.js';
+import { OutboxMessageNotFoundError, OutboxMessageAlreadySentError } from '../errors/outboxErrors.js';
+
+/**
+ * Tiempo (ms) tras el cual un mensaje pendiente se considera atascado
+ * @type {number}
+ */
+const STUCK_AFTER_MS = Number(process.env.OUTBOX_STUCK_AFTER_MS) || 60000;
+
+/**
+ * 📝 Registra un evento de orden en el outbox
+ * Debe llamarse dentro de la misma transacción que modifica la orden,
+ * de modo que el evento exista si y solo si el cambio se confirmó.
+ * Se guarda la fecha del evento (occurredAt) para que el mensaje publicado
+ * refleje cuándo ocurrió y no cuándo lo publicó el relay, y el ID de correlación y el
+ * contexto de traza de la solicitud o mensaje en curso, que el relay publica con el evento
+ *
+ * @async
+ * @param {string} messageType - Contrato del evento (ej: 'OrderCreated', ver messages/orderContracts.js)
+ * @param {Object} event - Datos del evento (debe incluir orderId)
+ * @param {Object} options - Opciones de Sequelize
+ * @param {Transaction} options.transaction - Transacción en curso
+ * @returns {Promise<OutboxMessage>} Mensaje registrado
+ * @throws {Error} Si el contrato no existe
+ *
+ * @example
+ * await sequelize.transaction(async (transaction) => {
+ *   await order.save({ transaction });
+ *   await enqueueOrderEvent('OrderStatusChanged', { orderId: order.id, status: order.status }, { transaction });
+ * });
+ */
+export const enqueueOrderEvent = async (messageType, event, { transaction }) => {
+  const { routingKey } = getContract(messageType);
+
+  return await OutboxMessage.create(
+    {
+      aggregateId: event.orderId,
+      messageType,
+      routingKey,
+      payload: { ...event, occurredAt: event.occurredAt || new Date().toISOString() },
+      correlationId: getCorrelationId() ?? null,
+      traceContext: injectTraceContext(),
+    },
+    { transaction }
+  );
+};
+
+/**
+ * 🔍 Lista los mensajes del outbox que no se han podido publicar
+ * Incluye los que agotaron reintentos (failed) y los pendientes
+ * que llevan más de OUTBOX_STUCK_AFTER_MS sin publicarse
+ *
+ * @async
+ * @param {Object} [filters] - Filtros opcionales
+ * @param {string} [filters.status] - Solo mensajes con este estado ('pending' o 'failed')
+ * @param {string} [filters.orderId] - Solo mensajes de esta orden
+ * @returns {Promise<Array<OutboxMessage>>} Mensajes atascados, del más antiguo al más reciente
+ * @throws {ValidationFailedError} Si el estado no es 'pending' ni 'failed'
+ */
+export const listStuckMessages = async ({ status, orderId } = {}) => {
+  if (status && status !== 'pending' && status !== 'failed') {
+    throw new ValidationFailedError('Estado inválido. Debe ser "pending" o "failed".');
+  }
+
+  const stuckSince = new Date(Date.now() - STUCK_AFTER_MS);
+  const where = {
+    [Op.or]: [
+      { status: 'failed' },
+      { status: 'pending', createdAt: { [Op.lte]: stuckSince } },
+    ],
+  };
+  if (status) where.status = status;
+  if (orderId) where.aggregateId = orderId;
+
+  return await OutboxMessage.findAll({ where, order: [['id', 'ASC']] });
+};
+
+/**
+ * 🔁 Reprograma un mensaje del outbox para que el relay lo publique de nuevo
+ * Reinicia el contador de intentos y lo deja disponible de inmediato
+ *
+ * @async
+ * @param {number} id - ID del mensaje en el outbox
+ * @returns {Promise<OutboxMessage>} Mensaje reprogramado
+ * @throws {OutboxMessageNotFoundError} Si el mensaje no existe
+ * @throws {OutboxMessageAlreadySentError} Si el mensaje ya fue publicado
+ */
+export const retryOutboxMessage = async (id) => {
+  const message = await OutboxMessage.findByPk(id);
+  if (!message) throw new OutboxMessageNotFoundError(id);
+  if (message.status === 'sent') throw new OutboxMessageAlreadySentError();
+
+  message.status = 'pending';
+  message.attempts = 0;
+  message.nextAttemptAt = new Date();
+  await message.save();
+
+  return message;
+};
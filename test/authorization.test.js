@@ -0,0 +1,190 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas y aserciones de Node
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar códigos de estado gRPC y firma de JWT
+import grpc from '@grpc/grpc-js';
+import { SignJWT } from 'jose';
+// Importar servidores de prueba y clientes REST/gRPC
+import { startTestServers, signToken, callGrpc, callRest } from './helpers/servers.js';
+// Importar modelo de órdenes
+import { Order } from '../src/models/index.js';
+// Importar roles por operación
+import { OPERATION_ROLES, CALLER_ROLES } from '../src/services/authService.js';
+
+/**
+ * 🔐 Autenticación, roles por operación y acceso a las órdenes propias
+ * Cada operación de REST y gRPC se permite o rechaza según OPERATION_ROLES, y un
+ * usuario solo puede ver, cancelar o listar las órdenes de su propio clientId
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+const OTHER_CLIENT_ID = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+const UNKNOWN_ID = '00000000-0000-4000-8000-000000000000';
+
+// Una ruta REST por operación (WatchOrder solo existe en gRPC)
+const REST_OPERATIONS = {
+  CreateOrder: ['POST', '/orders', {}],
+  GetAllOrders: ['GET', '/orders'],
+  GetOrderStatus: ['GET', '/orders/TRK-NOEXISTE/status'],
+  UpdateOrderStatus: ['PATCH', `/orders/${UNKNOWN_ID}/status`, { status: 'enviado' }],
+  CancelOrder: ['PATCH', '/orders/TRK-NOEXISTE/cancel', {}],
+  GetOrderHistory: ['GET', `/orders/history/${CLIENT_ID}`],
+  GetOrderTimeline: ['GET', `/orders/${UNKNOWN_ID}/timeline`],
+  ListFailedNotifications: ['GET', `/admin/orders/${UNKNOWN_ID}/notifications`],
+  ResendNotification: ['POST', '/admin/notifications/999999/resend'],
+  ManageOutbox: ['GET', '/admin/outbox'],
+  PreviewOrderEmail: ['GET', '/admin/orders/TRK-NOEXISTE/emails/created/preview'],
+  ManageNotificationPreferences: ['GET', `/clients/${CLIENT_ID}/notification-preferences`],
+};
+
+/**
+ * Llama a un RPC de streaming y espera su primer error (o su fin)
+ * @param {grpc.Client} client - Cliente de order.OrderService
+ * @param {string} method - Nombre del RPC
+ * @param {Object} request - Mensaje de la solicitud
+ * @param {string} token - JWT de quien llama
+ * @returns {Promise<Error|null>} Error gRPC, o null si el stream terminó bien
+ */
+const callStream = (client, method, request, token) =>
+  new Promise((resolve) => {
+    const metadata = new grpc.Metadata();
+    metadata.set('authorization', `Bearer ${token}`);
+    const stream = client[method](request, metadata);
+    stream.on('data', () => stream.cancel());
+    stream.on('error', resolve);
+    stream.on('end', () => resolve(null));
+  });
+
+describe('autenticación y autorización', () => {
+  let servers;
+  const tokens = {};
+
+  before(async () => {
+    servers = await startTestServers();
+    tokens.user = await signToken({ subject: CLIENT_ID, role: 'user' });
+    tokens.other = await signToken({ subject: OTHER_CLIENT_ID, role: 'user' });
+    tokens.admin = await signToken({ subject: 'admin-7', role: 'admin' });
+  });
+
+  after(async () => {
+    await servers.stop();
+  });
+
+  it('cada RPC del servicio y cada operación REST tiene sus roles en OPERATION_ROLES', () => {
+    const rpcs = Object.keys(servers.grpcClient.constructor.service);
+    assert.deepEqual(rpcs.filter((rpc) => !OPERATION_ROLES[rpc]), []);
+    assert.deepEqual(Object.keys(REST_OPERATIONS).filter((operation) => !OPERATION_ROLES[operation]), []);
+    // WatchOrder es solo gRPC; las demás operaciones tienen ruta REST
+    assert.deepEqual(Object.keys(OPERATION_ROLES).filter((operation) => !REST_OPERATIONS[operation]), ['WatchOrder']);
+    for (const roles of Object.values(OPERATION_ROLES)) {
+      assert.deepEqual(roles.filter((role) => !CALLER_ROLES.includes(role)), []);
+    }
+  });
+
+  for (const role of CALLER_ROLES) {
+    it(`gRPC permite o rechaza cada RPC al rol ${role} según OPERATION_ROLES`, async () => {
+      const service = servers.grpcClient.constructor.service;
+      for (const [rpc, definition] of Object.entries(service)) {
+        // Solicitud vacía: si el rol pasa, el RPC responde (o falla la validación) sin cambiar nada
+        const error = definition.responseStream
+          ? await callStream(servers.grpcClient, rpc, {}, tokens[role])
+          : await callGrpc(servers.grpcClient, rpc, {}, tokens[role]).then(() => null, (e) => e);
+        if (OPERATION_ROLES[rpc].includes(role)) {
+          assert.notEqual(error?.code, grpc.status.PERMISSION_DENIED, `${rpc} debería permitirse a ${role}`);
+          assert.notEqual(error?.code, grpc.status.UNAUTHENTICATED, rpc);
+        } else {
+          assert.equal(error?.code, grpc.status.PERMISSION_DENIED, `${rpc} no debería permitirse a ${role}`);
+        }
+      }
+    });
+
+    it(`REST permite o rechaza cada operación al rol ${role} según OPERATION_ROLES`, async () => {
+      for (const [operation, [method, url, body]] of Object.entries(REST_OPERATIONS)) {
+        const { status, body: response } = await callRest(servers.baseUrl, method, url, tokens[role], body);
+        if (OPERATION_ROLES[operation].includes(role)) {
+          assert.ok(![401, 403].includes(status), `${operation} debería permitirse a ${role} (${status})`);
+        } else {
+          assert.deepEqual([status, response.code], [403, 'ACCESS_DENIED'], `${operation} no debería permitirse a ${role}`);
+        }
+      }
+    });
+  }
+
+  it('sin token, con una firma ajena o sin rol conocido se rechaza (401 / 403)', async () => {
+    const foreign = await new SignJWT({ roles: ['admin'] })
+      .setProtectedHeader({ alg: 'HS256' })
+      .setSubject('admin-7')
+      .setExpirationTime('5m')
+      .sign(new TextEncoder().encode('otro-secreto-de-al-menos-32-caracteres!!'));
+    const roleless = await signToken({ subject: CLIENT_ID, role: 'system' });
+
+    for (const [token, status, code] of [['', 401, grpc.status.UNAUTHENTICATED], [foreign, 401, grpc.status.UNAUTHENTICATED], [roleless, 403, grpc.status.PERMISSION_DENIED]]) {
+      assert.equal((await callRest(servers.baseUrl, 'GET', '/orders', token)).status, status);
+      await assert.rejects(callGrpc(servers.grpcClient, 'GetAllOrders', {}, token), { code });
+    }
+  });
+
+  describe('órdenes de otro cliente', () => {
+    let order;
+
+    before(async () => {
+      order = await Order.create({
+        clientId: CLIENT_ID,
+        clientName: 'Juan Pérez',
+        totalAmount: '9990',
+        status: 'pendiente',
+        trackingNumber: 'TRK-AJENA00001',
+      });
+      await Order.create({ clientId: OTHER_CLIENT_ID, clientName: 'Ana Soto', totalAmount: '4990', status: 'pendiente' });
+    });
+
+    it('REST no deja a un usuario ver, cancelar ni listar las órdenes de otro', async () => {
+      for (const [method, url, body] of [
+        ['GET', `/orders/${order.trackingNumber}/status`],
+        ['GET', `/orders/${order.id}/timeline`],
+        ['PATCH', `/orders/${order.id}/cancel`, { reason: 'No es mía' }],
+        ['GET', `/orders/history/${CLIENT_ID}`],
+        ['GET', `/orders?userId=${CLIENT_ID}`],
+        ['POST', '/orders', { userId: CLIENT_ID, clientName: 'Otro', items: [{ productId: UNKNOWN_ID, quantity: 1 }] }],
+        ['GET', `/clients/${CLIENT_ID}/notification-preferences`],
+      ]) {
+        const { status, body: response } = await callRest(servers.baseUrl, method, url, tokens.other, body);
+        assert.deepEqual([status, response.code], [403, 'ACCESS_DENIED'], `${method} ${url}`);
+      }
+
+      // Sin filtro, el listado solo trae las órdenes propias
+      const { body: page } = await callRest(servers.baseUrl, 'GET', '/orders', tokens.other);
+      assert.deepEqual([...new Set(page.orders.map((listed) => listed.clientId))], [OTHER_CLIENT_ID]);
+      assert.equal((await order.reload()).status, 'pendiente');
+    });
+
+    it('gRPC no deja a un usuario ver, cancelar ni listar las órdenes de otro', async () => {
+      for (const [rpc, request] of [
+        ['GetOrderStatus', { trackingNumber: order.trackingNumber }],
+        ['GetOrderTimeline', { idOrTracking: order.id }],
+        ['CancelOrder', { idOrTracking: order.id, reason: 'No es mía' }],
+        ['GetOrderHistory', { userId: CLIENT_ID }],
+        ['GetAllOrders', { userId: CLIENT_ID }],
+        ['CreateOrder', { userId: CLIENT_ID, clientName: 'Otro', items: [{ productId: UNKNOWN_ID, quantity: 1 }] }],
+      ]) {
+        await assert.rejects(callGrpc(servers.grpcClient, rpc, request, tokens.other), { code: grpc.status.PERMISSION_DENIED }, rpc);
+      }
+      assert.equal(await callStream(servers.grpcClient, 'WatchOrder', { idOrTracking: order.id }, tokens.other).then((e) => e?.code), grpc.status.PERMISSION_DENIED);
+
+      const { orders } = await callGrpc(servers.grpcClient, 'GetAllOrders', {}, tokens.other);
+      assert.deepEqual([...new Set(orders.map((listed) => listed.userId))], [OTHER_CLIENT_ID]);
+      assert.equal((await order.reload()).status, 'pendiente');
+    });
+
+    it('el dueño y el administrador sí acceden a la orden', async () => {
+      for (const token of [tokens.user, tokens.admin]) {
+        const rest = await callRest(servers.baseUrl, 'GET', `/orders/${order.trackingNumber}/status`, token);
+        assert.equal(rest.status, 200);
+        const timeline = await callGrpc(servers.grpcClient, 'GetOrderTimeline', { idOrTracking: order.id }, token);
+        assert.equal(timeline.orderId, order.id);
+      }
+    });
+  });
+});
@@ -0,0 +1,150 @@
+// Importar emisor de eventos de Node (conexión y canales falsos)
+import { EventEmitter } from 'node:events';
+
+/**
+ * 🐇 Broker de RabbitMQ falso para las pruebas de consumidores
+ * Reemplaza a amqp.connect (con mock.method): registra lo que se publica, lo enruta a
+ * las colas consumidas según los bindings (exchanges fanout, topic y el exchange por
+ * defecto) y permite entregar a mano un mensaje a una cola, esperando su ack o nack
+ *
+ * @module test/helpers/amqp
+ */
+
+/**
+ * Indica si una routingKey coincide con el patrón de un binding topic
+ * ('*' reemplaza una palabra y '#' cero o más)
+ * @param {string} pattern - Patrón del binding (ej: 'order.command.#')
+ * @param {string} routingKey - Clave del mensaje
+ * @returns {boolean}
+ */
+const topicMatches = (pattern, routingKey) => {
+  const match = (words, keys) => {
+    if (words.length === 0) return keys.length === 0;
+    if (words[0] === '#') return match(words.slice(1), keys) || (keys.length > 0 && match(words, keys.slice(1)));
+    if (keys.length === 0) return false;
+    return (words[0] === '*' || words[0] === keys[0]) && match(words.slice(1), keys.slice(1));
+  };
+  return match(pattern.split('.'), routingKey.split('.'));
+};
+
+/**
+ * Crea un broker falso
+ * @returns {{connect: Function, published: Array<Object>, queues: Object, deliver: Function}}
+ * connect (reemplazo de amqp.connect), publicaciones registradas ({ exchange, routingKey,
+ * envelope, options }), colas declaradas con sus argumentos, y función que entrega un mensaje
+ */
+export const fakeBroker = () => {
+  const published = [];
+  const queues = {};
+  const exchanges = {};
+  const bindings = [];
+  // Consumidor de cada cola ({ channel, onMessage })
+  const consumers = new Map();
+  // Resolución pendiente de cada mensaje entregado (se cumple con su ack o nack)
+  const settlements = new Map();
+  let deliveryTag = 0;
+  let generatedQueues = 0;
+
+  const settle = (msg, outcome) => {
+    settlements.get(msg.fields.deliveryTag)?.(outcome);
+    settlements.delete(msg.fields.deliveryTag);
+  };
+
+  /**
+   * Entrega un mensaje al consumidor de una cola
+   * @returns {Promise<{ack: boolean, requeue?: boolean}>} Resultado del consumidor
+   */
+  const dispatch = (queue, content, properties, exchange, routingKey) => {
+    const msg = {
+      content,
+      fields: { deliveryTag: ++deliveryTag, exchange, routingKey },
+      properties: { headers: {}, ...properties },
+    };
+    const settled = new Promise((resolve) => settlements.set(msg.fields.deliveryTag, resolve));
+    consumers.get(queue).onMessage(msg);
+    return settled;
+  };
+
+  /**
+   * Registra una publicación y la enruta a las colas con consumidor
+   * (las colas sin consumidor, como las de errores o de espera, solo quedan registradas)
+   */
+  const route = (exchange, routingKey, content, options = {}) => {
+    published.push({ exchange, routingKey, envelope: JSON.parse(content.toString()), options });
+
+    const targets = exchange === ''
+      ? [routingKey]
+      : bindings
+        .filter((binding) => binding.exchange === exchange)
+        .filter(({ pattern }) => exchanges[exchange] === 'fanout' || topicMatches(pattern, routingKey))
+        .map(({ queue }) => queue);
+    for (const queue of new Set(targets)) {
+      if (consumers.has(queue)) setImmediate(() => consumers.has(queue) && dispatch(queue, content, options, exchange, routingKey));
+    }
+    return true;
+  };
+
+  const createChannel = async () => {
+    const channel = new EventEmitter();
+    const stopConsuming = () => {
+      for (const [queue, consumer] of consumers) {
+        if (consumer.channel === channel) consumers.delete(queue);
+      }
+    };
+    Object.assign(channel, {
+      assertExchange: async (exchange, type) => {
+        exchanges[exchange] = type;
+      },
+      assertQueue: async (queue, options) => {
+        const name = queue || `amq.gen-${++generatedQueues}`;
+        queues[name] = options;
+        return { queue: name };
+      },
+      bindQueue: async (queue, exchange, pattern) => {
+        bindings.push({ queue, exchange, pattern });
+      },
+      prefetch: async () => {},
+      consume: async (queue, onMessage) => {
+        consumers.set(queue, { channel, onMessage });
+        return { consumerTag: `ctag-${queue}` };
+      },
+      cancel: async () => stopConsuming(),
+      publish: (exchange, routingKey, content, options, callback) => {
+        route(exchange, routingKey, content, options);
+        callback?.(null);
+        return true;
+      },
+      sendToQueue: (queue, content, options) => route('', queue, content, options),
+      ack: (msg) => settle(msg, { ack: true }),
+      nack: (msg, allUpTo, requeue) => settle(msg, { ack: false, requeue }),
+      waitForConfirms: async () => {},
+      close: async () => {
+        stopConsuming();
+        channel.emit('close');
+      },
+    });
+    return channel;
+  };
+
+  const connection = new EventEmitter();
+  Object.assign(connection, {
+    createChannel,
+    createConfirmChannel: createChannel,
+    close: async () => connection.emit('close'),
+  });
+
+  /**
+   * Entrega un mensaje a la cola indicada y espera su ack o nack
+   * @async
+   * @param {string} queue - Cola consumida
+   * @param {Object} body - Cuerpo JSON del mensaje
+   * @param {Object} [properties] - Propiedades AMQP (headers, userId, messageId...)
+   * @returns {Promise<{ack: boolean, requeue?: boolean}>} Resultado del consumidor
+   */
+  const deliver = (queue, body, properties = {}) => {
+    if (!consumers.has(queue)) throw new Error(`Nadie consume la cola ${queue}`);
+    return dispatch(queue, Buffer.from(JSON.stringify(body)), properties, '', queue);
+  };
+
+  return { connect: async () => connection, published, queues, deliver };
+};
@@ -0,0 +1,18 @@
+/**
+ * 🧪 Variables de entorno de las pruebas
+ * Debe ser el primer import de cada archivo de prueba: los módulos de src leen su
+ * configuración al cargarse. Cada archivo corre en su propio proceso (node --test),
+ * con una base SQLite en memoria y sin RabbitMQ ni proveedores externos
+ *
+ * @module test/helpers/env
+ */
+
+Object.assign(process.env, {
+  AUTH_JWT_SECRET: 'pruebas-secreto-compartido-de-32-caracteres',
+  // Vacía (y no borrada) para que un .env local no la defina junto al secreto
+  AUTH_JWKS_FILE: '',
+  DB_DIALECT: 'sqlite',
+  DB_STORAGE: ':memory:',
+  LOG_LEVEL: 'silent',
+  CATALOG_CLIENT: 'stub',
+});
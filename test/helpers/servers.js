@@ -0,0 +1,137 @@
+// Importar utilidades de Node para abrir los servidores de prueba
+import http from 'http';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Importar cliente gRPC y cargador del .proto
+import grpc from '@grpc/grpc-js';
+import protoLoader from '@grpc/proto-loader';
+// Importar firma de JWT (HS256 con el secreto de las pruebas)
+import { SignJWT } from 'jose';
+// Importar base de datos con todos los modelos registrados
+import { sequelize } from '../../src/config/censudex-orders-db.js';
+import '../../src/models/index.js';
+// Importar aplicación Express y servidor gRPC del servicio
+import { createApp } from '../../src/app.js';
+import { startGrpcService, stopGrpcService } from '../../src/gRPC/orderGrpcService.js';
+
+/**
+ * 🧪 Servicio de órdenes levantado para las pruebas
+ * Abre la aplicación Express y el servidor gRPC reales (con sus interceptores y
+ * middlewares) sobre la base SQLite en memoria de test/helpers/env. Las tablas se
+ * crean desde los modelos: las migraciones usan SQL propio de MySQL
+ *
+ * @module test/helpers/servers
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROTO_PATH = path.resolve(__dirname, '../../src/proto/order.proto');
+
+// Mismas opciones de carga que el servidor (orderGrpcService)
+const orderProto = grpc.loadPackageDefinition(protoLoader.loadSync(PROTO_PATH, {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true,
+})).order;
+
+/**
+ * Busca un puerto TCP libre
+ * @async
+ * @returns {Promise<number>} Puerto libre
+ */
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+/**
+ * Firma un token de acceso como los que emite el proveedor de identidad
+ * @async
+ * @param {Object} principal - Quien llama
+ * @param {string} principal.subject - Sujeto del token (clientId para un usuario)
+ * @param {string} principal.role - 'user' o 'admin'
+ * @returns {Promise<string>} JWT firmado con AUTH_JWT_SECRET
+ */
+export const signToken = ({ subject, role }) =>
+  new SignJWT({ roles: [role] })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(subject)
+    .setIssuedAt()
+    .setExpirationTime('5m')
+    .sign(new TextEncoder().encode(process.env.AUTH_JWT_SECRET));
+
+/**
+ * 🚀 Crea las tablas y levanta los servidores HTTP y gRPC en puertos libres
+ * @async
+ * @returns {Promise<{baseUrl: string, grpcClient: grpc.Client, stop: Function}>}
+ * URL base de la API REST, cliente de order.OrderService y función que detiene todo
+ */
+export const startTestServers = async () => {
+  await sequelize.sync();
+
+  const httpServer = http.createServer(createApp());
+  await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+
+  const grpcPort = await freePort();
+  process.env.GRPC_PORT = String(grpcPort);
+  const grpcServer = await startGrpcService();
+  const grpcClient = new orderProto.OrderService(`127.0.0.1:${grpcPort}`, grpc.credentials.createInsecure());
+
+  return {
+    baseUrl: `http://127.0.0.1:${httpServer.address().port}`,
+    grpcClient,
+    stop: async () => {
+      grpcClient.close();
+      await stopGrpcService(grpcServer, 1000);
+      httpServer.closeAllConnections();
+      await new Promise((resolve) => httpServer.close(resolve));
+      await sequelize.close();
+    },
+  };
+};
+
+/**
+ * Llama a un RPC unario con el token indicado
+ * @async
+ * @param {grpc.Client} client - Cliente de order.OrderService
+ * @param {string} method - Nombre del RPC (ej: 'CreateOrder')
+ * @param {Object} request - Mensaje de la solicitud
+ * @param {string} token - JWT de quien llama
+ * @param {Object<string, string>} [extraMetadata] - Metadata adicional (ej: traceparent)
+ * @returns {Promise<Object>} Respuesta del RPC
+ * @throws {Error} El error gRPC (con code y details) si la llamada falla
+ */
+export const callGrpc = (client, method, request, token, extraMetadata = {}) =>
+  new Promise((resolve, reject) => {
+    const metadata = new grpc.Metadata();
+    metadata.set('authorization', `Bearer ${token}`);
+    for (const [key, value] of Object.entries(extraMetadata)) metadata.set(key, value);
+    client[method](request, metadata, (error, response) => (error ? reject(error) : resolve(response)));
+  });
+
+/**
+ * Llama a la API REST con el token indicado
+ * @async
+ * @param {string} baseUrl - URL base de la API
+ * @param {string} method - Método HTTP
+ * @param {string} url - Ruta (ej: '/orders')
+ * @param {string} token - JWT de quien llama
+ * @param {Object} [body] - Cuerpo JSON
+ * @param {Object<string, string>} [headers] - Cabeceras adicionales (ej: traceparent)
+ * @returns {Promise<{status: number, headers: Headers, body: Object}>} Código, cabeceras y cuerpo de la respuesta
+ */
+export const callRest = async (baseUrl, method, url, token, body, headers = {}) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { ...headers, authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
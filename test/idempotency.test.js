@@ -0,0 +1,175 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas y aserciones de Node
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar servidores de prueba y clientes REST/gRPC
+import { startTestServers, signToken, callGrpc, callRest } from './helpers/servers.js';
+// Importar modelos de órdenes y claves de idempotencia
+import { Order, IdempotencyKey, OutboxMessage } from '../src/models/index.js';
+// Importar creación de órdenes y error de clave reutilizada
+import { createOrder } from '../src/services/orderService.js';
+import { IdempotencyKeyMismatchError } from '../src/errors/idempotencyErrors.js';
+
+/**
+ * 🔁 Claves de idempotencia de la creación de órdenes
+ * Un reintento con la misma clave y los mismos datos responde la orden original sin
+ * crear otra, la misma clave con otros datos se rechaza, cada usuario tiene sus propias
+ * claves y un intento que choca con otro al reservar la clave responde la orden del otro
+ * (SQLite en memoria no admite dos transacciones a la vez: el choque se reproduce
+ * ocultando la clave al primer intento de lectura)
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+const OTHER_CLIENT_ID = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+const PRODUCT_ID = '8f14e45f-ceea-4e7a-9b1d-1a2b3c4d5e01';
+const OTHER_PRODUCT_ID = '8f14e45f-ceea-4e7a-9b1d-1a2b3c4d5e02';
+
+/**
+ * Datos de un pedido
+ * @param {string} clientId - Cliente que pide
+ * @param {number} [quantity=1] - Cantidad del producto
+ * @returns {Object} Cuerpo de POST /orders
+ */
+const orderBody = (clientId, quantity = 1) => ({
+  userId: clientId,
+  clientName: 'Juan Pérez',
+  email: 'juan.perez@ejemplo.com',
+  items: [{ productId: PRODUCT_ID, quantity }, { productId: OTHER_PRODUCT_ID, quantity: 1 }],
+});
+
+/**
+ * Crea una orden por REST con una clave de idempotencia
+ * @async
+ * @param {string} baseUrl - URL base de la API
+ * @param {string} token - JWT de quien llama
+ * @param {string} key - Clave de idempotencia
+ * @param {Object} body - Datos del pedido
+ * @returns {Promise<{status: number, headers: Headers, body: Object}>} Respuesta
+ */
+const postOrder = (baseUrl, token, key, body) =>
+  callRest(baseUrl, 'POST', '/orders', token, body, { 'idempotency-key': key });
+
+describe('claves de idempotencia', () => {
+  let servers;
+  let userToken;
+  let otherUserToken;
+
+  before(async () => {
+    servers = await startTestServers();
+    userToken = await signToken({ subject: CLIENT_ID, role: 'user' });
+    otherUserToken = await signToken({ subject: OTHER_CLIENT_ID, role: 'user' });
+  });
+
+  after(async () => {
+    await servers.stop();
+  });
+
+  it('un reintento con la misma clave y los mismos datos responde la orden original', async () => {
+    const key = crypto.randomUUID();
+    const first = await postOrder(servers.baseUrl, userToken, key, orderBody(CLIENT_ID));
+    // Mismos datos con los campos en otro orden
+    const { items, ...rest } = orderBody(CLIENT_ID);
+    const retry = await postOrder(servers.baseUrl, userToken, key, { items, ...rest });
+
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(await Order.count({ where: { id: first.body.order.id } }), 1);
+    assert.equal(await OutboxMessage.count({ where: { aggregateId: first.body.order.id } }), 1);
+  });
+
+  it('la misma clave con otros datos se rechaza (422 / FAILED_PRECONDITION)', async () => {
+    const key = crypto.randomUUID();
+    await postOrder(servers.baseUrl, userToken, key, orderBody(CLIENT_ID));
+    const before = await Order.count();
+
+    const rest = await postOrder(servers.baseUrl, userToken, key, orderBody(CLIENT_ID, 2));
+    assert.deepEqual([rest.status, rest.body.code], [422, 'IDEMPOTENCY_KEY_MISMATCH']);
+
+    await assert.rejects(
+      createOrder(
+        { clientId: CLIENT_ID, clientName: 'Juan Pérez', items: [{ productId: PRODUCT_ID, quantity: 5 }] },
+        { actorId: CLIENT_ID, idempotencyKey: key }
+      ),
+      IdempotencyKeyMismatchError
+    );
+    assert.equal(await Order.count(), before);
+  });
+
+  it('las claves son de cada usuario: la misma clave de otro usuario crea su propia orden', async () => {
+    const key = crypto.randomUUID();
+    const mine = await postOrder(servers.baseUrl, userToken, key, orderBody(CLIENT_ID));
+    const theirs = await postOrder(servers.baseUrl, otherUserToken, key, orderBody(OTHER_CLIENT_ID));
+
+    assert.equal(theirs.status, 201);
+    assert.equal(theirs.headers.get('idempotent-replayed'), null);
+    assert.notEqual(theirs.body.order.id, mine.body.order.id);
+    assert.equal(theirs.body.order.clientId, OTHER_CLIENT_ID);
+    assert.deepEqual(
+      (await IdempotencyKey.findAll({ where: { key }, order: [['ownerId', 'ASC']] })).map((record) => record.ownerId),
+      [CLIENT_ID, OTHER_CLIENT_ID].sort()
+    );
+  });
+
+  it('REST y gRPC comparten la clave del usuario', async () => {
+    const key = crypto.randomUUID();
+    const rest = await postOrder(servers.baseUrl, userToken, key, orderBody(CLIENT_ID));
+
+    const viaGrpc = await callGrpc(servers.grpcClient, 'CreateOrder', orderBody(CLIENT_ID), userToken, { 'idempotency-key': key });
+    assert.equal(viaGrpc.order.id, rest.body.order.id);
+  });
+
+  it('un intento que reserva la clave mientras otro ya creó la orden responde la orden del otro', async () => {
+    const key = crypto.randomUUID();
+    const input = { clientId: CLIENT_ID, clientName: 'Juan Pérez', items: [{ productId: PRODUCT_ID, quantity: 3 }] };
+    const first = await createOrder(input, { actorId: CLIENT_ID, idempotencyKey: key });
+    const orders = await Order.count();
+    // El segundo intento no ve la clave al empezar, como si el primero aún no confirmara;
+    // al reservarla choca con el índice único y lee la respuesta del primero
+    const findOne = mock.method(IdempotencyKey, 'findOne');
+    findOne.mock.mockImplementationOnce(async () => null);
+
+    try {
+      const second = await createOrder(input, { actorId: CLIENT_ID, idempotencyKey: key });
+
+      assert.equal(findOne.mock.callCount(), 2);
+      assert.deepEqual([second.replayed, second.order.id], [true, first.order.id]);
+      assert.deepEqual(second.order.toJSON(), JSON.parse(JSON.stringify(first.order.toJSON())));
+      // La transacción del segundo intento se revirtió entera
+      assert.equal(await Order.count(), orders);
+      assert.equal(await IdempotencyKey.count({ where: { key } }), 1);
+    } finally {
+      findOne.mock.restore();
+    }
+  });
+
+  it('la reserva simultánea de una clave con otros datos se rechaza', async () => {
+    const key = crypto.randomUUID();
+    const input = { clientId: CLIENT_ID, clientName: 'Juan Pérez', items: [{ productId: PRODUCT_ID, quantity: 3 }] };
+    await createOrder(input, { actorId: CLIENT_ID, idempotencyKey: key });
+    const findOne = mock.method(IdempotencyKey, 'findOne');
+    findOne.mock.mockImplementationOnce(async () => null);
+
+    try {
+      await assert.rejects(
+        createOrder({ ...input, clientName: 'Otra Persona' }, { actorId: CLIENT_ID, idempotencyKey: key }),
+        IdempotencyKeyMismatchError
+      );
+    } finally {
+      findOne.mock.restore();
+    }
+  });
+
+  it('una clave vencida se trata como nueva', async () => {
+    const key = crypto.randomUUID();
+    const first = await postOrder(servers.baseUrl, userToken, key, orderBody(CLIENT_ID));
+    await IdempotencyKey.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { key } });
+
+    const again = await postOrder(servers.baseUrl, userToken, key, orderBody(CLIENT_ID, 2));
+    assert.equal(again.status, 201);
+    assert.notEqual(again.body.order.id, first.body.order.id);
+  });
+});
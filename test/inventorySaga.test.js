@@ -0,0 +1,187 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas, dobles de prueba y aserciones de Node
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+// Importar cliente de RabbitMQ (se reemplaza su conexión) y el broker falso
+import amqp from 'amqplib';
+import { fakeBroker } from './helpers/amqp.js';
+// Importar base de datos y modelos
+import { sequelize } from '../src/config/censudex-orders-db.js';
+import { Order, OrderSaga, OrderStatusHistory } from '../src/models/index.js';
+// Importar conexión a RabbitMQ, relay de outbox y consumidor de respuestas de inventario
+import { connectRabbitMQ, closeRabbitMQ } from '../src/config/rabbitmq.js';
+import { relayPendingMessages } from '../src/services/outboxRelay.js';
+import { startInventoryReplyConsumer } from '../src/consumers/inventoryReplyConsumer.js';
+// Importar creación de órdenes, vencimiento de sagas e inventario falso
+import { createOrder } from '../src/services/orderService.js';
+import { compensateExpiredSagas } from '../src/services/inventorySaga.js';
+import { startFakeInventoryResponder } from '../src/dev/fakeInventoryResponder.js';
+
+/**
+ * 📦 Saga de reserva de stock
+ * Cada orden creada publica 'order.created' (relay de outbox), el inventario falso
+ * responde StockReserved o StockRejected y el consumidor de respuestas cierra la saga:
+ * reserva → orden en procesamiento; rechazo → orden cancelada; sin respuesta → la orden
+ * se cancela al vencer la saga. Todo pasa por un broker falso en memoria
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+const PRODUCT_ID = '8f14e45f-ceea-4e7a-9b1d-1a2b3c4d5e01';
+const QUEUE = 'orders-service.inventory-replies';
+const RETRY_QUEUE = 'orders-service.inventory-replies.retry';
+const ERROR_EXCHANGE = 'inventory_replies.error';
+
+/**
+ * Crea una orden y publica su evento 'order.created'
+ * @async
+ * @returns {Promise<Order>} Orden creada
+ */
+const placeOrder = async () => {
+  const { order } = await createOrder(
+    { clientId: CLIENT_ID, clientName: 'Juan Pérez', items: [{ productId: PRODUCT_ID, quantity: 1 }] },
+    { actorId: CLIENT_ID, role: 'user', source: 'rest' }
+  );
+  assert.ok(await relayPendingMessages() > 0);
+  return order;
+};
+
+/**
+ * Espera a que la saga de una orden deje de esperar stock
+ * @async
+ * @param {string} orderId - ID de la orden
+ * @returns {Promise<OrderSaga>} Saga cerrada
+ */
+const settledSaga = async (orderId) => {
+  for (let i = 0; i < 100; i++) {
+    const saga = await OrderSaga.findByPk(orderId);
+    if (saga.state !== 'awaiting_stock') return saga;
+    await sleep(10);
+  }
+  assert.fail(`La saga de ${orderId} no se cerró`);
+};
+
+describe('saga de reserva de stock con el inventario falso', () => {
+  let broker;
+  let responder;
+
+  /**
+   * Inicia el inventario falso en el modo indicado (se detiene después de cada prueba)
+   * @async
+   * @param {string} mode - 'reserve', 'reject' o 'silent'
+   * @returns {Promise<void>}
+   */
+  const respondWith = async (mode) => {
+    responder = await startFakeInventoryResponder(await broker.connect(), { mode, delayMs: 0 });
+  };
+
+  before(async () => {
+    await sequelize.sync();
+    broker = fakeBroker();
+    mock.method(amqp, 'connect', broker.connect);
+    // El inventario falso informa cada respuesta por consola
+    mock.method(console, 'log', () => {});
+    await connectRabbitMQ(1, 0);
+    await startInventoryReplyConsumer();
+  });
+
+  after(async () => {
+    await closeRabbitMQ();
+    await sequelize.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    broker.published.length = 0;
+  });
+
+  afterEach(async () => {
+    await responder?.stop();
+    responder = null;
+  });
+
+  it('reserva → la orden pasa a en procesamiento y la saga se completa', async () => {
+    await respondWith('reserve');
+    const order = await placeOrder();
+
+    const saga = await settledSaga(order.id);
+    assert.equal(saga.state, 'completed');
+    assert.equal((await Order.findByPk(order.id)).status, 'en procesamiento');
+    const latest = await OrderStatusHistory.findOne({ where: { orderId: order.id }, order: [['id', 'DESC']] });
+    assert.deepEqual([latest.status, latest.actorId, latest.source], ['en procesamiento', 'inventory-service', 'event']);
+  });
+
+  it('rechazo → la orden se cancela con el motivo de inventario y la saga se compensa', async () => {
+    await respondWith('reject');
+    const order = await placeOrder();
+
+    const saga = await settledSaga(order.id);
+    assert.equal(saga.state, 'compensated');
+    assert.match(saga.reason, /^Stock insuficiente: Sin stock en bodega/);
+    assert.equal((await Order.findByPk(order.id)).status, 'cancelado');
+    // La cancelación sale como evento para que inventario libere lo reservado
+    assert.equal(await relayPendingMessages(), 1);
+    assert.equal(broker.published.at(-1).routingKey, 'order.cancelled');
+  });
+
+  it('sin respuesta → al vencer la saga la orden se cancela', async () => {
+    await respondWith('silent');
+    const order = await placeOrder();
+    await sleep(20);
+    assert.equal((await OrderSaga.findByPk(order.id)).state, 'awaiting_stock');
+
+    await OrderSaga.update({ deadlineAt: new Date(Date.now() - 1000) }, { where: { orderId: order.id } });
+    assert.equal(await compensateExpiredSagas(), 1);
+
+    const saga = await OrderSaga.findByPk(order.id);
+    assert.equal(saga.state, 'timed_out');
+    assert.equal((await Order.findByPk(order.id)).status, 'cancelado');
+  });
+
+  it('una respuesta repetida no vuelve a cambiar la orden', async () => {
+    await respondWith('reserve');
+    const order = await placeOrder();
+    await settledSaga(order.id);
+
+    const outcome = await broker.deliver(QUEUE, {
+      messageType: ['urn:message:InventoryService.Src.Messages:StockRejected'],
+      message: { OrderId: order.id, Reason: 'tarde' },
+    });
+
+    assert.deepEqual(outcome, { ack: true });
+    assert.equal((await Order.findByPk(order.id)).status, 'en procesamiento');
+  });
+
+  it('una respuesta que sigue fallando se reintenta con espera y termina en la cola de errores', async () => {
+    const reply = {
+      messageType: ['urn:message:InventoryService.Src.Messages:StockReserved'],
+      message: { OrderId: '7d2c9e1a-4b3f-4c8d-9e0f-1a2b3c4d5e6f' },
+    };
+    mock.method(OrderSaga, 'findByPk', async () => {
+      throw new Error('ECONNREFUSED');
+    });
+
+    try {
+      let headers = {};
+      for (const expiration of ['5000', '10000', '20000']) {
+        assert.deepEqual(await broker.deliver(QUEUE, reply, { headers }), { ack: true });
+        const retry = broker.published.at(-1);
+        assert.deepEqual([retry.routingKey, retry.options.expiration], [RETRY_QUEUE, expiration]);
+        headers = retry.options.headers;
+      }
+
+      await broker.deliver(QUEUE, reply, { headers });
+      const failure = broker.published.at(-1);
+      assert.equal(failure.exchange, ERROR_EXCHANGE);
+      assert.equal(failure.options.headers['MT-Fault-Message'], 'ECONNREFUSED');
+    } finally {
+      OrderSaga.findByPk.mock.restore();
+    }
+  });
+
+  it('una respuesta de tipo desconocido va directo a la cola de errores', async () => {
+    await broker.deliver(QUEUE, { messageType: ['urn:message:InventoryService.Src.Messages:StockCounted'], message: {} });
+    assert.equal(broker.published.at(-1).exchange, ERROR_EXCHANGE);
+  });
+});
@@ -0,0 +1,126 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas y aserciones de Node
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar base de datos y modelos
+import { sequelize } from '../src/config/censudex-orders-db.js';
+import { Order, OrderItem } from '../src/models/index.js';
+// Importar montos exactos y la migración que los introdujo
+import {
+  currencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  multiplyAmount,
+  sumAmounts,
+  toMoneyParts,
+  fromMoneyParts,
+} from '../src/services/money.js';
+import { up as migrateExactMoney } from '../src/migrations/20261019000000-exact-money.js';
+
+/**
+ * 💰 Montos exactos por moneda
+ * CLP no tiene decimales y USD tiene 2; los montos se redondean "mitad hacia arriba"
+ * en unidades mínimas enteras, sin errores de punto flotante
+ */
+
+describe('montos exactos', () => {
+  it('usa los decimales ISO 4217 de cada moneda', () => {
+    assert.equal(currencyDecimals('CLP'), 0);
+    assert.equal(currencyDecimals('USD'), 2);
+    assert.equal(currencyDecimals('usd'), 2);
+    assert.throws(() => currencyDecimals('EUR'), { code: 'VALIDATION_FAILED' });
+  });
+
+  it('convierte a unidades mínimas según la moneda', () => {
+    assert.equal(toMinorUnits('12990', 'CLP'), 12990);
+    assert.equal(toMinorUnits(49.99, 'USD'), 4999);
+    assert.equal(toMinorUnits('49.99', 'USD'), 4999);
+    assert.equal(toMinorUnits('7', 'USD'), 700);
+    assert.equal(toMinorUnits('-3.5', 'USD'), -350);
+    assert.equal(toMinorUnits(1e-7, 'USD'), 0);
+    assert.equal(fromMinorUnits(4999, 'USD'), '49.99');
+    assert.equal(fromMinorUnits(5, 'USD'), '0.05');
+    assert.equal(fromMinorUnits(-350, 'USD'), '-3.50');
+    assert.equal(fromMinorUnits(12990, 'CLP'), '12990');
+  });
+
+  it('redondea mitad hacia arriba a los decimales de la moneda', () => {
+    // CLP no tiene decimales: los centavos se redondean al peso
+    assert.equal(roundAmount('12990.5', 'CLP'), '12991');
+    assert.equal(roundAmount('12990.49', 'CLP'), '12990');
+    assert.equal(roundAmount('12990.00', 'CLP'), '12990');
+    // USD conserva 2 decimales; 1.005 se lee como texto y no como 1.00499...
+    assert.equal(roundAmount(1.005, 'USD'), '1.01');
+    assert.equal(roundAmount('2.675', 'USD'), '2.68');
+    assert.equal(roundAmount('2.674', 'USD'), '2.67');
+    assert.equal(roundAmount('-0.001', 'USD'), '0.00');
+  });
+
+  it('rechaza montos que no son números decimales simples', () => {
+    for (const amount of ['', 'abc', '1,5', '1.2.3', '1e3', null, undefined, NaN, Infinity]) {
+      assert.throws(() => toMinorUnits(amount, 'USD'), { code: 'VALIDATION_FAILED' }, String(amount));
+    }
+    assert.throws(() => toMinorUnits('99999999999999999', 'USD'), { code: 'VALIDATION_FAILED' });
+  });
+
+  it('multiplica y suma sin errores de punto flotante', () => {
+    // 0.1 * 3 es 0.30000000000000004 en punto flotante
+    assert.equal(multiplyAmount('0.1', 3, 'USD'), '0.30');
+    assert.equal(multiplyAmount(19.99, 3, 'USD'), '59.97');
+    assert.equal(multiplyAmount('9990', 3, 'CLP'), '29970');
+    // El precio se redondea a la moneda antes de multiplicar
+    assert.equal(multiplyAmount('9990.5', 2, 'CLP'), '19982');
+    assert.equal(multiplyAmount('1.005', 10, 'USD'), '10.10');
+    assert.equal(sumAmounts(['0.1', '0.2'], 'USD'), '0.30');
+    assert.equal(sumAmounts([], 'CLP'), '0');
+  });
+
+  it('convierte al mensaje Money de gRPC y de vuelta', () => {
+    assert.deepEqual(toMoneyParts('49.99', 'USD'), { currencyCode: 'USD', units: '49', nanos: 990000000 });
+    assert.deepEqual(toMoneyParts('-1.50', 'USD'), { currencyCode: 'USD', units: '-1', nanos: -500000000 });
+    assert.deepEqual(toMoneyParts('12990', 'CLP'), { currencyCode: 'CLP', units: '12990', nanos: 0 });
+    assert.equal(fromMoneyParts({ units: '49', nanos: 990000000 }, 'USD'), '49.99');
+    assert.equal(fromMoneyParts({ units: '12990', nanos: 500000000 }, 'CLP'), '12991');
+    assert.equal(fromMoneyParts({ units: '-1', nanos: -500000000 }, 'USD'), '-1.50');
+    assert.throws(() => fromMoneyParts({ units: '1', nanos: 1e9 }, 'USD'), { code: 'VALIDATION_FAILED' });
+  });
+});
+
+describe('migración de montos exactos', () => {
+  before(async () => {
+    await sequelize.sync();
+  });
+
+  after(async () => {
+    await sequelize.close();
+  });
+
+  it('redondea los precios a la moneda de su orden y recalcula los totales (sin SQL propio de MySQL)', async () => {
+    const clp = await Order.create({ clientId: 'c-1', clientName: 'Juan Pérez', totalAmount: '0', currency: 'CLP' });
+    const usd = await Order.create({ clientId: 'c-1', clientName: 'Juan Pérez', totalAmount: '0', currency: 'USD' });
+    // Precios con más decimales de los que admite su moneda, como quedaban con FLOAT
+    await sequelize.query(
+      `INSERT INTO OrderItems (orderId, productId, quantity, price) VALUES
+       (:clp, 'p-1', 2, 9990.4), (:clp, 'p-2', 1, 500.6), (:usd, 'p-1', 3, 19.994)`,
+      { replacements: { clp: clp.id, usd: usd.id } }
+    );
+
+    // En SQLite changeColumn recrea la tabla: sin desactivar las claves foráneas, borrar
+    // la tabla Orders original borraría en cascada los items
+    await sequelize.query('PRAGMA foreign_keys = OFF');
+    try {
+      await migrateExactMoney(sequelize.getQueryInterface());
+    } finally {
+      await sequelize.query('PRAGMA foreign_keys = ON');
+    }
+
+    const prices = (orderId) => OrderItem.findAll({ where: { orderId }, order: [['id', 'ASC']] })
+      .then((items) => items.map((item) => roundAmount(item.price, 'USD')));
+    assert.deepEqual(await prices(clp.id), ['9990.00', '501.00']);
+    assert.deepEqual(await prices(usd.id), ['19.99']);
+    assert.equal(roundAmount((await clp.reload()).totalAmount, 'CLP'), '20481');
+    assert.equal(roundAmount((await usd.reload()).totalAmount, 'USD'), '59.97');
+  });
+});
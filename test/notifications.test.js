@@ -0,0 +1,108 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas, dobles de prueba y aserciones de Node
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar códigos de estado gRPC
+import grpc from '@grpc/grpc-js';
+// Importar servidores de prueba y clientes REST/gRPC
+import { startTestServers, signToken, callGrpc, callRest } from './helpers/servers.js';
+// Importar base de datos y modelos
+import { sequelize } from '../src/config/censudex-orders-db.js';
+import { Order, Notification, NotificationPreference } from '../src/models/index.js';
+// Importar encolado de avisos
+import { enqueueOrderNotification } from '../src/services/notificationService.js';
+
+/**
+ * 🔔 Avisos al cliente
+ * El canal del aviso se lee dentro de la transacción del cambio de la orden, y solo
+ * los avisos fallidos se pueden reenviar (REST y gRPC responden conflicto en otro caso)
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+
+/**
+ * Crea una orden con un aviso en el estado indicado
+ * @async
+ * @param {string} status - Estado del aviso ('pending', 'sent' o 'failed')
+ * @returns {Promise<Notification>} Aviso creado
+ */
+const createNotification = async (status) => {
+  const order = await Order.create({ clientId: CLIENT_ID, clientName: 'Juan Pérez', totalAmount: '9990', status: 'pendiente' });
+  return await Notification.create({
+    orderId: order.id,
+    clientId: CLIENT_ID,
+    type: 'created',
+    channel: 'email',
+    status,
+    attempts: 5,
+    lastError: 'Proveedor no disponible',
+  });
+};
+
+describe('avisos al cliente', () => {
+  let servers;
+  let adminToken;
+
+  before(async () => {
+    servers = await startTestServers();
+    adminToken = await signToken({ subject: 'admin-7', role: 'admin' });
+  });
+
+  after(async () => {
+    await servers.stop();
+  });
+
+  it('lee la preferencia del cliente dentro de la transacción que encola el aviso', async () => {
+    const findOne = mock.method(NotificationPreference, 'findOne');
+
+    try {
+      const notification = await sequelize.transaction(async (transaction) => {
+        const order = await Order.create(
+          { clientId: CLIENT_ID, clientName: 'Juan Pérez', totalAmount: '9990', status: 'pendiente' },
+          { transaction }
+        );
+        // La preferencia guardada en la misma transacción ya decide el canal
+        await NotificationPreference.upsert({ clientId: CLIENT_ID, eventType: 'shipped', channel: 'sms' }, { transaction });
+        return await enqueueOrderNotification('shipped', order, { trackingNumber: 'TRK-1' }, { transaction });
+      });
+
+      assert.equal(notification.channel, 'sms');
+      assert.ok(findOne.mock.calls[0].arguments[0].transaction);
+    } finally {
+      findOne.mock.restore();
+      await NotificationPreference.destroy({ where: { clientId: CLIENT_ID } });
+    }
+  });
+
+  it('reenvía un aviso fallido y reinicia sus intentos', async () => {
+    const notification = await createNotification('failed');
+
+    const { status, body } = await callRest(servers.baseUrl, 'POST', `/admin/notifications/${notification.id}/resend`, adminToken);
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      [body.notification.status, body.notification.attempts, body.notification.lastError],
+      ['pending', 0, null]
+    );
+    await notification.reload();
+    assert.deepEqual([notification.status, notification.attempts], ['pending', 0]);
+  });
+
+  for (const [state, code] of [['sent', 'NOTIFICATION_ALREADY_SENT'], ['pending', 'NOTIFICATION_PENDING']]) {
+    it(`no reenvía un aviso ${state} (409 ${code} / FAILED_PRECONDITION)`, async () => {
+      const notification = await createNotification(state);
+
+      const rest = await callRest(servers.baseUrl, 'POST', `/admin/notifications/${notification.id}/resend`, adminToken);
+      assert.deepEqual([rest.status, rest.body.code], [409, code]);
+
+      await assert.rejects(
+        callGrpc(servers.grpcClient, 'ResendNotification', { id: notification.id }, adminToken),
+        { code: grpc.status.FAILED_PRECONDITION }
+      );
+
+      await notification.reload();
+      assert.deepEqual([notification.status, notification.attempts], [state, 5]);
+    });
+  }
+});
@@ -0,0 +1,130 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas, dobles de prueba y aserciones de Node
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar cliente de RabbitMQ (se reemplaza su conexión) y el broker falso
+import amqp from 'amqplib';
+import { fakeBroker } from './helpers/amqp.js';
+// Importar base de datos y modelos
+import { sequelize } from '../src/config/censudex-orders-db.js';
+import { Order, OrderStatusHistory } from '../src/models/index.js';
+// Importar conexión a RabbitMQ y consumidor de comandos
+import { connectRabbitMQ, closeRabbitMQ } from '../src/config/rabbitmq.js';
+import { startOrderCommandConsumer } from '../src/consumers/orderCommandConsumer.js';
+
+/**
+ * 📥 Comandos de órdenes por RabbitMQ
+ * Los comandos se aplican con rol 'system' sin importar lo que diga el cuerpo, y los
+ * errores de infraestructura se reintentan después de una espera en la cola de reintentos
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+const QUEUE = 'orders-service.commands';
+const RETRY_QUEUE = 'orders-service.commands.retry';
+const ERROR_EXCHANGE = 'order_commands.error';
+
+/**
+ * Arma un comando MassTransit
+ * @param {string} command - Nombre del comando (ej: 'CancelOrder')
+ * @param {Object} message - Cuerpo del comando
+ * @returns {Object} Envoltorio MassTransit
+ */
+const envelope = (command, message) => ({
+  messageId: crypto.randomUUID(),
+  messageType: [`urn:message:OrderService.Messages:${command}`],
+  message,
+});
+
+/**
+ * Crea una orden en el estado indicado
+ * @async
+ * @param {string} status - Estado de la orden
+ * @returns {Promise<Order>} Orden creada
+ */
+const createOrder = (status) =>
+  Order.create({ clientId: CLIENT_ID, clientName: 'Juan Pérez', totalAmount: '9990', status });
+
+describe('consumidor de comandos de órdenes', () => {
+  let broker;
+
+  before(async () => {
+    await sequelize.sync();
+    broker = fakeBroker();
+    mock.method(amqp, 'connect', broker.connect);
+    await connectRabbitMQ(1, 0);
+    await startOrderCommandConsumer();
+  });
+
+  after(async () => {
+    await closeRabbitMQ();
+    await sequelize.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    broker.published.length = 0;
+  });
+
+  it('declara la cola de reintentos que devuelve los mensajes a la cola principal', () => {
+    assert.deepEqual(broker.queues[RETRY_QUEUE], { durable: true, deadLetterExchange: '', deadLetterRoutingKey: QUEUE });
+  });
+
+  it('aplica el comando con rol system y el usuario de RabbitMQ como autor, ignorando role y actorId del cuerpo', async () => {
+    const order = await createOrder('pendiente');
+
+    const outcome = await broker.deliver(
+      QUEUE,
+      envelope('UpdateOrderStatus', { orderId: order.id, status: 'en procesamiento', role: 'user', actorId: 'alguien' }),
+      { userId: 'inventory-service' }
+    );
+
+    assert.deepEqual(outcome, { ack: true });
+    const [entry] = await OrderStatusHistory.findAll({ where: { orderId: order.id } });
+    assert.deepEqual(
+      { status: entry.status, role: entry.role, actorId: entry.actorId, source: entry.source },
+      { status: 'en procesamiento', role: 'system', actorId: 'inventory-service', source: 'event' }
+    );
+  });
+
+  it('un role admin en el cuerpo no permite transiciones solo de admin', async () => {
+    // Cancelar una orden enviada es solo para admin
+    const order = await createOrder('enviado');
+
+    const outcome = await broker.deliver(
+      QUEUE,
+      envelope('CancelOrder', { orderId: order.id, role: 'admin', reason: 'Me equivoqué' })
+    );
+
+    assert.deepEqual(outcome, { ack: true });
+    assert.equal((await Order.findByPk(order.id)).status, 'enviado');
+    const [failure] = broker.published;
+    assert.equal(failure.exchange, ERROR_EXCHANGE);
+    assert.equal(failure.options.headers['MT-Fault-ExceptionType'], 'InvalidTransitionError');
+  });
+
+  it('un error de infraestructura espera en la cola de reintentos, cada vez más, y luego va a errores', async () => {
+    const order = await createOrder('pendiente');
+    const command = envelope('UpdateOrderStatus', { orderId: order.id, status: 'en procesamiento' });
+    mock.method(Order, 'findByPk', async () => {
+      throw new Error('ECONNREFUSED');
+    });
+
+    try {
+      let headers = {};
+      for (const expiration of ['5000', '10000', '20000']) {
+        await broker.deliver(QUEUE, command, { headers });
+        const retry = broker.published.at(-1);
+        assert.deepEqual([retry.exchange, retry.routingKey, retry.options.expiration], ['', RETRY_QUEUE, expiration]);
+        headers = retry.options.headers;
+      }
+      assert.equal(headers['x-retry-count'], 3);
+
+      await broker.deliver(QUEUE, command, { headers });
+      assert.equal(broker.published.at(-1).exchange, ERROR_EXCHANGE);
+      assert.equal(broker.published.at(-1).options.headers['MT-Fault-Message'], 'ECONNREFUSED');
+    } finally {
+      Order.findByPk.mock.restore();
+    }
+  });
+});
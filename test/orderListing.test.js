@@ -0,0 +1,175 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas y aserciones de Node
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar códigos de estado gRPC
+import grpc from '@grpc/grpc-js';
+// Importar servidores de prueba y clientes REST/gRPC
+import { startTestServers, signToken, callGrpc, callRest } from './helpers/servers.js';
+// Importar base de datos y modelo de órdenes
+import { sequelize } from '../src/config/censudex-orders-db.js';
+import { Order } from '../src/models/index.js';
+// Importar listado de órdenes
+import { listOrders, getOrderHistory } from '../src/services/orderService.js';
+
+/**
+ * 📃 Listado de órdenes paginado por cursor
+ * Recorrer todas las páginas devuelve cada orden una sola vez y en el orden pedido
+ * (con empates desempatados por ID), los cursores alterados se rechazan y ordenar por
+ * monto exige la moneda
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+const CREATED_AT = new Date('2026-10-01T12:00:00.000Z');
+
+// Órdenes del cliente: montos repetidos y en dos monedas (9990 CLP no es comparable con 10.00 USD)
+const ORDERS = [
+  ['Ana', '9990', 'CLP'],
+  ['Bruno', '4990', 'CLP'],
+  ['Carla', '9990', 'CLP'],
+  ['Diego', '19990', 'CLP'],
+  ['Elena', '4990', 'CLP'],
+  ['Felipe', '10.00', 'USD'],
+  ['Gabriela', '25.50', 'USD'],
+];
+
+/**
+ * Recorre todas las páginas de un listado
+ * @async
+ * @param {Object} filters - Filtros del listado
+ * @param {Object} page - Orden y tamaño de página
+ * @returns {Promise<Array<Order>>} Órdenes de todas las páginas, en orden
+ */
+const readAllPages = async (filters, page) => {
+  const orders = [];
+  let cursor;
+  do {
+    const result = await listOrders(filters, { ...page, cursor });
+    orders.push(...result.orders);
+    cursor = result.pageInfo.nextCursor;
+  } while (cursor);
+  return orders;
+};
+
+/**
+ * Cambia un campo del cursor (como lo haría un cliente que lo edita a mano)
+ * @param {string} cursor - Cursor recibido
+ * @param {Object} changes - Campos a reemplazar
+ * @returns {string} Cursor alterado
+ */
+const tamper = (cursor, changes) =>
+  Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')), ...changes })).toString('base64url');
+
+describe('listado de órdenes', () => {
+  let servers;
+  let adminToken;
+  let userToken;
+
+  before(async () => {
+    servers = await startTestServers();
+    adminToken = await signToken({ subject: 'admin-7', role: 'admin' });
+    userToken = await signToken({ subject: CLIENT_ID, role: 'user' });
+    await Order.bulkCreate(
+      ORDERS.map(([clientName, totalAmount, currency]) => ({ clientId: CLIENT_ID, clientName, totalAmount, currency }))
+    );
+    // Todas con la misma fecha: el orden por defecto solo se decide por el ID
+    await sequelize.query('UPDATE Orders SET createdAt = :createdAt', { replacements: { createdAt: CREATED_AT } });
+  });
+
+  after(async () => {
+    await servers.stop();
+  });
+
+  for (const sort of ['-createdAt', 'createdAt', 'clientName', '-status']) {
+    it(`recorre todas las páginas sin repetir ni saltar órdenes (sort=${sort})`, async () => {
+      const all = await Order.findAll({ where: { clientId: CLIENT_ID } });
+      const pages = await readAllPages({ clientId: CLIENT_ID }, { sort, limit: 2 });
+
+      assert.equal(pages.length, all.length);
+      assert.equal(new Set(pages.map((order) => order.id)).size, all.length);
+      // El mismo orden que una sola consulta con la columna y el ID como desempate
+      const field = sort.replace('-', '');
+      const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+      const expected = await Order.findAll({ where: { clientId: CLIENT_ID }, order: [[field, direction], ['id', direction]] });
+      assert.deepEqual(pages.map((order) => order.id), expected.map((order) => order.id));
+    });
+  }
+
+  it('ordena por monto dentro de una moneda, con los empates estables', async () => {
+    const clp = await readAllPages({ clientId: CLIENT_ID, currency: 'CLP' }, { sort: '-totalAmount', limit: 2 });
+    assert.equal(clp[0].clientName, 'Diego');
+    assert.deepEqual(clp.map((order) => Number(order.totalAmount)), [19990, 9990, 9990, 4990, 4990]);
+    assert.ok(clp.every((order) => order.currency === 'CLP'));
+    // Los empates salen en orden de ID, igual en cada recorrido
+    const again = await readAllPages({ clientId: CLIENT_ID, currency: 'CLP' }, { sort: '-totalAmount', limit: 3 });
+    assert.deepEqual(again.map((order) => order.id), clp.map((order) => order.id));
+
+    const usd = await readAllPages({ clientId: CLIENT_ID, currency: 'usd' }, { sort: 'totalAmount', limit: 1 });
+    assert.deepEqual(usd.map((order) => order.clientName), ['Felipe', 'Gabriela']);
+  });
+
+  it('una orden creada entre páginas no repite ni salta las ya listadas', async () => {
+    const first = await listOrders({ clientId: CLIENT_ID }, { sort: '-createdAt', limit: 3 });
+    const newer = await Order.create({ clientId: CLIENT_ID, clientName: 'Hugo', totalAmount: '990', currency: 'CLP' });
+
+    try {
+      const ids = first.orders.map((order) => order.id);
+      let cursor = first.pageInfo.nextCursor;
+      while (cursor) {
+        const page = await listOrders({ clientId: CLIENT_ID }, { sort: '-createdAt', limit: 3, cursor });
+        ids.push(...page.orders.map((order) => order.id));
+        cursor = page.pageInfo.nextCursor;
+      }
+      assert.equal(ids.length, ORDERS.length);
+      assert.equal(new Set(ids).size, ORDERS.length);
+      assert.ok(!ids.includes(newer.id));
+    } finally {
+      await newer.destroy();
+    }
+  });
+
+  it('rechaza un cursor alterado, de otro orden o de otra moneda', async () => {
+    const { pageInfo } = await listOrders({ clientId: CLIENT_ID, currency: 'CLP' }, { sort: '-totalAmount', limit: 2 });
+    const page = { sort: '-totalAmount', limit: 2 };
+    const filters = { clientId: CLIENT_ID, currency: 'CLP' };
+
+    for (const cursor of [
+      'no-es-un-cursor',
+      tamper(pageInfo.nextCursor, { value: { $gt: 0 } }),
+      tamper(pageInfo.nextCursor, { value: '1 OR 1=1' }),
+      tamper(pageInfo.nextCursor, { id: "' OR 1=1 --" }),
+      tamper(pageInfo.nextCursor, { sort: 'totalAmount' }),
+      tamper(pageInfo.nextCursor, { currency: 'USD' }),
+    ]) {
+      await assert.rejects(listOrders(filters, { ...page, cursor }), { code: 'VALIDATION_FAILED' }, cursor);
+    }
+    // El mismo cursor con otra moneda filtrada
+    await assert.rejects(
+      listOrders({ ...filters, currency: 'USD' }, { ...page, cursor: pageInfo.nextCursor }),
+      { code: 'VALIDATION_FAILED' }
+    );
+  });
+
+  it('ordenar por monto sin moneda se rechaza en el servicio, REST y gRPC', async () => {
+    await assert.rejects(listOrders({ clientId: CLIENT_ID }, { sort: 'totalAmount' }), { code: 'VALIDATION_FAILED' });
+    await assert.rejects(getOrderHistory(CLIENT_ID, { sort: '-totalAmount' }), { code: 'VALIDATION_FAILED' });
+
+    const rest = await callRest(servers.baseUrl, 'GET', '/orders?sort=-totalAmount', adminToken);
+    assert.equal(rest.status, 400);
+    assert.ok(rest.body.fields.some((field) => field.field === 'currency'), JSON.stringify(rest.body));
+
+    const history = await callRest(servers.baseUrl, 'GET', `/orders/history/${CLIENT_ID}?sort=totalAmount&currency=USD`, userToken);
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.orders.map((order) => order.clientName), ['Felipe', 'Gabriela']);
+
+    await assert.rejects(
+      callGrpc(servers.grpcClient, 'GetAllOrders', { sort: 'totalAmount' }, adminToken),
+      { code: grpc.status.INVALID_ARGUMENT }
+    );
+    const { orders } = await callGrpc(
+      servers.grpcClient, 'GetOrderHistory', { userId: CLIENT_ID, sort: '-totalAmount', currency: 'CLP' }, userToken
+    );
+    assert.equal(orders.length, 5);
+  });
+});
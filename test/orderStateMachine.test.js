@@ -0,0 +1,227 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas, dobles de prueba y aserciones de Node
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar base de datos y modelos de la orden y sus efectos
+import { sequelize } from '../src/config/censudex-orders-db.js';
+import { Order, OutboxMessage, Notification, OrderStatusHistory } from '../src/models/index.js';
+// Importar máquina de estados y su error
+import {
+  ORDER_STATUSES,
+  ORDER_ROLES,
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  isFinalStatus,
+  assertTransition,
+  transitionOrder,
+} from '../src/services/orderStateMachine.js';
+import { InvalidTransitionError } from '../src/errors/orderErrors.js';
+
+/**
+ * 🔀 Máquina de estados de la orden
+ * La tabla de transiciones decide qué rol puede mover una orden a qué estado, y
+ * transitionOrder guarda el cambio junto a su historial, su evento del outbox y el
+ * aviso al cliente en una sola transacción
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+
+// Transiciones que puede hacer cada rol, escritas a mano para que un cambio en la tabla se note
+const EXPECTED_TRANSITIONS = {
+  user: {
+    'pendiente': ['cancelado'],
+    'en procesamiento': ['cancelado'],
+    'enviado': [],
+    'entregado': [],
+    'cancelado': [],
+  },
+  admin: {
+    'pendiente': ['en procesamiento', 'cancelado'],
+    'en procesamiento': ['enviado', 'cancelado'],
+    'enviado': ['entregado', 'cancelado'],
+    'entregado': [],
+    'cancelado': [],
+  },
+  system: {
+    'pendiente': ['en procesamiento', 'cancelado'],
+    'en procesamiento': ['enviado', 'cancelado'],
+    'enviado': ['entregado'],
+    'entregado': [],
+    'cancelado': [],
+  },
+};
+
+/**
+ * Crea una orden en el estado indicado, sin efectos
+ * @async
+ * @param {string} [status='pendiente'] - Estado inicial
+ * @returns {Promise<Order>} Orden creada
+ */
+const createOrder = (status = 'pendiente') =>
+  Order.create({
+    clientId: CLIENT_ID,
+    clientName: 'Juan Pérez',
+    totalAmount: '9990',
+    email: 'juan.perez@ejemplo.com',
+    status,
+  });
+
+/**
+ * Lee los efectos guardados de una orden
+ * @async
+ * @param {string} orderId - ID de la orden
+ * @returns {Promise<{status: string, history: Array, events: Array, notifications: Array}>} Estado y filas guardadas
+ */
+const savedEffects = async (orderId) => ({
+  status: (await Order.findByPk(orderId)).status,
+  history: await OrderStatusHistory.findAll({ where: { orderId }, order: [['id', 'ASC']] }),
+  events: await OutboxMessage.findAll({ where: { aggregateId: orderId }, order: [['id', 'ASC']] }),
+  notifications: await Notification.findAll({ where: { orderId }, order: [['id', 'ASC']] }),
+});
+
+describe('tabla de transiciones', () => {
+  it('cubre todos los estados del modelo y solo roles conocidos', () => {
+    assert.deepEqual(Object.keys(ORDER_TRANSITIONS).sort(), [...ORDER_STATUSES].sort());
+    for (const targets of Object.values(ORDER_TRANSITIONS)) {
+      for (const [to, rule] of Object.entries(targets)) {
+        assert.ok(ORDER_STATUSES.includes(to));
+        assert.ok(rule.roles.every((role) => ORDER_ROLES.includes(role)));
+      }
+    }
+  });
+
+  it('permite a cada rol solo sus transiciones', () => {
+    for (const role of ORDER_ROLES) {
+      for (const from of ORDER_STATUSES) {
+        assert.deepEqual(getAllowedTransitions(from, role), EXPECTED_TRANSITIONS[role][from], `${role} desde "${from}"`);
+        for (const to of ORDER_STATUSES) {
+          const allowed = EXPECTED_TRANSITIONS[role][from].includes(to);
+          if (allowed) {
+            assert.equal(assertTransition(from, to, role), ORDER_TRANSITIONS[from][to]);
+          } else {
+            assert.throws(() => assertTransition(from, to, role), InvalidTransitionError, `${role}: "${from}" → "${to}"`);
+          }
+        }
+      }
+    }
+  });
+
+  it('solo entregado y cancelado son finales', () => {
+    assert.deepEqual(ORDER_STATUSES.filter(isFinalStatus), ['entregado', 'cancelado']);
+  });
+
+  it('el error informa el estado actual y los estados permitidos para el rol', () => {
+    assert.throws(() => assertTransition('enviado', 'cancelado', 'user'), (error) => {
+      assert.ok(error instanceof InvalidTransitionError);
+      assert.equal(error.code, 'INVALID_TRANSITION');
+      assert.equal(error.httpStatus, 409);
+      assert.deepEqual(error.details, { currentStatus: 'enviado', requestedStatus: 'cancelado', allowedTransitions: [] });
+      return true;
+    });
+    assert.throws(() => assertTransition('pendiente', 'entregado', 'admin'), (error) => {
+      assert.deepEqual(error.allowed, ['en procesamiento', 'cancelado']);
+      return true;
+    });
+  });
+});
+
+describe('transitionOrder', () => {
+  before(async () => {
+    await sequelize.sync();
+  });
+
+  after(async () => {
+    await sequelize.close();
+  });
+
+  it('guarda el estado, el historial, el evento y el aviso', async () => {
+    const order = await createOrder('en procesamiento');
+
+    await transitionOrder(order, 'enviado', { role: 'admin', actorId: 'admin-7', source: 'rest' });
+
+    const { status, history, events, notifications } = await savedEffects(order.id);
+    assert.equal(status, 'enviado');
+    assert.match(order.trackingNumber, /^TRK-[0-9A-F]{8}$/);
+    assert.deepEqual(
+      history.map(({ previousStatus, status: to, role, actorId, source }) => ({ previousStatus, to, role, actorId, source })),
+      [{ previousStatus: 'en procesamiento', to: 'enviado', role: 'admin', actorId: 'admin-7', source: 'rest' }]
+    );
+    assert.deepEqual(events.map((event) => event.messageType), ['OrderStatusChanged']);
+    assert.equal(events[0].payload.trackingNumber, order.trackingNumber);
+    assert.deepEqual(notifications.map((notification) => notification.type), ['shipped']);
+    assert.equal(notifications[0].details.trackingNumber, order.trackingNumber);
+  });
+
+  it('una cancelación guarda quién canceló y el motivo', async () => {
+    const order = await createOrder();
+
+    await transitionOrder(order, 'cancelado', { role: 'user', actorId: CLIENT_ID, reason: 'Ya no lo necesito' });
+
+    const { events, notifications, history } = await savedEffects(order.id);
+    assert.equal(events[0].messageType, 'OrderCancelled');
+    assert.equal(events[0].payload.cancelledBy, 'usuario');
+    assert.equal(events[0].payload.reason, 'Ya no lo necesito');
+    assert.deepEqual(notifications[0].details, { cancelledBy: 'user', reason: 'Ya no lo necesito' });
+    assert.equal(history[0].reason, 'Ya no lo necesito');
+  });
+
+  it('rechaza una transición no permitida sin guardar nada', async () => {
+    const order = await createOrder('enviado');
+
+    await assert.rejects(transitionOrder(order, 'cancelado', { role: 'user' }), InvalidTransitionError);
+
+    const { status, history, events, notifications } = await savedEffects(order.id);
+    assert.equal(status, 'enviado');
+    assert.deepEqual([history.length, events.length, notifications.length], [0, 0, 0]);
+  });
+
+  it('valida contra el estado guardado y no contra el de la instancia', async () => {
+    const order = await createOrder();
+    const stale = await Order.findByPk(order.id);
+    await transitionOrder(order, 'cancelado', { role: 'user' });
+
+    await assert.rejects(transitionOrder(stale, 'en procesamiento', { role: 'admin' }), (error) => {
+      assert.ok(error instanceof InvalidTransitionError);
+      assert.equal(error.from, 'cancelado');
+      return true;
+    });
+    assert.equal(stale.status, 'cancelado');
+  });
+
+  it('escribe todo en la transacción recibida: si se revierte, no queda nada', async () => {
+    const order = await createOrder();
+
+    await assert.rejects(
+      sequelize.transaction(async (transaction) => {
+        await transitionOrder(order, 'en procesamiento', { role: 'admin', transaction });
+        const inside = await OrderStatusHistory.count({ where: { orderId: order.id }, transaction });
+        assert.equal(inside, 1);
+        throw new Error('revertir');
+      }),
+      /revertir/
+    );
+
+    const { status, history, events, notifications } = await savedEffects(order.id);
+    assert.equal(status, 'pendiente');
+    assert.deepEqual([history.length, events.length, notifications.length], [0, 0, 0]);
+  });
+
+  it('si falla el aviso se revierten la orden, el historial y el evento', async () => {
+    const order = await createOrder();
+    // El aviso es el último efecto que se guarda
+    mock.method(Notification, 'create', async () => {
+      throw new Error('sin conexión');
+    });
+
+    try {
+      await assert.rejects(transitionOrder(order, 'en procesamiento', { role: 'admin' }), /sin conexión/);
+    } finally {
+      mock.restoreAll();
+    }
+
+    const { status, history, events } = await savedEffects(order.id);
+    assert.equal(status, 'pendiente');
+    assert.deepEqual([history.length, events.length], [0, 0]);
+  });
+});
@@ -0,0 +1,180 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas, dobles de prueba y aserciones de Node
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+// Importar códigos de estado gRPC
+import grpc from '@grpc/grpc-js';
+// Importar cliente de RabbitMQ (se reemplaza su conexión) y el broker falso
+import amqp from 'amqplib';
+import { fakeBroker } from './helpers/amqp.js';
+// Importar servidores de prueba y clientes REST/gRPC
+import { startTestServers, signToken, callRest } from './helpers/servers.js';
+// Importar modelo de órdenes
+import { Order } from '../src/models/index.js';
+// Importar conexión a RabbitMQ, relay de outbox y consumidor de eventos para WatchOrder
+import { connectRabbitMQ, closeRabbitMQ } from '../src/config/rabbitmq.js';
+import { relayPendingMessages } from '../src/services/outboxRelay.js';
+import { startOrderWatchConsumer } from '../src/consumers/orderWatchConsumer.js';
+import { isOrderWatched } from '../src/services/orderWatchService.js';
+
+/**
+ * 👀 Seguimiento de una orden (WatchOrder)
+ * Un cambio de estado hecho por REST sale como evento (relay de outbox), llega por el
+ * broker falso al consumidor de esta instancia y se entrega a la llamada que sigue la
+ * orden. El stream termina con OK en un estado final, y al cancelarlo el cliente se
+ * liberan su suscripción y su latido
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+// Intervalo de latido por defecto de WatchOrder (ORDER_WATCH_HEARTBEAT_MS)
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Abre un WatchOrder y encola lo que el servidor envía
+ * @param {grpc.Client} client - Cliente de order.OrderService
+ * @param {string} idOrTracking - ID o número de seguimiento de la orden
+ * @param {string} token - JWT de quien llama
+ * @returns {{call: grpc.ClientReadableStream, next: Function, closed: Promise<Object>}}
+ * Llamada, función que espera el siguiente mensaje y estado final de la llamada
+ */
+const watch = (client, idOrTracking, token) => {
+  const metadata = new grpc.Metadata();
+  metadata.set('authorization', `Bearer ${token}`);
+  const call = client.WatchOrder({ idOrTracking }, metadata);
+
+  const received = [];
+  const waiting = [];
+  call.on('data', (event) => (waiting.length ? waiting.shift()(event) : received.push(event)));
+  // El estado final llega también como 'status'; sin este listener un CANCELLED sería un error no atendido
+  call.on('error', () => {});
+  const closed = new Promise((resolve) => call.on('status', resolve));
+
+  return {
+    call,
+    next: () => (received.length ? Promise.resolve(received.shift()) : new Promise((resolve) => waiting.push(resolve))),
+    closed,
+  };
+};
+
+/**
+ * Espera a que la orden deje de tener suscriptores en esta instancia
+ * @async
+ * @param {string} orderId - ID de la orden
+ * @returns {Promise<void>}
+ */
+const unwatched = async (orderId) => {
+  for (let i = 0; i < 100; i++) {
+    if (!isOrderWatched(orderId)) return;
+    await sleep(10);
+  }
+  assert.fail(`La orden ${orderId} sigue observada`);
+};
+
+describe('seguimiento de órdenes (WatchOrder)', () => {
+  let servers;
+  let userToken;
+  let adminToken;
+
+  /**
+   * Cambia el estado de una orden por REST y publica su evento
+   * @async
+   * @param {string} orderId - ID de la orden
+   * @param {string} status - Nuevo estado
+   * @returns {Promise<void>}
+   */
+  const changeStatus = async (orderId, status) => {
+    const { status: httpStatus } = await callRest(servers.baseUrl, 'PATCH', `/orders/${orderId}/status`, adminToken, { status });
+    assert.equal(httpStatus, 200);
+    assert.ok(await relayPendingMessages() > 0);
+  };
+
+  before(async () => {
+    const broker = fakeBroker();
+    mock.method(amqp, 'connect', broker.connect);
+    servers = await startTestServers();
+    await connectRabbitMQ(1, 0);
+    await startOrderWatchConsumer();
+    userToken = await signToken({ subject: CLIENT_ID, role: 'user' });
+    adminToken = await signToken({ subject: 'admin-7', role: 'admin' });
+  });
+
+  after(async () => {
+    await closeRabbitMQ();
+    await servers.stop();
+    mock.restoreAll();
+  });
+
+  it('el suscriptor recibe el estado actual y cada cambio hecho por REST', { timeout: 10000 }, async () => {
+    const order = await Order.create({ clientId: CLIENT_ID, clientName: 'Juan Pérez', totalAmount: '9990', status: 'pendiente' });
+    const watcher = watch(servers.grpcClient, order.id, userToken);
+
+    const current = await watcher.next();
+    assert.deepEqual([current.type, current.orderId, current.status], ['current', order.id, 'pendiente']);
+    assert.ok(isOrderWatched(order.id));
+
+    await changeStatus(order.id, 'en procesamiento');
+    const processing = await watcher.next();
+    assert.deepEqual([processing.type, processing.status, processing.previousStatus], ['changed', 'en procesamiento', 'pendiente']);
+
+    // Al enviar se asigna el número de seguimiento, que llega en el mismo cambio
+    await changeStatus(order.id, 'enviado');
+    const shipped = await watcher.next();
+    assert.deepEqual([shipped.type, shipped.status, shipped.previousStatus], ['changed', 'enviado', 'en procesamiento']);
+    assert.equal(shipped.trackingNumber, (await order.reload()).trackingNumber);
+    assert.ok(shipped.trackingNumber);
+
+    watcher.call.cancel();
+    assert.equal((await watcher.closed).code, grpc.status.CANCELLED);
+  });
+
+  it('el stream termina con OK cuando la orden llega a un estado final', { timeout: 10000 }, async () => {
+    const order = await Order.create({
+      clientId: CLIENT_ID,
+      clientName: 'Juan Pérez',
+      totalAmount: '9990',
+      status: 'enviado',
+      trackingNumber: 'TRK-SEGUIDA0001',
+    });
+    const watcher = watch(servers.grpcClient, order.trackingNumber, userToken);
+    assert.equal((await watcher.next()).status, 'enviado');
+
+    await changeStatus(order.id, 'entregado');
+    const delivered = await watcher.next();
+    assert.deepEqual([delivered.type, delivered.status], ['changed', 'entregado']);
+    assert.equal((await watcher.closed).code, grpc.status.OK);
+    await unwatched(order.id);
+
+    // Una orden que ya está en un estado final solo envía su estado actual
+    const again = watch(servers.grpcClient, order.id, userToken);
+    assert.deepEqual([(await again.next()).type, (await again.closed).code], ['current', grpc.status.OK]);
+    assert.ok(!isOrderWatched(order.id));
+  });
+
+  it('al cancelar el cliente se liberan la suscripción y el latido', { timeout: 10000 }, async () => {
+    const order = await Order.create({ clientId: CLIENT_ID, clientName: 'Juan Pérez', totalAmount: '9990', status: 'pendiente' });
+    const setIntervalSpy = mock.method(globalThis, 'setInterval');
+    const clearIntervalSpy = mock.method(globalThis, 'clearInterval');
+
+    try {
+      const watcher = watch(servers.grpcClient, order.id, userToken);
+      await watcher.next();
+      const heartbeats = setIntervalSpy.mock.calls.filter((call) => call.arguments[1] === HEARTBEAT_MS);
+      assert.equal(heartbeats.length, 1);
+      assert.ok(isOrderWatched(order.id));
+
+      watcher.call.cancel();
+      assert.equal((await watcher.closed).code, grpc.status.CANCELLED);
+      await unwatched(order.id);
+      assert.ok(clearIntervalSpy.mock.calls.some((call) => call.arguments[0] === heartbeats[0].result));
+
+      // Un cambio posterior ya no tiene a quién entregarse
+      await changeStatus(order.id, 'en procesamiento');
+      assert.ok(!isOrderWatched(order.id));
+    } finally {
+      setIntervalSpy.mock.restore();
+      clearIntervalSpy.mock.restore();
+    }
+  });
+});
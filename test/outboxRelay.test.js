@@ -0,0 +1,166 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas, dobles de prueba y aserciones de Node
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { setTimeout as sleep } from 'node:timers/promises';
+// Importar cliente de RabbitMQ (se reemplaza su conexión)
+import amqp from 'amqplib';
+// Importar base de datos y modelo del outbox
+import { sequelize } from '../src/config/censudex-orders-db.js';
+import { OutboxMessage } from '../src/models/index.js';
+// Importar conexión a RabbitMQ, outbox y relay
+import { connectRabbitMQ, closeRabbitMQ, getChannel } from '../src/config/rabbitmq.js';
+import { enqueueOrderEvent } from '../src/services/outboxService.js';
+import { relayPendingMessages } from '../src/services/outboxRelay.js';
+
+/**
+ * 📤 Conexión a RabbitMQ y relay de outbox
+ * Un intento de conexión fallido no deja conexiones abiertas, el canal de publicación
+ * se vuelve a abrir si el broker lo cierra, y el relay publica fuera de la transacción
+ * que reserva los mensajes, en orden por cada orden
+ */
+
+const ORDER_ID = '7d2c9e1a-4b3f-4c8d-9e0f-1a2b3c4d5e6f';
+const OTHER_ORDER_ID = '0c3a1f7e-2b4d-4e6f-8a9b-1c2d3e4f5a6b';
+
+/**
+ * Conexión AMQP falsa: registra publicaciones y permite cerrar el canal o fallar al abrirlo
+ * @param {Object} broker - Estado compartido del broker falso
+ * @returns {EventEmitter} Conexión con la interfaz que usa config/rabbitmq
+ */
+const fakeConnection = (broker) => {
+  const connection = new EventEmitter();
+  connection.closed = false;
+  connection.close = async () => {
+    connection.closed = true;
+    connection.emit('close');
+  };
+  connection.createConfirmChannel = async () => {
+    if (broker.failNextChannel) {
+      broker.failNextChannel = false;
+      throw new Error('CHANNEL_ERROR');
+    }
+    const channel = new EventEmitter();
+    channel.assertExchange = async () => {};
+    channel.waitForConfirms = async () => {};
+    channel.publish = (exchange, routingKey, content, options, callback) => {
+      broker.onPublish(channel, { routingKey, envelope: JSON.parse(content.toString()) }, callback);
+      return true;
+    };
+    broker.channels.push(channel);
+    return channel;
+  };
+  broker.connections.push(connection);
+  return connection;
+};
+
+describe('conexión a RabbitMQ y relay de outbox', () => {
+  const broker = { connections: [], channels: [], published: [], failNextChannel: false };
+
+  before(async () => {
+    await sequelize.sync();
+    mock.method(amqp, 'connect', async () => fakeConnection(broker));
+  });
+
+  after(async () => {
+    await closeRabbitMQ();
+    await sequelize.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(async () => {
+    broker.published.length = 0;
+    broker.onPublish = (channel, message, callback) => {
+      broker.published.push(message);
+      callback(null);
+    };
+    await OutboxMessage.destroy({ where: {} });
+  });
+
+  it('cierra la conexión de un intento fallido y se queda con la del intento que funcionó', async () => {
+    broker.failNextChannel = true;
+
+    await connectRabbitMQ(2, 0);
+
+    assert.equal(broker.connections.length, 2);
+    assert.equal(broker.connections[0].closed, true);
+    assert.equal(broker.connections[1].closed, false);
+    assert.equal(getChannel(), broker.channels.at(-1));
+  });
+
+  it('vuelve a abrir el canal de publicación si el broker lo cierra', async () => {
+    const closed = getChannel();
+    closed.emit('close');
+    assert.equal(getChannel(), null);
+
+    await sleep(1100);
+    assert.ok(getChannel());
+    assert.notEqual(getChannel(), closed);
+  });
+
+  it('publica fuera de la transacción que reserva los mensajes, uno por orden y en orden', async () => {
+    await sequelize.transaction(async (transaction) => {
+      await enqueueOrderEvent('OrderStatusChanged', { orderId: ORDER_ID, status: 'en procesamiento' }, { transaction });
+      await enqueueOrderEvent('OrderCancelled', { orderId: ORDER_ID, reason: 'x' }, { transaction });
+      await enqueueOrderEvent('OrderStatusChanged', { orderId: OTHER_ORDER_ID, status: 'enviado' }, { transaction });
+    });
+    // Mientras se publica no hay transacciones abiertas y el mensaje ya está reservado
+    let openTransactions = 0;
+    const transaction = sequelize.transaction.bind(sequelize);
+    mock.method(sequelize, 'transaction', async (work) => {
+      openTransactions++;
+      try {
+        return await transaction(work);
+      } finally {
+        openTransactions--;
+      }
+    });
+    broker.onPublish = (channel, message, callback) => {
+      const publication = { ...message, openTransactions };
+      broker.published.push(publication);
+      OutboxMessage.findOne({ where: { messageId: message.envelope.messageId } }).then((row) => {
+        publication.leasedUntil = row.nextAttemptAt;
+        callback(null);
+      });
+    };
+
+    assert.equal(await relayPendingMessages(), 2);
+    assert.deepEqual(broker.published.map(({ routingKey }) => routingKey), ['order.updated', 'order.updated']);
+    assert.ok(broker.published.every((message) => message.openTransactions === 0));
+    assert.ok(broker.published.every((message) => message.leasedUntil > new Date()));
+    sequelize.transaction.mock.restore();
+
+    assert.equal(await relayPendingMessages(), 1);
+    assert.equal(broker.published.at(-1).routingKey, 'order.cancelled');
+    assert.equal(await OutboxMessage.count({ where: { status: 'sent' } }), 3);
+  });
+
+  it('un mensaje fallido deja esperando los siguientes de su orden', async () => {
+    await sequelize.transaction(async (transaction) => {
+      await enqueueOrderEvent('OrderStatusChanged', { orderId: ORDER_ID, status: 'en procesamiento' }, { transaction });
+      await enqueueOrderEvent('OrderCancelled', { orderId: ORDER_ID, reason: 'x' }, { transaction });
+    });
+    await OutboxMessage.update({ status: 'failed' }, { where: { messageType: 'OrderStatusChanged' } });
+
+    assert.equal(await relayPendingMessages(), 0);
+    assert.equal(broker.published.length, 0);
+    const waiting = await OutboxMessage.findOne({ where: { messageType: 'OrderCancelled' } });
+    assert.equal(waiting.status, 'pending');
+    assert.equal(waiting.attempts, 0);
+  });
+
+  it('un error del broker libera la reserva con backoff y no publica el siguiente', async () => {
+    await sequelize.transaction(async (transaction) => {
+      await enqueueOrderEvent('OrderStatusChanged', { orderId: ORDER_ID, status: 'en procesamiento' }, { transaction });
+      await enqueueOrderEvent('OrderCancelled', { orderId: ORDER_ID, reason: 'x' }, { transaction });
+    });
+    broker.onPublish = (channel, message, callback) => callback(new Error('NOT_FOUND'));
+
+    assert.equal(await relayPendingMessages(), 0);
+    const [head, next] = await OutboxMessage.findAll({ order: [['id', 'ASC']] });
+    assert.deepEqual([head.status, head.attempts, head.lastError], ['pending', 1, 'NOT_FOUND']);
+    assert.deepEqual([next.status, next.attempts], ['pending', 0]);
+  });
+});
@@ -0,0 +1,225 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas y aserciones de Node
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar servidores de prueba y clientes REST/gRPC
+import { startTestServers, signToken, callGrpc, callRest } from './helpers/servers.js';
+// Importar modelos para leer eventos, avisos e historial guardados
+import { Order, OutboxMessage, Notification, OrderStatusHistory } from '../src/models/index.js';
+// Importar conversión de montos Money del proto
+import { fromMoneyParts, roundAmount } from '../src/services/money.js';
+
+/**
+ * 🔁 Paridad entre REST y gRPC
+ * Cada operación se ejecuta por las dos APIs sobre órdenes equivalentes y se compara
+ * lo que responde cada una, el estado guardado, los eventos del outbox y los avisos
+ * en cola. Solo pueden diferir los IDs, las fechas y el origen del historial
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+const ADMIN_ID = 'admin-7';
+const PRODUCT_ID = '8f14e45f-ceea-4e7a-9b1d-1a2b3c4d5e01';
+
+// Datos del pedido, iguales en las dos APIs
+const ORDER_INPUT = {
+  clientName: 'Juan Pérez',
+  shippingAddress: 'Calle Principal 123',
+  email: 'juan.perez@ejemplo.com',
+  locale: 'es-CL',
+  currency: 'CLP',
+};
+
+/**
+ * Deja una orden de la respuesta REST o gRPC con los mismos campos y formatos
+ * @param {Object} order - Orden de REST (JSON del modelo) o de gRPC (mensaje Order)
+ * @returns {Object} Orden comparable
+ */
+const normalizeOrder = (order) => {
+  const currency = order.currency ?? order.totalAmount.currencyCode;
+  const amount = (value) => (typeof value === 'object' ? fromMoneyParts(value, currency) : roundAmount(value, currency));
+  return {
+    clientId: order.clientId ?? order.userId,
+    clientName: order.clientName,
+    status: order.status,
+    currency,
+    totalAmount: amount(order.totalAmount),
+    shippingAddress: order.shippingAddress,
+    email: order.email,
+    locale: order.locale,
+    hasTrackingNumber: Boolean(order.trackingNumber),
+    items: order.items.map((item) => ({ productId: item.productId, quantity: item.quantity, price: amount(item.price) })),
+  };
+};
+
+/**
+ * Lee lo que una orden dejó guardado, sin IDs, fechas ni origen
+ * @async
+ * @param {string} orderId - ID de la orden
+ * @returns {Promise<Object>} Estado, eventos, avisos e historial comparables
+ */
+const persistedEffects = async (orderId) => {
+  const order = await Order.findByPk(orderId);
+  const strip = (value) => JSON.parse(
+    JSON.stringify(value)
+      .replaceAll(orderId, '<orderId>')
+      .replaceAll(order.trackingNumber, '<trackingNumber>')
+  );
+
+  // La fecha del evento es la única parte del payload que cambia entre las dos APIs
+  const events = await OutboxMessage.findAll({ where: { aggregateId: orderId }, order: [['id', 'ASC']] });
+  const notifications = await Notification.findAll({ where: { orderId }, order: [['id', 'ASC']] });
+  const history = await OrderStatusHistory.findAll({ where: { orderId }, order: [['id', 'ASC']] });
+
+  return {
+    status: order.status,
+    events: events.map((event) => strip({
+      messageType: event.messageType,
+      routingKey: event.routingKey,
+      status: event.status,
+      payload: { ...event.payload, occurredAt: undefined },
+    })),
+    notifications: notifications.map((notification) => strip({
+      type: notification.type,
+      channel: notification.channel,
+      status: notification.status,
+      clientId: notification.clientId,
+      details: notification.details,
+    })),
+    history: history.map((entry) => ({
+      previousStatus: entry.previousStatus,
+      status: entry.status,
+      role: entry.role,
+      actorId: entry.actorId,
+      reason: entry.reason,
+    })),
+    sources: [...new Set(history.map((entry) => entry.source))],
+  };
+};
+
+describe('paridad REST / gRPC', () => {
+  let servers;
+  let userToken;
+  let adminToken;
+  // Orden creada por cada API
+  let restOrder;
+  let grpcOrder;
+
+  before(async () => {
+    servers = await startTestServers();
+    userToken = await signToken({ subject: CLIENT_ID, role: 'user' });
+    adminToken = await signToken({ subject: ADMIN_ID, role: 'admin' });
+  });
+
+  after(async () => {
+    await servers.stop();
+  });
+
+  const rest = (method, url, token, body) => callRest(servers.baseUrl, method, url, token, body);
+  const grpcCall = (method, request, token) => callGrpc(servers.grpcClient, method, request, token);
+
+  it('CreateOrder crea la misma orden, con el mismo evento y aviso', async () => {
+    const created = await rest('POST', '/orders', userToken, {
+      ...ORDER_INPUT,
+      items: [{ productId: PRODUCT_ID, quantity: 2 }],
+    });
+    assert.equal(created.status, 201);
+    restOrder = created.body.order;
+
+    ({ order: grpcOrder } = await grpcCall('CreateOrder', {
+      ...ORDER_INPUT,
+      items: [{ productId: PRODUCT_ID, quantity: 2 }],
+    }, userToken));
+
+    assert.deepEqual(normalizeOrder(grpcOrder), normalizeOrder(restOrder));
+    assert.equal(normalizeOrder(restOrder).totalAmount, '19980');
+
+    const restEffects = await persistedEffects(restOrder.id);
+    const grpcEffects = await persistedEffects(grpcOrder.id);
+    assert.deepEqual(restEffects.sources, ['rest']);
+    assert.deepEqual(grpcEffects.sources, ['grpc']);
+    assert.deepEqual({ ...grpcEffects, sources: null }, { ...restEffects, sources: null });
+    assert.deepEqual(restEffects.events.map((event) => event.messageType), ['OrderCreated']);
+    assert.deepEqual(restEffects.notifications.map((notification) => notification.type), ['created']);
+  });
+
+  it('GetOrderStatus responde el mismo resumen', async () => {
+    const { status, body } = await rest('GET', `/orders/${restOrder.trackingNumber}/status`, userToken);
+    assert.equal(status, 200);
+    const grpcStatus = await grpcCall('GetOrderStatus', { trackingNumber: grpcOrder.trackingNumber }, userToken);
+
+    const summary = ({ trackingNumber, ...rest }) => ({ ...rest, hasTrackingNumber: Boolean(trackingNumber) });
+    assert.deepEqual(
+      summary({
+        trackingNumber: grpcStatus.trackingNumber,
+        status: grpcStatus.status,
+        clientName: grpcStatus.clientName,
+        totalAmount: fromMoneyParts(grpcStatus.totalAmount, grpcStatus.totalAmount.currencyCode),
+        currency: grpcStatus.totalAmount.currencyCode,
+      }),
+      summary({ ...body, totalAmount: roundAmount(body.totalAmount, body.currency) })
+    );
+  });
+
+  it('UpdateOrderStatus aplica la misma transición, con el mismo evento y aviso', async () => {
+    const { status, body } = await rest('PATCH', `/orders/${restOrder.id}/status`, adminToken, { status: 'en procesamiento' });
+    assert.equal(status, 200);
+    assert.equal(body.order.status, 'en procesamiento');
+    const response = await grpcCall('UpdateOrderStatus', { id: grpcOrder.id, status: 'en procesamiento' }, adminToken);
+    assert.equal(response.success, true);
+
+    const restEffects = await persistedEffects(restOrder.id);
+    const grpcEffects = await persistedEffects(grpcOrder.id);
+    assert.deepEqual({ ...grpcEffects, sources: null }, { ...restEffects, sources: null });
+    assert.equal(restEffects.status, 'en procesamiento');
+    assert.deepEqual(restEffects.events.map((event) => event.messageType), ['OrderCreated', 'OrderStatusChanged']);
+    assert.deepEqual(restEffects.notifications.map((notification) => notification.type), ['created', 'processing']);
+  });
+
+  it('UpdateOrderStatus rechaza igual una transición no permitida', async () => {
+    const { status, body } = await rest('PATCH', `/orders/${restOrder.id}/status`, adminToken, { status: 'entregado' });
+    assert.equal(status, 409);
+    await assert.rejects(
+      grpcCall('UpdateOrderStatus', { id: grpcOrder.id, status: 'entregado' }, adminToken),
+      (error) => error.code === 9 && error.details === body.detail // FAILED_PRECONDITION
+    );
+  });
+
+  it('CancelOrder cancela igual, con el mismo evento y aviso', async () => {
+    const reason = 'Me equivoqué de talla';
+    const { status, body } = await rest('PATCH', `/orders/${restOrder.id}/cancel`, userToken, { reason });
+    assert.equal(status, 200);
+    const response = await grpcCall('CancelOrder', { idOrTracking: grpcOrder.id, reason }, userToken);
+    assert.deepEqual(response, { success: true, message: body.message });
+
+    const restEffects = await persistedEffects(restOrder.id);
+    const grpcEffects = await persistedEffects(grpcOrder.id);
+    assert.deepEqual({ ...grpcEffects, sources: null }, { ...restEffects, sources: null });
+    assert.equal(restEffects.status, 'cancelado');
+    assert.deepEqual(restEffects.events.map((event) => event.messageType), ['OrderCreated', 'OrderStatusChanged', 'OrderCancelled']);
+    assert.deepEqual(restEffects.notifications.map((notification) => notification.type), ['created', 'processing', 'cancelled']);
+    assert.deepEqual(restEffects.events.at(-1).payload, {
+      orderId: '<orderId>',
+      previousStatus: 'en procesamiento',
+      cancelledBy: 'usuario',
+      reason,
+    });
+    assert.deepEqual(restEffects.history.at(-1), {
+      previousStatus: 'en procesamiento',
+      status: 'cancelado',
+      role: 'user',
+      actorId: CLIENT_ID,
+      reason,
+    });
+  });
+
+  it('CancelOrder niega igual la orden de otro cliente', async () => {
+    const otherToken = await signToken({ subject: '0c3a1f7e-2b4d-4e6f-8a9b-1c2d3e4f5a6b', role: 'user' });
+    const { status, body } = await rest('PATCH', `/orders/${restOrder.id}/cancel`, otherToken, {});
+    assert.equal(status, 403);
+    await assert.rejects(
+      grpcCall('CancelOrder', { idOrTracking: grpcOrder.id }, otherToken),
+      (error) => error.code === 7 && error.details === body.detail // PERMISSION_DENIED
+    );
+  });
+});
@@ -0,0 +1,182 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas y aserciones de Node
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar servidores de prueba y clientes REST/gRPC
+import { startTestServers, signToken, callGrpc, callRest } from './helpers/servers.js';
+// Importar validación de solicitudes y su error
+import { validateRequest } from '../src/schemas/orderSchemas.js';
+import { RequestValidationError } from '../src/errors/orderErrors.js';
+
+/**
+ * 📐 Esquemas de las solicitudes
+ * Los datos inválidos se rechazan con el campo que falló: RequestValidationError al
+ * validar, 400 INVALID_REQUEST por REST e INVALID_ARGUMENT por gRPC. Los controladores
+ * REST reciben la solicitud ya normalizada por el esquema
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+const ORDER_ID = '7d2c9e1a-4b3f-4c8d-9e0f-1a2b3c4d5e6f';
+const PRODUCT_ID = '8f14e45f-ceea-4e7a-9b1d-1a2b3c4d5e01';
+const INVALID_ARGUMENT = 3;
+
+/**
+ * Arma una solicitud CreateOrder válida con un item modificado
+ * @param {Object} [item] - Campos del item que se reemplazan
+ * @returns {Object} Solicitud CreateOrder
+ */
+const createOrderRequest = (item = {}) => ({
+  clientName: 'Juan Pérez',
+  items: [{ productId: PRODUCT_ID, quantity: 2, ...item }],
+});
+
+/**
+ * Valida una solicitud y devuelve los campos rechazados
+ * @param {string} operation - Operación (clave de REQUEST_SCHEMAS)
+ * @param {Object} request - Solicitud
+ * @returns {Array<string>} Campos rechazados
+ */
+const rejectedFields = (operation, request) => {
+  try {
+    validateRequest(operation, request);
+  } catch (error) {
+    assert.ok(error instanceof RequestValidationError);
+    assert.equal(error.httpStatus, 400);
+    return error.fields.map(({ field }) => field);
+  }
+  assert.fail(`${operation} aceptó ${JSON.stringify(request)}`);
+};
+
+describe('esquemas de las solicitudes', () => {
+  it('quantity solo acepta enteros o texto con solo dígitos', () => {
+    for (const quantity of [true, ' 3 ', '2.5', 2.5, '1e2', '', 0, -1, 1001, null]) {
+      assert.deepEqual(rejectedFields('CreateOrder', createOrderRequest({ quantity })), ['items[0].quantity'], `quantity ${JSON.stringify(quantity)}`);
+    }
+    assert.equal(validateRequest('CreateOrder', createOrderRequest({ quantity: '3' })).items[0].quantity, 3);
+    assert.equal(validateRequest('CreateOrder', createOrderRequest({ quantity: 3 })).items[0].quantity, 3);
+  });
+
+  it('limit y el ID del aviso no se convierten desde cualquier texto', () => {
+    for (const limit of [' 5', '5.0', 'abc', true, 101]) {
+      assert.deepEqual(rejectedFields('GetAllOrders', { limit }), ['limit'], `limit ${JSON.stringify(limit)}`);
+    }
+    assert.equal(validateRequest('GetAllOrders', { limit: '5' }).limit, 5);
+    assert.equal(validateRequest('GetAllOrders', { limit: 0 }).limit, undefined);
+    assert.deepEqual(rejectedFields('ResendNotification', { id: '1abc' }), ['id']);
+  });
+
+  it('price solo acepta montos decimales no negativos o Money', () => {
+    for (const price of ['abc', '-5', -5, '1e3', '1.', true, { units: 'x', nanos: 0 }, { units: '1', nanos: 1e9 }]) {
+      // En un Money se informa la parte inválida (ej: items[0].price.nanos)
+      const fields = rejectedFields('CreateOrder', createOrderRequest({ price }));
+      assert.ok(fields.length && fields.every((field) => field.startsWith('items[0].price')), `price ${JSON.stringify(price)}`);
+    }
+    assert.equal(validateRequest('CreateOrder', createOrderRequest({ price: '9990' })).items[0].price, '9990');
+  });
+
+  it('rechaza UUID y estados inválidos', () => {
+    assert.deepEqual(rejectedFields('CreateOrder', createOrderRequest({ productId: 'prod1' })), ['items[0].productId']);
+    assert.deepEqual(rejectedFields('CreateOrder', { ...createOrderRequest(), userId: '123' }), ['userId']);
+    assert.deepEqual(rejectedFields('UpdateOrderStatus', { id: 'abc', status: 'enviado' }), ['id']);
+    assert.deepEqual(rejectedFields('UpdateOrderStatus', { id: ORDER_ID, status: 'archivado' }), ['status']);
+    assert.deepEqual(rejectedFields('GetAllOrders', { status: 'pendiente,archivado' }), ['status[1]']);
+  });
+});
+
+describe('solicitudes inválidas por REST y gRPC', () => {
+  let servers;
+  let userToken;
+  let adminToken;
+
+  before(async () => {
+    servers = await startTestServers();
+    userToken = await signToken({ subject: CLIENT_ID, role: 'user' });
+    adminToken = await signToken({ subject: 'admin-7', role: 'admin' });
+  });
+
+  after(async () => {
+    await servers.stop();
+  });
+
+  /**
+   * Comprueba que REST responda 400 INVALID_REQUEST con los campos indicados
+   * @async
+   * @param {string} method - Método HTTP
+   * @param {string} url - Ruta
+   * @param {string} token - JWT de quien llama
+   * @param {Object} body - Cuerpo JSON
+   * @param {Array<string>} fields - Campos que deben informarse
+   * @returns {Promise<void>}
+   */
+  const assertRestRejects = async (method, url, token, body, fields) => {
+    const response = await callRest(servers.baseUrl, method, url, token, body);
+    assert.equal(response.status, 400, JSON.stringify(response.body));
+    assert.equal(response.body.code, 'INVALID_REQUEST');
+    assert.deepEqual(response.body.fields.map(({ field }) => field), fields);
+  };
+
+  /**
+   * Comprueba que gRPC responda INVALID_ARGUMENT nombrando el campo
+   * @async
+   * @param {string} method - Nombre del RPC
+   * @param {Object} request - Mensaje de la solicitud
+   * @param {string} token - JWT de quien llama
+   * @param {string} field - Campo que debe informarse
+   * @returns {Promise<void>}
+   */
+  const assertGrpcRejects = (method, request, token, field) =>
+    assert.rejects(callGrpc(servers.grpcClient, method, request, token), (error) => {
+      assert.equal(error.code, INVALID_ARGUMENT);
+      assert.match(error.details, new RegExp(field.replace(/[[\].]/g, '\\$&')));
+      return true;
+    });
+
+  it('quantity inválida: 400 e INVALID_ARGUMENT', async () => {
+    for (const quantity of [true, ' 3 ', 2.5]) {
+      await assertRestRejects('POST', '/orders', userToken, createOrderRequest({ quantity }), ['items[0].quantity']);
+    }
+    await assertGrpcRejects('CreateOrder', createOrderRequest({ quantity: 0 }), userToken, 'items[0].quantity');
+    await assertGrpcRejects('CreateOrder', createOrderRequest({ quantity: -3 }), userToken, 'items[0].quantity');
+  });
+
+  it('price inválido: 400 e INVALID_ARGUMENT', async () => {
+    await assertRestRejects('POST', '/orders', userToken, createOrderRequest({ price: 'abc' }), ['items[0].price']);
+    await assertRestRejects('POST', '/orders', userToken, createOrderRequest({ price: -5 }), ['items[0].price']);
+    await assertGrpcRejects(
+      'CreateOrder',
+      createOrderRequest({ price: { currencyCode: 'CLP', units: '9990', nanos: 1000000000 } }),
+      userToken,
+      'items[0].price'
+    );
+  });
+
+  it('UUID inválido: 400 e INVALID_ARGUMENT', async () => {
+    await assertRestRejects('POST', '/orders', userToken, createOrderRequest({ productId: 'prod1' }), ['items[0].productId']);
+    await assertRestRejects('PATCH', '/orders/abc/status', adminToken, { status: 'enviado' }, ['id']);
+    await assertGrpcRejects('CreateOrder', createOrderRequest({ productId: 'prod1' }), userToken, 'items[0].productId');
+    await assertGrpcRejects('UpdateOrderStatus', { id: 'abc', status: 'enviado' }, adminToken, 'id');
+  });
+
+  it('estado inválido: 400 e INVALID_ARGUMENT', async () => {
+    await assertRestRejects('PATCH', `/orders/${ORDER_ID}/status`, adminToken, { status: 'archivado' }, ['status']);
+    await assertGrpcRejects('UpdateOrderStatus', { id: ORDER_ID, status: 'archivado' }, adminToken, 'status');
+  });
+
+  it('REST crea y lista con los valores normalizados por el esquema', async () => {
+    const created = await callRest(servers.baseUrl, 'POST', '/orders', userToken, {
+      ...createOrderRequest({ quantity: '3' }),
+      clientName: '  Juan Pérez  ',
+      currency: 'usd',
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.deepEqual(
+      [created.body.order.clientName, created.body.order.currency, created.body.order.items[0].quantity],
+      ['Juan Pérez', 'USD', 3]
+    );
+
+    const listed = await callRest(servers.baseUrl, 'GET', '/orders?currency=usd&status=pendiente,%20en%20procesamiento&q=Juan', userToken);
+    assert.equal(listed.status, 200, JSON.stringify(listed.body));
+    assert.ok(listed.body.orders.some((order) => order.id === created.body.order.id));
+  });
+});
@@ -0,0 +1,221 @@
+// Variables de entorno de las pruebas (antes que cualquier módulo de src)
+import './helpers/env.js';
+// Importar ejecutor de pruebas, dobles de prueba y aserciones de Node
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+// Importar clientes de RabbitMQ y SendGrid (se reemplaza su conexión y su envío)
+import amqp from 'amqplib';
+import sgMail from '@sendgrid/mail';
+import { SpanKind, SpanStatusCode } from '@opentelemetry/api';
+// Importar servidores de prueba y clientes REST/gRPC
+import { startTestServers, signToken, callGrpc, callRest } from './helpers/servers.js';
+// Importar trazas con el exportador en memoria
+import { startTracing, stopTracing, getFinishedSpans, resetFinishedSpans } from '../src/config/tracing.js';
+// Importar conexión a RabbitMQ, relay de outbox y worker de avisos
+import { connectRabbitMQ, closeRabbitMQ } from '../src/config/rabbitmq.js';
+import { relayPendingMessages } from '../src/services/outboxRelay.js';
+import { processPendingNotifications } from '../src/services/notificationWorker.js';
+
+/**
+ * 🔭 Trazas de una orden
+ * Una orden creada por REST o gRPC con un traceparent recibido deja una sola traza:
+ * el span de la solicitud cuelga del padre remoto, las consultas de Sequelize cuelgan
+ * de la solicitud, y la publicación del evento (relay de outbox) y el envío del correo
+ * (worker de avisos) continúan la traza con el contexto guardado en cada fila.
+ * RabbitMQ y SendGrid se reemplazan por dobles que registran lo que reciben
+ */
+
+const CLIENT_ID = '5b0e4a6c-8f3d-4a3e-9c1b-2d7f6e8a9b10';
+const PRODUCT_ID = '8f14e45f-ceea-4e7a-9b1d-1a2b3c4d5e01';
+
+// Padre remoto de cada solicitud (cada prueba usa una traza nueva)
+const REMOTE_SPAN_ID = '00f067aa0ba902b7';
+const newTraceId = () => crypto.randomUUID().replaceAll('-', '');
+const traceparent = (traceId) => `00-${traceId}-${REMOTE_SPAN_ID}-01`;
+
+const ORDER_INPUT = {
+  clientName: 'Juan Pérez',
+  shippingAddress: 'Calle Principal 123',
+  email: 'juan.perez@ejemplo.com',
+  items: [{ productId: PRODUCT_ID, quantity: 1 }],
+};
+
+/**
+ * Spans terminados de una traza
+ * @param {string} traceId - ID de la traza
+ * @returns {Array<ReadableSpan>} Spans de la traza
+ */
+const traceSpans = (traceId) => getFinishedSpans().filter((span) => span.spanContext().traceId === traceId);
+
+/**
+ * ID del span padre de un span
+ * @param {ReadableSpan} span - Span terminado
+ * @returns {string|undefined} ID del padre
+ */
+const parentId = (span) => span.parentSpanContext?.spanId;
+
+/**
+ * Indica si un span desciende de otro (directamente o a través de otros spans de la traza)
+ * @param {ReadableSpan} span - Span a revisar
+ * @param {ReadableSpan} ancestor - Posible ancestro
+ * @param {Array<ReadableSpan>} spans - Spans de la traza
+ * @returns {boolean} true si ancestor está en su cadena de padres
+ */
+const descendsFrom = (span, ancestor, spans) => {
+  const byId = new Map(spans.map((s) => [s.spanContext().spanId, s]));
+  for (let current = span; current; current = byId.get(parentId(current))) {
+    if (parentId(current) === ancestor.spanContext().spanId) return true;
+  }
+  return false;
+};
+
+/**
+ * Conexión AMQP falsa con un canal de confirmación que registra cada publicación
+ * @param {Array<Object>} published - Lista donde se guardan las publicaciones
+ * @returns {Object} Conexión con la interfaz que usa config/rabbitmq
+ */
+const fakeConnection = (published) => ({
+  createConfirmChannel: async () => ({
+    assertExchange: async () => {},
+    publish: (exchange, routingKey, content, options, callback) => {
+      published.push({ exchange, routingKey, envelope: JSON.parse(content.toString()), options });
+      callback(null);
+      return true;
+    },
+    waitForConfirms: async () => {},
+    on: () => {},
+  }),
+  on: () => {},
+  close: async () => {},
+});
+
+describe('trazas de REST, gRPC, Sequelize, RabbitMQ y SendGrid', () => {
+  let servers;
+  let userToken;
+  const published = [];
+  const emails = [];
+
+  before(async () => {
+    startTracing({ exporter: 'memory' });
+    mock.method(amqp, 'connect', async () => fakeConnection(published));
+    mock.method(sgMail, 'send', async (msg) => {
+      emails.push(msg);
+      return [{ statusCode: 202, headers: { 'x-message-id': `msg-${emails.length}` } }];
+    });
+    await connectRabbitMQ(1, 0);
+    servers = await startTestServers();
+    userToken = await signToken({ subject: CLIENT_ID, role: 'user' });
+  });
+
+  after(async () => {
+    await servers.stop();
+    await closeRabbitMQ();
+    await stopTracing();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    resetFinishedSpans();
+    published.length = 0;
+    emails.length = 0;
+  });
+
+  /**
+   * Crea una orden por REST con un traceparent nuevo
+   * @async
+   * @returns {Promise<{traceId: string, request: ReadableSpan}>} Traza y span de la solicitud
+   */
+  const createOrderInNewTrace = async () => {
+    const traceId = newTraceId();
+    const { status } = await callRest(servers.baseUrl, 'POST', '/orders', userToken, ORDER_INPUT, {
+      traceparent: traceparent(traceId),
+    });
+    assert.equal(status, 201);
+    return { traceId, request: traceSpans(traceId).find((span) => span.name === 'POST /orders') };
+  };
+
+  it('REST: span SERVER hijo del traceparent, con las consultas colgando de él', async () => {
+    const { traceId, request } = await createOrderInNewTrace();
+
+    const spans = traceSpans(traceId);
+    assert.ok(request, `spans: ${spans.map((span) => span.name).join(', ')}`);
+    assert.equal(request.kind, SpanKind.SERVER);
+    assert.equal(parentId(request), REMOTE_SPAN_ID);
+    assert.equal(request.attributes['http.route'], '/orders');
+    assert.equal(request.attributes['http.response.status_code'], 201);
+
+    const queries = spans.filter((span) => span.attributes['db.system.name'] === 'sqlite');
+    assert.ok(queries.some((span) => span.name === 'INSERT Orders'));
+    assert.ok(queries.some((span) => span.name === 'INSERT OutboxMessages'));
+    assert.ok(queries.some((span) => span.name === 'BEGIN'));
+    for (const query of queries) {
+      assert.equal(query.kind, SpanKind.CLIENT);
+      assert.ok(descendsFrom(query, request, spans), `${query.name} no cuelga de la solicitud`);
+    }
+  });
+
+  it('gRPC: span SERVER hijo del traceparent de la metadata', async () => {
+    const traceId = newTraceId();
+    await callGrpc(servers.grpcClient, 'CreateOrder', ORDER_INPUT, userToken, {
+      traceparent: traceparent(traceId),
+    });
+
+    const spans = traceSpans(traceId);
+    const call = spans.find((span) => span.name === 'order.OrderService/CreateOrder');
+    assert.ok(call, `spans: ${spans.map((span) => span.name).join(', ')}`);
+    assert.equal(call.kind, SpanKind.SERVER);
+    assert.equal(parentId(call), REMOTE_SPAN_ID);
+    assert.equal(call.attributes['rpc.grpc.status_code'], 0);
+
+    const insert = spans.find((span) => span.name === 'INSERT Orders');
+    assert.ok(insert && descendsFrom(insert, call, spans), 'INSERT Orders no cuelga de la llamada');
+  });
+
+  it('RabbitMQ: la publicación continúa la traza y envía su traceparent en las cabeceras AMQP', async () => {
+    const { traceId, request } = await createOrderInNewTrace();
+
+    assert.ok(await relayPendingMessages() > 0);
+    const publishes = traceSpans(traceId).filter((span) => span.name === 'publish order_events');
+    assert.equal(publishes.length, 1);
+    const [publish] = publishes;
+    assert.equal(publish.kind, SpanKind.PRODUCER);
+    assert.equal(publish.attributes['messaging.rabbitmq.destination.routing_key'], 'order.created');
+    assert.equal(parentId(publish), request.spanContext().spanId);
+
+    const message = published.find(({ options }) => options.messageId === publish.attributes['messaging.message.id']);
+    assert.ok(message, 'el evento de la orden no se publicó');
+    assert.equal(message.options.headers.traceparent, `00-${traceId}-${publish.spanContext().spanId}-01`);
+  });
+
+  it('SendGrid: el envío del correo continúa la traza de la solicitud', async () => {
+    const { traceId, request } = await createOrderInNewTrace();
+
+    await processPendingNotifications();
+    assert.ok(emails.length > 0);
+
+    const spans = traceSpans(traceId);
+    const deliver = spans.find((span) => span.name === 'deliver created');
+    const send = spans.find((span) => span.name === 'sendgrid send');
+    assert.ok(deliver && send, `spans: ${spans.map((span) => span.name).join(', ')}`);
+    assert.equal(parentId(deliver), request.spanContext().spanId);
+    assert.equal(parentId(send), deliver.spanContext().spanId);
+    assert.equal(send.kind, SpanKind.CLIENT);
+    assert.notEqual(send.status.code, SpanStatusCode.ERROR);
+  });
+
+  it('SendGrid: un envío rechazado deja el span con error', async () => {
+    // El envío que falla debe ser el de esta orden: primero se envían los avisos anteriores
+    await processPendingNotifications();
+    const { traceId } = await createOrderInNewTrace();
+    sgMail.send.mock.mockImplementationOnce(async () => {
+      throw new Error('Forbidden');
+    });
+
+    await processPendingNotifications();
+
+    const send = traceSpans(traceId).find((span) => span.name === 'sendgrid send');
+    assert.ok(send);
+    assert.equal(send.status.code, SpanStatusCode.ERROR);
+    assert.equal(send.events[0]?.name, 'exception');
+  });
+});